@@ -0,0 +1,486 @@
+#!/usr/bin/env -S node --experimental-detect-module
+// bin/idml-parser.mjs - headless batch conversion of IDML files
+import path from "path";
+import fs from "fs";
+
+import IDMLProcessor from "../lib/IDMLProcessor.js";
+import DataModularizer from "../lib/utils/DataModularizer.js";
+import StaticPageRenderer from "../lib/renderers/StaticPageRenderer.js";
+import ThumbnailGenerator from "../lib/renderers/ThumbnailGenerator.js";
+import FontProcessor from "../lib/processors/FontProcessor.js";
+import FontMetrics from "../lib/utils/FontMetrics.js";
+import TextLayoutEngine from "../lib/utils/TextLayoutEngine.js";
+import Logger from "../lib/utils/Logger.js";
+
+const FORMATS = ["json", "html", "svg"];
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1; // At least one file could not be converted
+const EXIT_USAGE = 2; // Bad arguments or no input files
+
+const USAGE = `Usage: idml-parser convert <input...> [options]
+
+Inputs can be files, directories (all .idml files inside) or glob patterns
+such as "jobs/**/*.idml" (quote them so the shell does not expand them).
+
+Options:
+  -o, --out <dir>        Output directory (default: ./idml-output)
+  -f, --format <format>  json, html or svg; comma-separate for several
+                         (default: json)
+      --dpi <number>     Pixels per inch for unit conversion (default: 96)
+      --verbose          Show the processing log (same as --log-level debug)
+      --log-level <level>  silent, error, warn, info, debug or trace
+                         (default: silent)
+      --log-format <fmt> text or json (one JSON object per line)
+      --log-modules <list>  Only log these modules, e.g. "StoryParser",
+                         "-IDMLUtils" or "ElementParser=trace"
+  -h, --help             Show this help
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} { command, inputs, options } or { error }
+ */
+const parseArguments = (argv) => {
+  const [command, ...rest] = argv;
+  // Help is asked for without a command too
+  if (command === "-h" || command === "--help") return { command: "help" };
+
+  const inputs = [];
+  const options = {
+    out: "idml-output",
+    formats: ["json"],
+    dpi: 96,
+    verbose: false,
+    logLevel: null,
+    logFormat: null,
+    logModules: null,
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    const [flag, inlineValue] = arg.startsWith("--")
+      ? arg.split(/=(.*)/s)
+      : [arg, undefined];
+    const readValue = () =>
+      inlineValue !== undefined ? inlineValue : rest[++i];
+
+    switch (flag) {
+      case "-o":
+      case "--out":
+        options.out = readValue();
+        break;
+      case "-f":
+      case "--format":
+        options.formats = String(readValue() || "")
+          .split(",")
+          .map((format) => format.trim().toLowerCase())
+          .filter(Boolean);
+        break;
+      case "--dpi":
+        options.dpi = parseFloat(readValue());
+        break;
+      case "--verbose":
+        options.verbose = true;
+        break;
+      case "--log-level":
+        options.logLevel = readValue();
+        break;
+      case "--log-format":
+        options.logFormat = readValue();
+        break;
+      case "--log-modules":
+        options.logModules = readValue();
+        break;
+      case "-h":
+      case "--help":
+        return { command: "help" };
+      default:
+        if (flag.startsWith("-")) return { error: `Unknown option: ${flag}` };
+        inputs.push(arg);
+    }
+  }
+
+  if (!options.out) return { error: "--out needs a directory" };
+  const unknown = options.formats.filter((format) => !FORMATS.includes(format));
+  if (options.formats.length === 0 || unknown.length > 0) {
+    return {
+      error: `Unsupported format: ${unknown.join(", ") || "(none)"} (use ${FORMATS.join(", ")})`,
+    };
+  }
+  if (!Number.isFinite(options.dpi) || options.dpi <= 0) {
+    return { error: "--dpi must be a positive number" };
+  }
+  if (options.logLevel && !Logger.normalizeLevel(options.logLevel, null)) {
+    return {
+      error: `Unknown log level: ${options.logLevel} (use ${Object.keys(Logger.LEVELS).join(", ")})`,
+    };
+  }
+  if (options.logFormat && !["text", "json"].includes(options.logFormat)) {
+    return { error: "--log-format must be text or json" };
+  }
+
+  return { command, inputs, options };
+};
+
+/**
+ * Turn a glob pattern into a regular expression for relative paths
+ * (supports *, ? and ** for any number of directories)
+ * @param {string} pattern - Glob pattern using "/" separators
+ * @returns {RegExp} Matching expression
+ */
+const globToRegExp = (pattern) => {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * List files below a directory (relative paths with "/" separators)
+ * @param {string} directory - Directory to walk
+ * @returns {Array} Relative file paths
+ */
+const listFiles = (directory) => {
+  const files = [];
+  const walk = (current, prefix) => {
+    fs.readdirSync(current, { withFileTypes: true }).forEach((entry) => {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(current, entry.name), relative);
+      } else if (entry.isFile()) {
+        files.push(relative);
+      }
+    });
+  };
+  walk(directory, "");
+  return files;
+};
+
+/**
+ * Output folder name of an IDML file: its path below the directory or
+ * glob base it was found in, without the extension
+ * @param {string} relativePath - Path relative to that base ("/" separators)
+ * @returns {string} Relative output folder
+ */
+const getOutputName = (relativePath) =>
+  relativePath
+    .replace(/\.idml$/i, "")
+    .split("/")
+    .join(path.sep);
+
+/**
+ * Expand inputs (files, directories and glob patterns) to IDML files
+ * @param {Array} inputs - Input arguments
+ * @returns {Map} Absolute IDML file path → output folder below --out
+ *   (files keep their path below a directory input or glob base, so
+ *   files with the same name in different folders don't collide)
+ */
+const expandInputs = (inputs) => {
+  const files = new Map();
+  const add = (filePath, relativePath) => {
+    if (!files.has(filePath)) files.set(filePath, getOutputName(relativePath));
+  };
+
+  inputs.forEach((input) => {
+    const normalized = input.split(path.sep).join("/");
+    if (!/[*?]/.test(normalized)) {
+      const resolved = path.resolve(input);
+      if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+        listFiles(resolved)
+          .filter((file) => file.toLowerCase().endsWith(".idml"))
+          .forEach((file) => add(path.join(resolved, file), file));
+      } else {
+        add(resolved, path.basename(resolved));
+      }
+      return;
+    }
+
+    // Walk from the last directory before the first wildcard
+    const segments = normalized.split("/");
+    const firstWildcard = segments.findIndex((segment) => /[*?]/.test(segment));
+    const base = segments.slice(0, firstWildcard).join("/") || ".";
+    const matcher = globToRegExp(segments.slice(firstWildcard).join("/"));
+    if (!fs.existsSync(base)) return;
+
+    listFiles(base)
+      .filter((file) => matcher.test(file))
+      .forEach((file) => add(path.resolve(base, file), file));
+  });
+
+  return files;
+};
+
+/**
+ * Find inputs that would be written to the same output folder
+ * @param {Map} files - From expandInputs
+ * @param {string} out - --out directory
+ * @returns {Array} [outputDir, [filePath...]] for each shared folder
+ */
+const findOutputCollisions = (files, out) => {
+  // Compared without case, for case-insensitive file systems
+  const byOutput = new Map();
+  files.forEach((outputName, filePath) => {
+    const outputDir = path.resolve(out, outputName);
+    const key = outputDir.toLowerCase();
+    const [, filePaths] = byOutput.get(key) || [outputDir, []];
+    byOutput.set(key, [outputDir, [...filePaths, filePath]]);
+  });
+  return [...byOutput.values()].filter(([, filePaths]) => filePaths.length > 1);
+};
+
+/**
+ * Create the processing logger. It writes to stderr so stdout only has the
+ * conversion report, and is silent unless asked for (or IDML_LOG_LEVEL set)
+ * @param {Object} options - Parsed CLI options
+ * @returns {Logger} Logger for the processor
+ */
+const createLogger = (options) => {
+  const write = (...args) => console.error(...args);
+  return new Logger({
+    level:
+      options.logLevel ||
+      (options.verbose ? "debug" : process.env.IDML_LOG_LEVEL || "silent"),
+    format: options.logFormat,
+    modules: options.logModules,
+    output: { log: write, warn: write, error: write },
+  });
+};
+
+/**
+ * Convert one IDML file into the requested formats
+ * @param {string} filePath - IDML file
+ * @param {string} outputName - Output folder below --out
+ * @param {Object} options - Parsed CLI options
+ * @param {Logger} logger - Processing logger
+ * @returns {Promise<Array>} Written output paths
+ */
+const convertFile = async (filePath, outputName, options, logger) => {
+  if (!fs.existsSync(filePath)) throw new Error("File not found");
+  if (!filePath.toLowerCase().endsWith(".idml")) {
+    throw new Error("Not an .idml file");
+  }
+
+  const name = path.basename(outputName);
+  const outputDir = path.resolve(options.out, outputName);
+  const processor = new IDMLProcessor({
+    dpi: options.dpi,
+    uploadDir: outputDir,
+    uploadId: name,
+    logger,
+  });
+
+  // The output folder is only made for packages that can be converted, and
+  // removed again (when it is new) if converting fails
+  await processor.fileExtractor.validatePackage(filePath);
+  const createdOutputDir = !fs.existsSync(outputDir);
+  fs.mkdirSync(outputDir, { recursive: true });
+  try {
+    return await writeOutputs(processor, filePath, outputDir, options, logger);
+  } catch (error) {
+    if (createdOutputDir) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Process an IDML file and write the requested formats
+ * @param {IDMLProcessor} processor - Processor for the file
+ * @param {string} filePath - IDML file
+ * @param {string} outputDir - Output folder (exists)
+ * @param {Object} options - Parsed CLI options
+ * @param {Logger} logger - Processing logger
+ * @returns {Promise<Array>} Written output paths
+ */
+const writeOutputs = async (
+  processor,
+  filePath,
+  outputDir,
+  options,
+  logger
+) => {
+  const name = path.basename(outputDir);
+  const documentData = await processor.processIDML(filePath);
+
+  // Embedded images go next to the output; links come from the package
+  // folder ("Links" beside the .idml, as InDesign's Package command writes)
+  const extractedImages = await processor.extractEmbeddedImageFromSpread(
+    filePath,
+    outputDir
+  );
+  const packageStructure = {
+    uploadDir: outputDir,
+    uploadId: name,
+    idmlFile: filePath,
+    resourceMap: new Map(),
+    extractedPath: outputDir,
+    linksFolder: path.join(path.dirname(filePath), "Links"),
+    fontsFolder: path.join(path.dirname(filePath), "Document fonts"),
+    isPackageUpload: fs.existsSync(path.join(path.dirname(filePath), "Links")),
+  };
+  await processor.imageProcessor.processLinkedResources(
+    documentData,
+    packageStructure,
+    extractedImages
+  );
+
+  // Lines are broken with the packaged fonts ("Document fonts") when present
+  const documentFonts = new FontProcessor(
+    processor.diagnostics,
+    logger
+  ).processDocumentFonts(processor.styleParser.getFontDefinitions(), {
+    fontsDir: packageStructure.fontsFolder,
+    urlPrefix: path
+      .relative(outputDir, packageStructure.fontsFolder)
+      .split(path.sep)
+      .join("/"),
+  });
+  const fontMetrics = FontMetrics.fromDocumentFonts(
+    documentFonts,
+    packageStructure.fontsFolder,
+    logger
+  );
+
+  const written = [];
+
+  if (options.formats.includes("json")) {
+    const modularizer = new DataModularizer(outputDir, logger);
+    modularizer.modularize({
+      ...documentData,
+      styles: processor.getStyles(),
+      resources: processor.getResources(),
+      layers: processor.getLayers(),
+      extractedImages,
+      documentFonts,
+      textLayout: new TextLayoutEngine(fontMetrics, logger).layoutDocument(
+        documentData
+      ),
+      thumbnails: new ThumbnailGenerator(documentData, {
+        fontMetrics,
+        urlPrefix: "thumbnails",
+        logger,
+      }).generate(
+        path.join(outputDir, "thumbnails"),
+        ThumbnailGenerator.hashFile(filePath)
+      ),
+      diagnostics: processor.getDiagnostics(),
+    });
+    written.push(path.join(outputDir, "modules", "index.json"));
+  }
+
+  // Static output points at the image files themselves (or their web
+  // derivative, for TIFF, PSD, EPS and PDF links)
+  const renderer = new StaticPageRenderer(documentData, {
+    fontMetrics,
+    resolveImageHref: (element) => {
+      const imagePath =
+        element.linkedImage?.derivativePath ||
+        element.linkedImage?.originalPath;
+      return imagePath
+        ? path.relative(outputDir, imagePath).split(path.sep).join("/")
+        : null;
+    },
+  });
+
+  if (options.formats.includes("svg")) {
+    renderer.getPages().forEach((page, index) => {
+      const svgPath = path.join(outputDir, `page-${index + 1}.svg`);
+      fs.writeFileSync(svgPath, renderer.renderPageSVG(page, index), "utf8");
+      written.push(svgPath);
+    });
+  }
+
+  if (options.formats.includes("html")) {
+    const htmlPath = path.join(outputDir, "index.html");
+    fs.writeFileSync(htmlPath, renderer.renderDocumentHTML(), "utf8");
+    written.push(htmlPath);
+  }
+
+  return written;
+};
+
+const main = async () => {
+  const { command, inputs, options, error } = parseArguments(
+    process.argv.slice(2)
+  );
+
+  if (error) {
+    process.stderr.write(`❌ ${error}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (command === "help" || command === undefined) {
+    process.stdout.write(USAGE);
+    return command === "help" ? EXIT_OK : EXIT_USAGE;
+  }
+  if (command !== "convert") {
+    process.stderr.write(`❌ Unknown command: ${command}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const files = expandInputs(inputs);
+  if (files.size === 0) {
+    process.stderr.write("❌ No input files matched\n");
+    return EXIT_USAGE;
+  }
+
+  // Two inputs in one output folder would overwrite each other
+  const collisions = findOutputCollisions(files, options.out);
+  if (collisions.length > 0) {
+    collisions.forEach(([outputDir, filePaths]) => {
+      process.stderr.write(
+        `❌ ${filePaths.join(", ")} share the output folder ${outputDir}\n`
+      );
+    });
+    process.stderr.write(
+      "   Convert them separately, or from their parent folder or a glob so they keep their paths\n"
+    );
+    return EXIT_FAILED;
+  }
+
+  // Static helpers (IDMLUtils) log through the default logger
+  const logger = Logger.setDefault(createLogger(options));
+  let failures = 0;
+  for (const [file, outputName] of files) {
+    const startedAt = Date.now();
+    try {
+      const written = await convertFile(file, outputName, options, logger);
+      process.stdout.write(
+        `✅ ${file} → ${written.length} file(s) in ${Date.now() - startedAt}ms\n`
+      );
+      written.forEach((output) => process.stdout.write(`   ${output}\n`));
+    } catch (conversionError) {
+      failures++;
+      process.stderr.write(`❌ ${file}: ${conversionError.message}\n`);
+    }
+  }
+
+  process.stdout.write(
+    `📊 Converted ${files.size - failures}/${files.size} file(s)\n`
+  );
+  return failures > 0 ? EXIT_FAILED : EXIT_OK;
+};
+
+main().then(
+  (code) => process.exit(code),
+  (fatalError) => {
+    process.stderr.write(`❌ ${fatalError.stack || fatalError}\n`);
+    process.exit(EXIT_FAILED);
+  }
+);
@@ -0,0 +1,139 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { createPortal } from "react-dom";
+import styles from "./DiagnosticsPanel.module.css";
+
+const SEVERITY_LABELS = {
+  error: "Errors",
+  warning: "Warnings",
+  info: "Info",
+};
+
+const CATEGORY_LABELS = {
+  "unsupported-element": "Unsupported elements",
+  "missing-font": "Missing fonts",
+  "missing-link": "Missing links",
+  "unresolved-color": "Unresolved colors",
+  fallback: "Fallbacks",
+};
+
+// Source location as "file › type Self"
+function formatSource(source) {
+  if (!source) return "";
+  const item = [source.type, source.self].filter(Boolean).join(" ");
+  return [source.file, item].filter(Boolean).join(" › ");
+}
+
+/**
+ * Lists what the parser skipped or approximated (the diagnostics module)
+ * @param {Object} props - { isOpen, diagnostics, onSelectItem, onClose };
+ *   onSelectItem gets the Self id of the page item a diagnostic points at
+ */
+export default function DiagnosticsPanel({
+  isOpen,
+  diagnostics,
+  onSelectItem,
+  onClose,
+}) {
+  const [mounted, setMounted] = useState(false);
+  const [severity, setSeverity] = useState("all");
+  const [category, setCategory] = useState("all");
+
+  useEffect(() => {
+    setMounted(true);
+    return () => setMounted(false);
+  }, []);
+
+  const items = useMemo(
+    () =>
+      (diagnostics?.items || []).filter(
+        (item) =>
+          (severity === "all" || item.severity === severity) &&
+          (category === "all" || item.category === category)
+      ),
+    [diagnostics, severity, category]
+  );
+
+  if (!isOpen) return null;
+
+  const summary = diagnostics?.summary;
+  const panel = (
+    <div className={styles.panel}>
+      <div className={styles.header}>
+        <div>
+          <div className={styles.title}>Diagnostics</div>
+          <div className={styles.subtitle}>
+            {summary
+              ? Object.entries(SEVERITY_LABELS)
+                  .map(
+                    ([key, label]) => `${summary.bySeverity[key] || 0} ${label}`
+                  )
+                  .join(" · ")
+              : "No diagnostics were recorded for this document"}
+          </div>
+        </div>
+        <button className={styles.closeBtn} onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <div className={styles.filters}>
+        <select
+          className={styles.select}
+          value={severity}
+          onChange={(e) => setSeverity(e.target.value)}
+        >
+          <option value="all">All severities</option>
+          {Object.entries(SEVERITY_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label} ({summary?.bySeverity[key] || 0})
+            </option>
+          ))}
+        </select>
+        <select
+          className={styles.select}
+          value={category}
+          onChange={(e) => setCategory(e.target.value)}
+        >
+          <option value="all">All categories</option>
+          {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label} ({summary?.byCategory[key] || 0})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <ul className={styles.list}>
+        {items.length === 0 && (
+          <li className={styles.empty}>Nothing to report</li>
+        )}
+        {items.map((item, index) => {
+          const canSelect = Boolean(item.source?.self && onSelectItem);
+          return (
+            <li
+              key={index}
+              className={`${styles.item} ${styles[item.severity] || ""}`}
+              onClick={
+                canSelect ? () => onSelectItem(item.source.self) : undefined
+              }
+              style={{ cursor: canSelect ? "pointer" : "default" }}
+            >
+              <div className={styles.message}>
+                {item.message}
+                {item.occurrences > 1 && (
+                  <span className={styles.count}>×{item.occurrences}</span>
+                )}
+              </div>
+              <div className={styles.meta}>
+                {CATEGORY_LABELS[item.category] || item.category}
+                {formatSource(item.source) && ` · ${formatSource(item.source)}`}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+
+  return mounted ? createPortal(panel, document.body) : null;
+}
@@ -0,0 +1,134 @@
+import React, { useEffect, useRef, useState } from "react";
+import styles from "./Filmstrip.module.css";
+
+// Height of the thumbnails in the strip; widths follow their aspect ratio
+const THUMBNAIL_HEIGHT = 96;
+
+const getDisplayWidth = (thumbnail) =>
+  Math.round((thumbnail.width * THUMBNAIL_HEIGHT) / thumbnail.height);
+
+/**
+ * Filmstrip navigator along the bottom of the viewer, showing the page or
+ * spread thumbnails rendered during processing (the thumbnails module)
+ * @param {Object} props - { isOpen, thumbnails, currentPageIndex,
+ *   onSelectPage, onClose }; onSelectPage gets the page index
+ */
+export default function Filmstrip({
+  isOpen,
+  thumbnails,
+  currentPageIndex,
+  onSelectPage,
+  onClose,
+}) {
+  const [mode, setMode] = useState("spreads");
+  const activeRef = useRef(null);
+
+  // Keep the current page in view as it changes
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: "nearest", inline: "center" });
+  }, [currentPageIndex, mode, isOpen]);
+
+  if (!isOpen || !thumbnails?.pages?.length) return null;
+
+  const pagesById = new Map(
+    thumbnails.pages.map((page) => [page.pageId, page])
+  );
+
+  const renderPages = () =>
+    thumbnails.pages.map((page) => {
+      const isActive = page.pageIndex === currentPageIndex;
+      return (
+        <button
+          key={page.pageId}
+          ref={isActive ? activeRef : null}
+          className={`${styles.item} ${isActive ? styles.active : ""}`}
+          onClick={() => onSelectPage(page.pageIndex)}
+          title={`Page ${page.name}`}
+        >
+          <img
+            className={styles.thumbnail}
+            src={page.url}
+            alt={`Page ${page.name}`}
+            width={getDisplayWidth(page)}
+            height={THUMBNAIL_HEIGHT}
+            loading="lazy"
+          />
+          <span className={styles.label}>{page.name}</span>
+        </button>
+      );
+    });
+
+  // Spreads show as one image with a click target over each of its pages
+  const renderSpreads = () =>
+    thumbnails.spreads.map((spread) => {
+      const pages = spread.pageIds
+        .map((pageId) => pagesById.get(pageId))
+        .filter(Boolean);
+      const isActive = pages.some(
+        (page) => page.pageIndex === currentPageIndex
+      );
+      const scale = THUMBNAIL_HEIGHT / spread.height;
+      let left = 0;
+
+      return (
+        <div
+          key={spread.spreadId}
+          ref={isActive ? activeRef : null}
+          className={`${styles.item} ${isActive ? styles.active : ""}`}
+        >
+          <div className={styles.spread}>
+            <img
+              className={styles.thumbnail}
+              src={spread.url}
+              alt={`Spread ${pages.map((page) => page.name).join("–")}`}
+              width={getDisplayWidth(spread)}
+              height={THUMBNAIL_HEIGHT}
+              loading="lazy"
+            />
+            {pages.map((page) => {
+              const width = page.width * scale;
+              const hotspot = (
+                <button
+                  key={page.pageId}
+                  className={`${styles.hotspot} ${
+                    page.pageIndex === currentPageIndex
+                      ? styles.currentPage
+                      : ""
+                  }`}
+                  style={{ left, width }}
+                  onClick={() => onSelectPage(page.pageIndex)}
+                  title={`Page ${page.name}`}
+                />
+              );
+              left += width;
+              return hotspot;
+            })}
+          </div>
+          <span className={styles.label}>
+            {pages.map((page) => page.name).join("–")}
+          </span>
+        </div>
+      );
+    });
+
+  return (
+    <div className={styles.filmstrip}>
+      <div className={styles.controls}>
+        <select
+          className={styles.select}
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+        >
+          <option value="spreads">Spreads</option>
+          <option value="pages">Pages</option>
+        </select>
+        <button className={styles.closeBtn} onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+      <div className={styles.strip}>
+        {mode === "spreads" ? renderSpreads() : renderPages()}
+      </div>
+    </div>
+  );
+}
@@ -10,6 +10,8 @@ import ImageProcessor from "./processors/ImageProcessor.js";
 import IDMLUtils from "./utils/IDMLUtils.js";
 import UnitConverter from "./utils/UnitConverter.js";
 import NextFontMapper from "./utils/NextFontMapper.js";
+import DiagnosticsCollector from "./utils/DiagnosticsCollector.js";
+import Logger from "./utils/Logger.js";
 import path from "path";
 
 class IDMLProcessor {
@@ -20,29 +22,67 @@ class IDMLProcessor {
       convertToPixels: options.convertToPixels !== false, // Default true
       preserveOriginalUnits: options.preserveOriginalUnits !== false, // Default true
       enableNextFonts: options.enableNextFonts !== false, // Default true - NEW OPTION
-      debug: options.debug !== false, // NEW
+      debug: options.debug === true, // NEW: Debug-level logging
+      logLevel: null, // NEW: Overrides debug, e.g. "warn" or "trace"
+      logModules: null, // NEW: Module filter, see Logger
+      logFormat: null, // NEW: "text" or "json"
       fontMapping: options.fontMapping !== false, // NEW
+      onProgress: null, // NEW: (phase, fraction) callback for job progress
       ...options,
     };
 
+    // NEW: One logger shared by all modules, each logging under its name
+    const logger =
+      options.logger ||
+      new Logger({
+        level: this.config.logLevel || (this.config.debug ? "debug" : null),
+        modules: this.config.logModules,
+        format: this.config.logFormat,
+      });
+    this.logger = logger.child("IDMLProcessor");
+
     // ADDED: Initialize unit converter with configured DPI first
-    this.unitConverter = new UnitConverter(this.config.dpi);
+    this.unitConverter = new UnitConverter(this.config.dpi, logger);
 
     // ADDED: Initialize Next.js font mapper
-    this.fontMapper = new NextFontMapper();
+    this.fontMapper = new NextFontMapper(logger);
+
+    // NEW: Shared record of what was skipped or approximated
+    this.diagnostics = options.diagnostics || new DiagnosticsCollector();
 
     // Initialize all modules
-    this.xmlParser = new IDMLXMLParser();
-    this.fileExtractor = new FileExtractor();
-    this.styleParser = new StyleParser(this.unitConverter); // ADDED: Pass UnitConverter
-    this.elementParser = new ElementParser(this.unitConverter); // ADDED: Pass UnitConverter
-    this.storyParser = new StoryParser(this.styleParser, this.unitConverter); // ADDED: Pass UnitConverter
+    this.xmlParser = new IDMLXMLParser(logger);
+    this.fileExtractor = new FileExtractor(logger);
+    this.styleParser = new StyleParser(
+      this.unitConverter,
+      this.diagnostics,
+      logger
+    ); // ADDED: Pass UnitConverter
+    this.elementParser = new ElementParser(
+      this.unitConverter,
+      this.styleParser,
+      this.diagnostics,
+      logger
+    ); // ADDED: Pass UnitConverter and StyleParser (object styles)
+    this.storyParser = new StoryParser(
+      this.styleParser,
+      this.unitConverter,
+      this.elementParser,
+      this.diagnostics,
+      logger
+    ); // ADDED: Pass UnitConverter and ElementParser (anchored objects)
     this.documentParser = new DocumentParser(
       this.elementParser,
       this.styleParser,
-      this.unitConverter
+      this.unitConverter,
+      this.diagnostics,
+      logger
     ); // FIXED: Pass StyleParser and UnitConverter
-    this.imageProcessor = new ImageProcessor(this.fileExtractor);
+    this.imageProcessor = new ImageProcessor(
+      this.fileExtractor,
+      this.diagnostics,
+      logger
+    );
 
     // Maintain backward compatibility properties
     this.document = null;
@@ -63,16 +103,39 @@ class IDMLProcessor {
     };
   }
 
+  /**
+   * Report processing progress to the onProgress option, if given
+   * @param {string} phase - Phase id (extract, styles, stories, spreads)
+   * @param {number} fraction - Progress within the phase (0-1)
+   */
+  reportProgress(phase, fraction = 0) {
+    if (typeof this.config.onProgress !== "function") return;
+    try {
+      this.config.onProgress(phase, fraction);
+    } catch (error) {
+      this.logger.warn("⚠️ Progress callback failed:", error.message);
+    }
+  }
+
   async processIDML(filePath) {
-    console.log("Processing IDML file:", filePath);
+    this.logger.info("Processing IDML file:", filePath);
     const uploadId = path.basename(filePath, ".idml"); // NEW
 
     try {
+      // NEW: Diagnostics describe the latest run only
+      this.diagnostics.clear();
+      // FIXED: Package uploads process the file twice; don't keep the
+      // elements of the first run
+      this.elementParser.clearElements();
+
       // Extract ZIP contents
+      this.reportProgress("extract");
+      // NEW: Refuse files that are not IDML, or would inflate out of bounds
+      await this.fileExtractor.validatePackage(filePath);
       const extractedData = await this.fileExtractor.extractIDMLContents(
         filePath
       );
-      console.log(
+      this.logger.debug(
         `Extracted ${Object.keys(extractedData).length} files from IDML`
       );
 
@@ -87,33 +150,33 @@ class IDMLProcessor {
 
       // ENHANCED: Validate unit conversions
       // Note: We'll validate after documentData is built
-      console.log(
+      this.logger.debug(
         "📐 Unit conversion validation will be performed after data construction"
       );
 
       // ENHANCED: Comprehensive page validation and debugging
       const extractedPages = this.documentParser.getPages();
-      console.log("🔍 Validating page extraction results...");
-      console.log("🔍 DEBUG: extractedPages variable:");
-      console.log("  - Type:", typeof extractedPages);
-      console.log("  - Is array:", Array.isArray(extractedPages));
-      console.log("  - Length:", extractedPages?.length);
-      console.log("  - Value:", extractedPages);
+      this.logger.debug("🔍 Validating page extraction results...");
+      this.logger.debug("🔍 DEBUG: extractedPages variable:");
+      this.logger.debug("  - Type:", typeof extractedPages);
+      this.logger.debug("  - Is array:", Array.isArray(extractedPages));
+      this.logger.debug("  - Length:", extractedPages?.length);
+      this.logger.debug("  - Value:", extractedPages);
 
       if (!extractedPages || extractedPages.length === 0) {
-        console.error("❌ CRITICAL: No pages were extracted from document");
+        this.logger.error("❌ CRITICAL: No pages were extracted from document");
         throw new Error(
           "Document processing failed: No pages could be extracted"
         );
       }
 
-      console.log(
+      this.logger.debug(
         `✅ Page extraction successful: ${extractedPages.length} pages found`
       );
 
       // Log detailed page information
       extractedPages.forEach((page, index) => {
-        console.log(`📄 Page ${index + 1}:`, {
+        this.logger.debug(`📄 Page ${index + 1}:`, {
           id: page.self,
           name: page.name || "Unnamed",
           dimensions: `${page.geometricBounds?.width || 0}x${
@@ -126,11 +189,11 @@ class IDMLProcessor {
       });
 
       // DEBUG: Log extracted pages before creating document data
-      console.log(
+      this.logger.debug(
         "🔍 DEBUG: Extracted pages before document data construction:"
       );
-      console.log("Extracted pages length:", extractedPages?.length);
-      console.log("Extracted pages:", extractedPages);
+      this.logger.debug("Extracted pages length:", extractedPages?.length);
+      this.logger.debug("Extracted pages:", extractedPages);
 
       // Build page-element mappings first
       const pageElementMappings = this.buildPageElementMappings(extractedPages);
@@ -180,6 +243,8 @@ class IDMLProcessor {
         pageInfo: {
           dimensions: this.pageInfo.dimensions,
           margins: this.pageInfo.margins,
+          bleeds: this.pageInfo.bleeds, // NEW: For the spread view
+          slugs: this.pageInfo.slugs,
           backgroundColor: this.document?.["@_BackgroundColor"] || null, // NEW: Add background color to pageInfo
         },
 
@@ -226,7 +291,16 @@ class IDMLProcessor {
           (acc, [key, master]) => {
             acc[key] = {
               self: master.self,
+              name: master.name, // NEW
+              namePrefix: master.namePrefix, // NEW
+              basedOn: master.basedOn, // NEW
               backgroundColor: master.backgroundColor, // NEW
+              pages:
+                master.pages?.map((page) => ({
+                  self: page.self,
+                  name: page.name,
+                  appliedMaster: page.appliedMaster,
+                })) || [],
             };
             return acc;
           },
@@ -236,7 +310,7 @@ class IDMLProcessor {
         // Map elements with proper formatting for frontend
         elements: this.elements.map((element) => {
           if (!element.pixelPosition) {
-            console.warn(
+            this.logger.warn(
               `⚠️ Element ${element.self} is missing pixelPosition! This may cause rendering issues.`
             );
           }
@@ -305,7 +379,8 @@ class IDMLProcessor {
 
         stories: Object.keys(this.stories).reduce((acc, storyId) => {
           const story = this.stories[storyId];
-          if (story?.content?.plainText) {
+          // Table-only stories have no plain text but still need rendering
+          if (story?.content?.plainText || story?.content?.tables?.length) {
             acc[storyId] = {
               text: story.content.plainText,
               wordCount: story.content.wordCount,
@@ -320,6 +395,12 @@ class IDMLProcessor {
 
               // Include formatted content with resolved formatting
               formattedContent: story.content.formattedContent || [],
+
+              // NEW: Tables referenced by isTable markers in formattedContent
+              tables: story.content.tables || [],
+
+              // NEW: Page items referenced by isAnchoredObject markers
+              anchoredObjects: story.content.anchoredObjects || [],
             };
           }
           return acc;
@@ -342,65 +423,77 @@ class IDMLProcessor {
       };
 
       // DEBUG: Check if pages field is included in document data
-      console.log(
+      this.logger.debug(
         "🔍 DEBUG: Checking pages field in constructed document data:"
       );
-      console.log("Document data keys:", Object.keys(documentData));
-      console.log("Pages field exists:", !!documentData.pages);
-      console.log("Pages field type:", typeof documentData.pages);
-      console.log("Pages field length:", documentData.pages?.length);
+      this.logger.debug("Document data keys:", Object.keys(documentData));
+      this.logger.debug("Pages field exists:", !!documentData.pages);
+      this.logger.debug("Pages field type:", typeof documentData.pages);
+      this.logger.debug("Pages field length:", documentData.pages?.length);
       if (documentData.pages && documentData.pages.length > 0) {
-        console.log("First page in document data:", documentData.pages[0]);
+        this.logger.debug(
+          "First page in document data:",
+          documentData.pages[0]
+        );
       }
 
       // ADDED: Process Next.js fonts if enabled
       if (this.config.enableNextFonts) {
-        console.log("🔤 Processing Next.js fonts...");
+        this.logger.debug("🔤 Processing Next.js fonts...");
         // Temporarily disable font processing to test if it's causing the issue
         // documentData.nextFonts = this.processNextFonts(documentData);
         documentData.nextFonts = { disabled: true };
-        console.log("Font processing temporarily disabled for debugging");
+        this.logger.debug("Font processing temporarily disabled for debugging");
       }
 
       // DEBUG: Check if pages field still exists after font processing
-      console.log("🔍 DEBUG: Checking pages field after font processing:");
-      console.log("Pages field exists:", !!documentData.pages);
-      console.log("Pages field type:", typeof documentData.pages);
-      console.log("Pages field length:", documentData.pages?.length);
+      this.logger.debug(
+        "🔍 DEBUG: Checking pages field after font processing:"
+      );
+      this.logger.debug("Pages field exists:", !!documentData.pages);
+      this.logger.debug("Pages field type:", typeof documentData.pages);
+      this.logger.debug("Pages field length:", documentData.pages?.length);
 
       // DEBUG: Check if pages field still exists after debug processing
-      console.log("🔍 DEBUG: Checking pages field after debug processing:");
-      console.log("Pages field exists:", !!documentData.pages);
-      console.log("Pages field type:", typeof documentData.pages);
-      console.log("Pages field length:", documentData.pages?.length);
+      this.logger.debug(
+        "🔍 DEBUG: Checking pages field after debug processing:"
+      );
+      this.logger.debug("Pages field exists:", !!documentData.pages);
+      this.logger.debug("Pages field type:", typeof documentData.pages);
+      this.logger.debug("Pages field length:", documentData.pages?.length);
 
       // ENHANCED: Validate unit conversions after data is built
       const unitValidation = IDMLUtils.validateUnitConversions(
         documentData,
         this.unitConverter
       );
-      console.log("📐 Unit conversion validation results:", unitValidation);
+      this.logger.debug(
+        "📐 Unit conversion validation results:",
+        unitValidation
+      );
 
-      console.log(
+      this.logger.info(
         "✅ IDML processing completed. Elements:",
         documentData.elements.length
       );
 
       return documentData;
     } catch (error) {
-      console.error("Error processing IDML:", error);
+      this.logger.error("Error processing IDML:", error);
       throw error;
     }
   }
 
   async parseDocumentStructure(extractedData) {
-    console.log("Parsing document structure...");
+    this.logger.debug("Parsing document structure...");
 
     // Parse Resources
-    console.log("\n📋 === PARSING RESOURCES ===");
+    this.logger.debug("\n📋 === PARSING RESOURCES ===");
+    this.reportProgress("styles");
     for (const [fileName, content] of Object.entries(extractedData)) {
       if (fileName.startsWith("Resources/")) {
-        console.log("🔍 Processing resource:", fileName);
+        this.logger.debug("🔍 Processing resource:", fileName);
+        this.diagnostics.setCurrentFile(fileName);
         await this.styleParser.parseResourceFile(
           fileName,
           content,
@@ -410,28 +503,36 @@ class IDMLProcessor {
     }
 
     // Parse document structure (spreads, master spreads)
+    this.reportProgress("spreads");
     await this.documentParser.parseDocumentStructure(
       extractedData,
       this.xmlParser
     );
 
     // Parse Stories
-    console.log("\n📝 === PARSING STORIES ===");
+    this.logger.debug("\n📝 === PARSING STORIES ===");
     let storyCount = 0;
+    const storyTotal = Object.keys(extractedData).filter((fileName) =>
+      fileName.startsWith("Stories/")
+    ).length;
+    this.reportProgress("stories");
     for (const [fileName, content] of Object.entries(extractedData)) {
       if (fileName.startsWith("Stories/")) {
-        console.log("🔍 Found story file:", fileName);
-        console.log("   Content length:", content.length);
-        console.log("   Content preview:", content.substring(0, 200));
+        this.logger.debug("🔍 Found story file:", fileName);
+        this.diagnostics.setCurrentFile(fileName);
+        this.logger.debug("   Content length:", content.length);
+        this.logger.debug("   Content preview:", content.substring(0, 200));
         storyCount++;
         await this.storyParser.parseStoryFile(
           fileName,
           content,
           this.xmlParser
         );
+        this.reportProgress("stories", storyCount / storyTotal);
       }
     }
-    console.log(`📝 Total stories processed: ${storyCount}`);
+    this.logger.debug(`📝 Total stories processed: ${storyCount}`);
+    this.diagnostics.setCurrentFile(null);
 
     // Sync data from modules to maintain backward compatibility
     this.syncModuleData();
@@ -457,7 +558,9 @@ class IDMLProcessor {
   }
 
   async extractDetailedInformation() {
-    console.log("Extracting detailed information with enhanced processing...");
+    this.logger.debug(
+      "Extracting detailed information with enhanced processing..."
+    );
 
     await this.documentParser.extractDetailedInformation();
     this.pageInfo = this.documentParser.getPageInfo();
@@ -465,7 +568,7 @@ class IDMLProcessor {
     // ADDED: Set document units on StoryParser after pageInfo is available
     if (this.pageInfo?.dimensions?.units) {
       const documentUnits = this.pageInfo.dimensions.units;
-      console.log(
+      this.logger.debug(
         "📐 IDMLProcessor: Setting document units to",
         documentUnits,
         "on StoryParser"
@@ -476,7 +579,7 @@ class IDMLProcessor {
       }
     }
 
-    console.log("✅ Enhanced detailed information extracted");
+    this.logger.debug("✅ Enhanced detailed information extracted");
   }
 
   calculateCoordinateOffset() {
@@ -489,8 +592,8 @@ class IDMLProcessor {
     packageStructure,
     extractedImages = []
   ) {
-    console.log("Processing IDML package:", idmlFilePath);
-    console.log(
+    this.logger.info("Processing IDML package:", idmlFilePath);
+    this.logger.debug(
       `📊 Package has ${extractedImages.length} extracted embedded images`
     );
 
@@ -516,7 +619,7 @@ class IDMLProcessor {
         extractedImagesCount: extractedImages.length,
       };
 
-      console.log(
+      this.logger.info(
         `✅ Package processing complete. Elements with images: ${
           documentData.elements?.filter((el) => el.linkedImage)?.length || 0
         }`
@@ -524,7 +627,7 @@ class IDMLProcessor {
 
       return documentData;
     } catch (error) {
-      console.error("Error processing IDML package:", error);
+      this.logger.error("Error processing IDML package:", error);
       throw error;
     }
   }
@@ -603,6 +706,11 @@ class IDMLProcessor {
     return this.documentParser.getLayers();
   }
 
+  // NEW: Report of unsupported content, missing fonts/links and fallbacks
+  getDiagnostics() {
+    return this.diagnostics.getReport();
+  }
+
   // Module access for advanced usage
   getXMLParser() {
     return this.xmlParser;
@@ -658,7 +766,7 @@ class IDMLProcessor {
    * @returns {Object} Next.js font configuration
    */
   processNextFonts(documentData) {
-    console.log("🔤 Starting Next.js font processing...");
+    this.logger.debug("🔤 Starting Next.js font processing...");
 
     // Clear previous cache
     this.fontMapper.clearCache();
@@ -726,15 +834,15 @@ class IDMLProcessor {
       },
     };
 
-    console.log(`🎯 Next.js font processing summary:`);
-    console.log(`   📊 Total fonts mapped: ${mappedFonts.length}`);
-    console.log(
+    this.logger.debug(`🎯 Next.js font processing summary:`);
+    this.logger.debug(`   📊 Total fonts mapped: ${mappedFonts.length}`);
+    this.logger.debug(
       `   📦 Google Fonts: ${mappedFonts.filter((f) => f.isGoogleFont).length}`
     );
-    console.log(
+    this.logger.debug(
       `   🖥️  System Fonts: ${mappedFonts.filter((f) => f.isSystemFont).length}`
     );
-    console.log(`   🔗 Unique Next.js fonts: ${usedFontNames.length}`);
+    this.logger.debug(`   🔗 Unique Next.js fonts: ${usedFontNames.length}`);
 
     return nextFontConfig;
   }
@@ -780,24 +888,26 @@ class IDMLProcessor {
 
   // ENHANCED: Organize elements by page with better validation and fallbacks
   organizeElementsByPageEnhanced(validatedPages) {
-    console.log("🔧 Enhanced element organization by pages...");
+    this.logger.debug("🔧 Enhanced element organization by pages...");
     const elementsByPage = {};
+    // Master items are drawn via page.masterItems, not assigned to a page
+    const pageItems = this.getPageItemElements();
 
     // Initialize arrays for all validated pages
     validatedPages.forEach((page) => {
       elementsByPage[page.self] = [];
     });
 
-    console.log(
-      `📊 Organizing ${this.elements.length} elements across ${validatedPages.length} pages`
+    this.logger.debug(
+      `📊 Organizing ${pageItems.length} elements across ${validatedPages.length} pages`
     );
 
     // If no pages, create emergency organization
     if (validatedPages.length === 0) {
-      console.warn(
+      this.logger.warn(
         "⚠️ No pages provided for element organization, using emergency fallback"
       );
-      elementsByPage["emergency"] = this.elements;
+      elementsByPage["emergency"] = pageItems;
       return elementsByPage;
     }
 
@@ -807,23 +917,23 @@ class IDMLProcessor {
     let unassignedCount = 0;
 
     // First pass: Assign elements with explicit pageId
-    this.elements.forEach((element, index) => {
+    pageItems.forEach((element, index) => {
       if (element.pageId && elementsByPage[element.pageId]) {
         elementsByPage[element.pageId].push(element);
         assignedElements++;
-        console.log(
+        this.logger.debug(
           `✅ Element ${element.self} assigned to page ${element.pageId} (pageId already set)`
         );
       }
     });
 
     // Second pass: Handle elements without pageId using spatial analysis
-    const unassignedElements = this.elements.filter(
+    const unassignedElements = pageItems.filter(
       (element) => !element.pageId || !elementsByPage[element.pageId]
     );
 
     if (unassignedElements.length > 0) {
-      console.log(
+      this.logger.debug(
         `🔍 Analyzing ${unassignedElements.length} unassigned elements for spatial assignment...`
       );
 
@@ -840,12 +950,12 @@ class IDMLProcessor {
 
           elementsByPage[targetPage.self].push(element);
           fallbackAssignments++;
-          console.log(
+          this.logger.debug(
             `📍 Element ${element.self} spatially assigned to page ${targetPage.self} (pageId set)`
           );
         } else {
           unassignedCount++;
-          console.warn(
+          this.logger.warn(
             `⚠️ Could not assign element ${element.self} to any page`
           );
         }
@@ -854,7 +964,7 @@ class IDMLProcessor {
 
     // Final pass: Ensure all elements have a pageId set
     let finalUnassigned = 0;
-    this.elements.forEach((element) => {
+    pageItems.forEach((element) => {
       if (!element.pageId) {
         // Fallback to first page
         element.pageId = validatedPages[0]?.self || "default";
@@ -863,22 +973,22 @@ class IDMLProcessor {
         }
         elementsByPage[element.pageId].push(element);
         finalUnassigned++;
-        console.log(
+        this.logger.debug(
           `🔄 Element ${element.self} fallback assigned to page ${element.pageId}`
         );
       }
     });
 
     // Log organization results
-    console.log(`✅ Element organization completed:`);
-    console.log(`   📊 Direct assignments: ${assignedElements}`);
-    console.log(`   📊 Spatial assignments: ${fallbackAssignments}`);
-    console.log(`   📊 Final fallback assignments: ${finalUnassigned}`);
-    console.log(`   📊 Total unassigned elements: ${unassignedCount}`);
+    this.logger.debug(`✅ Element organization completed:`);
+    this.logger.debug(`   📊 Direct assignments: ${assignedElements}`);
+    this.logger.debug(`   📊 Spatial assignments: ${fallbackAssignments}`);
+    this.logger.debug(`   📊 Final fallback assignments: ${finalUnassigned}`);
+    this.logger.debug(`   📊 Total unassigned elements: ${unassignedCount}`);
 
     validatedPages.forEach((page, index) => {
       const pageElements = elementsByPage[page.self] || [];
-      console.log(
+      this.logger.debug(
         `   📄 Page ${index + 1} (${page.self}): ${
           pageElements.length
         } elements`
@@ -886,7 +996,7 @@ class IDMLProcessor {
 
       // Debug: List all elements on each page
       pageElements.forEach((element, elemIndex) => {
-        console.log(
+        this.logger.debug(
           `      ${elemIndex + 1}. ${element.type} (${
             element.self
           }) - pageId: ${element.pageId || "none"}`
@@ -897,9 +1007,14 @@ class IDMLProcessor {
     return elementsByPage;
   }
 
+  // NEW: Elements that belong to a document page (master items excluded)
+  getPageItemElements() {
+    return (this.elements || []).filter((element) => !element.isMasterItem);
+  }
+
   // NEW: Helper method to build page-element mappings
   buildPageElementMappings(validatedPages) {
-    console.log("🔧 Building page-element mappings...");
+    this.logger.debug("🔧 Building page-element mappings...");
 
     // Call organizeElementsByPageEnhanced once
     const elementsByPage = this.organizeElementsByPageEnhanced(validatedPages);
@@ -909,7 +1024,7 @@ class IDMLProcessor {
     for (const [pageId, elements] of Object.entries(elementsByPage)) {
       pageElementIds[pageId] = elements.map((el) => el.self || el.id);
     }
-    console.log("🔍 pageElementIds mapping:", pageElementIds);
+    this.logger.debug("🔍 pageElementIds mapping:", pageElementIds);
 
     // Create elementMap
     const elementMap = {};
@@ -919,7 +1034,7 @@ class IDMLProcessor {
         ...el,
       };
     }
-    console.log("🔍 elementMap keys:", Object.keys(elementMap));
+    this.logger.debug("🔍 elementMap keys:", Object.keys(elementMap));
 
     return {
       elementsByPage,
@@ -939,14 +1054,14 @@ class IDMLProcessor {
       y: element.pixelPosition.y + element.pixelPosition.height / 2,
     };
 
-    console.log(`🔍 Spatial analysis for element ${element.self}:`);
-    console.log(
+    this.logger.debug(`🔍 Spatial analysis for element ${element.self}:`);
+    this.logger.debug(
       `   📍 Element center: (${elementCenter.x}, ${elementCenter.y})`
     );
-    console.log(
+    this.logger.debug(
       `   📍 Element bounds: (${element.pixelPosition.x}, ${element.pixelPosition.y}) ${element.pixelPosition.width}x${element.pixelPosition.height}`
     );
-    console.log(
+    this.logger.debug(
       `   📍 Coordinate offset: ${JSON.stringify(
         this.calculateCoordinateOffset()
       )}`
@@ -970,9 +1085,11 @@ class IDMLProcessor {
           height: pageBounds.height || pageBounds.bottom - pageBounds.top,
         };
 
-        console.log(`   📄 Checking page ${page.self}:`);
-        console.log(`      Original bounds: ${JSON.stringify(pageBounds)}`);
-        console.log(
+        this.logger.debug(`   📄 Checking page ${page.self}:`);
+        this.logger.debug(
+          `      Original bounds: ${JSON.stringify(pageBounds)}`
+        );
+        this.logger.debug(
           `      Adjusted bounds: (${adjustedPageBounds.x}, ${adjustedPageBounds.y}) ${adjustedPageBounds.width}x${adjustedPageBounds.height}`
         );
 
@@ -983,17 +1100,19 @@ class IDMLProcessor {
           elementCenter.y >= adjustedPageBounds.y &&
           elementCenter.y <= adjustedPageBounds.y + adjustedPageBounds.height
         ) {
-          console.log(
+          this.logger.debug(
             `   ✅ Element ${element.self} belongs to page ${page.self}`
           );
           return page;
         } else {
-          console.log(`   ❌ Element ${element.self} not in page ${page.self}`);
+          this.logger.debug(
+            `   ❌ Element ${element.self} not in page ${page.self}`
+          );
         }
       }
     }
 
-    console.log(
+    this.logger.debug(
       `   ⚠️ No page found for element ${element.self}, using fallback`
     );
     // If no page found, return the first page as fallback
@@ -1002,16 +1121,16 @@ class IDMLProcessor {
 
   // NEW METHOD: Add a new method to associate elements with pages
   async associateElementsWithPages() {
-    console.log("Associating elements with pages...");
+    this.logger.debug("Associating elements with pages...");
 
     const pages = this.documentParser.getPages() || [];
     if (pages.length === 0) {
-      console.log("No pages found, skipping element association");
+      this.logger.debug("No pages found, skipping element association");
 
       return;
     }
 
-    console.log(`Found ${pages.length} pages to associate elements with`);
+    this.logger.debug(`Found ${pages.length} pages to associate elements with`);
 
     // Create a map of spread IDs to page IDs for quick lookup
     const spreadToPageMap = {};
@@ -1031,7 +1150,7 @@ class IDMLProcessor {
     });
 
     // For elements without a direct page association, try to associate them based on their spread
-    this.elements.forEach((element) => {
+    this.getPageItemElements().forEach((element) => {
       let assigned = false;
 
       if (!element.pageId && element.spreadId) {
@@ -1063,35 +1182,37 @@ class IDMLProcessor {
       }
 
       if (!assigned) {
-        console.warn("Element not assigned to any page", {
+        this.logger.warn("Element not assigned to any page", {
           elementId: element.self,
           elementType: element.type,
         });
       }
     });
 
-    console.log(`✅ Associated ${this.elements.length} elements with pages`);
-    console.log("Elements per page:", elementsPerPage);
+    this.logger.debug(
+      `✅ Associated ${this.elements.length} elements with pages`
+    );
+    this.logger.debug("Elements per page:", elementsPerPage);
   }
 
   // NEW: Comprehensive element-to-page mapping system
   createComprehensiveElementPageMapping() {
-    console.log("🔧 Creating comprehensive element-to-page mapping...");
+    this.logger.debug("🔧 Creating comprehensive element-to-page mapping...");
 
     const pages = this.documentParser.getPages() || [];
-    const elements = this.elements || [];
+    const elements = this.getPageItemElements();
 
     if (pages.length === 0) {
-      console.warn("⚠️ No pages found for element mapping");
+      this.logger.warn("⚠️ No pages found for element mapping");
       return { elementToPageMap: {}, pageToElementsMap: {} };
     }
 
     if (elements.length === 0) {
-      console.warn("⚠️ No elements found for mapping");
+      this.logger.warn("⚠️ No elements found for mapping");
       return { elementToPageMap: {}, pageToElementsMap: {} };
     }
 
-    console.log(
+    this.logger.debug(
       `📊 Mapping ${elements.length} elements to ${pages.length} pages`
     );
 
@@ -1128,22 +1249,22 @@ class IDMLProcessor {
     });
 
     // Strategy 1: Direct pageId assignment
-    console.log("📋 Strategy 1: Direct pageId assignment");
+    this.logger.debug("📋 Strategy 1: Direct pageId assignment");
     let directAssignments = 0;
     elements.forEach((element) => {
       if (element.pageId && pageToElementsMap[element.pageId]) {
         elementToPageMap[element.self] = element.pageId;
         pageToElementsMap[element.pageId].push(element.self);
         directAssignments++;
-        console.log(
+        this.logger.debug(
           `✅ Element ${element.self} directly assigned to page ${element.pageId}`
         );
       }
     });
-    console.log(`📊 Direct assignments: ${directAssignments}`);
+    this.logger.debug(`📊 Direct assignments: ${directAssignments}`);
 
     // Strategy 2: Parent page relationships
-    console.log("📋 Strategy 2: Parent page relationships");
+    this.logger.debug("📋 Strategy 2: Parent page relationships");
     let parentAssignments = 0;
     elements.forEach((element) => {
       if (
@@ -1155,16 +1276,16 @@ class IDMLProcessor {
           elementToPageMap[element.self] = element.parentId;
           pageToElementsMap[element.parentId].push(element.self);
           parentAssignments++;
-          console.log(
+          this.logger.debug(
             `✅ Element ${element.self} assigned via parent page ${element.parentId}`
           );
         }
       }
     });
-    console.log(`📊 Parent assignments: ${parentAssignments}`);
+    this.logger.debug(`📊 Parent assignments: ${parentAssignments}`);
 
     // Strategy 3: Spread-based assignment
-    console.log("📋 Strategy 3: Spread-based assignment");
+    this.logger.debug("📋 Strategy 3: Spread-based assignment");
     let spreadAssignments = 0;
     elements.forEach((element) => {
       if (!elementToPageMap[element.self] && element.spreadId) {
@@ -1176,7 +1297,7 @@ class IDMLProcessor {
             elementToPageMap[element.self] = targetPage;
             pageToElementsMap[targetPage].push(element.self);
             spreadAssignments++;
-            console.log(
+            this.logger.debug(
               `✅ Element ${element.self} assigned via single-page spread to ${targetPage}`
             );
           } else {
@@ -1189,7 +1310,7 @@ class IDMLProcessor {
               elementToPageMap[element.self] = targetPage.self;
               pageToElementsMap[targetPage.self].push(element.self);
               spreadAssignments++;
-              console.log(
+              this.logger.debug(
                 `✅ Element ${element.self} assigned via multi-page spread to ${targetPage.self}`
               );
             }
@@ -1197,10 +1318,10 @@ class IDMLProcessor {
         }
       }
     });
-    console.log(`📊 Spread assignments: ${spreadAssignments}`);
+    this.logger.debug(`📊 Spread assignments: ${spreadAssignments}`);
 
     // Strategy 4: Spatial analysis for remaining elements
-    console.log("📋 Strategy 4: Spatial analysis");
+    this.logger.debug("📋 Strategy 4: Spatial analysis");
     let spatialAssignments = 0;
     const unassignedElements = elements.filter(
       (element) => !elementToPageMap[element.self]
@@ -1212,15 +1333,15 @@ class IDMLProcessor {
         elementToPageMap[element.self] = targetPage.self;
         pageToElementsMap[targetPage.self].push(element.self);
         spatialAssignments++;
-        console.log(
+        this.logger.debug(
           `✅ Element ${element.self} assigned via spatial analysis to ${targetPage.self}`
         );
       }
     });
-    console.log(`📊 Spatial assignments: ${spatialAssignments}`);
+    this.logger.debug(`📊 Spatial assignments: ${spatialAssignments}`);
 
     // Strategy 5: Fallback assignment
-    console.log("📋 Strategy 5: Fallback assignment");
+    this.logger.debug("📋 Strategy 5: Fallback assignment");
     let fallbackAssignments = 0;
     const stillUnassigned = elements.filter(
       (element) => !elementToPageMap[element.self]
@@ -1232,12 +1353,12 @@ class IDMLProcessor {
         elementToPageMap[element.self] = fallbackPage;
         pageToElementsMap[fallbackPage].push(element.self);
         fallbackAssignments++;
-        console.log(
+        this.logger.debug(
           `⚠️ Element ${element.self} fallback assigned to ${fallbackPage}`
         );
       });
     }
-    console.log(`📊 Fallback assignments: ${fallbackAssignments}`);
+    this.logger.debug(`📊 Fallback assignments: ${fallbackAssignments}`);
 
     // Update elements with their final pageId
     elements.forEach((element) => {
@@ -1247,17 +1368,19 @@ class IDMLProcessor {
     });
 
     // Log final mapping results
-    console.log("📊 Final element-to-page mapping results:");
+    this.logger.debug("📊 Final element-to-page mapping results:");
     Object.entries(pageToElementsMap).forEach(([pageId, elementIds]) => {
-      console.log(`   📄 Page ${pageId}: ${elementIds.length} elements`);
+      this.logger.debug(`   📄 Page ${pageId}: ${elementIds.length} elements`);
       elementIds.forEach((elementId) => {
         const element = elements.find((e) => e.self === elementId);
-        console.log(`      - ${elementId} (${element?.type || "unknown"})`);
+        this.logger.debug(
+          `      - ${elementId} (${element?.type || "unknown"})`
+        );
       });
     });
 
     const totalAssigned = Object.keys(elementToPageMap).length;
-    console.log(
+    this.logger.debug(
       `✅ Mapping complete: ${totalAssigned}/${elements.length} elements assigned to pages`
     );
 
@@ -1272,28 +1395,30 @@ class IDMLProcessor {
 
   // NEW: Log detailed mapping results for debugging
   logMappingResults(mappingResult) {
-    console.log("📊 DETAILED MAPPING RESULTS:");
-    console.log(`   Total Elements: ${mappingResult.totalElements}`);
-    console.log(`   Total Assigned: ${mappingResult.totalAssigned}`);
-    console.log(`   Unassigned: ${mappingResult.unassignedCount}`);
+    this.logger.debug("📊 DETAILED MAPPING RESULTS:");
+    this.logger.debug(`   Total Elements: ${mappingResult.totalElements}`);
+    this.logger.debug(`   Total Assigned: ${mappingResult.totalAssigned}`);
+    this.logger.debug(`   Unassigned: ${mappingResult.unassignedCount}`);
 
-    console.log("📄 ELEMENT-TO-PAGE MAPPING:");
+    this.logger.debug("📄 ELEMENT-TO-PAGE MAPPING:");
     Object.entries(mappingResult.elementToPageMap).forEach(
       ([elementId, pageId]) => {
         const element = this.elements.find((e) => e.self === elementId);
-        console.log(
+        this.logger.debug(
           `   ${elementId} (${element?.type || "unknown"}) → ${pageId}`
         );
       }
     );
 
-    console.log("📄 PAGE-TO-ELEMENTS MAPPING:");
+    this.logger.debug("📄 PAGE-TO-ELEMENTS MAPPING:");
     Object.entries(mappingResult.pageToElementsMap).forEach(
       ([pageId, elementIds]) => {
-        console.log(`   Page ${pageId}: ${elementIds.length} elements`);
+        this.logger.debug(`   Page ${pageId}: ${elementIds.length} elements`);
         elementIds.forEach((elementId) => {
           const element = this.elements.find((e) => e.self === elementId);
-          console.log(`     - ${elementId} (${element?.type || "unknown"})`);
+          this.logger.debug(
+            `     - ${elementId} (${element?.type || "unknown"})`
+          );
         });
       }
     );
@@ -2,85 +2,361 @@ import yauzl from "yauzl";
 import path from "path";
 import fs from "fs";
 import IDMLUtils from "../utils/IDMLUtils.js";
+import Logger from "../utils/Logger.js";
+
+// Package entries decoded as UTF-8; all others are binary
+const TEXT_ENTRY_PATTERN = /(\.xml|^mimetype)$/i;
+const IDML_MIMETYPE = "application/vnd.adobe.indesign-idml-package";
+
+// NEW: Limits for untrusted packages (ZIP bombs), checked against the ZIP
+// directory before any entry is inflated
+const PACKAGE_LIMITS = {
+  maxEntries: 10000,
+  maxUncompressedSize: 1024 * 1024 * 1024, // 1 GB
+  maxCompressionRatio: 100,
+};
+// Entries smaller than this may compress as well as they like
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+/**
+ * Error for a file that is not an IDML package, or not one that is safe
+ * to read
+ * @param {string} reason - What is wrong with the file
+ * @returns {Error} Error with code "INVALID_PACKAGE"
+ */
+const invalidPackage = (reason) => {
+  const error = new Error(`Not a valid IDML package: ${reason}`);
+  error.code = "INVALID_PACKAGE";
+  return error;
+};
 
 class FileExtractor {
-  constructor() {
+  constructor(logger = null) {
     this.extractedFiles = new Map();
+    this.logger = (logger || Logger.getDefault()).child("FileExtractor"); // NEW
   }
 
-  async extractIDMLContents(filePath) {
-    return new Promise((resolve, reject) => {
-      const extractedData = {};
+  /**
+   * Check whether a package entry is text to decode as UTF-8 (XML parts and
+   * the mimetype file); everything else is binary
+   * @param {string} entryName - Entry path inside the package
+   * @returns {boolean} True for text entries
+   */
+  static isTextEntry(entryName) {
+    return TEXT_ENTRY_PATTERN.test(entryName);
+  }
+
+  /**
+   * Limits validatePackage() applies unless told otherwise
+   * @returns {Object} { maxEntries, maxUncompressedSize, maxCompressionRatio }
+   */
+  static get PACKAGE_LIMITS() {
+    return PACKAGE_LIMITS;
+  }
+
+  /**
+   * Check whether a ZIP entry name stays inside the folder it is extracted
+   * to: relative, with forward slashes and without ".." segments
+   * @param {string} entryName - Entry path inside a ZIP
+   * @returns {boolean} True when safe
+   */
+  static isSafeEntryName(entryName) {
+    return (
+      typeof entryName === "string" &&
+      entryName !== "" &&
+      !entryName.startsWith("/") &&
+      !/^[a-z]:/i.test(entryName) &&
+      !/[\\\u0000]/.test(entryName) &&
+      !entryName.split("/").includes("..")
+    );
+  }
+
+  /**
+   * Check that a file is an IDML package that is safe to read: a ZIP with
+   * the IDML mimetype and a designmap.xml, within the entry count, total
+   * uncompressed size and compression ratio limits. Sizes come from the ZIP
+   * directory; yauzl fails an entry that inflates past its stated size, so
+   * a package cannot lie its way past them
+   * @param {string} filePath - IDML (ZIP) file
+   * @param {Object} limits - Overrides for PACKAGE_LIMITS
+   * @returns {Promise<Object>} { entries, uncompressedSize }
+   * @throws {Error} With code "INVALID_PACKAGE" and the reason
+   */
+  async validatePackage(filePath, limits = {}) {
+    const { maxEntries, maxUncompressedSize, maxCompressionRatio } = {
+      ...PACKAGE_LIMITS,
+      ...limits,
+    };
+    let entries = 0;
+    let uncompressedSize = 0;
+    let mimetype = null;
+    let hasDesignMap = false;
+
+    try {
+      await this.walkEntries(filePath, async (entry, zipfile, next) => {
+        const { fileName } = entry;
+        entries++;
+        uncompressedSize += entry.uncompressedSize;
+
+        if (entries > maxEntries) {
+          throw invalidPackage(`more than ${maxEntries} entries`);
+        }
+        if (!FileExtractor.isSafeEntryName(fileName)) {
+          throw invalidPackage(`unsafe entry name "${fileName}"`);
+        }
+        if (uncompressedSize > maxUncompressedSize) {
+          throw invalidPackage(
+            `more than ${maxUncompressedSize} bytes uncompressed`
+          );
+        }
+        if (
+          entry.uncompressedSize >= RATIO_CHECK_MIN_SIZE &&
+          entry.uncompressedSize > entry.compressedSize * maxCompressionRatio
+        ) {
+          throw invalidPackage(
+            `${fileName} is compressed more than ${maxCompressionRatio}:1`
+          );
+        }
 
+        if (fileName === "mimetype" && entry.uncompressedSize < 1024) {
+          mimetype = (await this.readEntryData(zipfile, entry))
+            .toString("utf8")
+            .trim();
+        }
+        if (fileName === "designmap.xml") hasDesignMap = true;
+        next();
+      });
+    } catch (error) {
+      if (error.code === "INVALID_PACKAGE") throw error;
+      throw invalidPackage(`not a readable ZIP file (${error.message})`);
+    }
+
+    if (mimetype !== IDML_MIMETYPE) {
+      throw invalidPackage(
+        mimetype === null
+          ? "no mimetype entry"
+          : `unexpected mimetype "${mimetype}"`
+      );
+    }
+    if (!hasDesignMap) {
+      throw invalidPackage("no designmap.xml");
+    }
+
+    this.logger.debug(
+      `✅ Package validated: ${entries} entries, ${uncompressedSize} bytes`
+    );
+    return { entries, uncompressedSize };
+  }
+
+  /**
+   * Walk the entries of a package without reading their data
+   * @param {string} filePath - IDML (ZIP) file
+   * @param {Function} onEntry - Called with (entry, zipfile, next); call
+   *   next() to move on, or next(false) to stop and close the file
+   * @returns {Promise<void>} Resolves after the last entry
+   */
+  walkEntries(filePath, onEntry) {
+    return new Promise((resolve, reject) => {
       yauzl.open(filePath, { lazyEntries: true }, (err, zipfile) => {
         if (err) return reject(err);
 
-        const allEntries = [];
+        let finished = false;
+        const finish = (error) => {
+          if (finished) return;
+          finished = true;
+          zipfile.close();
+          error ? reject(error) : resolve();
+        };
+        const next = (keepGoing = true) =>
+          keepGoing ? zipfile.readEntry() : finish();
 
         zipfile.on("entry", (entry) => {
-          allEntries.push(entry);
-
-          if (entry.fileName.endsWith("/")) {
-            zipfile.readEntry();
-            return;
-          }
+          Promise.resolve(onEntry(entry, zipfile, next)).catch(finish);
+        });
+        zipfile.on("end", () => finish());
+        zipfile.on("error", finish);
 
-          zipfile.openReadStream(entry, (err, readStream) => {
-            if (err) {
-              console.error(`Error reading ${entry.fileName}:`, err);
-              zipfile.readEntry();
-              return;
-            }
+        zipfile.readEntry();
+      });
+    });
+  }
 
-            let content = "";
-            readStream.on("data", (chunk) => {
-              content += chunk.toString();
-            });
+  /**
+   * Read one entry's data as a Buffer
+   * @param {Object} zipfile - Open yauzl zip file
+   * @param {Object} entry - yauzl entry
+   * @returns {Promise<Buffer>} Entry data
+   */
+  readEntryData(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, readStream) => {
+        if (err) return reject(err);
 
-            readStream.on("end", () => {
-              extractedData[entry.fileName] = content;
-              console.log(
-                `✅ Extracted: ${entry.fileName} (${content.length} chars)`
-              );
+        const chunks = [];
+        readStream.on("data", (chunk) => chunks.push(chunk));
+        readStream.on("end", () => resolve(Buffer.concat(chunks)));
+        readStream.on("error", reject);
+      });
+    });
+  }
 
-              // Always continue reading entries
-              zipfile.readEntry();
-            });
-          });
+  /**
+   * List the entries of a package (names and sizes, no data is read)
+   * @param {string} filePath - IDML (ZIP) file
+   * @returns {Promise<Array>} { fileName, compressedSize, uncompressedSize,
+   *   isText } for each file entry
+   */
+  async listEntries(filePath) {
+    const entries = [];
+    await this.walkEntries(filePath, (entry, zipfile, next) => {
+      if (!entry.fileName.endsWith("/")) {
+        entries.push({
+          fileName: entry.fileName,
+          compressedSize: entry.compressedSize,
+          uncompressedSize: entry.uncompressedSize,
+          isText: FileExtractor.isTextEntry(entry.fileName),
         });
+      }
+      next();
+    });
+    return entries;
+  }
 
-        zipfile.on("end", () => {
-          console.log(
-            `ZIP reading completed. Extracted ${
-              Object.keys(extractedData).length
-            } files`
-          );
+  /**
+   * Read a single entry on demand; text entries are decoded as UTF-8 and
+   * binary entries are returned as Buffers
+   * @param {string} filePath - IDML (ZIP) file
+   * @param {string} entryName - Entry path inside the package
+   * @param {Object} options - { encoding } to force "utf8" or "buffer"
+   * @returns {Promise<string|Buffer|null>} Entry data, or null if missing
+   */
+  async readEntry(filePath, entryName, options = {}) {
+    let result = null;
+    await this.walkEntries(filePath, async (entry, zipfile, next) => {
+      if (entry.fileName !== entryName) return next();
+
+      const data = await this.readEntryData(zipfile, entry);
+      const encoding =
+        options.encoding ||
+        (FileExtractor.isTextEntry(entryName) ? "utf8" : "buffer");
+      result = encoding === "buffer" ? data : data.toString(encoding);
+      next(false);
+    });
+    return result;
+  }
 
-          // ADD THIS DEBUG:
-          console.log("\n🔍 === FILES IN IDML ===");
-          Object.keys(extractedData).forEach((fileName) => {
-            console.log(`  📁 ${fileName}`);
-          });
+  /**
+   * Open a read stream for a single entry (for copying large binaries to
+   * disk without holding them in memory)
+   * @param {string} filePath - IDML (ZIP) file
+   * @param {string} entryName - Entry path inside the package
+   * @returns {Promise<Object|null>} Readable stream, or null if missing
+   */
+  openEntryStream(filePath, entryName) {
+    return new Promise((resolve, reject) => {
+      let found = false;
+      yauzl.open(filePath, { lazyEntries: true }, (err, zipfile) => {
+        if (err) return reject(err);
 
-          // CHECK FOR STORIES SPECIFICALLY:
-          const storyFiles = Object.keys(extractedData).filter((name) =>
-            name.startsWith("Stories/")
-          );
-          console.log(
-            `\n📝 Found ${storyFiles.length} story files:`,
-            storyFiles
-          );
+        zipfile.on("entry", (entry) => {
+          if (entry.fileName !== entryName) return zipfile.readEntry();
 
-          resolve(extractedData);
+          found = true;
+          zipfile.openReadStream(entry, (err, readStream) => {
+            if (err) {
+              zipfile.close();
+              return reject(err);
+            }
+            readStream.on("end", () => zipfile.close());
+            readStream.on("error", () => zipfile.close());
+            resolve(readStream);
+          });
+        });
+        zipfile.on("end", () => {
+          if (!found) {
+            zipfile.close();
+            resolve(null);
+          }
         });
+        zipfile.on("error", reject);
 
         zipfile.readEntry();
       });
     });
   }
 
+  /**
+   * Extract package entries one at a time. XML entries are decoded as UTF-8
+   * strings; binary entries (thumbnails, embedded links) are skipped unless
+   * includeBinary is set, in which case they are kept as Buffers. Skipped
+   * entries can still be read on demand with readEntry().
+   * @param {string} filePath - IDML (ZIP) file
+   * @param {Object} options - { filter, includeBinary }; filter is a
+   *   function of the entry name or an array of path prefixes
+   * @returns {Promise<Object>} Entry name → string (or Buffer)
+   */
+  async extractIDMLContents(filePath, options = {}) {
+    const { filter, includeBinary = false } = options;
+    const wanted =
+      typeof filter === "function"
+        ? filter
+        : Array.isArray(filter)
+        ? (name) => filter.some((prefix) => name.startsWith(prefix))
+        : () => true;
+
+    const extractedData = {};
+    const skippedEntries = [];
+
+    await this.walkEntries(filePath, async (entry, zipfile, next) => {
+      const { fileName } = entry;
+      const isText = FileExtractor.isTextEntry(fileName);
+
+      if (fileName.endsWith("/") || !wanted(fileName)) return next();
+      if (!isText && !includeBinary) {
+        // Binary payloads stay in the package until someone asks for them
+        skippedEntries.push(fileName);
+        return next();
+      }
+
+      try {
+        const data = await this.readEntryData(zipfile, entry);
+        extractedData[fileName] = isText ? data.toString("utf8") : data;
+        this.logger.debug(
+          `✅ Extracted: ${fileName} (${data.length} bytes${
+            isText ? "" : ", binary"
+          })`
+        );
+      } catch (error) {
+        this.logger.error(`Error reading ${fileName}:`, error);
+      }
+      next();
+    });
+
+    this.logger.debug(
+      `ZIP reading completed. Extracted ${
+        Object.keys(extractedData).length
+      } files`
+    );
+    if (skippedEntries.length > 0) {
+      this.logger.debug(
+        `📦 Left ${skippedEntries.length} binary entries in the package`
+      );
+    }
+
+    // CHECK FOR STORIES SPECIFICALLY:
+    const storyFiles = Object.keys(extractedData).filter((name) =>
+      name.startsWith("Stories/")
+    );
+    this.logger.debug(
+      `\n📝 Found ${storyFiles.length} story files:`,
+      storyFiles
+    );
+
+    return extractedData;
+  }
+
   async debugIDMLContents(idmlPath) {
-    console.log("\n🔍 === DEBUGGING IDML CONTENTS ===");
+    this.logger.debug("\n🔍 === DEBUGGING IDML CONTENTS ===");
 
     return new Promise((resolve, reject) => {
       yauzl.open(idmlPath, { lazyEntries: true }, (err, zipfile) => {
@@ -89,13 +365,13 @@ class FileExtractor {
         const contents = [];
 
         zipfile.on("entry", (entry) => {
-          console.log(`📁 Found: ${entry.fileName}`);
+          this.logger.debug(`📁 Found: ${entry.fileName}`);
 
           if (
             entry.fileName.startsWith("Links/") &&
             IDMLUtils.isImageFile(entry.fileName)
           ) {
-            console.log(`📷 EMBEDDED IMAGE FOUND: ${entry.fileName}`);
+            this.logger.debug(`📷 EMBEDDED IMAGE FOUND: ${entry.fileName}`);
           }
 
           contents.push(entry.fileName);
@@ -103,14 +379,14 @@ class FileExtractor {
         });
 
         zipfile.on("end", () => {
-          console.log(`\n📊 Total files in IDML: ${contents.length}`);
-          console.log("📁 Folders found:", [
+          this.logger.debug(`\n📊 Total files in IDML: ${contents.length}`);
+          this.logger.debug("📁 Folders found:", [
             ...new Set(contents.map((f) => f.split("/")[0])),
           ]);
 
           const imageFiles = contents.filter((f) => IDMLUtils.isImageFile(f));
-          console.log(`📷 Image files in IDML: ${imageFiles.length}`);
-          imageFiles.forEach((img) => console.log(`  - ${img}`));
+          this.logger.debug(`📷 Image files in IDML: ${imageFiles.length}`);
+          imageFiles.forEach((img) => this.logger.debug(`  - ${img}`));
 
           resolve(contents);
         });
@@ -121,7 +397,7 @@ class FileExtractor {
   }
 
   async debugIDMLContentsDetailed(idmlPath) {
-    console.log("\n🔍 === DETAILED IDML ANALYSIS ===");
+    this.logger.debug("\n🔍 === DETAILED IDML ANALYSIS ===");
 
     return new Promise((resolve, reject) => {
       yauzl.open(idmlPath, { lazyEntries: true }, (err, zipfile) => {
@@ -172,7 +448,7 @@ class FileExtractor {
                 compressed: entry.compressedSize,
                 ratio: entry.compressedSize / size,
               });
-              console.log(
+              this.logger.debug(
                 `📷 IMAGE FILE FOUND: ${entry.fileName} (${size} bytes)`
               );
             }
@@ -189,7 +465,7 @@ class FileExtractor {
                 size: size,
                 reason: "No extension but large size",
               });
-              console.log(
+              this.logger.debug(
                 `❓ SUSPICIOUS FILE: ${entry.fileName} (${size} bytes, no extension)`
               );
             }
@@ -201,7 +477,7 @@ class FileExtractor {
                 size: size,
                 extension: ext,
               });
-              console.log(
+              this.logger.debug(
                 `📦 LARGE BINARY: ${entry.fileName} (${size} bytes, ${ext})`
               );
             }
@@ -218,7 +494,7 @@ class FileExtractor {
                 size: size,
                 reason: "Contains image-related keywords or very large",
               });
-              console.log(
+              this.logger.debug(
                 `🔍 POTENTIAL IMAGE: ${entry.fileName} (${size} bytes)`
               );
             }
@@ -228,18 +504,18 @@ class FileExtractor {
         });
 
         zipfile.on("end", () => {
-          console.log(`\n📊 DETAILED ANALYSIS COMPLETE:`);
-          console.log(`Total files: ${detailedAnalysis.totalFiles}`);
-          console.log(
+          this.logger.debug(`\n📊 DETAILED ANALYSIS COMPLETE:`);
+          this.logger.debug(`Total files: ${detailedAnalysis.totalFiles}`);
+          this.logger.debug(
             `Image files found: ${detailedAnalysis.imageFiles.length}`
           );
-          console.log(
+          this.logger.debug(
             `Suspicious files: ${detailedAnalysis.suspiciousFiles.length}`
           );
-          console.log(
+          this.logger.debug(
             `Large binary files: ${detailedAnalysis.largeBinaryFiles.length}`
           );
-          console.log(
+          this.logger.debug(
             `File types: ${Object.keys(detailedAnalysis.filesByType).join(
               ", "
             )}`
@@ -254,7 +530,7 @@ class FileExtractor {
   }
 
   async extractSampleContent(idmlPath, fileName, maxBytes = 1000) {
-    console.log(`📖 Extracting sample from: ${fileName}`);
+    this.logger.debug(`📖 Extracting sample from: ${fileName}`);
 
     return new Promise((resolve, reject) => {
       yauzl.open(idmlPath, { lazyEntries: true }, (err, zipfile) => {
@@ -303,38 +579,12 @@ class FileExtractor {
   }
 
   async extractFileContent(idmlPath, fileName) {
-    return new Promise((resolve, reject) => {
-      yauzl.open(idmlPath, { lazyEntries: true }, (err, zipfile) => {
-        if (err) return reject(err);
-
-        zipfile.on("entry", (entry) => {
-          if (entry.fileName === fileName) {
-            zipfile.openReadStream(entry, (err, readStream) => {
-              if (err) return reject(err);
-
-              let content = "";
-              readStream.on("data", (chunk) => {
-                content += chunk.toString();
-              });
-
-              readStream.on("end", () => {
-                resolve(content);
-              });
-
-              readStream.on("error", reject);
-            });
-          } else {
-            zipfile.readEntry();
-          }
-        });
-
-        zipfile.readEntry();
-      });
-    });
+    // FIXED: read through readEntry so binary entries are not mangled
+    return this.readEntry(idmlPath, fileName);
   }
 
   async extractAndSaveEmbeddedImages(idmlPath, uploadDir) {
-    console.log("🖼️ Extracting and saving embedded images...");
+    this.logger.debug("🖼️ Extracting and saving embedded images...");
 
     const embeddedImages = [];
 
@@ -349,14 +599,14 @@ class FileExtractor {
             entry.fileName.startsWith("Links/") &&
             IDMLUtils.isImageFile(entry.fileName)
           ) {
-            console.log(`📷 Found embedded image: ${entry.fileName}`);
+            this.logger.debug(`📷 Found embedded image: ${entry.fileName}`);
             imagesToExtract.push(entry);
           }
           zipfile.readEntry();
         });
 
         zipfile.on("end", async () => {
-          console.log(
+          this.logger.debug(
             `Found ${imagesToExtract.length} embedded images to extract`
           );
 
@@ -386,14 +636,16 @@ class FileExtractor {
                 isExtracted: fs.existsSync(extractedPath),
               });
             } catch (error) {
-              console.error(
+              this.logger.error(
                 `❌ Failed to extract ${imageEntry.fileName}:`,
                 error
               );
             }
           }
 
-          console.log(`✅ Extracted ${embeddedImages.length} embedded images`);
+          this.logger.debug(
+            `✅ Extracted ${embeddedImages.length} embedded images`
+          );
           resolve(embeddedImages);
         });
 
@@ -419,7 +671,7 @@ class FileExtractor {
               readStream.pipe(writeStream);
 
               writeStream.on("finish", () => {
-                console.log(`✅ Extracted: ${fileName}`);
+                this.logger.debug(`✅ Extracted: ${fileName}`);
                 resolve(outputPath);
               });
 
@@ -438,7 +690,7 @@ class FileExtractor {
   async buildImageMap(packageStructure) {
     const imageMap = new Map();
 
-    console.log("Building image map...");
+    this.logger.debug("Building image map...");
 
     // Check all files in resourceMap first
     if (packageStructure.resourceMap) {
@@ -450,7 +702,7 @@ class FileExtractor {
           const nameWithoutExt = path.parse(fileName).name;
           imageMap.set(nameWithoutExt, filePath);
 
-          console.log("Added to image map:", fileName, "->", filePath);
+          this.logger.debug("Added to image map:", fileName, "->", filePath);
         }
       });
     }
@@ -458,7 +710,7 @@ class FileExtractor {
     // Check Links folder if it exists
     if (fs.existsSync(packageStructure.linksFolder)) {
       const files = fs.readdirSync(packageStructure.linksFolder);
-      console.log("Links folder contents:", files);
+      this.logger.debug("Links folder contents:", files);
 
       for (const fileName of files) {
         if (IDMLUtils.isImageFile(fileName)) {
@@ -468,14 +720,21 @@ class FileExtractor {
           const nameWithoutExt = path.parse(fileName).name;
           imageMap.set(nameWithoutExt, fullPath);
 
-          console.log("Added from Links folder:", fileName, "->", fullPath);
+          this.logger.debug(
+            "Added from Links folder:",
+            fileName,
+            "->",
+            fullPath
+          );
         }
       }
     }
 
-    console.log(`📸 Image map built with ${imageMap.size / 2} unique images`);
+    this.logger.debug(
+      `📸 Image map built with ${imageMap.size / 2} unique images`
+    );
     Array.from(imageMap.keys()).forEach((key) => {
-      console.log("  - Image key:", key);
+      this.logger.debug("  - Image key:", key);
     });
 
     return imageMap;
@@ -484,7 +743,7 @@ class FileExtractor {
   async extractEmbeddedImages(packageStructure) {
     const embeddedImages = new Map();
 
-    console.log("🔍 Extracting embedded images from package...");
+    this.logger.debug("🔍 Extracting embedded images from package...");
 
     // FIX: Use extractedPath instead of undefined property
     const extractedPath =
@@ -495,7 +754,7 @@ class FileExtractor {
 
     if (fs.existsSync(linksPath)) {
       const linkFiles = fs.readdirSync(linksPath);
-      console.log("Found link files:", linkFiles);
+      this.logger.debug("Found link files:", linkFiles);
 
       for (const fileName of linkFiles) {
         if (IDMLUtils.isImageFile(fileName)) {
@@ -509,7 +768,7 @@ class FileExtractor {
             originalName: fileName,
           });
 
-          console.log(
+          this.logger.debug(
             `📎 Found embedded image: ${fileName} (${stats.size} bytes)`
           );
         }
@@ -529,12 +788,14 @@ class FileExtractor {
             originalName: fileName,
           });
 
-          console.log(`📎 Found package image: ${fileName}`);
+          this.logger.debug(`📎 Found package image: ${fileName}`);
         }
       });
     }
 
-    console.log(`✅ Extracted ${embeddedImages.size} embedded/linked images`);
+    this.logger.debug(
+      `✅ Extracted ${embeddedImages.size} embedded/linked images`
+    );
     return embeddedImages;
   }
 
@@ -9,14 +9,28 @@ import StoryParser from "./parsers/StoryParser.js";
 import ElementParser from "./parsers/ElementParser.js";
 import DocumentParser from "./parsers/DocumentParser.js";
 import ImageProcessor from "./processors/ImageProcessor.js";
+import ImageConverter from "./processors/ImageConverter.js";
+import FontProcessor from "./processors/FontProcessor.js";
+import IDMLWriter from "./writers/IDMLWriter.js";
+import StaticPageRenderer from "./renderers/StaticPageRenderer.js";
+import ThumbnailGenerator from "./renderers/ThumbnailGenerator.js";
 
 import IDMLUtils from "./utils/IDMLUtils.js";
 import ColorUtils from "./utils/ColorUtils.js";
 import UnitConverter from "./utils/UnitConverter.js";
 import InDesignTextMetrics from "./utils/InDesignTextMetrics.js";
+import SpecialCharacters from "./utils/SpecialCharacters.js";
 import NextFontMapper from "./utils/NextFontMapper.js";
 import DataModularizer from "./utils/DataModularizer.js";
 import CleanupUtility from "./utils/CleanupUtility.js";
+import JobManager from "./utils/JobManager.js";
+import DiagnosticsCollector from "./utils/DiagnosticsCollector.js";
+import Logger from "./utils/Logger.js";
+import OpenTypeFont from "./utils/OpenTypeFont.js";
+import RasterImage from "./utils/RasterImage.js";
+import FontMetrics from "./utils/FontMetrics.js";
+import TextLayoutEngine from "./utils/TextLayoutEngine.js";
+import UploadPaths from "./utils/UploadPaths.js";
 
 // Main exports
 export {
@@ -31,13 +45,27 @@ export {
   ElementParser,
   DocumentParser,
   ImageProcessor,
+  ImageConverter,
+  FontProcessor,
+  IDMLWriter,
+  StaticPageRenderer,
+  ThumbnailGenerator,
   IDMLUtils,
   ColorUtils,
   UnitConverter,
   InDesignTextMetrics,
+  SpecialCharacters,
   NextFontMapper,
   DataModularizer,
   CleanupUtility,
+  JobManager,
+  DiagnosticsCollector,
+  Logger,
+  OpenTypeFont,
+  RasterImage,
+  FontMetrics,
+  TextLayoutEngine,
+  UploadPaths,
 };
 
 // Convenience exports
@@ -55,6 +83,17 @@ export const extractors = {
 
 export const processors = {
   ImageProcessor,
+  ImageConverter,
+  FontProcessor,
+};
+
+export const writers = {
+  IDMLWriter,
+};
+
+export const renderers = {
+  StaticPageRenderer,
+  ThumbnailGenerator,
 };
 
 export const utils = {
@@ -62,9 +101,18 @@ export const utils = {
   ColorUtils,
   UnitConverter,
   InDesignTextMetrics,
+  SpecialCharacters,
   NextFontMapper,
   DataModularizer,
   CleanupUtility,
+  JobManager,
+  DiagnosticsCollector,
+  Logger,
+  OpenTypeFont,
+  RasterImage,
+  FontMetrics,
+  TextLayoutEngine,
+  UploadPaths,
 };
 
 // Default export for backward compatibility
@@ -0,0 +1,74 @@
+// lib/jobs/forkTask.js - runs JobManager tasks in a child process. Server
+// only: it needs child_process, so nothing the viewer imports may load it
+import { fork } from "child_process";
+import path from "path";
+
+// Child process entry that runs the task modules. Resolved from the project
+// root: Next.js bundles this file, but the worker runs from source
+const WORKER_PATH = path.join(process.cwd(), "lib", "jobs", "jobWorker.js");
+
+/**
+ * Make a task that runs in a child process, so CPU-heavy processing does
+ * not block the server's event loop (and the progress events it sends).
+ * The module's default export is called there as task(progress, input);
+ * progress updates, warnings and the result come back as messages
+ * @param {string} modulePath - Absolute path of the task module
+ * @param {*} input - Task input; must survive structured cloning, like
+ *   the result
+ * @returns {Function} Task for JobManager.enqueue()
+ */
+function forkTask(modulePath, input) {
+  return (progress) =>
+    new Promise((resolve, reject) => {
+      const child = fork(WORKER_PATH, [], {
+        execArgv: [
+          "--experimental-detect-module",
+          "--disable-warning=MODULE_TYPELESS_PACKAGE_JSON",
+        ],
+        serialization: "advanced",
+      });
+
+      let settled = false;
+      const settle = (error, result) => {
+        if (settled) return;
+        settled = true;
+        error ? reject(error) : resolve(result);
+      };
+
+      child.on("message", (message) => {
+        switch (message?.type) {
+          case "phase":
+            progress.phase(message.phaseId, message.fraction);
+            break;
+          case "warn":
+            progress.warn(message.message);
+            break;
+          case "result":
+            settle(null, message.result);
+            break;
+          case "error":
+            settle(
+              Object.assign(new Error(message.message), {
+                stack: message.stack,
+              })
+            );
+            break;
+        }
+      });
+      child.on("error", (error) => settle(error));
+      child.on("exit", (code, signal) =>
+        settle(
+          new Error(
+            `Job worker stopped (${
+              signal || `exit code ${code}`
+            }) before finishing`
+          )
+        )
+      );
+
+      child.send({ modulePath, input });
+    });
+}
+
+// ES6 exports
+export default forkTask;
@@ -0,0 +1,26 @@
+// lib/jobs/jobWorker.js - child process that runs one forkTask()
+import { pathToFileURL } from "url";
+
+// The parent sends one { modulePath, input } message. The module's default
+// export runs with a progress reporter that forwards to the parent, and the
+// process exits once the outcome has been sent
+process.once("message", async ({ modulePath, input }) => {
+  const progress = {
+    phase: (phaseId, fraction = 0) =>
+      process.send({ type: "phase", phaseId, fraction }),
+    warn: (message) => process.send({ type: "warn", message: String(message) }),
+  };
+
+  try {
+    const { default: task } = await import(pathToFileURL(modulePath).href);
+    const result = await task(progress, input);
+    process.send({ type: "result", result: result ?? null }, () =>
+      process.exit(0)
+    );
+  } catch (error) {
+    process.send(
+      { type: "error", message: error.message, stack: error.stack },
+      () => process.exit(1)
+    );
+  }
+});
@@ -0,0 +1,996 @@
+// lib/jobs/uploadJob.js - processing of one upload, run in a job worker
+import path from "path";
+import fs from "fs";
+
+import IDMLProcessor from "../IDMLProcessor.js";
+import FontProcessor from "../processors/FontProcessor.js"; // NEW: Fonts shipped in the package
+import ThumbnailGenerator from "../renderers/ThumbnailGenerator.js";
+import IDMLUtils from "../utils/IDMLUtils.js";
+import FontMetrics from "../utils/FontMetrics.js";
+import TextLayoutEngine from "../utils/TextLayoutEngine.js";
+// ADDED: NextFontMapper for automatic font processing
+import NextFontMapper from "../utils/NextFontMapper.js";
+// ADDED: DataModularizer for modularizing processed data
+import DataModularizer from "../utils/DataModularizer.js";
+
+function createComprehensiveProcessedData(rawData, moduleData = {}) {
+  // Build comprehensive processed data with NO filtering and ALL details preserved
+  const processedData = {
+    // ===== DOCUMENT INFORMATION =====
+    document: {
+      // Core document info
+      version: rawData.document?.version || "Unknown",
+      pageCount: rawData.document?.pageCount || 1,
+      name: rawData.document?.name || "Untitled",
+
+      // Add dimensions to document level for easier access
+      dimensions: rawData.pageInfo?.dimensions || {
+        width: 612,
+        height: 792,
+        units: rawData.pageInfo?.dimensions?.units || "Points", // FIXED: Use actual units from document
+      },
+
+      // Include ALL raw document properties
+      ...rawData.document,
+    },
+
+    // ===== PAGE INFORMATION =====
+    pageInfo: {
+      // Preserve all page info exactly as is
+      ...(rawData.pageInfo || {}),
+
+      // Ensure dimensions and margins exist
+      dimensions: rawData.pageInfo?.dimensions || {
+        width: 612,
+        height: 792,
+        units: rawData.pageInfo?.dimensions?.units || "Points", // FIXED: Use actual units from document
+      },
+      margins: rawData.pageInfo?.margins || {
+        top: 0,
+        bottom: 0,
+        left: 0,
+        right: 0,
+      },
+    },
+
+    // ===== ELEMENTS - NO FILTERING, ALL PRESERVED =====
+    elements: (rawData.elements || []).map((element) => ({
+      // Preserve ALL original element properties
+      ...element,
+
+      // Ensure consistent property names (but keep originals too)
+      id: element.id || element.self,
+      fill: element.fill || element.fillColor,
+      stroke: element.stroke || element.strokeColor,
+
+      // Ensure position exists
+      position: element.position || {
+        x: 0,
+        y: 0,
+        width: 0,
+        height: 0,
+        rotation: 0,
+      },
+
+      // Ensure boolean flags have defaults
+      visible: element.visible !== false,
+      locked: element.locked === true,
+      isContentFrame: element.isContentFrame || false,
+      hasPlacedContent: element.hasPlacedContent || false,
+
+      // Content properties
+      contentType: element.contentType || null,
+      imagePosition: element.imagePosition || null,
+      placedContent: element.placedContent || null,
+
+      // Parent relationships
+      parentStory: element.parentStory,
+      linkedImage: element.linkedImage,
+    })), // NO FILTERING - keep ALL elements including zero width/height
+
+    // ===== STORIES - COMPLETE PRESERVATION =====
+    stories: Object.keys(rawData.stories || {}).reduce((acc, key) => {
+      const story = rawData.stories[key];
+      if (story) {
+        // Include ALL stories, not just those with text
+        acc[key] = {
+          // Preserve ALL original story properties
+          ...story,
+
+          // Ensure key properties have defaults
+          text: story.text || "",
+          wordCount: story.wordCount || 0,
+          characterCount: story.characterCount || 0,
+          textColor: story.textColor || null,
+          hasLineBreaks: story.hasLineBreaks || false,
+          lineBreakCount: story.lineBreakCount || 0,
+          styling: story.styling || null,
+          formattedContent: story.formattedContent || [],
+          tables: story.tables || [],
+          anchoredObjects: story.anchoredObjects || [],
+        };
+      }
+      return acc;
+    }, {}),
+
+    // ===== PAGES =====
+    pages: rawData.pages || [],
+
+    // ===== ELEMENTS BY PAGE =====
+    elementsByPage: rawData.elementsByPage || {},
+
+    // ===== MODULE DATA - STYLES, SPREADS, ETC =====
+    styles: moduleData.styles ||
+      rawData.styles || {
+        paragraph: {},
+        character: {},
+        object: {},
+        table: {},
+        cell: {},
+      },
+
+    spreads: moduleData.spreads || rawData.spreads || {},
+    masterSpreads: moduleData.masterSpreads || rawData.masterSpreads || {},
+    layers: moduleData.layers || rawData.layers || [],
+
+    // ===== RESOURCES AND ASSETS =====
+    resources: moduleData.resources || rawData.resources || {},
+
+    // ===== PACKAGE INFORMATION =====
+    packageInfo: {
+      // Preserve existing package info
+      ...(rawData.packageInfo || {}),
+
+      // Ensure defaults
+      hasLinks: rawData.packageInfo?.hasLinks || false,
+      hasFonts: rawData.packageInfo?.hasFonts || false,
+      linksCount: rawData.packageInfo?.linksCount || 0,
+      fontsCount: rawData.packageInfo?.fontsCount || 0,
+      extractedImagesCount: rawData.packageInfo?.extractedImagesCount || 0,
+    },
+
+    // ===== PROCESSING METADATA =====
+    processingInfo: {
+      timestamp: new Date().toISOString(),
+      moduleDataIncluded: !!moduleData,
+      elementsCount: rawData.elements?.length || 0,
+      storiesCount: Object.keys(rawData.stories || {}).length,
+      pagesCount: rawData.pages?.length || 0,
+      noDataFiltered: true, // Indicates we preserved ALL data
+      processingVersion: "2.0-comprehensive",
+    },
+
+    // ===== PRESERVE ANY ADDITIONAL RAW DATA =====
+    // Include any other properties from rawData that we might have missed
+    ...Object.keys(rawData).reduce((acc, key) => {
+      if (
+        ![
+          "document",
+          "pageInfo",
+          "elements",
+          "stories",
+
+          "packageInfo",
+        ].includes(key)
+      ) {
+        acc[key] = rawData[key];
+      }
+      return acc;
+    }, {}),
+  };
+
+  return processedData;
+}
+
+/**
+ * Extract complete character styles including text decorations, weights, etc.
+ * @param {Object} segmentFormatting - Character-level formatting
+ * @param {Object} storyFormatting - Story-level formatting fallback
+ * @returns {Object} Complete style object with all properties preserved
+ */
+function extractCompleteCharacterStyles(
+  segmentFormatting,
+  storyFormatting = {}
+) {
+  const styles = {
+    // Font properties
+    fontFamily:
+      segmentFormatting.fontFamily || storyFormatting.fontFamily || null,
+    fontSize: segmentFormatting.fontSize || storyFormatting.fontSize || null,
+    fontWeight: extractFontWeight(
+      segmentFormatting.fontStyle || storyFormatting.fontStyle
+    ),
+    fontStyle: extractFontStyle(
+      segmentFormatting.fontStyle || storyFormatting.fontStyle
+    ),
+
+    // Colors
+    color: segmentFormatting.fillColor || storyFormatting.fillColor || null,
+    backgroundColor: segmentFormatting.backgroundColor || null,
+
+    // Text decorations
+    textDecoration: extractTextDecorations(segmentFormatting),
+
+    // Typography
+    letterSpacing:
+      segmentFormatting.tracking || storyFormatting.tracking || null,
+    lineHeight: segmentFormatting.leading || storyFormatting.leading || null,
+
+    // Text effects
+    textShadow: extractTextShadow(segmentFormatting),
+    textTransform: extractTextTransform(segmentFormatting),
+
+    // Advanced properties
+    characterStyle: segmentFormatting.characterStyle || null,
+    paragraphStyle:
+      segmentFormatting.paragraphStyle ||
+      storyFormatting.paragraphStyle ||
+      null,
+
+    // InDesign specific
+    baselineShift: segmentFormatting.baselineShift || null,
+    horizontalScale: segmentFormatting.horizontalScale || null,
+    verticalScale: segmentFormatting.verticalScale || null,
+    kerning: segmentFormatting.kerning || null,
+
+    // Stroke properties
+    strokeColor: segmentFormatting.strokeColor || null,
+    strokeWeight: segmentFormatting.strokeWeight || null,
+
+    // Preserve selected original properties (avoid circular reference)
+    originalFormatting: {
+      fontFamily: segmentFormatting.fontFamily,
+      fontStyle: segmentFormatting.fontStyle,
+      fontSize: segmentFormatting.fontSize,
+      fillColor: segmentFormatting.fillColor,
+      characterStyle: segmentFormatting.characterStyle,
+      paragraphStyle: segmentFormatting.paragraphStyle,
+      tracking: segmentFormatting.tracking,
+      baselineShift: segmentFormatting.baselineShift,
+      horizontalScale: segmentFormatting.horizontalScale,
+      verticalScale: segmentFormatting.verticalScale,
+      kerning: segmentFormatting.kerning,
+      strokeColor: segmentFormatting.strokeColor,
+      strokeWeight: segmentFormatting.strokeWeight,
+      underline: segmentFormatting.underline,
+      strikethrough: segmentFormatting.strikethrough,
+      strikeThrough: segmentFormatting.strikeThrough,
+      overline: segmentFormatting.overline,
+    },
+  };
+
+  return styles;
+}
+
+/**
+ * Extract font weight from InDesign font style string
+ * @param {string} fontStyle - InDesign font style
+ * @returns {string} CSS font weight
+ */
+function extractFontWeight(fontStyle) {
+  if (!fontStyle) return "400";
+
+  const style = fontStyle.toLowerCase();
+
+  // Handle complex styles like "Bold Italic", "Semibold Condensed", etc.
+  if (style.includes("thin")) return "100";
+  if (style.includes("extralight") || style.includes("ultra light"))
+    return "200";
+  if (style.includes("light")) return "300";
+  if (style.includes("medium")) return "500";
+  if (style.includes("demibold") || style.includes("semibold")) return "600";
+  if (style.includes("bold")) return "700";
+  if (style.includes("extrabold") || style.includes("ultra bold")) return "800";
+  if (style.includes("black") || style.includes("heavy")) return "900";
+
+  return "400"; // Regular/Normal
+}
+
+/**
+ * Extract font style from InDesign font style string
+ * @param {string} fontStyle - InDesign font style
+ * @returns {string} CSS font style
+ */
+function extractFontStyle(fontStyle) {
+  if (!fontStyle) return "normal";
+
+  const style = fontStyle.toLowerCase();
+
+  if (style.includes("italic") || style.includes("oblique")) {
+    return "italic";
+  }
+
+  return "normal";
+}
+
+/**
+ * Extract text decorations from formatting
+ * @param {Object} formatting - Character formatting
+ * @returns {string} CSS text-decoration value
+ */
+function extractTextDecorations(formatting) {
+  const decorations = [];
+
+  // Check for underline
+  if (
+    formatting.underline ||
+    (formatting.characterStyle &&
+      formatting.characterStyle.toLowerCase().includes("underline"))
+  ) {
+    decorations.push("underline");
+  }
+
+  // Check for strikethrough
+  if (
+    formatting.strikethrough ||
+    formatting.strikeThrough ||
+    (formatting.characterStyle &&
+      formatting.characterStyle.toLowerCase().includes("strikethrough"))
+  ) {
+    decorations.push("line-through");
+  }
+
+  // Check for overline
+  if (
+    formatting.overline ||
+    (formatting.characterStyle &&
+      formatting.characterStyle.toLowerCase().includes("overline"))
+  ) {
+    decorations.push("overline");
+  }
+
+  return decorations.length > 0 ? decorations.join(" ") : "none";
+}
+
+/**
+ * Extract text shadow effects
+ * @param {Object} formatting - Character formatting
+ * @returns {string} CSS text-shadow value
+ */
+function extractTextShadow(formatting) {
+  // InDesign shadow effects - implement when available
+  if (formatting.dropShadow || formatting.textShadow) {
+    // Return CSS text-shadow format
+    return formatting.textShadow || null;
+  }
+  return null;
+}
+
+/**
+ * Extract text transform
+ * @param {Object} formatting - Character formatting
+ * @returns {string} CSS text-transform value
+ */
+function extractTextTransform(formatting) {
+  if (formatting.capitalization || formatting.textCase) {
+    const textCase = (
+      formatting.capitalization ||
+      formatting.textCase ||
+      ""
+    ).toLowerCase();
+
+    if (textCase.includes("upper")) return "uppercase";
+    if (textCase.includes("lower")) return "lowercase";
+    if (textCase.includes("title") || textCase.includes("capital"))
+      return "capitalize";
+    if (textCase.includes("small")) return "small-caps";
+  }
+
+  return "none";
+}
+
+/**
+ * Improved font extraction that handles the actual document structure
+ * @param {Object} documentData - Processed IDML document data
+ * @param {NextFontMapper} fontMapper - Font mapper instance
+ * @param {Array} embeddedFamilies - Families served from the package; not mapped
+ * @returns {Array} Array of font configurations
+ */
+function extractDocumentFontsImproved(
+  documentData,
+  fontMapper,
+  embeddedFamilies = []
+) {
+  const usedFonts = new Set();
+  const fontConfigs = [];
+
+  // Extract fonts from stories (main source)
+  if (documentData.stories) {
+    Object.values(documentData.stories).forEach((story) => {
+      // Check story-level styling first
+      if (
+        story.styling &&
+        story.styling.fontFamily &&
+        !embeddedFamilies.includes(story.styling.fontFamily)
+      ) {
+        const key = `${story.styling.fontFamily}-${
+          story.styling.fontStyle || "Regular"
+        }`;
+        if (!usedFonts.has(key)) {
+          usedFonts.add(key);
+          const config = fontMapper.mapToNextFont(
+            story.styling.fontFamily,
+            story.styling.fontStyle || "Regular",
+            story.styling.fontSize || 16
+          );
+          fontConfigs.push(config);
+        }
+      }
+
+      // Check formatted content segments
+      if (story.formattedContent) {
+        story.formattedContent.forEach((segment) => {
+          if (segment.formatting) {
+            const fontFamily =
+              segment.formatting.fontFamily || story.styling?.fontFamily;
+            const fontStyle =
+              segment.formatting.fontStyle ||
+              story.styling?.fontStyle ||
+              "Regular";
+
+            if (fontFamily && !embeddedFamilies.includes(fontFamily)) {
+              const key = `${fontFamily}-${fontStyle}`;
+              if (!usedFonts.has(key)) {
+                usedFonts.add(key);
+
+                // ENHANCED: Use resolved font size or fallback to original size
+                let fontSize = segment.formatting.fontSize;
+                if (!fontSize && segment.formatting.originalFontSize) {
+                  // If no converted font size, use original size (will be converted by NextFontMapper)
+                  fontSize = segment.formatting.originalFontSize;
+                } else if (!fontSize) {
+                  fontSize = story.styling?.fontSize || 16;
+                }
+
+                const config = fontMapper.mapToNextFont(
+                  fontFamily,
+                  fontStyle,
+                  fontSize
+                );
+                fontConfigs.push(config);
+              }
+            }
+          }
+        });
+      }
+    });
+  }
+
+  // Extract fonts from resources (fallback/additional)
+  if (documentData.resources && documentData.resources.fonts) {
+    Object.values(documentData.resources.fonts).forEach((fontFamily) => {
+      if (fontFamily.name) {
+        const key = `${fontFamily.name}-Regular`;
+        if (!usedFonts.has(key)) {
+          usedFonts.add(key);
+          const config = fontMapper.mapToNextFont(
+            fontFamily.name,
+            "Regular",
+            16
+          );
+          fontConfigs.push(config);
+        }
+      }
+    });
+  }
+
+  return fontConfigs;
+}
+
+/**
+ * Process Next.js fonts for the document
+ * @param {Object} documentData - Processed IDML document data
+ * @param {NextFontMapper} fontMapper - Font mapper instance
+ * @param {Array} embeddedFamilies - NEW: Families served from the package's
+ *   fonts (documentFonts); the mapper only substitutes the others
+ * @returns {Object} Next.js font configuration
+ */
+function processNextFonts(documentData, fontMapper, embeddedFamilies = []) {
+  // Clear previous cache
+  fontMapper.clearCache();
+
+  // Extract and map all unique fonts from the document
+  const mappedFonts = extractDocumentFontsImproved(
+    documentData,
+    fontMapper,
+    embeddedFamilies
+  );
+
+  // Process stories to add Next.js font info to formatted content
+  if (documentData.stories) {
+    Object.values(documentData.stories).forEach((story) => {
+      // Process story-level styling
+      if (
+        story.styling &&
+        story.styling.fontFamily &&
+        !embeddedFamilies.includes(story.styling.fontFamily)
+      ) {
+        const nextFontConfig = fontMapper.mapToNextFont(
+          story.styling.fontFamily,
+          story.styling.fontStyle || "Regular",
+          story.styling.fontSize || 16
+        );
+
+        // Add Next.js font information to the story
+        story.styling.nextFont = nextFontConfig;
+      }
+
+      // Process formatted content segments
+      if (story.formattedContent) {
+        story.formattedContent.forEach((segment) => {
+          if (segment.formatting) {
+            // Try multiple font family sources
+            const fontFamily =
+              segment.formatting.fontFamily || story.styling?.fontFamily;
+            const fontStyle =
+              segment.formatting.fontStyle ||
+              story.styling?.fontStyle ||
+              "Regular";
+            const fontSize =
+              segment.formatting.fontSize || story.styling?.fontSize || 16;
+
+            if (fontFamily) {
+              // Enhanced font processing with complete style preservation
+              if (!embeddedFamilies.includes(fontFamily)) {
+                segment.formatting.nextFont = fontMapper.mapToNextFont(
+                  fontFamily,
+                  fontStyle,
+                  fontSize
+                );
+              }
+
+              // ENHANCED: Add complete character styling preservation
+              segment.formatting.completeStyles =
+                extractCompleteCharacterStyles(
+                  segment.formatting,
+                  story.styling
+                );
+
+              // Also add font family if missing
+              if (!segment.formatting.fontFamily) {
+                segment.formatting.fontFamily = fontFamily;
+              }
+            }
+          }
+        });
+      }
+    });
+  }
+
+  // Generate Next.js code snippets
+  const fontImports = fontMapper.generateNextFontImports();
+  const fontVariables = fontMapper.generateFontVariables();
+  const usedFontNames = Array.from(fontMapper.nextFontImports);
+
+  // Create CSS variables for all fonts
+  const cssVariables =
+    mappedFonts.length > 0
+      ? mappedFonts
+          .map(
+            (font) => `${font.nextFontVariable}: ${font.fontFamilyFallback};`
+          )
+          .join("\n  ")
+      : "";
+
+  const nextFontConfig = {
+    // Mapped fonts
+    usedFonts: mappedFonts,
+    totalFonts: mappedFonts.length,
+
+    // Next.js code generation
+    imports: fontImports,
+    variables: fontVariables,
+    cssVariables: cssVariables,
+    usedFontNames: usedFontNames,
+
+    // Usage examples
+    examples: {
+      className:
+        mappedFonts.length > 0
+          ? `\${${mappedFonts[0].nextFont.toLowerCase()}.className}`
+          : "",
+      variable: mappedFonts.length > 0 ? mappedFonts[0].nextFontVariable : "",
+      fontFamily: mappedFonts.length > 0 ? mappedFonts[0].fontFamily : "",
+    },
+
+    // Implementation guide
+    implementation: {
+      step1: "Add the imports to your page or component",
+      step2: "Initialize the fonts with the provided variables",
+      step3: "Use the className or CSS variables in your components",
+      step4: "All fonts are loaded from Next.js, not user's machine",
+    },
+  };
+
+  return nextFontConfig;
+}
+
+/**
+ * Process an uploaded IDML package. Runs in a job worker process (see
+ * forkTask.js), so it gets its input and reports progress by message
+ * @param {Object} progress - Job progress reporter (phase, warn)
+ * @param {Object} uploadInfo - { uploadDir, uploadId, idmlFile,
+ *   packageStructure, isPackageUpload, filesProcessed }
+ * @returns {Object} Summary stored as the job result
+ */
+async function processUploadJob(progress, uploadInfo) {
+  const { uploadDir, uploadId, idmlFile, packageStructure, isPackageUpload } =
+    uploadInfo;
+
+  // Use the monolithic processor as requested
+  const processor = new IDMLProcessor({
+    uploadDir,
+    uploadId,
+    // Parsing phases (extract, styles, stories, spreads) report to the job
+    onProgress: progress.phase,
+  });
+
+  // Process the IDML file
+  const processedData = await processor.processIDML(idmlFile.path);
+
+  // Extract data from the processor
+  const document = processor.documentParser?.getDocument();
+  const elements = processor.elements || [];
+  const stories = processor.storyParser?.getStories() || {};
+  const styles = processor.styleParser?.getStyles() || {};
+  const pages = processor.documentParser?.getPages() || [];
+  const pageInfo = processor.documentParser?.getPageInfo();
+
+  // Use the processor's comprehensive mapping
+  const mappingResult = processor.createComprehensiveElementPageMapping();
+  const { elementToPageMap, pageToElementsMap } = mappingResult;
+
+  // Log mapping results
+  processor.logMappingResults(mappingResult);
+
+  // Convert the mapping to elementsByPage format for compatibility
+  const elementsByPage = {};
+  pages.forEach((page) => {
+    elementsByPage[page.self] = [];
+  });
+
+  // Populate elementsByPage using the comprehensive mapping
+  elements.forEach((element) => {
+    const targetPageId = elementToPageMap[element.self];
+    if (targetPageId && elementsByPage[targetPageId]) {
+      elementsByPage[targetPageId].push(element);
+    }
+  });
+
+  // Initialize extracted images array (will be populated by processor)
+  const extractedImages = [];
+
+  const documentData = {
+    document: {
+      version:
+        processor.documentParser?.getDocument()?.["@_DOMVersion"] || "Unknown",
+      pageCount: pages?.length || Math.max(1, elements.length > 0 ? 1 : 0),
+      name: processor.documentParser?.getDocument()?.["@_Name"] || "Untitled",
+    },
+
+    pageInfo: {
+      dimensions: pageInfo.dimensions,
+      margins: pageInfo.margins,
+      bleeds: pageInfo.bleeds, // NEW: For the spread view
+      slugs: pageInfo.slugs,
+    },
+
+    pages: pages || [], // NEW: Include pages in document data
+
+    // NEW: Include comprehensive mapping data
+    elementToPageMap: elementToPageMap || {},
+    pageToElementsMap: pageToElementsMap || {},
+    mappingStats: {
+      totalElements: mappingResult?.totalElements || 0,
+      totalAssigned: mappingResult?.totalAssigned || 0,
+      unassignedCount: mappingResult?.unassignedCount || 0,
+    },
+
+    elementsByPage: elementsByPage, // NEW: Include elements organized by page
+
+    elements: elements.map((element) => ({
+      id: element.self,
+      type: element.type,
+      name: element.name,
+      position: element.position,
+      // ADDED: Include pixel position created by ElementParser
+      pixelPosition: element.pixelPosition,
+      fill: element.fillColor,
+      stroke: element.strokeColor,
+      strokeWeight: element.strokeWeight,
+      parentStory: element.parentStory,
+      linkedImage: element.linkedImage,
+      visible: element.visible,
+      locked: element.locked,
+
+      // Content frame specific properties
+      isContentFrame: element.isContentFrame || false,
+      hasPlacedContent: element.hasPlacedContent || false,
+      contentType: element.contentType || null,
+
+      // Image positioning within frame
+      imagePosition: element.imagePosition || null,
+      placedContent: element.placedContent || null,
+
+      // Object style and frame decoration
+      appliedObjectStyle: element.appliedObjectStyle || null,
+      objectStyleProperties: element.objectStyleProperties || [],
+      strokeType: element.strokeType || null,
+      strokeTint: element.strokeTint,
+      fillTint: element.fillTint,
+      cornerEffects: element.cornerEffects || null,
+      transparency: element.transparency || null,
+      textWrap: element.textWrap || null,
+
+      // Text frame threading
+      textFramePreferences: element.textFramePreferences || null,
+      previousTextFrame: element.previousTextFrame || null,
+      nextTextFrame: element.nextTextFrame || null,
+      threadFrames: element.threadFrames || null,
+      threadIndex: element.threadIndex ?? null,
+      threadLength: element.threadLength ?? null,
+
+      // Master page items (drawn through page.masterItems)
+      isMasterItem: element.isMasterItem || false,
+      masterSpreadId: element.masterSpreadId || null,
+      overriddenPageItemProps: element.overriddenPageItemProps || null,
+
+      // Vector path geometry and stroke styling
+      pathGeometry: element.pathGeometry || null,
+      endCap: element.endCap,
+      endJoin: element.endJoin,
+      miterLimit: element.miterLimit,
+      strokeAlignment: element.strokeAlignment,
+      leftLineEnd: element.leftLineEnd,
+      rightLineEnd: element.rightLineEnd,
+      leftArrowHeadScale: element.leftArrowHeadScale,
+      rightArrowHeadScale: element.rightArrowHeadScale,
+    })),
+
+    stories: Object.keys(stories).reduce((acc, storyId) => {
+      const story = stories[storyId];
+      if (story?.content?.plainText || story?.content?.tables?.length) {
+        acc[storyId] = {
+          text: story.content.plainText,
+          wordCount: story.content.wordCount,
+          characterCount: story.content.characterCount,
+          textColor: story.content.textColor,
+          hasLineBreaks: story.content.lineBreakInfo?.hasLineBreaks || false,
+          lineBreakCount: story.content.lineBreakInfo?.lineBreakCount || 0,
+
+          // Include resolved styling information
+          styling: processor.styleParser?.getStoryStyleSummary(story),
+
+          // Include formatted content with resolved formatting
+          formattedContent: story.content.formattedContent || [],
+          tables: story.content.tables || [],
+          anchoredObjects: story.content.anchoredObjects || [],
+        };
+      }
+      return acc;
+    }, {}),
+  };
+
+  // Step 6: Process linked images and update elements
+  // Step 6a: Extract embedded images for ALL uploads (both single IDML and package)
+  try {
+    if (fs.accessSync) {
+      fs.accessSync(uploadDir, fs.constants.W_OK);
+    }
+  } catch (error) {
+    processor.logger.error(
+      "❌ Upload directory is not writable:",
+      error.message
+    );
+    progress.warn(`Upload directory is not writable: ${error.message}`);
+  }
+
+  progress.phase("images");
+  const embeddedImages = await processor.extractEmbeddedImageFromSpread(
+    idmlFile.path,
+    uploadDir
+  );
+
+  if (isPackageUpload) {
+    // Step 6b: Use processIDMLPackage for package uploads to properly handle both embedded and linked images
+    const packageProcessedData = await processor.processIDMLPackage(
+      idmlFile.path,
+      packageStructure,
+      embeddedImages
+    );
+
+    // Update documentData with the processed data
+    documentData.elements =
+      packageProcessedData.elements || documentData.elements;
+    // Anchored objects in stories get their images linked too
+    Object.entries(packageProcessedData.stories || {}).forEach(
+      ([storyId, story]) => {
+        if (documentData.stories[storyId] && story.anchoredObjects) {
+          documentData.stories[storyId].anchoredObjects = story.anchoredObjects;
+        }
+      }
+    );
+    documentData.packageInfo = packageProcessedData.packageInfo;
+    documentData.links = packageProcessedData.links; // NEW: Links report
+  } else {
+    // For single IDML files, use the existing processLinkedResources with extracted images
+    await processor.imageProcessor.processLinkedResources(
+      documentData,
+      packageStructure,
+      embeddedImages
+    );
+  }
+
+  // Step 6.5: Update mapping data after linked images are processed
+  if (documentData.elements && documentData.pages) {
+    // Create a simple mapping update based on the updated elements
+    const updatedElementToPageMap = { ...documentData.elementToPageMap };
+    const updatedPageToElementsMap = {};
+
+    // Initialize page-to-elements map
+    documentData.pages.forEach((page) => {
+      updatedPageToElementsMap[page.self] = [];
+    });
+
+    // Update mapping for elements that have linked images
+    let updatedCount = 0;
+    documentData.elements.forEach((element) => {
+      const elementId = element.self || element.id;
+      const currentPageId = updatedElementToPageMap[elementId];
+
+      if (currentPageId && updatedPageToElementsMap[currentPageId]) {
+        // Keep existing mapping
+        if (!updatedPageToElementsMap[currentPageId].includes(elementId)) {
+          updatedPageToElementsMap[currentPageId].push(elementId);
+        }
+
+        // If this element has a linked image, count it
+        if (element.linkedImage) {
+          updatedCount++;
+        }
+      }
+    });
+
+    // Update the mapping data in documentData
+    documentData.elementToPageMap = updatedElementToPageMap;
+    documentData.pageToElementsMap = updatedPageToElementsMap;
+
+    // Update elementsByPage with the new mapping
+    const updatedElementsByPage = {};
+    documentData.pages.forEach((page) => {
+      updatedElementsByPage[page.self] = [];
+    });
+
+    documentData.elements.forEach((element) => {
+      const elementId = element.self || element.id;
+      const targetPageId = updatedElementToPageMap[elementId];
+      if (targetPageId && updatedElementsByPage[targetPageId]) {
+        updatedElementsByPage[targetPageId].push(element);
+      }
+    });
+
+    documentData.elementsByPage = updatedElementsByPage;
+  }
+
+  // Step 7: Add package info (only for single IDML files, package uploads handle this in processIDMLPackage)
+  if (!isPackageUpload) {
+    documentData.packageInfo = {
+      hasLinks: packageStructure.resourceMap?.size > 1,
+      hasFonts: false,
+      linksCount: Array.from(packageStructure.resourceMap?.keys() || []).filter(
+        (name) => IDMLUtils.isImageFile(name)
+      ).length,
+      fontsCount: 0,
+      extractedImagesCount: extractedImages.length,
+    };
+  }
+
+  // NEW: Serve the package's own fonts (Fonts folder) with @font-face rules
+  progress.phase("fonts");
+  const fontProcessor = new FontProcessor(
+    processor.diagnostics,
+    processor.logger
+  );
+  documentData.documentFonts = fontProcessor.processDocumentFonts(
+    processor.styleParser.getFontDefinitions(),
+    {
+      fontsDir: packageStructure.fontsFolder,
+      urlPrefix: `/api/fonts/${uploadId}`,
+      reportMissing: isPackageUpload,
+    }
+  );
+  documentData.packageInfo = {
+    ...documentData.packageInfo,
+    hasFonts: documentData.documentFonts.faces.length > 0,
+    fontsCount: documentData.documentFonts.faces.length,
+  };
+
+  // ADDED: Automatic Next.js font processing (substitutes for missing fonts)
+  const fontMapper = new NextFontMapper(processor.logger);
+  documentData.nextFonts = processNextFonts(
+    documentData,
+    fontMapper,
+    documentData.documentFonts.families
+  );
+
+  // NEW: Line breaks measured with the package's fonts (textLayout module)
+  progress.phase("layout");
+  const fontMetrics = FontMetrics.fromDocumentFonts(
+    documentData.documentFonts,
+    packageStructure.fontsFolder,
+    processor.logger
+  );
+  documentData.textLayout = new TextLayoutEngine(
+    fontMetrics,
+    processor.logger
+  ).layoutDocument(documentData);
+
+  // Create comprehensive processed data with ALL module data included
+  const moduleData = {
+    styles: processor.styleParser?.getStyles() || {},
+    spreads: processor.documentParser?.getSpreads() || {},
+    masterSpreads: processor.documentParser?.getMasterSpreads() || {},
+    layers: processor.documentParser?.getLayers() || {},
+    resources: processor.styleParser?.getResources() || {},
+  };
+
+  const comprehensiveProcessedData = createComprehensiveProcessedData(
+    documentData,
+    moduleData
+  );
+
+  // ADD extracted images to the processed data so frontend can access them
+  comprehensiveProcessedData.extractedImages = extractedImages;
+
+  // NEW: Page and spread thumbnails (thumbnails/ next to modules/), reused
+  // while the IDML file is unchanged
+  progress.phase("thumbnails");
+  comprehensiveProcessedData.thumbnails = new ThumbnailGenerator(
+    comprehensiveProcessedData,
+    {
+      fontMetrics,
+      urlPrefix: `/api/thumbnails/${uploadId}`,
+      logger: processor.logger,
+    }
+  ).generate(
+    path.join(uploadDir, "thumbnails"),
+    ThumbnailGenerator.hashFile(idmlFile.path)
+  );
+
+  // NEW: What was skipped or approximated (saved as diagnostics.json)
+  comprehensiveProcessedData.diagnostics = processor.getDiagnostics();
+
+  // MODULARIZE: Create modularized data structure
+  progress.phase("modularize");
+  const modularizer = new DataModularizer(uploadDir, processor.logger);
+  const modularizationIndex = modularizer.modularize(
+    comprehensiveProcessedData
+  );
+
+  // MODULARIZED ONLY: Remove legacy processed_data.json if it exists
+  const legacyProcessedDataPath = path.join(uploadDir, "processed_data.json");
+  if (fs.existsSync(legacyProcessedDataPath)) {
+    fs.unlinkSync(legacyProcessedDataPath);
+  }
+
+  // ENHANCED: Validate unit conversions and add to response
+  const unitValidation = IDMLUtils.validateUnitConversions(
+    comprehensiveProcessedData,
+    processor.unitConverter
+  );
+
+  // The document itself is served by /api/document/[uploadId]
+  return {
+    uploadId,
+    modularized: true,
+    modularizationIndex: modularizationIndex,
+    uploadType: isPackageUpload ? "package" : "single",
+    filesProcessed: uploadInfo.filesProcessed,
+    processingVersion: "2.0-comprehensive-modularized",
+    unitConversionValidation: unitValidation,
+    diagnostics: comprehensiveProcessedData.diagnostics.summary,
+  };
+}
+
+// ES6 exports
+export default processUploadJob;
@@ -1,8 +1,16 @@
 import path from "path";
 import IDMLUtils from "../utils/IDMLUtils.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
 
 class DocumentParser {
-  constructor(elementParser, styleParser = null, unitConverter = null) {
+  constructor(
+    elementParser,
+    styleParser = null,
+    unitConverter = null,
+    diagnostics = null,
+    logger = null
+  ) {
     this.elementParser = elementParser;
     this.styleParser = styleParser; // ADDED: Reference to StyleParser for accessing ViewPreferences
     this.unitConverter = unitConverter; // ADDED: Reference to UnitConverter for unit conversions
@@ -11,102 +19,114 @@ class DocumentParser {
     this.masterSpreads = {};
     this.layers = [];
     this.pages = []; // NEW: Initialize pages array
+    this.diagnostics = diagnostics || new DiagnosticsCollector(); // NEW
+    this.logger = (logger || Logger.getDefault()).child("DocumentParser"); // NEW
   }
 
   async parseDocumentStructure(extractedData, xmlParser) {
-    console.log("Parsing document structure...");
-    console.log(
+    this.logger.debug("Parsing document structure...");
+    this.logger.debug(
       "🔍 Total files to process:",
       Object.keys(extractedData).length
     );
 
     // Parse designmap.xml first (main document structure) - ENHANCED
     if (extractedData["designmap.xml"]) {
-      console.log("Parsing designmap.xml...");
+      this.logger.debug("Parsing designmap.xml...");
+      this.diagnostics.setCurrentFile("designmap.xml");
       try {
         const designMapData = xmlParser.parse(extractedData["designmap.xml"]);
         this.document = designMapData.Document || designMapData;
         await this.extractDocumentInfo(this.document);
-        console.log("✅ DesignMap parsed successfully");
+        this.logger.debug("✅ DesignMap parsed successfully");
       } catch (error) {
-        console.error("Error parsing designmap.xml:", error);
+        this.logger.error("Error parsing designmap.xml:", error);
       }
     }
 
     // Parse Spreads - ENHANCED with better logging
-    console.log("\n📄 === PARSING SPREADS ===");
+    this.logger.debug("\n📄 === PARSING SPREADS ===");
     let spreadCount = 0;
     for (const [fileName, content] of Object.entries(extractedData)) {
       if (fileName.startsWith("Spreads/")) {
-        console.log("🔍 Processing spread:", fileName);
+        this.logger.debug("🔍 Processing spread:", fileName);
+        this.diagnostics.setCurrentFile(fileName);
         await this.parseSpreadFile(fileName, content, xmlParser);
         spreadCount++;
       }
     }
-    console.log(`📄 Total spreads processed: ${spreadCount}`);
+    this.logger.debug(`📄 Total spreads processed: ${spreadCount}`);
 
     // Parse Master Spreads - ENHANCED with better logging
-    console.log("\n🎨 === PARSING MASTER SPREADS ===");
+    this.logger.debug("\n🎨 === PARSING MASTER SPREADS ===");
     let masterSpreadCount = 0;
     for (const [fileName, content] of Object.entries(extractedData)) {
       if (fileName.startsWith("MasterSpreads/")) {
-        console.log(`🔍 Found master spread file: ${fileName}`);
+        this.logger.debug(`🔍 Found master spread file: ${fileName}`);
+        this.diagnostics.setCurrentFile(fileName);
         await this.parseMasterSpreadFile(fileName, content, xmlParser);
         masterSpreadCount++;
       }
     }
-    console.log(`📄 Total master spreads processed: ${masterSpreadCount}`);
+    this.logger.debug(
+      `📄 Total master spreads processed: ${masterSpreadCount}`
+    );
+    this.diagnostics.setCurrentFile(null);
 
     // ENHANCED: Robust page extraction with comprehensive error handling
-    console.log("🔍 Starting enhanced page extraction process...");
+    this.logger.debug("🔍 Starting enhanced page extraction process...");
 
     try {
       // Step 1: Try to extract pages from document structure
-      console.log("📄 Step 1: Extracting pages from document structure...");
-      console.log("🔍 DEBUG: this.document:", this.document);
-      console.log(
+      this.logger.debug(
+        "📄 Step 1: Extracting pages from document structure..."
+      );
+      this.logger.debug("🔍 DEBUG: this.document:", this.document);
+      this.logger.debug(
         "🔍 DEBUG: this.document keys:",
         this.document
           ? Object.keys(this.document)
           : "this.document is null/undefined"
       );
       this.pages = this.extractPages(this.document);
-      console.log(
+      this.logger.debug(
         `📄 Pages extracted from document: ${this.pages?.length || 0}`
       );
 
       if (this.pages && this.pages.length > 0) {
-        console.log("✅ Successfully extracted pages from document structure");
+        this.logger.debug(
+          "✅ Successfully extracted pages from document structure"
+        );
         this.pages.forEach((page, index) => {
-          console.log(
+          this.logger.debug(
             `   Page ${index + 1}: ${page.self} (${page.name || "Unnamed"})`
           );
         });
       }
     } catch (error) {
-      console.error("❌ Error extracting pages from document:", error);
+      this.logger.error("❌ Error extracting pages from document:", error);
       this.pages = [];
     }
 
     // Step 2: If no pages found, try to extract from parsed spreads
     if (!this.pages || this.pages.length === 0) {
-      console.log(
+      this.logger.debug(
         "📄 Step 2: No pages in document, extracting from parsed spreads..."
       );
-      console.log(
+      this.logger.debug(
         `   Available spreads: ${Object.keys(this.spreads || {}).length}`
       );
 
       try {
         this.pages = this.extractPagesFromSpreads();
-        console.log(
+        this.logger.debug(
           `📄 Pages extracted from spreads: ${this.pages?.length || 0}`
         );
 
         if (this.pages && this.pages.length > 0) {
-          console.log("✅ Successfully extracted pages from spreads");
+          this.logger.debug("✅ Successfully extracted pages from spreads");
           this.pages.forEach((page, index) => {
-            console.log(
+            this.logger.debug(
               `   Page ${index + 1}: ${page.self} (spread: ${
                 page.spreadParent
               })`
@@ -114,35 +134,44 @@ class DocumentParser {
           });
         }
       } catch (error) {
-        console.error("❌ Error extracting pages from spreads:", error);
+        this.logger.error("❌ Error extracting pages from spreads:", error);
         this.pages = [];
       }
     }
 
     // Step 3: Final fallback with enhanced default page creation
     if (!this.pages || this.pages.length === 0) {
-      console.log(
+      this.logger.debug(
         "📄 Step 3: Creating fallback default page with enhanced detection..."
       );
       this.pages = this.createEnhancedDefaultPage();
+      this.diagnostics.warn(
+        DiagnosticsCollector.CATEGORIES.FALLBACK,
+        "No pages found in the document; using a default page",
+        {
+          code: "default-page",
+          source: { file: "designmap.xml" },
+          details: { detectionSource: this.pages[0]?.detectionSource },
+        }
+      );
     }
 
     // Final validation and logging
     if (this.pages && this.pages.length > 0) {
-      console.log(
+      this.logger.debug(
         `✅ Page extraction completed successfully: ${this.pages.length} pages`
       );
       this.validateExtractedPages();
     } else {
-      console.error("❌ CRITICAL: No pages could be extracted or created!");
+      this.logger.error("❌ CRITICAL: No pages could be extracted or created!");
       throw new Error("Failed to extract or create any pages from document");
     }
 
-    console.log(`📄 Total pages available: ${this.pages.length}`);
+    this.logger.debug(`📄 Total pages available: ${this.pages.length}`);
   }
 
   async extractDocumentInfo(document) {
-    console.log("Extracting document information...");
+    this.logger.debug("Extracting document information...");
 
     if (!document) return;
 
@@ -166,12 +195,12 @@ class DocumentParser {
       pages: this.extractPages(document),
     };
 
-    console.log("✅ Document info extracted");
+    this.logger.debug("✅ Document info extracted");
   }
 
   extractDocumentPreferences(document) {
-    console.log("📋 Extracting document preferences...");
-    console.log("Document keys:", Object.keys(document));
+    this.logger.debug("📋 Extracting document preferences...");
+    this.logger.debug("Document keys:", Object.keys(document));
 
     const prefs = {};
 
@@ -180,17 +209,17 @@ class DocumentParser {
 
     if (document.DocumentPreference) {
       docPref = document.DocumentPreference;
-      console.log("Found DocumentPreference");
+      this.logger.debug("Found DocumentPreference");
     } else if (document.documentPreference) {
       docPref = document.documentPreference;
-      console.log("Found documentPreference (lowercase)");
+      this.logger.debug("Found documentPreference (lowercase)");
     } else if (document.Properties && document.Properties.DocumentPreference) {
       docPref = document.Properties.DocumentPreference;
-      console.log("Found DocumentPreference in Properties");
+      this.logger.debug("Found DocumentPreference in Properties");
     }
 
     if (docPref) {
-      console.log("DocumentPreference keys:", Object.keys(docPref));
+      this.logger.debug("DocumentPreference keys:", Object.keys(docPref));
       prefs.pageWidth = parseFloat(docPref["@_PageWidth"]) || 0;
       prefs.pageHeight = parseFloat(docPref["@_PageHeight"]) || 0;
       prefs.left = parseFloat(docPref["@_Left"]) || 0;
@@ -203,26 +232,26 @@ class DocumentParser {
         docPref["@_FacingPages"] === "true" ||
         docPref["@_FacingPages"] === true;
 
-      console.log("📋 Extracted document preferences:", prefs);
+      this.logger.debug("📋 Extracted document preferences:", prefs);
     } else {
-      console.log("⚠️ No DocumentPreference found in document");
+      this.logger.debug("⚠️ No DocumentPreference found in document");
     }
 
     // Also try to extract margin preferences
     let marginPref = null;
     if (document.MarginPreference) {
       marginPref = document.MarginPreference;
-      console.log("Found MarginPreference");
+      this.logger.debug("Found MarginPreference");
     } else if (document.marginPreference) {
       marginPref = document.marginPreference;
-      console.log("Found marginPreference (lowercase)");
+      this.logger.debug("Found marginPreference (lowercase)");
     } else if (document.Properties && document.Properties.MarginPreference) {
       marginPref = document.Properties.MarginPreference;
-      console.log("Found MarginPreference in Properties");
+      this.logger.debug("Found MarginPreference in Properties");
     }
 
     if (marginPref) {
-      console.log("MarginPreference keys:", Object.keys(marginPref));
+      this.logger.debug("MarginPreference keys:", Object.keys(marginPref));
       prefs.marginTop = parseFloat(marginPref["@_Top"]) || 0;
       prefs.marginBottom = parseFloat(marginPref["@_Bottom"]) || 0;
       prefs.marginLeft = parseFloat(marginPref["@_Left"]) || 0;
@@ -230,7 +259,7 @@ class DocumentParser {
       prefs.marginColumnCount = parseInt(marginPref["@_ColumnCount"]) || 1;
       prefs.marginColumnGutter = parseFloat(marginPref["@_ColumnGutter"]) || 0;
 
-      console.log("📏 Extracted margin preferences:", {
+      this.logger.debug("📏 Extracted margin preferences:", {
         top: prefs.marginTop,
         bottom: prefs.marginBottom,
         left: prefs.marginLeft,
@@ -302,9 +331,9 @@ class DocumentParser {
   }
 
   extractPages(document) {
-    console.log("Extracting pages from document...");
-    console.log("🔍 DEBUG: extractPages called with document:", document);
-    console.log(
+    this.logger.debug("Extracting pages from document...");
+    this.logger.debug("🔍 DEBUG: extractPages called with document:", document);
+    this.logger.debug(
       "🔍 DEBUG: document keys:",
       document ? Object.keys(document) : "document is null/undefined"
     );
@@ -328,7 +357,7 @@ class DocumentParser {
           backgroundColor: page["@_BackgroundColor"] || null, // NEW: Extract background color
         });
       });
-      console.log(`Found ${pages.length} pages directly in document`);
+      this.logger.debug(`Found ${pages.length} pages directly in document`);
     }
 
     // Then extract pages from spreads - ENHANCED with background colors
@@ -384,7 +413,7 @@ class DocumentParser {
 
     // If still no pages found, try to extract from spreads directly - NEW
     if (pages.length === 0 && this.spreads) {
-      console.log(
+      this.logger.debug(
         "No pages found in document, trying to extract from parsed spreads..."
       );
       Object.values(this.spreads).forEach((spread) => {
@@ -411,20 +440,20 @@ class DocumentParser {
 
     // Log background color information - NEW
     pages.forEach((page, index) => {
-      console.log(
+      this.logger.debug(
         `Page ${index + 1} (${page.self}) background color: ${
           page.backgroundColor || "None"
         }`
       );
     });
 
-    console.log(`Total pages extracted: ${pages.length}`);
+    this.logger.debug(`Total pages extracted: ${pages.length}`);
     return pages;
   }
 
   // NEW METHOD: Extract pages from already-parsed spreads
   extractPagesFromSpreads() {
-    console.log("Extracting pages from parsed spreads...");
+    this.logger.debug("Extracting pages from parsed spreads...");
     const pages = [];
 
     if (this.spreads && Object.keys(this.spreads).length > 0) {
@@ -448,13 +477,13 @@ class DocumentParser {
       });
     }
 
-    console.log(`Extracted ${pages.length} pages from spreads`);
+    this.logger.debug(`Extracted ${pages.length} pages from spreads`);
     return pages;
   }
 
   // ENHANCED: Create fallback default page with better dimension detection
   createEnhancedDefaultPage() {
-    console.log("🔧 Creating enhanced default page...");
+    this.logger.debug("🔧 Creating enhanced default page...");
 
     try {
       // Try multiple sources for page dimensions
@@ -495,7 +524,7 @@ class DocumentParser {
         }
       }
 
-      console.log(
+      this.logger.debug(
         `📐 Page dimensions detected from ${detectionSource}: ${pageWidth}x${pageHeight}`
       );
 
@@ -518,10 +547,10 @@ class DocumentParser {
         detectionSource: detectionSource,
       };
 
-      console.log("✅ Enhanced default page created successfully");
+      this.logger.debug("✅ Enhanced default page created successfully");
       return [defaultPage];
     } catch (error) {
-      console.error("❌ Error creating enhanced default page:", error);
+      this.logger.error("❌ Error creating enhanced default page:", error);
 
       // Ultra-safe fallback
       return [
@@ -549,7 +578,7 @@ class DocumentParser {
 
   // ENHANCED: Validate extracted pages for completeness
   validateExtractedPages() {
-    console.log("🔍 Validating extracted pages...");
+    this.logger.debug("🔍 Validating extracted pages...");
 
     let validPages = 0;
     let issues = [];
@@ -581,11 +610,11 @@ class DocumentParser {
     });
 
     if (issues.length > 0) {
-      console.warn("⚠️ Page validation issues found:");
-      issues.forEach((issue) => console.warn(`   ${issue}`));
+      this.logger.warn("⚠️ Page validation issues found:");
+      issues.forEach((issue) => this.logger.warn(`   ${issue}`));
     }
 
-    console.log(
+    this.logger.debug(
       `✅ Page validation completed: ${validPages}/${this.pages.length} pages valid`
     );
 
@@ -597,7 +626,7 @@ class DocumentParser {
   }
 
   async parseSpreadFile(fileName, content, xmlParser) {
-    console.log(`📄 Parsing spread: ${fileName}`);
+    this.logger.debug(`📄 Parsing spread: ${fileName}`);
 
     try {
       const parsed = xmlParser.parse(content);
@@ -606,9 +635,12 @@ class DocumentParser {
       const spreadData = parsed.Spread?.Spread || parsed.Spread || parsed;
 
       if (parsed.Spread) {
-        console.log("Spread wrapper keys:", Object.keys(parsed.Spread));
+        this.logger.debug("Spread wrapper keys:", Object.keys(parsed.Spread));
         if (parsed.Spread.Spread) {
-          console.log("Actual spread keys:", Object.keys(parsed.Spread.Spread));
+          this.logger.debug(
+            "Actual spread keys:",
+            Object.keys(parsed.Spread.Spread)
+          );
         }
       }
 
@@ -616,9 +648,9 @@ class DocumentParser {
         const pages = Array.isArray(spreadData.Page)
           ? spreadData.Page
           : [spreadData.Page];
-        console.log(`Found ${pages.length} pages in spread`);
+        this.logger.debug(`Found ${pages.length} pages in spread`);
         pages.forEach((page, index) => {
-          console.log(`Page ${index} keys:`, Object.keys(page));
+          this.logger.debug(`Page ${index} keys:`, Object.keys(page));
 
           // Look for elements in the page
           Object.keys(page).forEach((key) => {
@@ -631,15 +663,17 @@ class DocumentParser {
             ) {
               const value = page[key];
               if (Array.isArray(value)) {
-                console.log(`  Found array ${key} with ${value.length} items`);
+                this.logger.debug(
+                  `  Found array ${key} with ${value.length} items`
+                );
               } else if (typeof value === "object") {
-                console.log(`  Found object ${key}:`, Object.keys(value));
+                this.logger.debug(`  Found object ${key}:`, Object.keys(value));
               }
             }
           });
         });
       } else {
-        console.log("No Page property found in spread");
+        this.logger.debug("No Page property found in spread");
       }
 
       // Check for direct elements in spread
@@ -651,7 +685,7 @@ class DocumentParser {
           key.includes("Group") ||
           key.includes("Oval")
         ) {
-          console.log(
+          this.logger.debug(
             `Found potential elements directly in spread: ${key}`,
             Array.isArray(spreadData[key]) ? spreadData[key].length : "single"
           );
@@ -665,6 +699,7 @@ class DocumentParser {
         bindingLocation: parseFloat(spreadData["@_BindingLocation"]) || 0,
         allowPageShuffle: spreadData["@_AllowPageShuffle"] !== false,
         backgroundColor: spreadData["@_BackgroundColor"] || null, // NEW: Extract background color
+        showMasterItems: spreadData["@_ShowMasterItems"] !== false, // NEW: "Hide master items" is off
 
         // Extract page elements
         pages: this.elementParser.extractSpreadPages(spreadData),
@@ -674,23 +709,23 @@ class DocumentParser {
       };
 
       // Log background color information - NEW
-      console.log(
+      this.logger.debug(
         `Spread ${spreadId} background color: ${
           detailedSpread.backgroundColor || "None"
         }`
       );
 
       this.spreads[spreadId] = detailedSpread;
-      console.log(
+      this.logger.debug(
         `✅ Spread ${spreadId} parsed with ${detailedSpread.pageItems.length} items`
       );
     } catch (error) {
-      console.error(`❌ Error parsing spread ${fileName}:`, error.message);
+      this.logger.error(`❌ Error parsing spread ${fileName}:`, error.message);
     }
   }
 
   async parseMasterSpreadFile(fileName, content, xmlParser) {
-    console.log(`🎨 Parsing master spread: ${fileName}`);
+    this.logger.debug(`🎨 Parsing master spread: ${fileName}`);
 
     try {
       const parsed = xmlParser.parse(content);
@@ -699,20 +734,23 @@ class DocumentParser {
       const masterData =
         parsed.MasterSpread?.MasterSpread || parsed.MasterSpread || parsed;
 
-      console.log("Parsed master spread keys:", Object.keys(parsed));
+      this.logger.debug("Parsed master spread keys:", Object.keys(parsed));
       if (parsed.MasterSpread) {
-        console.log(
+        this.logger.debug(
           "MasterSpread wrapper keys:",
           Object.keys(parsed.MasterSpread)
         );
         if (parsed.MasterSpread.MasterSpread) {
-          console.log(
+          this.logger.debug(
             "Actual master spread keys:",
             Object.keys(parsed.MasterSpread.MasterSpread)
           );
         }
       }
 
+      // NEW: Remember where this master's items start in the element list
+      const firstItemIndex = this.elementParser.getElements().length;
+
       // Extract detailed master spread information - ENHANCED with background color
       const detailedMaster = {
         self: masterData["@_Self"],
@@ -732,19 +770,29 @@ class DocumentParser {
         pageItems: this.elementParser.extractPageItems(masterData),
       };
 
+      // NEW: Master items (nested ones included) are drawn on every page that
+      // applies this master instead of being assigned to a page of their own
+      this.elementParser
+        .getElements()
+        .slice(firstItemIndex)
+        .forEach((element) => {
+          element.isMasterItem = true;
+          element.masterSpreadId = detailedMaster.self;
+        });
+
       // Log background color information - NEW
-      console.log(
+      this.logger.debug(
         `Master spread ${masterId} background color: ${
           detailedMaster.backgroundColor || "None"
         }`
       );
 
       this.masterSpreads[masterId] = detailedMaster;
-      console.log(
+      this.logger.debug(
         `✅ Master spread ${masterId} parsed with ${detailedMaster.pageItems.length} items`
       );
     } catch (error) {
-      console.error(
+      this.logger.error(
         `❌ Error parsing master spread ${fileName}:`,
         error.message
       );
@@ -752,19 +800,222 @@ class DocumentParser {
   }
 
   async extractDetailedInformation() {
-    console.log("Extracting detailed information with enhanced processing...");
+    this.logger.debug(
+      "Extracting detailed information with enhanced processing..."
+    );
 
     this.pageInfo = {
       dimensions: this.calculatePageDimensions(),
       margins: this.calculateMargins(),
       bleeds: this.calculateBleeds(),
+      slugs: this.calculateSlugs(), // NEW
       guides: this.extractGuides(),
       grids: this.extractGrids(),
     };
 
+    // NEW: Resolve text frame threads before positions are finalized
+    if (this.elementParser.linkTextFrameThreads) {
+      this.elementParser.linkTextFrameThreads();
+    }
+
     this.elementParser.createElementPositionMapFixed(); // Use the fixed version
 
-    console.log("✅ Enhanced detailed information extracted");
+    // NEW: Master items and page numbers for each document page
+    this.resolveMasterPageItems();
+
+    this.logger.debug("✅ Enhanced detailed information extracted");
+  }
+
+  // NEW: Work out which master page items show on each document page
+  resolveMasterPageItems() {
+    const spreadPages = {};
+    Object.values(this.spreads).forEach((spread) => {
+      (spread.pages || []).forEach((page) => {
+        spreadPages[page.self] = { page, spread };
+      });
+    });
+
+    const mastersById = {};
+    Object.values(this.masterSpreads).forEach((master) => {
+      if (master.self) mastersById[master.self] = master;
+    });
+
+    const masterItems = this.elementParser
+      .getElements()
+      .filter((element) => element.isMasterItem);
+    const sectionMarkers = this.getSectionMarkers();
+
+    this.pages.forEach((page, pageIndex) => {
+      const source = spreadPages[page.self];
+      const spreadPage = source ? source.page : page;
+
+      page.pageNumber =
+        page.name !== "" && page.name !== undefined
+          ? String(page.name)
+          : String(pageIndex + 1);
+      page.sectionMarker = sectionMarkers[pageIndex] || "";
+      page.showMasterItems = !source || source.spread.showMasterItems;
+      page.overrideList = spreadPage.overrideList || page.overrideList || [];
+      page.masterItems = [];
+
+      if (
+        !page.showMasterItems ||
+        !this.isMasterReference(page.appliedMaster)
+      ) {
+        return;
+      }
+
+      // Master content lands on the page origin, shifted by MasterPageTransform
+      const origin = this.getPageOrigin(spreadPage);
+      const masterTransform = spreadPage.masterPageTransform || {};
+      const target = {
+        x: origin.x + (masterTransform.tx || 0),
+        y: origin.y + (masterTransform.ty || 0),
+      };
+
+      page.masterItems = this.collectMasterItems(
+        page.appliedMaster,
+        this.getPageSide(spreadPage),
+        new Set(page.overrideList),
+        target,
+        { mastersById, masterItems, visited: new Set() }
+      );
+    });
+
+    const pagesWithMasters = this.pages.filter(
+      (page) => page.masterItems.length > 0
+    ).length;
+    this.logger.debug(
+      `🎨 Master items resolved: ${masterItems.length} master items, ${pagesWithMasters} pages showing master items`
+    );
+  }
+
+  /**
+   * Collects the items of a master (and the masters it is based on) for a page
+   * @param {string} masterSelf - Self id of the applied master spread
+   * @param {string} side - "left" or "right" page of the spread
+   * @param {Set} overrides - Master item ids overridden on the page
+   * @param {object} target - Page origin the master page is placed at
+   * @param {object} context - mastersById, masterItems and visited masters
+   * @returns {Array} Master item references ({ id, masterSpreadId, offset })
+   */
+  collectMasterItems(masterSelf, side, overrides, target, context) {
+    const master = context.mastersById[masterSelf];
+    if (!master || context.visited.has(masterSelf)) return [];
+    context.visited.add(masterSelf);
+
+    const masterPage = this.selectMasterPage(master, side);
+    if (!masterPage) return [];
+
+    // Parent master items come first so they are drawn underneath
+    let items = [];
+    if (this.isMasterReference(masterPage.appliedMaster)) {
+      items = this.collectMasterItems(
+        masterPage.appliedMaster,
+        side,
+        new Set([...overrides, ...(masterPage.overrideList || [])]),
+        target,
+        context
+      );
+    }
+
+    const origin = this.getPageOrigin(masterPage);
+    const offset = {
+      x: this.toElementPixels(target.x - origin.x),
+      y: this.toElementPixels(target.y - origin.y),
+    };
+
+    context.masterItems
+      .filter(
+        (element) =>
+          element.masterSpreadId === master.self &&
+          !overrides.has(element.self) &&
+          (master.pages.length === 1 ||
+            this.isItemOnPage(element, masterPage))
+      )
+      .forEach((element) => {
+        items.push({
+          id: element.self,
+          masterSpreadId: master.self,
+          masterPageId: masterPage.self,
+          offset,
+        });
+      });
+
+    return items;
+  }
+
+  isMasterReference(appliedMaster) {
+    return !!appliedMaster && appliedMaster !== "n";
+  }
+
+  // Left/right master pages follow the side of the spread binding (x = 0)
+  selectMasterPage(master, side) {
+    const pages = master.pages || [];
+    if (pages.length <= 1) return pages[0] || null;
+
+    return (
+      pages.find((page) => this.getPageSide(page) === side) ||
+      pages[side === "left" ? 0 : pages.length - 1]
+    );
+  }
+
+  getPageOrigin(page) {
+    return {
+      x: (page.itemTransform?.tx || 0) + (page.geometricBounds?.left || 0),
+      y: (page.itemTransform?.ty || 0) + (page.geometricBounds?.top || 0),
+    };
+  }
+
+  getPageSide(page) {
+    const origin = this.getPageOrigin(page);
+    const width = page.geometricBounds?.width || 0;
+    return origin.x + width / 2 < 0 ? "left" : "right";
+  }
+
+  // Checks whether a master item overlaps the master page horizontally
+  isItemOnPage(element, page) {
+    const bounds = element.geometricBounds || {};
+    const left = (bounds.left || 0) + (element.itemTransform?.tx || 0);
+    const right = left + (bounds.width || 0);
+    const origin = this.getPageOrigin(page);
+    const pageRight = origin.x + (page.geometricBounds?.width || 0);
+
+    return right > origin.x && left < pageRight;
+  }
+
+  // Converts spread coordinates the same way element pixel positions are
+  toElementPixels(value) {
+    const converter = this.elementParser.unitConverter;
+    const units = this.elementParser.documentUnits;
+    return converter && converter.isSupportedUnit(units)
+      ? converter.toPixels(value, units)
+      : value;
+  }
+
+  // Section marker text for each page, from the designmap <Section> elements
+  getSectionMarkers() {
+    const sections = this.document?.Section
+      ? Array.isArray(this.document.Section)
+        ? this.document.Section
+        : [this.document.Section]
+      : [];
+
+    const starts = sections
+      .map((section) => ({
+        index: this.pages.findIndex(
+          (page) => page.self === section["@_PageStart"]
+        ),
+        marker:
+          section["@_Marker"] !== undefined ? String(section["@_Marker"]) : "",
+      }))
+      .filter((section) => section.index >= 0)
+      .sort((a, b) => a.index - b.index);
+
+    return this.pages.map((page, pageIndex) => {
+      const current = starts.filter((section) => section.index <= pageIndex);
+      return current.length ? current[current.length - 1].marker : "";
+    });
   }
 
   calculatePageDimensions() {
@@ -789,7 +1040,7 @@ class DocumentParser {
               units =
                 styleParserInfo.preferences.viewPreferences
                   .horizontalMeasurementUnits;
-              console.log(
+              this.logger.debug(
                 "📏 Using measurement units from StyleParser:",
                 units
               );
@@ -805,7 +1056,7 @@ class DocumentParser {
             units =
               this.documentInfo.preferences.viewPreferences
                 .horizontalMeasurementUnits;
-            console.log(
+            this.logger.debug(
               "📏 Using measurement units from local DocumentInfo:",
               units
             );
@@ -875,7 +1126,7 @@ class DocumentParser {
           .horizontalMeasurementUnits;
     }
 
-    console.log("📏 Final measurement units decision:", units);
+    this.logger.debug("📏 Final measurement units decision:", units);
 
     const dimensions = {
       width: docPrefs.pageWidth || 0,
@@ -904,7 +1155,7 @@ class DocumentParser {
   }
 
   calculateMargins() {
-    console.log("📏 Calculating margins from multiple sources...");
+    this.logger.debug("📏 Calculating margins from multiple sources...");
 
     // Try to get margins from master pages first (most reliable)
     if (this.masterSpreads && Object.keys(this.masterSpreads).length > 0) {
@@ -924,7 +1175,10 @@ class DocumentParser {
             columnGutter: firstMasterPage.marginPreference.columnGutter || 0,
           };
 
-          console.log("📏 Found margins from master page:", masterMargins);
+          this.logger.debug(
+            "📏 Found margins from master page:",
+            masterMargins
+          );
 
           // ADDED: Convert margins to pixels if UnitConverter is available
           if (this.unitConverter && this.elementParser?.documentUnits) {
@@ -966,7 +1220,7 @@ class DocumentParser {
         0,
     };
 
-    console.log("📏 Calculated margins (fallback):", margins);
+    this.logger.debug("📏 Calculated margins (fallback):", margins);
 
     // ADDED: Convert margins to pixels if UnitConverter is available
     if (this.unitConverter && this.elementParser?.documentUnits) {
@@ -983,15 +1237,53 @@ class DocumentParser {
     return margins;
   }
 
+  // FIXED: Preferences.xml is read by the StyleParser, so look there first
+  getDocumentPrefs() {
+    const styleParserInfo = this.styleParser?.getDocumentInfo?.();
+    return (
+      styleParserInfo?.preferences?.documentPreferences ||
+      this.documentInfo.preferences?.documentPreferences ||
+      {}
+    );
+  }
+
+  // ADDED: Convert bleed or slug offsets to pixels, like the margins
+  withPixelOffsets(offsets, key) {
+    if (this.unitConverter && this.elementParser?.documentUnits) {
+      return {
+        ...offsets,
+        [key]: this.unitConverter.convertObjectToPixels(
+          offsets,
+          this.elementParser.documentUnits
+        ),
+      };
+    }
+    return offsets;
+  }
+
   calculateBleeds() {
-    const docPrefs = this.documentInfo.preferences?.documentPreferences || {};
+    const docPrefs = this.getDocumentPrefs();
 
-    return {
+    const bleeds = {
       top: docPrefs.documentBleedTopOffset || 0,
       bottom: docPrefs.documentBleedBottomOffset || 0,
       inside: docPrefs.documentBleedInsideOrLeftOffset || 0,
       outside: docPrefs.documentBleedOutsideOrRightOffset || 0,
     };
+    return this.withPixelOffsets(bleeds, "pixelBleeds");
+  }
+
+  // NEW: Slug offsets, measured from the trim like the bleed
+  calculateSlugs() {
+    const docPrefs = this.getDocumentPrefs();
+
+    const slugs = {
+      top: docPrefs.slugTopOffset || 0,
+      bottom: docPrefs.slugBottomOffset || 0,
+      inside: docPrefs.slugInsideOrLeftOffset || 0,
+      outside: docPrefs.slugRightOrOutsideOffset || 0,
+    };
+    return this.withPixelOffsets(slugs, "pixelSlugs");
   }
 
   extractGuides() {
@@ -1118,7 +1410,7 @@ class DocumentParser {
         _convertedToPixels: true,
       };
 
-      console.log(
+      this.logger.debug(
         `📐 Converted page bounds: ${bounds.width}x${bounds.height} ${units} → ${convertedBounds.width}x${convertedBounds.height} px`
       );
 
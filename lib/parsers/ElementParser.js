@@ -1,17 +1,67 @@
 import path from "path";
 import IDMLUtils from "../utils/IDMLUtils.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
+
+// NEW: Page item types the parser skips (interactive and form items)
+const UNSUPPORTED_PAGE_ITEMS = [
+  "MultiStateObject",
+  "HtmlItem",
+  "FormField",
+  "CheckBox",
+  "ComboBox",
+  "ListBox",
+  "RadioButton",
+  "TextBox",
+  "SignatureField",
+  "Movie",
+  "Sound",
+  "EPSText",
+];
 
 class ElementParser {
-  constructor(unitConverter = null) {
+  constructor(
+    unitConverter = null,
+    styleParser = null,
+    diagnostics = null,
+    logger = null
+  ) {
     this.elements = [];
     this.unitConverter = unitConverter; // ADDED: Unit converter for geometric bounds
+    this.styleParser = styleParser; // NEW: Object styles for AppliedObjectStyle
     this.documentUnits = null; // Will be set by DocumentParser
+    this.textThreads = {}; // NEW: Story id → text frame ids in thread order
+    this.diagnostics = diagnostics || new DiagnosticsCollector(); // NEW
+    this.logger = (logger || Logger.getDefault()).child("ElementParser"); // NEW
+  }
+
+  /**
+   * Record page items of types the parser skips
+   * @param {Object} container - Spread, page or group XML data
+   */
+  reportUnsupportedItems(container) {
+    UNSUPPORTED_PAGE_ITEMS.forEach((itemType) => {
+      if (!container?.[itemType]) return;
+      const items = Array.isArray(container[itemType])
+        ? container[itemType]
+        : [container[itemType]];
+      items.forEach((item) => {
+        this.diagnostics.warn(
+          DiagnosticsCollector.CATEGORIES.UNSUPPORTED_ELEMENT,
+          `${itemType} page items are not supported and were skipped`,
+          {
+            code: "unsupported-page-item",
+            source: { self: item?.["@_Self"] || null, type: itemType },
+          }
+        );
+      });
+    });
   }
 
   // ADDED: Method to set document units for element conversion
   setDocumentUnits(units) {
     this.documentUnits = units;
-    console.log("📐 ElementParser: Set document units to", units);
+    this.logger.debug("📐 ElementParser: Set document units to", units);
   }
 
   // ENHANCED: Method to convert geometric bounds to pixels
@@ -36,7 +86,7 @@ class ElementParser {
       _convertedToPixels: true, // FIXED: Mark as converted
     };
 
-    console.log(
+    this.logger.debug(
       `📐 Converted element bounds: ${bounds.width}x${bounds.height} ${this.documentUnits} → ${convertedBounds.width}x${convertedBounds.height} px`
     );
 
@@ -50,7 +100,7 @@ class ElementParser {
   extractSpreadPages(spreadData) {
     const pages = [];
     if (!spreadData || !spreadData.Page) {
-      console.log("No pages found in spread data");
+      this.logger.debug("No pages found in spread data");
       return pages;
     }
 
@@ -75,10 +125,15 @@ class ElementParser {
         ),
         itemTransform: IDMLUtils.parseTransform(page["@_ItemTransform"]),
         backgroundColor: pageBackgroundColor, // NEW: Add background color
+        // NEW: Master page placement and master items overridden on this page
+        masterPageTransform: IDMLUtils.parseTransform(
+          page["@_MasterPageTransform"]
+        ),
+        overrideList: this.parseIdList(page["@_OverrideList"]),
       });
     });
 
-    console.log(`Extracted ${pages.length} pages`);
+    this.logger.debug(`Extracted ${pages.length} pages`);
     return pages;
   }
 
@@ -110,7 +165,7 @@ class ElementParser {
           : [spreadData[itemType]];
 
         items.forEach((item) => {
-          console.log(`Processing ${itemType}:`, item["@_Self"]);
+          this.logger.debug(`Processing ${itemType}:`, item["@_Self"]);
           const pageItem = this.parsePageItem(item, itemType);
           if (pageItem) {
             // Add spread ID to the element - NEW
@@ -123,6 +178,7 @@ class ElementParser {
     });
 
     this.checkForNestedContent(spreadData, pageItems);
+    this.reportUnsupportedItems(spreadData); // NEW
 
     // ALSO CHECK FOR NESTED ITEMS IN PAGES
     if (spreadData.Page) {
@@ -131,10 +187,11 @@ class ElementParser {
         : [spreadData.Page];
       pages.forEach((page) => {
         const pageId = page["@_Self"]; // NEW: Get page ID
+        this.reportUnsupportedItems(page); // NEW
 
         itemTypes.forEach((itemType) => {
           if (page[itemType]) {
-            console.log(
+            this.logger.debug(
               `Found ${itemType} in page:`,
               Array.isArray(page[itemType]) ? page[itemType].length : 1
             );
@@ -161,14 +218,14 @@ class ElementParser {
       });
     }
 
-    console.log(`Total page items extracted: ${pageItems.length}`);
+    this.logger.debug(`Total page items extracted: ${pageItems.length}`);
     return pageItems;
   }
 
   checkForNestedContent(spreadData, pageItems) {
     const spreadId = spreadData["@_Self"]; // NEW: Get spread ID
 
-    console.log("🔍 Checking for nested content in elements...");
+    this.logger.debug("🔍 Checking for nested content in elements...");
 
     // Check rectangles for placed images
     if (spreadData.Rectangle) {
@@ -189,7 +246,7 @@ class ElementParser {
           rect.Properties?.Link;
 
         if (possibleContent) {
-          console.log(
+          this.logger.debug(
             `📷 Found placed content in rectangle ${rect["@_Self"]}:`,
             possibleContent
           );
@@ -216,7 +273,8 @@ class ElementParser {
               IDMLUtils.calculateImagePositionInFrame(
                 existingRect.geometricBounds,
                 existingRect.itemTransform,
-                existingRect.placedContent
+                existingRect.placedContent,
+                existingRect.frameFittingOptions
               );
           }
         }
@@ -277,11 +335,11 @@ class ElementParser {
   extractPlacedContent(content, linkObject) {
     if (!content) return null;
 
-    console.log("🔍 Extracting placed content:", content);
+    this.logger.debug("🔍 Extracting placed content:", content);
 
     const contentItem = Array.isArray(content) ? content[0] : content;
 
-    console.log("Content item keys:", Object.keys(contentItem));
+    this.logger.debug("Content item keys:", Object.keys(contentItem));
 
     // ENHANCED: Better href handling using Link object
     let href = "";
@@ -300,10 +358,10 @@ class ElementParser {
     // Check if this is an embedded image reference
     if (href && !href.startsWith("file://") && !href.includes("/")) {
       isEmbedded = true;
-      console.log("🖼️ Detected embedded image reference:", href);
+      this.logger.debug("🖼️ Detected embedded image reference:", href);
     }
 
-    console.log("Returning placedContent:", { href, linkObject });
+    this.logger.debug("Returning placedContent:", { href, linkObject });
 
     return {
       type: contentItem["@_type"] || "Image",
@@ -312,9 +370,14 @@ class ElementParser {
       bounds: contentItem["@_GeometricBounds"]
         ? IDMLUtils.parseGeometricBounds(contentItem["@_GeometricBounds"])
         : null,
+      // FIXED: Exact values, so images rotated by 90° keep their matrix
       transform: contentItem["@_ItemTransform"]
-        ? IDMLUtils.parseTransform(contentItem["@_ItemTransform"])
+        ? IDMLUtils.parseMatrix(contentItem["@_ItemTransform"])
         : null,
+      // NEW: The image's own box, in the coordinates the transform maps
+      graphicBounds: this.parseGraphicBounds(contentItem),
+      // NEW: The Link itself, for the links report
+      link: this.parseLink(linkObject),
       actualPpi: contentItem["@_ActualPpi"],
       effectivePpi: contentItem["@_EffectivePpi"],
       imageTypeName: contentItem["@_ImageTypeName"],
@@ -326,12 +389,17 @@ class ElementParser {
     try {
       // ADD: Validation
       if (!item || !item["@_Self"]) {
-        console.warn(`Invalid ${itemType} item - missing self ID`);
+        this.logger.warn(`Invalid ${itemType} item - missing self ID`);
         return null;
       }
 
+      // NEW: Fill in whatever the item leaves to its object style
+      const objectStyleInfo = this.applyObjectStyle(item);
+      item = objectStyleInfo.item;
+
       const id = item["@_Self"];
       const name = item["@_Name"] || `${itemType}_${id}`;
+      this.diagnostics.trackItem(id); // NEW: Remember the item's file
 
       const baseItem = {
         type: itemType,
@@ -344,6 +412,8 @@ class ElementParser {
         // Conversion will happen later in createElementPositionMapFixed to avoid double conversion
         geometricBounds: IDMLUtils.calculateBoundsFromPath(item),
         itemTransform: IDMLUtils.parseTransform(item["@_ItemTransform"]),
+        // NEW: Full path (subpaths, anchors, direction points) for SVG output
+        pathGeometry: IDMLUtils.parsePathGeometry(item),
 
         itemLayer: item["@_ItemLayer"] || "",
         fillColor: item["@_FillColor"] || "Color/None",
@@ -361,6 +431,41 @@ class ElementParser {
 
         parentStory: item["@_ParentStory"] || null,
 
+        // NEW: Object style and the settings that came from it
+        appliedObjectStyle: item["@_AppliedObjectStyle"] || null,
+        objectStyleProperties: objectStyleInfo.inheritedProperties,
+        // Tints of -1 (or none) mean the full swatch
+        strokeTint:
+          parseFloat(item["@_StrokeTint"]) >= 0
+            ? parseFloat(item["@_StrokeTint"])
+            : 100,
+        fillTint:
+          parseFloat(item["@_FillTint"]) >= 0
+            ? parseFloat(item["@_FillTint"])
+            : 100,
+        // NEW: Direction of a gradient fill in degrees (counterclockwise)
+        gradientFillAngle: parseFloat(item["@_GradientFillAngle"]) || 0,
+        strokeType: item["@_StrokeType"] || null,
+        transparency: this.parseTransparency(item.TransparencySetting),
+        // NEW: Text wrap applied to text beneath this item
+        textWrap: this.parseTextWrapPreference(item.TextWrapPreference),
+
+        // NEW: Stroke drawing options used by vector paths
+        endCap: item["@_EndCap"] || "ButtEndCap",
+        endJoin: item["@_EndJoin"] || "MiterEndJoin",
+        miterLimit: parseFloat(item["@_MiterLimit"]) || 4,
+        strokeAlignment: item["@_StrokeAlignment"] || "CenterAlignment",
+        leftLineEnd: item["@_LeftLineEnd"] || "None",
+        rightLineEnd: item["@_RightLineEnd"] || "None",
+        leftArrowHeadScale: parseFloat(item["@_LeftArrowHeadScale"]) || 100,
+        rightArrowHeadScale: parseFloat(item["@_RightArrowHeadScale"]) || 100,
+
+        // NEW: Set on local copies of master items overridden on a page
+        overriddenPageItemProps:
+          item["@_OverriddenPageItemProps"] !== undefined
+            ? this.parseIdList(item["@_OverriddenPageItemProps"])
+            : null,
+
         // ENHANCED: Better content frame detection
         isContentFrame: false,
         hasPlacedContent: false,
@@ -371,6 +476,13 @@ class ElementParser {
         parentType: parentType,
       };
 
+      // NEW: Record fills and strokes that point at unknown swatches
+      if (this.styleParser?.checkColorReference) {
+        const source = { self: id, type: itemType };
+        this.styleParser.checkColorReference(baseItem.fillColor, source);
+        this.styleParser.checkColorReference(baseItem.strokeColor, source);
+      }
+
       // NEW: Determine page association
       let pageId = null;
       if (item["@_ParentPage"]) {
@@ -403,7 +515,7 @@ class ElementParser {
           baseItem.isEmbedded = embeddedInfo.hasEmbeddedContent;
           baseItem.isPlaceholder = embeddedInfo.isPlaceholder;
 
-          console.log(
+          this.logger.debug(
             `📦 Detected ${
               embeddedInfo.hasEmbeddedContent ? "embedded" : "placeholder"
             } content frame: ${baseItem.self}`
@@ -426,9 +538,19 @@ class ElementParser {
           baseItem.contentType = "Image";
 
           // Extract placed content transform for positioning
-          console.log("ITEM:", JSON.stringify(item, null, 2));
           const placedContent =
             item.Image || item.PlacedImage || item.EPS || item.PDF;
+          // NEW: Only bitmap images are shown; EPS/PDF frames stay empty
+          if (item.EPS || item.PDF) {
+            this.diagnostics.warn(
+              DiagnosticsCollector.CATEGORIES.UNSUPPORTED_ELEMENT,
+              `Placed ${item.EPS ? "EPS" : "PDF"} graphics are not rendered`,
+              {
+                code: "unsupported-placed-graphic",
+                source: { self: id, type: item.EPS ? "EPS" : "PDF" },
+              }
+            );
+          }
           const linkObject =
             placedContent && placedContent.Link ? placedContent.Link : null;
           if (placedContent) {
@@ -437,9 +559,11 @@ class ElementParser {
               linkObject
             );
           }
-          console.log("Link object for placed content:", linkObject);
+          this.logger.debug("Link object for placed content:", linkObject);
 
-          console.log(`📦 Detected external content frame: ${baseItem.self}`);
+          this.logger.debug(
+            `📦 Detected external content frame: ${baseItem.self}`
+          );
         }
       }
 
@@ -449,18 +573,39 @@ class ElementParser {
           baseItem.textFramePreferences = this.parseTextFramePreferences(
             item.TextFramePreference
           );
+          baseItem.cornerEffects = this.parseCornerEffects(item);
+          // NEW: Thread links ("n" means no previous/next frame)
+          baseItem.previousTextFrame = this.getThreadReference(
+            item["@_PreviousTextFrame"]
+          );
+          baseItem.nextTextFrame = this.getThreadReference(
+            item["@_NextTextFrame"]
+          );
           break;
         case "Rectangle":
           baseItem.cornerEffects = this.parseCornerEffects(item);
+          // NEW: Fitting options and where the image sits in the frame
+          baseItem.frameFittingOptions = this.parseFrameFittingOption(
+            item.FrameFittingOption
+          );
+          if (baseItem.placedContent) {
+            baseItem.imagePosition = IDMLUtils.calculateImagePositionInFrame(
+              baseItem.geometricBounds,
+              baseItem.itemTransform,
+              baseItem.placedContent,
+              baseItem.frameFittingOptions
+            );
+          }
           break;
         case "Group":
           baseItem.groupItems = this.extractGroupItems(item);
+          this.reportUnsupportedItems(item); // NEW
           break;
       }
 
       return baseItem;
     } catch (error) {
-      console.error(
+      this.logger.error(
         `Error parsing ${itemType} item with ID ${item["@_Self"]}:`,
         error
       );
@@ -506,26 +651,168 @@ class ElementParser {
     return embeddedIndicators;
   }
 
+  /**
+   * Merge the item's AppliedObjectStyle under the item's own settings.
+   * Only categories enabled in the style are used; local values always win.
+   * @param {Object} item - Parsed page item node
+   * @returns {Object} { item, objectStyle, inheritedProperties }
+   */
+  applyObjectStyle(item) {
+    const styleRef = item["@_AppliedObjectStyle"];
+    const objectStyles = this.styleParser?.getObjectStyles
+      ? this.styleParser.getObjectStyles()
+      : null;
+    const objectStyle =
+      styleRef && objectStyles ? objectStyles[styleRef] : null;
+
+    if (!objectStyle || !objectStyle.appliedAttributes) {
+      return { item, objectStyle: null, inheritedProperties: [] };
+    }
+
+    const inheritedProperties = [];
+    const styled = { ...item };
+    Object.entries(objectStyle.appliedAttributes).forEach(([key, value]) => {
+      if (key.startsWith("@_")) {
+        const property = key.slice(2);
+        const isLocal =
+          item[key] !== undefined || item.Properties?.[property] !== undefined;
+        if (!isLocal) {
+          styled[key] = value;
+          inheritedProperties.push(property);
+        }
+        return;
+      }
+
+      // Settings nodes (TextFramePreference, TransparencySetting) merge
+      styled[key] = IDMLUtils.mergeAttributeNodes(value, item[key]);
+      if (!item[key]) inheritedProperties.push(key);
+    });
+
+    if (inheritedProperties.length > 0) {
+      this.logger.debug(
+        `🎨 ${item["@_Self"]} inherits ${inheritedProperties.join(
+          ", "
+        )} from ${styleRef}`
+      );
+    }
+
+    return { item: styled, objectStyle, inheritedProperties };
+  }
+
+  getThreadReference(value) {
+    if (value === undefined || value === null) return null;
+    const ref = String(value);
+    return ref === "n" || ref === "" ? null : ref;
+  }
+
+  /**
+   * Order the text frames of each story along their thread chain. Stories
+   * with more than one chain flow through the chains in document order.
+   * Adds threadFrames (frame ids in flow order), threadIndex and threadLength
+   * to every TextFrame so the viewer can flow the story across them.
+   * @returns {Object} Thread chains keyed by story id
+   */
+  linkTextFrameThreads() {
+    const framesById = new Map();
+    this.elements.forEach((element) => {
+      if (element.type === "TextFrame") framesById.set(element.self, element);
+    });
+
+    const threads = {};
+    const visited = new Set();
+
+    framesById.forEach((frame) => {
+      // Only start from the head of a chain (or an orphaned frame)
+      if (visited.has(frame.self)) return;
+      if (frame.previousTextFrame && framesById.has(frame.previousTextFrame)) {
+        return;
+      }
+
+      const chain = [];
+      let current = frame;
+      while (current && !visited.has(current.self)) {
+        visited.add(current.self);
+        chain.push(current);
+        current = current.nextTextFrame
+          ? framesById.get(current.nextTextFrame)
+          : null;
+      }
+
+      // A story can have several heads (e.g. a master copy and a page
+      // copy); their chains are appended in document order
+      const storyId = frame.parentStory || frame.self;
+      threads[storyId] = [
+        ...(threads[storyId] || []),
+        ...chain.map((item) => item.self),
+      ];
+    });
+
+    // Circular chains have no head; keep them in document order
+    framesById.forEach((frame) => {
+      if (visited.has(frame.self)) return;
+      visited.add(frame.self);
+      const storyId = frame.parentStory || frame.self;
+      threads[storyId] = [...(threads[storyId] || []), frame.self];
+    });
+
+    Object.values(threads).forEach((chain) => {
+      chain.forEach((frameId, index) => {
+        const frame = framesById.get(frameId);
+        frame.threadFrames = chain;
+        frame.threadIndex = index;
+        frame.threadLength = chain.length;
+      });
+    });
+
+    const threaded = Object.values(threads).filter((chain) => chain.length > 1);
+    this.logger.debug(
+      `🧵 Linked ${threaded.length} threaded stories across ${threaded.reduce(
+        (sum, chain) => sum + chain.length,
+        0
+      )} text frames`
+    );
+
+    this.textThreads = threads;
+    return threads;
+  }
+
+  readInsetSpacing(textFramePreference) {
+    const attribute = textFramePreference["@_InsetSpacing"];
+    if (attribute !== undefined && attribute !== null) {
+      const values = String(attribute).trim().split(/\s+/);
+      // A single value applies to all four sides
+      return values.length === 1 ? new Array(4).fill(values[0]) : values;
+    }
+
+    const listItems = textFramePreference.Properties?.InsetSpacing?.ListItem;
+    if (listItems === undefined) return [];
+    return (Array.isArray(listItems) ? listItems : [listItems]).map((entry) =>
+      entry && typeof entry === "object" ? entry["#text"] : entry
+    );
+  }
+
   parseTextFramePreferences(textFramePreference) {
     if (!textFramePreference) return null;
 
     // FIXED: Convert all text frame measurements to pixels
     const rawTextColumnGutter =
       parseFloat(textFramePreference["@_TextColumnGutter"]) || 0;
+    // NEW: InsetSpacing may be an attribute or a <Properties> list
+    const insetSpacing = this.readInsetSpacing(textFramePreference);
     const rawInsetTop =
-      parseFloat(textFramePreference["@_InsetSpacing"]?.split(" ")[0]) ||
+      parseFloat(insetSpacing[0]) ||
       parseFloat(textFramePreference["@_TextInsetTop"]) ||
       0;
     const rawInsetRight =
-      parseFloat(textFramePreference["@_InsetSpacing"]?.split(" ")[1]) ||
+      parseFloat(insetSpacing[1]) ||
       parseFloat(textFramePreference["@_TextInsetRight"]) ||
       0;
     const rawInsetBottom =
-      parseFloat(textFramePreference["@_InsetSpacing"]?.split(" ")[2]) ||
+      parseFloat(insetSpacing[2]) ||
       parseFloat(textFramePreference["@_TextInsetBottom"]) ||
       0;
     const rawInsetLeft =
-      parseFloat(textFramePreference["@_InsetSpacing"]?.split(" ")[3]) ||
+      parseFloat(insetSpacing[3]) ||
       parseFloat(textFramePreference["@_TextInsetLeft"]) ||
       0;
     const rawMinimumFirstBaselineOffset =
@@ -586,7 +873,7 @@ class ElementParser {
       ignoreWrap: textFramePreference["@_IgnoreWrap"] === true,
     };
 
-    console.log(`📐 Converted text frame preferences to pixels:`, {
+    this.logger.debug(`📐 Converted text frame preferences to pixels:`, {
       textColumnGutter: `${rawTextColumnGutter} → ${preferences.textColumnGutter}px`,
       insets: `${rawInsetTop},${rawInsetRight},${rawInsetBottom},${rawInsetLeft} → ${preferences.insetSpacing.top},${preferences.insetSpacing.right},${preferences.insetSpacing.bottom},${preferences.insetSpacing.left}px`,
     });
@@ -602,6 +889,75 @@ class ElementParser {
       bottomLeftCornerRadius: parseFloat(item["@_BottomLeftCornerRadius"]) || 0,
       bottomRightCornerRadius:
         parseFloat(item["@_BottomRightCornerRadius"]) || 0,
+      // NEW: Radii only take effect when the corner option is not "None"
+      topLeftCornerOption: item["@_TopLeftCornerOption"] || "None",
+      topRightCornerOption: item["@_TopRightCornerOption"] || "None",
+      bottomLeftCornerOption: item["@_BottomLeftCornerOption"] || "None",
+      bottomRightCornerOption: item["@_BottomRightCornerOption"] || "None",
+    };
+  }
+
+  /**
+   * NEW: Read the GraphicBounds of placed content (Image, EPS, PDF)
+   * @param {Object} contentItem - Placed content node
+   * @returns {Object|null} { left, top, width, height } in points
+   */
+  parseGraphicBounds(contentItem) {
+    const bounds = contentItem?.Properties?.GraphicBounds;
+    if (!bounds) return null;
+
+    const left = parseFloat(bounds["@_Left"]) || 0;
+    const top = parseFloat(bounds["@_Top"]) || 0;
+    const right = parseFloat(bounds["@_Right"]) || 0;
+    const bottom = parseFloat(bounds["@_Bottom"]) || 0;
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * NEW: Parse the Link of placed content
+   * @param {Object} link - Link node
+   * @returns {Object|null} Its Self id, resource URI and format, the state
+   *   InDesign stored (e.g. "Normal", "LinkOutOfDate", "LinkMissing") and
+   *   the file size in bytes when the link was last updated
+   */
+  parseLink(link) {
+    const node = Array.isArray(link) ? link[0] : link;
+    if (!node) return null;
+
+    // Sizes are stored as two hex halves, "high~low"
+    const [high, low] = String(node["@_LinkResourceSize"] ?? "").split("~");
+    const size =
+      low !== undefined
+        ? parseInt(high, 16) * 2 ** 32 + parseInt(low, 16)
+        : Number.NaN;
+
+    return {
+      self: node["@_Self"] || null,
+      uri: node["@_LinkResourceURI"] || "",
+      format: node["@_LinkResourceFormat"] || null,
+      storedState: node["@_StoredState"] || null,
+      size: Number.isFinite(size) ? size : null,
+    };
+  }
+
+  /**
+   * NEW: Parse a frame's FrameFittingOption
+   * @param {Object} fittingOption - FrameFittingOption node
+   * @returns {Object|null} Crop amounts (points), the fitting applied when
+   *   content is placed in the empty frame, its reference point and whether
+   *   the content is refitted when the frame is resized
+   */
+  parseFrameFittingOption(fittingOption) {
+    if (!fittingOption) return null;
+
+    return {
+      leftCrop: parseFloat(fittingOption["@_LeftCrop"]) || 0,
+      topCrop: parseFloat(fittingOption["@_TopCrop"]) || 0,
+      rightCrop: parseFloat(fittingOption["@_RightCrop"]) || 0,
+      bottomCrop: parseFloat(fittingOption["@_BottomCrop"]) || 0,
+      fittingOnEmptyFrame: fittingOption["@_FittingOnEmptyFrame"] || "None",
+      fittingAlignment: fittingOption["@_FittingAlignment"] || "CenterAnchor",
+      autoFit: fittingOption["@_AutoFit"] === true,
     };
   }
 
@@ -642,12 +998,68 @@ class ElementParser {
               100,
           }
         : null,
+      // NEW: Drop shadow effect (Mode="None" means off)
+      dropShadow:
+        transparencySettings.DropShadowSetting &&
+        transparencySettings.DropShadowSetting["@_Mode"] === "Drop"
+          ? {
+              color:
+                transparencySettings.DropShadowSetting["@_EffectColor"] ||
+                "Color/Black",
+              opacity:
+                parseFloat(
+                  transparencySettings.DropShadowSetting["@_Opacity"]
+                ) || 75,
+              xOffset:
+                parseFloat(
+                  transparencySettings.DropShadowSetting["@_XOffset"]
+                ) || 0,
+              yOffset:
+                parseFloat(
+                  transparencySettings.DropShadowSetting["@_YOffset"]
+                ) || 0,
+              size:
+                parseFloat(transparencySettings.DropShadowSetting["@_Size"]) ||
+                0,
+            }
+          : null,
+    };
+  }
+
+  /**
+   * Parse an item's text wrap settings
+   * @param {Object} textWrapPreference - The TextWrapPreference node
+   * @returns {Object|null} Wrap mode, side, inversion and offsets (points),
+   *   or null when the item does not wrap text
+   */
+  parseTextWrapPreference(textWrapPreference) {
+    if (!textWrapPreference) return null;
+
+    const mode = textWrapPreference["@_TextWrapMode"] || "None";
+    if (mode === "None") return null;
+
+    // Offsets stay in points like strokeWeight; the viewer scales them
+    const offset = textWrapPreference.Properties?.TextWrapOffset || {};
+    return {
+      mode,
+      side: textWrapPreference["@_TextWrapSide"] || "BothSides",
+      inverse: textWrapPreference["@_Inverse"] === true,
+      applyToMasterPageOnly:
+        textWrapPreference["@_ApplyToMasterPageOnly"] === true,
+      offsets: {
+        top: parseFloat(offset["@_Top"]) || 0,
+        left: parseFloat(offset["@_Left"]) || 0,
+        bottom: parseFloat(offset["@_Bottom"]) || 0,
+        right: parseFloat(offset["@_Right"]) || 0,
+      },
+      contourType:
+        textWrapPreference.ContourOption?.["@_ContourType"] || null,
     };
   }
 
   createElementPositionMapFixed() {
-    console.log("Creating PIXEL-PERFECT element position map...");
-    console.log(
+    this.logger.debug("Creating PIXEL-PERFECT element position map...");
+    this.logger.debug(
       `📐 Unit conversion status: converter=${!!this
         .unitConverter}, documentUnits=${this.documentUnits}`
     );
@@ -656,22 +1068,22 @@ class ElementParser {
     const coordinateOffset = IDMLUtils.calculateCoordinateOffsetPrecise(
       this.elements
     );
-    console.log(
+    this.logger.debug(
       "📐 Calculated PRECISE coordinate offset for pixel-perfect positioning:",
       coordinateOffset
     );
 
     this.elements.forEach((element, index) => {
-      console.log(
+      this.logger.debug(
         `📐 ELEMENT ${index + 1} [${element.type}]: Coordinate transformation`
       );
-      console.log(
+      this.logger.debug(
         `   📍 Original Bounds: left=${element.geometricBounds.left}, top=${element.geometricBounds.top}, width=${element.geometricBounds.width}, height=${element.geometricBounds.height}`
       );
-      console.log(
+      this.logger.debug(
         `   📍 Transform: tx=${element.itemTransform.tx}, ty=${element.itemTransform.ty}`
       );
-      console.log(
+      this.logger.debug(
         `   📍 Coordinate offset: x=${coordinateOffset.x}, y=${coordinateOffset.y}`
       );
 
@@ -684,7 +1096,9 @@ class ElementParser {
         this.unitConverter.isSupportedUnit(this.documentUnits) &&
         !element.geometricBounds._convertedToPixels // FIXED: Check if already converted
       ) {
-        console.log("   📐 Converting geometric bounds to pixels FIRST...");
+        this.logger.debug(
+          "   📐 Converting geometric bounds to pixels FIRST..."
+        );
 
         // Convert geometric bounds to pixels
         convertedBounds = this.unitConverter.convertObjectToPixels(
@@ -705,8 +1119,8 @@ class ElementParser {
           ),
         };
 
-        console.log(`   📐 Converted bounds:`, convertedBounds);
-        console.log(`   📐 Converted transform:`, {
+        this.logger.debug(`   📐 Converted bounds:`, convertedBounds);
+        this.logger.debug(`   📐 Converted transform:`, {
           tx: convertedTransform.tx,
           ty: convertedTransform.ty,
         });
@@ -736,10 +1150,10 @@ class ElementParser {
       const webX = adjustedBounds.left + convertedTransform.tx;
       const webY = adjustedBounds.top + convertedTransform.ty;
 
-      console.log(
+      this.logger.debug(
         `   📍 Adjusted bounds (with offset): left=${adjustedBounds.left}, top=${adjustedBounds.top}`
       );
-      console.log(
+      this.logger.debug(
         `   📍 Web coordinates (after transform): (${webX}, ${webY}) ${convertedBounds.width}x${convertedBounds.height}`
       );
 
@@ -772,7 +1186,15 @@ class ElementParser {
         _dpi: this.unitConverter?.dpi || 96,
       };
 
-      console.log(`   📐 FINAL PIXEL POSITION: {
+      // NEW: Image placement stays in points; record the scale frames use
+      if (element.imagePosition) {
+        element.imagePosition.pixelScale =
+          convertedBounds !== element.geometricBounds
+            ? this.unitConverter.getPixelsPerUnit(this.documentUnits)
+            : 1;
+      }
+
+      this.logger.debug(`   📐 FINAL PIXEL POSITION: {
   x: ${webX},
   y: ${webY},
   width: ${convertedBounds.width},
@@ -783,13 +1205,13 @@ class ElementParser {
   _dpi: ${this.unitConverter?.dpi || 96}
 }`);
 
-      console.log(
+      this.logger.debug(
         `   ✅ FINAL POSITIONS (after coordinate system transformation):`
       );
-      console.log(
+      this.logger.debug(
         `      Position: (${element.position.x}, ${element.position.y}) ${element.position.width}x${element.position.height}`
       );
-      console.log(
+      this.logger.debug(
         `      PixelPosition: (${element.pixelPosition.x}, ${element.pixelPosition.y}) ${element.pixelPosition.width}x${element.pixelPosition.height}`
       );
 
@@ -797,7 +1219,9 @@ class ElementParser {
       this.validatePixelPerfectPositioning(element, index + 1);
     });
 
-    console.log("✅ PIXEL-PERFECT element position map created successfully!");
+    this.logger.debug(
+      "✅ PIXEL-PERFECT element position map created successfully!"
+    );
   }
 
   /**
@@ -806,7 +1230,9 @@ class ElementParser {
    * @param {number} elementNumber - Element number for logging
    */
   validatePixelPerfectPositioning(element, elementNumber) {
-    console.log(`🔍 PIXEL-PERFECT VALIDATION - Element ${elementNumber}:`);
+    this.logger.debug(
+      `🔍 PIXEL-PERFECT VALIDATION - Element ${elementNumber}:`
+    );
 
     const position = element.pixelPosition || element.position;
 
@@ -815,30 +1241,30 @@ class ElementParser {
     const hasSubPixelY = position.y % 1 !== 0;
 
     if (hasSubPixelX || hasSubPixelY) {
-      console.log(`   ⚠️ Sub-pixel positioning detected:`);
+      this.logger.debug(`   ⚠️ Sub-pixel positioning detected:`);
       if (hasSubPixelX)
-        console.log(
+        this.logger.debug(
           `      X: ${position.x} (fractional: ${(position.x % 1).toFixed(3)})`
         );
       if (hasSubPixelY)
-        console.log(
+        this.logger.debug(
           `      Y: ${position.y} (fractional: ${(position.y % 1).toFixed(3)})`
         );
-      console.log(
+      this.logger.debug(
         `   📝 Note: Sub-pixel positioning is normal for precise layouts`
       );
     } else {
-      console.log(
+      this.logger.debug(
         `   ✅ Perfect pixel alignment: X=${position.x}, Y=${position.y}`
       );
     }
 
     // Check for negative coordinates (should be resolved by offset)
     if (position.x < 0 || position.y < 0) {
-      console.warn(
+      this.logger.warn(
         `   🚨 NEGATIVE COORDINATES DETECTED: X=${position.x}, Y=${position.y}`
       );
-      console.warn(
+      this.logger.warn(
         `   🚨 This indicates coordinate offset calculation may need adjustment`
       );
     }
@@ -851,24 +1277,24 @@ class ElementParser {
       position.y < 10000;
 
     if (!isReasonable) {
-      console.warn(
+      this.logger.warn(
         `   🚨 UNREASONABLE POSITIONING: X=${position.x}, Y=${position.y}`
       );
-      console.warn(
+      this.logger.warn(
         `   🚨 Coordinates are outside expected range for web display`
       );
     } else {
-      console.log(`   ✅ Positioning within reasonable bounds`);
+      this.logger.debug(`   ✅ Positioning within reasonable bounds`);
     }
 
     // Validate conversion consistency
     if (element.pixelPosition && element.position._conversionInfo) {
       const info = element.position._conversionInfo;
-      console.log(`   📊 Conversion validation:`);
-      console.log(`      Units converted: ${info.unitsConverted}`);
-      console.log(`      Original units: ${info.originalUnits}`);
-      console.log(`      DPI: ${info.dpi}`);
-      console.log(
+      this.logger.debug(`   📊 Conversion validation:`);
+      this.logger.debug(`      Units converted: ${info.unitsConverted}`);
+      this.logger.debug(`      Original units: ${info.originalUnits}`);
+      this.logger.debug(`      DPI: ${info.dpi}`);
+      this.logger.debug(
         `      Coordinate offset applied: X=${info.coordinateOffset.x}, Y=${info.coordinateOffset.y}`
       );
     }
@@ -896,7 +1322,7 @@ class ElementParser {
               page.MarginPreference["@_ColumnDirection"] || "Horizontal",
             columnsPositions: page.MarginPreference["@_ColumnsPositions"] || "",
           };
-          console.log(
+          this.logger.debug(
             "📏 Extracted margin preference from master page:",
             marginPreference
           );
@@ -913,6 +1339,7 @@ class ElementParser {
           masterPageTransform: IDMLUtils.parseTransform(
             page["@_MasterPageTransform"]
           ),
+          overrideList: this.parseIdList(page["@_OverrideList"]), // NEW
           marginPreference: marginPreference,
         });
       });
@@ -920,11 +1347,21 @@ class ElementParser {
 
     return pages;
   }
+  /**
+   * Splits a space separated IDML id list attribute (e.g. OverrideList)
+   * @param {string} value - The attribute value
+   * @returns {Array} The ids
+   */
+  parseIdList(value) {
+    if (value === undefined || value === null) return [];
+    return String(value).split(/\s+/).filter(Boolean);
+  }
   getElements() {
     return this.elements;
   }
   clearElements() {
     this.elements = [];
+    this.textThreads = {};
   }
   getElementIndex(element) {
     return this.elements.findIndex((el) => el.self === element.self);
@@ -1,13 +1,33 @@
 import path from "path";
 import IDMLUtils from "../utils/IDMLUtils.js";
+import SpecialCharacters from "../utils/SpecialCharacters.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
+
+// NEW: Story elements that are not laid out as InDesign does
+const UNSUPPORTED_STORY_ELEMENTS = {
+  Footnote: "Footnotes are not laid out at the foot of the frame",
+  Note: "Editorial notes are not supported",
+  HiddenText: "Hidden (conditional) text is not supported",
+  Change: "Tracked changes are not supported; text is shown as stored",
+};
 
 class StoryParser {
-  constructor(styleParser, unitConverter = null) {
+  constructor(
+    styleParser,
+    unitConverter = null,
+    elementParser = null,
+    diagnostics = null,
+    logger = null
+  ) {
     this.styleParser = styleParser;
     this.unitConverter = unitConverter; // ADDED: Unit converter for font sizes and spacing
+    this.elementParser = elementParser; // NEW: Parses anchored page items
     this.documentUnits = null; // Will be set from document units
     this.stories = {};
     this.debug = false;
+    this.diagnostics = diagnostics || new DiagnosticsCollector(); // NEW
+    this.logger = (logger || Logger.getDefault()).child("StoryParser"); // NEW
   }
 
   // Helper function to add content while avoiding unnecessary consecutive newlines
@@ -36,7 +56,7 @@ class StoryParser {
   // ADDED: Method to set document units for font size conversion
   setDocumentUnits(units) {
     this.documentUnits = units;
-    console.log("📐 StoryParser: Set document units to", units);
+    this.logger.debug("📐 StoryParser: Set document units to", units);
   }
 
   // ENHANCED: Method to convert font size to pixels using document units
@@ -56,7 +76,7 @@ class StoryParser {
 
     if (this.unitConverter.isSupportedUnit(fontUnits)) {
       const pixelSize = this.unitConverter.toPixels(fontSize, fontUnits);
-      console.log(
+      this.logger.debug(
         `📐 Converted font size in story: ${fontSize} ${fontUnits} → ${pixelSize} px`
       );
       return pixelSize;
@@ -66,9 +86,21 @@ class StoryParser {
   }
 
   async parseStoryFile(fileName, content, xmlParser) {
-    console.log(`📝 Parsing story: ${fileName}`);
+    this.logger.debug(`📝 Parsing story: ${fileName}`);
 
     try {
+      // NEW: Page numbers/section markers become placeholder characters and
+      // text variables their last result, since the XML parser drops both
+      content = SpecialCharacters.replaceTextVariables(
+        SpecialCharacters.replaceInstructions(content)
+      );
+      this.reportUnsupportedContent(content);
+
+      // NEW: Anchored page items are parsed on their own; the text keeps a
+      // placeholder character where each one is anchored
+      const anchored = SpecialCharacters.replaceAnchoredObjects(content);
+      content = anchored.xml;
+
       const parsed = xmlParser.parse(content);
       const storyId = path.basename(fileName, ".xml");
 
@@ -77,12 +109,10 @@ class StoryParser {
       // CRITICAL FIX: Parse raw XML to preserve document order
       this.parseRawXMLForDocumentOrder(content, fileName);
 
-      // ADD THESE SIMPLE LOGS FIRST:
-      console.log("=== SIMPLE DEBUG TEST ===");
-      console.log("Story file name:", fileName);
-      console.log("Parsed story keys:", Object.keys(storyData));
-      console.log(
-        "Raw story data sample:",
+      this.logger.debug("Story file name:", fileName);
+      this.logger.debug("Parsed story keys:", Object.keys(storyData));
+      // FIXED: Only serialize the story when trace logging is on
+      this.logger.trace("Raw story data sample:", () =>
         JSON.stringify(storyData, null, 2).substring(0, 500)
       );
 
@@ -99,19 +129,71 @@ class StoryParser {
         textFormatting: this.extractTextFormatting(storyData),
       };
 
+      detailedStory.content.anchoredObjects = anchored.objects
+        .map((objectXml, index) =>
+          this.parseAnchoredObject(xmlParser.parse(objectXml), index)
+        )
+        .filter(Boolean);
+      if (anchored.objects.length > 0) {
+        this.logger.debug(
+          `⚓ Parsed ${detailedStory.content.anchoredObjects.length} anchored objects in ${fileName}`
+        );
+      }
+
       const cleanStoryId = storyId.replace("Story_", "");
       this.stories[cleanStoryId] = detailedStory;
     } catch (error) {
-      console.error(`❌ Error parsing story ${fileName}:`, error.message);
+      this.logger.error(`❌ Error parsing story ${fileName}:`, error.message);
     }
   }
 
+  /**
+   * Record story elements that are skipped or only approximated
+   * @param {string} xml - Story XML
+   */
+  reportUnsupportedContent(xml) {
+    Object.entries(UNSUPPORTED_STORY_ELEMENTS).forEach(([type, message]) => {
+      const count = (xml.match(new RegExp(`<${type}[\\s/>]`, "g")) || [])
+        .length;
+      if (count === 0) return;
+      this.diagnostics.warn(
+        DiagnosticsCollector.CATEGORIES.UNSUPPORTED_ELEMENT,
+        message,
+        {
+          code: "unsupported-story-element",
+          source: { type },
+          details: { count },
+        }
+      );
+    });
+  }
+
   // Replace the existing extractDetailedStoryContent method with this corrected version
   extractDetailedStoryContent(storyData, fileName = "unknown") {
     let content = "";
     let formattedContent = [];
     let textColor = null;
     let debugInfo = [];
+    let tables = []; // NEW: Tables anchored in this story
+
+    // NEW: Tables get their own model and a marker in formattedContent,
+    // so cell text is not flattened into the story text
+    const appendTables = (tableNodes) => {
+      const list = Array.isArray(tableNodes) ? tableNodes : [tableNodes];
+      list.forEach((tableNode) => {
+        if (!tableNode || typeof tableNode !== "object") return;
+        const table = this.parseTable(tableNode, fileName);
+        tables.push(table);
+        formattedContent.push({
+          text: "",
+          formatting: {
+            isTable: true,
+            tableIndex: tables.length - 1,
+            tableId: table.self,
+          },
+        });
+      });
+    };
 
     const extractTextRecursively = (element, depth = 0, context = {}) => {
       if (typeof element === "string") {
@@ -132,7 +214,16 @@ class StoryParser {
             context
           );
 
-          mergedRanges.forEach((range, rangeIndex) => {
+          mergedRanges.forEach((originalRange, rangeIndex) => {
+            // NEW: Pull tables out of the range before its text is processed
+            let range = originalRange;
+            let rangeTables = null;
+            if (originalRange && originalRange.Table) {
+              const { Table, ...rest } = originalRange;
+              range = rest;
+              rangeTables = Table;
+            }
+
             // Extract direct font references from the XML range
             const directFontRef =
               range["@_AppliedFont"] ||
@@ -147,12 +238,12 @@ class StoryParser {
             if (range["@_PointSize"]) {
               originalFontSize = parseFloat(range["@_PointSize"]);
               fontSize = this.convertFontSizeToPixels(originalFontSize);
-              console.log(
+              this.logger.debug(
                 `📐 Direct font size: ${originalFontSize} → ${fontSize} px`
               );
             } else {
               // FIXED: Don't set fontSize to null - let StyleParser resolve from styles
-              console.log(
+              this.logger.debug(
                 `📐 No direct font size, will resolve from paragraph/character styles`
               );
             }
@@ -178,6 +269,11 @@ class StoryParser {
 
             const resolvedFormatting =
               this.styleParser.resolveStyleFormatting(formatting);
+            // NEW: Record text colors that point at unknown swatches
+            this.styleParser.checkColorReference?.(
+              resolvedFormatting.fillColor,
+              { self: storyData["@_Self"] || null, type: "Story" }
+            );
 
             // CRITICAL FIX: Process Content and Br elements in document order
             // This handles interleaved <Content> and <Br> elements correctly
@@ -193,6 +289,10 @@ class StoryParser {
               fileName
             );
 
+            if (rangeTables) {
+              appendTables(rangeTables);
+            }
+
             // CRITICAL FIX: Add space between character style ranges if needed
             if (rangeIndex < mergedRanges.length - 1) {
               const nextRange = mergedRanges[rangeIndex + 1];
@@ -214,7 +314,7 @@ class StoryParser {
                 : nextRange._mergedContent || "";
               const nextRangeStartsWithSpace = /^\s/.test(nextContent); // Any whitespace at start
 
-              console.log(`🔧 Space insertion check [${rangeIndex}]:`, {
+              this.logger.debug(`🔧 Space insertion check [${rangeIndex}]:`, {
                 currentRangeContent: currentRangeContent,
                 nextContent: nextContent,
                 currentText: currentText,
@@ -233,6 +333,9 @@ class StoryParser {
                 nextContent.trim() === "" ||
                 // IMPROVED: Skip if next range is marked to skip space insertion
                 nextRange._skipSpaceInsertion ||
+                // NEW: Anchored objects keep the spacing typed around them
+                SpecialCharacters.hasAnchoredObjects(currentText.slice(-1)) ||
+                SpecialCharacters.hasAnchoredObjects(nextContent.charAt(0)) ||
                 // Don't add space if current text ends with punctuation that should connect to next word
                 /[.,;:!?)]$/.test(currentText.trim()) ||
                 // Don't add space if next text starts with punctuation that should connect to previous word
@@ -253,7 +356,7 @@ class StoryParser {
                   range["@_PointSize"] === nextRange["@_PointSize"] &&
                   range["@_AppliedFont"] === nextRange["@_AppliedFont"]);
 
-              console.log(`🔧 Should skip space: ${shouldSkipSpace}`);
+              this.logger.debug(`🔧 Should skip space: ${shouldSkipSpace}`);
 
               if (!shouldSkipSpace) {
                 const currentStyle = range["@_AppliedCharacterStyle"] || "none";
@@ -496,14 +599,14 @@ class StoryParser {
           const brElements = Array.isArray(element.Br)
             ? element.Br
             : [element.Br];
-          console.log(
+          this.logger.debug(
             `🔧 Processing ${brElements.length} direct Br elements:`,
             brElements
           );
 
           brElements.forEach((br, index) => {
             const lineBreakText = "\n";
-            console.log(
+            this.logger.debug(
               `🔧 Direct Br element ${index + 1}/${
                 brElements.length
               } creates: ${JSON.stringify(lineBreakText)}`
@@ -526,12 +629,17 @@ class StoryParser {
             });
           });
 
-          console.log(
+          this.logger.debug(
             `🔧 After processing ${brElements.length} direct Br elements, content ends with:`,
             JSON.stringify(content.slice(-10))
           );
         }
 
+        // NEW: Tables placed directly in a paragraph
+        if (element.Table) {
+          appendTables(element.Table);
+        }
+
         // Continue with other nested elements
         Object.entries(element).forEach(([key, value]) => {
           if (
@@ -539,7 +647,8 @@ class StoryParser {
             key !== "Content" &&
             key !== "Br" &&
             key !== "CharacterStyleRange" &&
-            key !== "ParagraphStyleRange"
+            key !== "ParagraphStyleRange" &&
+            key !== "Table"
           ) {
             if (Array.isArray(value)) {
               value.forEach((item) =>
@@ -576,16 +685,263 @@ class StoryParser {
 
     return {
       plainText: processedContent,
-      formattedContent: formattedContent.filter(
-        (item) => item.text && item.text.length > 0
+      formattedContent: this.splitAnchoredObjectSegments(
+        formattedContent.filter(
+          (item) =>
+            (item.text && item.text.length > 0) || item.formatting?.isTable
+        )
       ),
       wordCount: IDMLUtils.countWords(processedContent.replace(/\n/g, " ")),
       characterCount: processedContent.length,
       textColor: textColor,
       lineBreakInfo: lineBreakInfo,
+      tables: tables,
+    };
+  }
+
+  /**
+   * Give each anchored object placeholder a formattedContent segment of its
+   * own, marked with the index of the object in story.anchoredObjects
+   * @param {Array} segments - Formatted content segments
+   * @returns {Array} Segments with anchored object markers split out
+   */
+  splitAnchoredObjectSegments(segments) {
+    const result = [];
+    segments.forEach((segment) => {
+      if (
+        segment.formatting?.isBreak ||
+        !SpecialCharacters.hasAnchoredObjects(segment.text)
+      ) {
+        result.push(segment);
+        return;
+      }
+
+      SpecialCharacters.splitAnchoredObjects(segment.text).forEach((part) => {
+        const index = SpecialCharacters.getAnchoredObjectIndex(part);
+        result.push(
+          index === -1
+            ? { ...segment, text: part }
+            : {
+                text: part,
+                formatting: {
+                  ...segment.formatting,
+                  isAnchoredObject: true,
+                  anchoredObjectIndex: index,
+                },
+              }
+        );
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Parse a page item anchored in a story with its AnchoredObjectSetting.
+   * Sizes stay in points, like the rest of the story data.
+   * @param {Object} parsed - Parsed XML of the anchored item
+   * @param {number} index - Index of the item's placeholder in the story
+   * @returns {Object|null} Anchored object model
+   */
+  parseAnchoredObject(parsed, index) {
+    const entry = Object.entries(parsed || {}).find(
+      ([key, value]) =>
+        !key.startsWith("?") && value && typeof value === "object"
+    );
+    if (!entry) return null;
+
+    const [type, rawNode] = entry;
+    const styled = this.elementParser
+      ? this.elementParser.applyObjectStyle(rawNode).item
+      : rawNode;
+    const item = this.elementParser
+      ? this.elementParser.parsePageItem(rawNode, type, null, "Story")
+      : null;
+    // Group bounds come from its items, placed by their own transforms
+    const childBounds = (item?.groupItems || []).map((child) => {
+      const childBox = child.geometricBounds || {};
+      const { tx = 0, ty = 0 } = child.itemTransform || {};
+      return {
+        left: (childBox.left || 0) + tx,
+        top: (childBox.top || 0) + ty,
+        width: Math.abs(childBox.width) || 0,
+        height: Math.abs(childBox.height) || 0,
+      };
+    });
+    let bounds = item?.geometricBounds;
+    if (childBounds.length > 0) {
+      const left = Math.min(...childBounds.map((box) => box.left));
+      const top = Math.min(...childBounds.map((box) => box.top));
+      const right = Math.max(...childBounds.map((box) => box.left + box.width));
+      const bottom = Math.max(
+        ...childBounds.map((box) => box.top + box.height)
+      );
+      bounds = { left, top, width: right - left, height: bottom - top };
+    }
+    if (!bounds) bounds = IDMLUtils.calculateBoundsFromPath(styled);
+    const setting = styled.AnchoredObjectSetting || {};
+    const readNumber = (name) => parseFloat(setting[`@_${name}`]) || 0;
+
+    return {
+      ...(item || { type, self: rawNode["@_Self"] }),
+      index,
+      isAnchoredObject: true,
+      // InlinePosition, AboveLine or Anchored (custom)
+      anchoredPosition: setting["@_AnchoredPosition"] || "InlinePosition",
+      anchorSettings: {
+        anchorPoint: setting["@_AnchorPoint"] || "BottomRightAnchor",
+        horizontalAlignment: setting["@_HorizontalAlignment"] || "LeftAlign",
+        horizontalReferencePoint:
+          setting["@_HorizontalReferencePoint"] || "TextFrame",
+        verticalAlignment: setting["@_VerticalAlignment"] || "BottomAlign",
+        verticalReferencePoint:
+          setting["@_VerticalReferencePoint"] || "LineBaseline",
+        anchorXOffset: readNumber("AnchorXoffset"),
+        anchorYOffset: readNumber("AnchorYoffset"),
+        anchorSpaceAbove: readNumber("AnchorSpaceAbove"),
+        spineRelative: setting["@_SpineRelative"] === true,
+        lockPosition: setting["@_LockPosition"] === true,
+      },
+      width: Math.abs(bounds.width) || 0,
+      height: Math.abs(bounds.height) || 0,
+      // Group items with their box inside the group (points)
+      ...(item?.groupItems && {
+        groupItems: item.groupItems.map((child, childIndex) => ({
+          ...child,
+          offsetLeft: childBounds[childIndex].left - bounds.left,
+          offsetTop: childBounds[childIndex].top - bounds.top,
+          width: childBounds[childIndex].width,
+          height: childBounds[childIndex].height,
+        })),
+      }),
     };
   }
 
+  /**
+   * Parse an IDML <Table> into rows, columns and cells.
+   * Measurements stay in points, like the rest of the story data.
+   * @param {Object} tableData - Parsed <Table> node
+   * @param {string} fileName - Story file name (for logging)
+   * @returns {Object} Table model
+   */
+  parseTable(tableData, fileName = "unknown") {
+    const toArray = (value) =>
+      value === undefined ? [] : Array.isArray(value) ? value : [value];
+    const readAttr = (node, name) => {
+      if (node[`@_${name}`] !== undefined) return node[`@_${name}`];
+      const prop = node.Properties?.[name];
+      if (prop === undefined || prop === null) return undefined;
+      return typeof prop === "object" ? prop["#text"] : prop;
+    };
+    const readNumber = (node, name, fallback = null) => {
+      const value = parseFloat(readAttr(node, name));
+      return isNaN(value) ? fallback : value;
+    };
+    // Tints of -1 mean "use the swatch as is"
+    const readTint = (node, name) => {
+      const tint = readNumber(node, name, -1);
+      return tint < 0 ? 100 : tint;
+    };
+
+    const headerRowCount = readNumber(tableData, "HeaderRowCount", 0);
+    const footerRowCount = readNumber(tableData, "FooterRowCount", 0);
+    const bodyRowCount = readNumber(tableData, "BodyRowCount", 0);
+
+    const rowNodes = toArray(tableData.Row);
+    const totalRows = Math.max(
+      rowNodes.length,
+      headerRowCount + bodyRowCount + footerRowCount
+    );
+
+    const rows = rowNodes.map((row, i) => {
+      const index = readNumber(row, "Name", i);
+      const minimumHeight = readNumber(row, "MinimumHeight", 0);
+      return {
+        self: row["@_Self"] || null,
+        index,
+        height: Math.max(
+          readNumber(row, "SingleRowHeight", minimumHeight),
+          minimumHeight
+        ),
+        minimumHeight,
+        autoGrow: readAttr(row, "AutoGrow") !== false,
+        isHeader: index < headerRowCount,
+        isFooter: index >= totalRows - footerRowCount,
+      };
+    });
+
+    const columns = toArray(tableData.Column).map((column, i) => ({
+      self: column["@_Self"] || null,
+      index: readNumber(column, "Name", i),
+      width: readNumber(column, "SingleColumnWidth", 0),
+    }));
+
+    const readStroke = (cell, edge) => ({
+      weight: readNumber(cell, `${edge}EdgeStrokeWeight`, 1),
+      color: readAttr(cell, `${edge}EdgeStrokeColor`) || "Color/Black",
+      type:
+        readAttr(cell, `${edge}EdgeStrokeType`) || "StrokeStyle/$ID/Solid",
+      tint: readTint(cell, `${edge}EdgeStrokeTint`),
+    });
+
+    const cells = toArray(tableData.Cell).map((cell) => {
+      // Cell names are "column:row"
+      const [column, row] = String(readAttr(cell, "Name") || "0:0")
+        .split(":")
+        .map((part) => parseInt(part, 10) || 0);
+      const cellContent = this.extractDetailedStoryContent(cell, fileName);
+
+      return {
+        self: cell["@_Self"] || null,
+        name: `${column}:${row}`,
+        column,
+        row,
+        rowSpan: readNumber(cell, "RowSpan", 1),
+        columnSpan: readNumber(cell, "ColumnSpan", 1),
+        appliedCellStyle: readAttr(cell, "AppliedCellStyle") || null,
+        fillColor: readAttr(cell, "FillColor") || null,
+        fillTint: readTint(cell, "FillTint"),
+        insets: {
+          top: readNumber(cell, "TopInset", 4),
+          left: readNumber(cell, "LeftInset", 4),
+          bottom: readNumber(cell, "BottomInset", 4),
+          right: readNumber(cell, "RightInset", 4),
+        },
+        verticalJustification:
+          readAttr(cell, "VerticalJustification") || "TopAlign",
+        strokes: {
+          top: readStroke(cell, "Top"),
+          left: readStroke(cell, "Left"),
+          bottom: readStroke(cell, "Bottom"),
+          right: readStroke(cell, "Right"),
+        },
+        text: cellContent.plainText,
+        formattedContent: cellContent.formattedContent,
+        tables: cellContent.tables,
+      };
+    });
+
+    const table = {
+      self: tableData["@_Self"] || null,
+      appliedTableStyle: readAttr(tableData, "AppliedTableStyle") || null,
+      headerRowCount,
+      bodyRowCount,
+      footerRowCount,
+      columnCount: readNumber(tableData, "ColumnCount", columns.length),
+      rows,
+      columns,
+      cells,
+      width: columns.reduce((sum, column) => sum + column.width, 0),
+      height: rows.reduce((sum, row) => sum + row.height, 0),
+      units: "Points",
+    };
+
+    this.logger.debug(
+      `📊 Parsed table ${table.self} in ${fileName}: ${rows.length}×${columns.length}, ${cells.length} cells`
+    );
+
+    return table;
+  }
+
   // NEW: Process CharacterStyleRange content and breaks in document order - FULLY DYNAMIC
   processCharacterRangeInOrder(
     range,
@@ -625,7 +981,7 @@ class StoryParser {
       return { texts, breakCount };
     };
 
-    console.log(
+    this.logger.debug(
       `🔧 Processing CharacterStyleRange[${rangeIndex}] in document order for ${fileName}:`,
       {
         hasContent: !!range.Content,
@@ -638,7 +994,7 @@ class StoryParser {
     );
 
     // ENHANCED DEBUG: Log the exact range structure
-    console.log(
+    this.logger.debug(
       `🔧 DEBUG - CharacterStyleRange[${rangeIndex}] for ${fileName}:`,
       {
         rawRange: {
@@ -669,7 +1025,7 @@ class StoryParser {
       if (!range.Content) {
         const nested = getNestedTextAndBreaks(range);
         if (nested.texts.length > 0) {
-          console.log(
+          this.logger.debug(
             `🔧 Nested content detected in range[${rangeIndex}] for ${fileName}:`,
             nested
           );
@@ -693,7 +1049,7 @@ class StoryParser {
 
       // Case 1: Both Content and Br elements exist - most common case
       if (range.Content && range.Br !== undefined) {
-        console.log(
+        this.logger.debug(
           `🔧 CASE 1: Processing range with both content and breaks for ${fileName}`
         );
         return this.processInterleavedContentAndBr(
@@ -708,7 +1064,7 @@ class StoryParser {
 
       // Case 2: Only Content, no Br elements
       else if (range.Content && range.Br === undefined) {
-        console.log(
+        this.logger.debug(
           `🔧 CASE 2: Processing range with only content for ${fileName}`
         );
 
@@ -719,10 +1075,10 @@ class StoryParser {
           : [range.Content];
 
         if (contentItems.length > 1) {
-          console.log(
+          this.logger.debug(
             `🚨 CRITICAL: Found ${contentItems.length} content items but no breaks detected for ${fileName}`
           );
-          console.log(
+          this.logger.debug(
             `🚨 This might be the missing break issue - content items:`,
             contentItems.map((c) => `"${String(c).substring(0, 20)}"`)
           );
@@ -740,10 +1096,10 @@ class StoryParser {
             );
 
           if (isLikelyMissingBreakCase) {
-            console.log(
+            this.logger.debug(
               `🚨 DETECTED LIKELY UEB PATTERN: Two short text items without breaks - this is probably the missing break bug`
             );
-            console.log(
+            this.logger.debug(
               `🚨 Content items: ${contentItems
                 .map((c) => `"${c}"`)
                 .join(", ")}`
@@ -753,7 +1109,7 @@ class StoryParser {
           // For the "ueb" case: ["Left", "Text"] should have a break between them
           // Create artificial break elements to fix the missing break issue
           const artificialBreaks = new Array(contentItems.length - 1).fill({});
-          console.log(
+          this.logger.debug(
             `🚨 Creating ${artificialBreaks.length} artificial breaks to fix missing break issue`
           );
 
@@ -766,7 +1122,7 @@ class StoryParser {
                 : artificialBreaks,
           };
 
-          console.log(
+          this.logger.debug(
             `🚨 FALLBACK: Treating as interleaved content with artificial breaks for ${fileName}`
           );
           return this.processInterleavedContentAndBr(
@@ -790,7 +1146,7 @@ class StoryParser {
 
       // Case 3: Only Br elements, no Content
       else if (!range.Content && range.Br !== undefined) {
-        console.log(
+        this.logger.debug(
           `🔧 CASE 3: Processing range with only breaks for ${fileName}`
         );
         return this.processBrElements(
@@ -805,17 +1161,17 @@ class StoryParser {
 
       // Case 4: Neither Content nor Br - empty range
       else {
-        console.log(
+        this.logger.debug(
           `⚠️ CASE 4: Empty range encountered - no content or breaks for ${fileName}`
         );
         return content;
       }
     } catch (error) {
       // ULTIMATE FALLBACK: If anything goes wrong, try to salvage what we can
-      console.log(
+      this.logger.warn(
         `❌ Error processing CharacterStyleRange[${rangeIndex}] for ${fileName}: ${error.message}`
       );
-      console.log(`🔄 Attempting emergency content extraction...`);
+      this.logger.debug(`🔄 Attempting emergency content extraction...`);
 
       return this.emergencyContentExtraction(
         range,
@@ -835,7 +1191,9 @@ class StoryParser {
     formattedContent,
     fileName
   ) {
-    console.log(`🚨 Emergency content extraction for unusual XML structure`);
+    this.logger.debug(
+      `🚨 Emergency content extraction for unusual XML structure`
+    );
 
     try {
       // Try to extract any text content using different approaches
@@ -881,7 +1239,7 @@ class StoryParser {
           formatting: resolvedFormatting,
         });
 
-        console.log(
+        this.logger.debug(
           `🚨 Emergency extracted content[${index}]: ${JSON.stringify(
             cleanText
           )}`
@@ -903,7 +1261,7 @@ class StoryParser {
             },
           });
 
-          console.log(
+          this.logger.debug(
             `🚨 Emergency extracted break[${index}]: ${JSON.stringify(
               lineBreakText
             )}`
@@ -927,18 +1285,20 @@ class StoryParser {
           },
         });
 
-        console.log(
+        this.logger.debug(
           `🚨 Emergency extracted trailing break[${i}]: ${JSON.stringify(
             lineBreakText
           )}`
         );
       }
 
-      console.log(
+      this.logger.debug(
         `✅ Emergency extraction successful: ${extractedTexts.length} texts, ${extractedBreaks.length} breaks`
       );
     } catch (emergencyError) {
-      console.log(`💀 Emergency extraction failed: ${emergencyError.message}`);
+      this.logger.warn(
+        `💀 Emergency extraction failed: ${emergencyError.message}`
+      );
       // Last resort: just add a warning comment
       const warningText = "<!-- XML parsing error -->";
       content += warningText;
@@ -965,12 +1325,12 @@ class StoryParser {
       : [range.Content];
     const brElements = Array.isArray(range.Br) ? range.Br : [range.Br];
 
-    console.log(
+    this.logger.debug(
       `🔧 Processing interleaved content: ${contents.length} content items, ${brElements.length} Br elements for ${fileName}`
     );
 
     // ENHANCED DEBUG: Log the exact structure we're processing
-    console.log(`🔧 DEBUG - Range structure for ${fileName}:`, {
+    this.logger.debug(`🔧 DEBUG - Range structure for ${fileName}:`, {
       hasContent: !!range.Content,
       hasBr: range.Br !== undefined,
       contentItems: contents.map((c) => `"${String(c).substring(0, 20)}"`),
@@ -987,13 +1347,13 @@ class StoryParser {
 
     // EDGE CASE: No content or breaks
     if (!range.Content && !range.Br) {
-      console.log(`⚠️ No content or breaks to process in range`);
+      this.logger.debug(`⚠️ No content or breaks to process in range`);
       return content;
     }
 
     // EDGE CASE: Only content, no breaks
     if (range.Content && range.Br === undefined) {
-      console.log(`📝 Only content, no breaks - processing content only`);
+      this.logger.debug(`📝 Only content, no breaks - processing content only`);
       return this.processContentElements(
         range,
         resolvedFormatting,
@@ -1005,7 +1365,7 @@ class StoryParser {
 
     // EDGE CASE: Only breaks, no content
     if (!range.Content && range.Br !== undefined) {
-      console.log(`🔗 Only breaks, no content - processing breaks only`);
+      this.logger.debug(`🔗 Only breaks, no content - processing breaks only`);
       return this.processBrElements(
         range,
         content,
@@ -1025,10 +1385,10 @@ class StoryParser {
       cachedOrder.breakPattern &&
       cachedOrder.breakPattern.length > 0
     ) {
-      console.log(
+      this.logger.debug(
         `✅ Using cached document order for precise break distribution`
       );
-      console.log(`🔧 DEBUG - Cached pattern:`, cachedOrder.breakPattern);
+      this.logger.debug(`🔧 DEBUG - Cached pattern:`, cachedOrder.breakPattern);
       try {
         return this.processContentWithCachedPattern(
           contents,
@@ -1039,22 +1399,24 @@ class StoryParser {
           fileName
         );
       } catch (error) {
-        console.log(
+        this.logger.debug(
           `❌ Error using cached pattern: ${error.message}, falling back to dynamic distribution`
         );
       }
     } else {
-      console.log(
+      this.logger.debug(
         `⚠️ No cached document order available for ${fileName}, using dynamic fallback distribution`
       );
-      console.log(
+      this.logger.debug(
         `🔧 DEBUG - documentOrderCache keys:`,
         Object.keys(this.documentOrderCache || {})
       );
     }
 
     // DYNAMIC FALLBACK: Distribute breaks intelligently based on content structure
-    console.log(`🔧 DEBUG - About to call dynamic fallback for ${fileName}`);
+    this.logger.debug(
+      `🔧 DEBUG - About to call dynamic fallback for ${fileName}`
+    );
     return this.processInterleavedContentDynamicFallback(
       contents,
       brElements,
@@ -1074,12 +1436,12 @@ class StoryParser {
     formattedContent,
     fileName
   ) {
-    console.log(
+    this.logger.debug(
       `🔄 Using dynamic fallback for ${contents.length} content items and ${brElements.length} breaks in ${fileName}`
     );
 
     // ENHANCED DEBUG: Log initial state
-    console.log(`🔧 DEBUG - Dynamic fallback initial state:`, {
+    this.logger.debug(`🔧 DEBUG - Dynamic fallback initial state:`, {
       contentsBefore: content,
       formattedContentCountBefore: formattedContent.length,
       contentsArray: contents.map((c) => `"${String(c).substring(0, 30)}"`),
@@ -1099,7 +1461,7 @@ class StoryParser {
         formatting: resolvedFormatting,
       });
 
-      console.log(
+      this.logger.debug(
         `🔧 Added content[${contentIndex}]: ${JSON.stringify(
           text
         )} to ${fileName}`
@@ -1112,7 +1474,7 @@ class StoryParser {
         brElements.length
       );
 
-      console.log(
+      this.logger.debug(
         `🔧 DEBUG - Breaks calculation for content[${contentIndex}] in ${fileName}:`,
         {
           contentIndex,
@@ -1141,7 +1503,7 @@ class StoryParser {
           },
         });
 
-        console.log(
+        this.logger.debug(
           `🔧 Added Br[${brIndex}] after content[${contentIndex}] in ${fileName}: ${JSON.stringify(
             lineBreakText
           )}`
@@ -1153,7 +1515,7 @@ class StoryParser {
     // EDGE CASE: Handle any remaining breaks
     if (brIndex < brElements.length) {
       const remainingBreaks = brElements.length - brIndex;
-      console.log(
+      this.logger.debug(
         `🔧 Adding ${remainingBreaks} remaining breaks at the end of ${fileName}`
       );
 
@@ -1172,7 +1534,7 @@ class StoryParser {
           },
         });
 
-        console.log(
+        this.logger.debug(
           `🔧 Added trailing Br[${brIndex}] in ${fileName}: ${JSON.stringify(
             lineBreakText
           )}`
@@ -1183,19 +1545,22 @@ class StoryParser {
 
     // VALIDATION: Ensure all breaks were processed
     if (brIndex !== brElements.length) {
-      console.log(
+      this.logger.debug(
         `⚠️ Warning in ${fileName}: Expected to process ${brElements.length} breaks but processed ${brIndex}`
       );
     }
 
     // ENHANCED DEBUG: Log final state
-    console.log(`🔧 DEBUG - Dynamic fallback final state for ${fileName}:`, {
-      contentAfter: content,
-      formattedContentCountAfter: formattedContent.length,
-      finalContentPreview: content.substring(content.length - 50),
-      processedBreaks: brIndex,
-      expectedBreaks: brElements.length,
-    });
+    this.logger.debug(
+      `🔧 DEBUG - Dynamic fallback final state for ${fileName}:`,
+      {
+        contentAfter: content,
+        formattedContentCountAfter: formattedContent.length,
+        finalContentPreview: content.substring(content.length - 50),
+        processedBreaks: brIndex,
+        expectedBreaks: brElements.length,
+      }
+    );
 
     return content;
   }
@@ -1209,7 +1574,7 @@ class StoryParser {
     breakPattern,
     fileName
   ) {
-    console.log(
+    this.logger.debug(
       `🎯 Processing ${contents.length} content items with cached pattern (${breakPattern.length} pattern entries)`
     );
 
@@ -1223,7 +1588,9 @@ class StoryParser {
         formatting: resolvedFormatting,
       });
 
-      console.log(`🔧 Added content[${contentIndex}]: ${JSON.stringify(text)}`);
+      this.logger.debug(
+        `🔧 Added content[${contentIndex}]: ${JSON.stringify(text)}`
+      );
 
       // DYNAMIC: Find the corresponding pattern entry
       const patternEntry = breakPattern.find(
@@ -1231,7 +1598,7 @@ class StoryParser {
       );
       if (patternEntry) {
         const breaksToAdd = patternEntry.breaksAfter;
-        console.log(
+        this.logger.debug(
           `🎯 Pattern says content[${contentIndex}] should have ${breaksToAdd} breaks after it`
         );
 
@@ -1254,7 +1621,7 @@ class StoryParser {
             },
           });
 
-          console.log(
+          this.logger.debug(
             `🎯 Added precise Br[${
               i + 1
             }/${breaksToAdd}] after content[${contentIndex}]: ${JSON.stringify(
@@ -1263,7 +1630,7 @@ class StoryParser {
           );
         }
       } else {
-        console.log(
+        this.logger.debug(
           `⚠️ No pattern entry found for content[${contentIndex}] - this is unusual but not critical`
         );
         // DYNAMIC: If no pattern entry, don't add any breaks (the pattern should cover all content)
@@ -1273,7 +1640,7 @@ class StoryParser {
     // VALIDATION: Check if we processed all expected content
     const expectedContentCount = breakPattern.length;
     if (contents.length !== expectedContentCount) {
-      console.log(
+      this.logger.debug(
         `⚠️ Warning: Expected ${expectedContentCount} content items but processed ${contents.length}`
       );
     }
@@ -1283,25 +1650,27 @@ class StoryParser {
 
   // DYNAMIC: Calculate breaks distribution as fallback - completely generic
   calculateBreaksAfterContent(contentIndex, totalContent, totalBreaks) {
-    console.log(
+    this.logger.debug(
       `🔧 FALLBACK: Calculating breaks for content[${contentIndex}] of ${totalContent} total, ${totalBreaks} total breaks`
     );
 
     // EDGE CASE: No breaks to distribute
     if (totalBreaks === 0) {
-      console.log(`🔧 No breaks to distribute`);
+      this.logger.debug(`🔧 No breaks to distribute`);
       return 0;
     }
 
     // EDGE CASE: Only one content item
     if (totalContent === 1) {
-      console.log(`🔧 Single content item gets all ${totalBreaks} breaks`);
+      this.logger.debug(
+        `🔧 Single content item gets all ${totalBreaks} breaks`
+      );
       return contentIndex === 0 ? totalBreaks : 0;
     }
 
     // EDGE CASE: Last content item
     if (contentIndex === totalContent - 1) {
-      console.log(
+      this.logger.debug(
         `🔧 Last content item gets no breaks in standard distribution`
       );
       return 0;
@@ -1317,7 +1686,7 @@ class StoryParser {
     const breaksForThisContent =
       baseBreaks + (contentIndex >= nonLastContentItems - extraBreaks ? 1 : 0);
 
-    console.log(
+    this.logger.debug(
       `🔧 Content[${contentIndex}] gets ${breaksForThisContent} breaks (base: ${baseBreaks}, extra: ${extraBreaks})`
     );
 
@@ -1397,10 +1766,10 @@ class StoryParser {
         : [],
     };
 
-    console.log("Content structure analysis:", structure);
+    this.logger.debug("Content structure analysis:", structure);
 
     // ENHANCED DEBUG: Detailed analysis of the range structure
-    console.log("ENHANCED range analysis:", {
+    this.logger.debug("ENHANCED range analysis:", {
       rawRangeKeys: Object.keys(range),
       contentAnalysis: {
         exists: !!range.Content,
@@ -1430,19 +1799,19 @@ class StoryParser {
     );
 
     if (potentialBreakProperties.length > 0) {
-      console.log(
+      this.logger.debug(
         "Found potential break properties:",
         potentialBreakProperties
       );
       potentialBreakProperties.forEach((prop) => {
-        console.log(`  ${prop}:`, range[prop]);
+        this.logger.debug(`  ${prop}:`, range[prop]);
       });
     }
 
     // CRITICAL FIX: If we have content but no explicitly detected breaks,
     // check if this might be a parsing issue where breaks exist but weren't detected
     if (structure.hasContent && !structure.hasBr) {
-      console.log(
+      this.logger.debug(
         "WARNING: Content found but no breaks detected - this might be the ueb issue"
       );
 
@@ -1456,12 +1825,12 @@ class StoryParser {
       );
 
       if (suspiciousKeys.length > 0) {
-        console.log(
+        this.logger.debug(
           "Suspicious keys that might contain breaks:",
           suspiciousKeys
         );
         suspiciousKeys.forEach((key) => {
-          console.log(`  Checking ${key}:`, range[key]);
+          this.logger.debug(`  Checking ${key}:`, range[key]);
           // If this looks like it might be a break element, treat it as such
           if (
             range[key] === null ||
@@ -1469,7 +1838,7 @@ class StoryParser {
             (typeof range[key] === "object" &&
               Object.keys(range[key]).length === 0)
           ) {
-            console.log(
+            this.logger.debug(
               `  ${key} might be a break element - adding to structure`
             );
             structure.hasBr = true;
@@ -1499,7 +1868,7 @@ class StoryParser {
     const brElements = [];
 
     if (range.Br !== undefined) {
-      console.log("🔧 Processing Br elements:", {
+      this.logger.debug("🔧 Processing Br elements:", {
         isArray: Array.isArray(range.Br),
         count: Array.isArray(range.Br) ? range.Br.length : 1,
         rawBr: range.Br,
@@ -1513,7 +1882,7 @@ class StoryParser {
             element: br,
           });
         });
-        console.log(
+        this.logger.debug(
           `🔧 Created ${brElements.length} line break elements from array - EACH SHOULD CREATE ONE \\n`
         );
       } else {
@@ -1522,7 +1891,7 @@ class StoryParser {
           position: "end",
           element: range.Br,
         });
-        console.log("🔧 Created 1 line break element from single Br");
+        this.logger.debug("🔧 Created 1 line break element from single Br");
       }
     }
 
@@ -1630,12 +1999,14 @@ class StoryParser {
     if (rawFontSize) {
       formatting.fontSize = this.convertFontSizeToPixels(rawFontSize); // Convert to pixels
       formatting.originalFontSize = rawFontSize; // Preserve original
-      console.log(
+      this.logger.debug(
         `📐 Detailed formatting: font size ${rawFontSize} → ${formatting.fontSize} px`
       );
     } else {
       // FIXED: Don't set to null - let StyleParser resolve from styles
-      console.log(`📐 No direct font size in range, will resolve from styles`);
+      this.logger.debug(
+        `📐 No direct font size in range, will resolve from styles`
+      );
     }
 
     // ENHANCED: Extract leading with proper processing
@@ -1710,7 +2081,7 @@ class StoryParser {
           numericLeading,
           this.documentUnits
         );
-        console.log(
+        this.logger.debug(
           `📐 Converted leading: ${numericLeading} ${this.documentUnits} → ${pixelLeading} px`
         );
         return pixelLeading;
@@ -1804,21 +2175,24 @@ class StoryParser {
 
   // Add this method to debug raw story content
   debugRawStoryContent(storyData) {
-    console.log("\n🔍 RAW STORY CONTENT DEBUG:");
-    console.log("Story keys:", Object.keys(storyData));
+    this.logger.debug("\n🔍 RAW STORY CONTENT DEBUG:");
+    this.logger.debug("Story keys:", Object.keys(storyData));
 
     const findCharacterRanges = (obj, path = "") => {
       if (typeof obj === "object" && obj !== null) {
         Object.keys(obj).forEach((key) => {
           if (key === "CharacterStyleRange") {
-            console.log(`\n📝 Found CharacterStyleRange at ${path}:`, obj[key]);
+            this.logger.debug(
+              `\n📝 Found CharacterStyleRange at ${path}:`,
+              obj[key]
+            );
             const ranges = Array.isArray(obj[key]) ? obj[key] : [obj[key]];
             ranges.forEach((range, index) => {
-              console.log(
+              this.logger.debug(
                 `  Range ${index + 1} attributes:`,
                 Object.keys(range).filter((k) => k.startsWith("@_"))
               );
-              console.log(`  Range ${index + 1} font info:`, {
+              this.logger.debug(`  Range ${index + 1} font info:`, {
                 AppliedFont: range["@_AppliedFont"],
                 FontStyle: range["@_FontStyle"],
                 PointSize: range["@_PointSize"],
@@ -1839,7 +2213,7 @@ class StoryParser {
     if (typeof parsedData === "object" && parsedData !== null) {
       Object.entries(parsedData).forEach(([key, value]) => {
         if (key === "Br") {
-          console.log(`${path} has Br element:`, value);
+          this.logger.debug(`${path} has Br element:`, value);
         } else if (typeof value === "object" && value !== null) {
           this.debugBrElementsInParsedStructure(value, `${path}.${key}`);
         }
@@ -1849,7 +2223,7 @@ class StoryParser {
 
   // CRITICAL FIX: Parse raw XML to preserve exact document order - FULLY DYNAMIC
   parseRawXMLForDocumentOrder(rawXMLContent, fileName) {
-    console.log(`🔍 Parsing raw XML for document order: ${fileName}`);
+    this.logger.debug(`🔍 Parsing raw XML for document order: ${fileName}`);
 
     // DYNAMIC: Handle multiple CharacterStyleRange elements
     const charRangePattern =
@@ -1857,11 +2231,11 @@ class StoryParser {
     const charRangeMatches = [...rawXMLContent.matchAll(charRangePattern)];
 
     if (charRangeMatches.length === 0) {
-      console.log("❌ No CharacterStyleRange found in XML");
+      this.logger.debug("❌ No CharacterStyleRange found in XML");
       return null;
     }
 
-    console.log(
+    this.logger.debug(
       `📄 Found ${charRangeMatches.length} CharacterStyleRange elements`
     );
 
@@ -1870,7 +2244,7 @@ class StoryParser {
 
     charRangeMatches.forEach((match, rangeIndex) => {
       const charRangeContent = match[1];
-      console.log(
+      this.logger.debug(
         `📄 Processing CharacterStyleRange[${rangeIndex}]:`,
         charRangeContent.substring(0, 200) + "..."
       );
@@ -1897,14 +2271,16 @@ class StoryParser {
               text: contentText,
               rangeIndex: rangeIndex,
             });
-            console.log(`📝 Found Content[${rangeIndex}]: "${contentText}"`);
+            this.logger.debug(
+              `📝 Found Content[${rangeIndex}]: "${contentText}"`
+            );
           }
         } else if (elementType === "Br") {
           rangeElements.push({
             type: "Br",
             rangeIndex: rangeIndex,
           });
-          console.log(`🔗 Found Br[${rangeIndex}]`);
+          this.logger.debug(`🔗 Found Br[${rangeIndex}]`);
         }
       }
 
@@ -1913,7 +2289,7 @@ class StoryParser {
     });
 
     if (allDocumentOrder.length === 0) {
-      console.log(
+      this.logger.debug(
         "❌ No Content or Br elements found in any CharacterStyleRange"
       );
       return null;
@@ -1921,7 +2297,7 @@ class StoryParser {
 
     // DYNAMIC: Analyze the break pattern for any structure
     const breakPattern = this.analyzeBreakPatternDynamic(allDocumentOrder);
-    console.log("📊 Dynamic break pattern analysis:", breakPattern);
+    this.logger.debug("📊 Dynamic break pattern analysis:", breakPattern);
 
     // Store this for later use in processing
     this.documentOrderCache = this.documentOrderCache || {};
@@ -1965,7 +2341,7 @@ class StoryParser {
           documentPosition: i,
         });
 
-        console.log(
+        this.logger.debug(
           `📋 Content[${contentIndex}] "${element.text}" has ${breaksAfter} breaks after it (doc pos: ${i})`
         );
         contentIndex++;
@@ -1976,12 +2352,12 @@ class StoryParser {
     const totalContent = pattern.length;
     const totalBreaks = pattern.reduce((sum, p) => sum + p.breaksAfter, 0);
 
-    console.log(
+    this.logger.debug(
       `🔍 Pattern validation: ${totalContent} content items, ${totalBreaks} total breaks`
     );
 
     if (totalContent === 0) {
-      console.log("⚠️ Warning: No content items found in pattern");
+      this.logger.debug("⚠️ Warning: No content items found in pattern");
     }
 
     return pattern;
@@ -1991,8 +2367,8 @@ class StoryParser {
   mergeAdjacentCharacterRanges(ranges, context) {
     if (ranges.length <= 1) return ranges;
 
-    console.log(`🔧 Merging ${ranges.length} character ranges...`);
-    console.log(
+    this.logger.debug(`🔧 Merging ${ranges.length} character ranges...`);
+    this.logger.debug(
       `🔧 Original ranges:`,
       ranges.map((r, i) => ({
         index: i,
@@ -2010,7 +2386,9 @@ class StoryParser {
       const nextRange = ranges[i];
       const nextContent = this.extractContentFromRange(nextRange);
 
-      console.log(`🔧 Checking merge: "${currentContent}" + "${nextContent}"`);
+      this.logger.debug(
+        `🔧 Checking merge: "${currentContent}" + "${nextContent}"`
+      );
 
       // Check if these ranges should be merged
       const shouldMerge = this.shouldMergeCharacterRanges(
@@ -2022,7 +2400,7 @@ class StoryParser {
       );
 
       if (shouldMerge) {
-        console.log(
+        this.logger.debug(
           `🔧 MERGING ranges ${
             i - 1
           } and ${i}: "${currentContent}" + "${nextContent}"`
@@ -2041,7 +2419,7 @@ class StoryParser {
         currentRange = { ...nextRange };
         currentContent = nextContent;
       } else {
-        console.log(
+        this.logger.debug(
           `🔧 NOT merging ranges ${
             i - 1
           } and ${i}: "${currentContent}" + "${nextContent}"`
@@ -2056,10 +2434,10 @@ class StoryParser {
     // Add the last range
     mergedRanges.push(currentRange);
 
-    console.log(
+    this.logger.debug(
       `🔧 Merged ${ranges.length} ranges into ${mergedRanges.length} ranges`
     );
-    console.log(
+    this.logger.debug(
       `🔧 Final merged ranges:`,
       mergedRanges.map((r, i) => ({
         index: i,
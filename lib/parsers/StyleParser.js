@@ -1,8 +1,80 @@
 import path from "path";
 import IDMLUtils from "../utils/IDMLUtils.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
+
+// NEW: Fonts.xml Status values for fonts missing when the file was saved
+const MISSING_FONT_STATUSES = ["NotAvailable", "Substituted", "Fauxed"];
+
+// NEW: Object style categories and the page item settings each one controls.
+// A category switched off in the style (Enable*="false") leaves items alone.
+const OBJECT_STYLE_CATEGORIES = {
+  fill: {
+    enable: "EnableFill",
+    attributes: [
+      "FillColor",
+      "FillTint",
+      "OverprintFill",
+      "GradientFillStart",
+      "GradientFillLength",
+      "GradientFillAngle",
+      "GradientFillHiliteLength",
+      "GradientFillHiliteAngle",
+    ],
+  },
+  stroke: {
+    enable: "EnableStroke",
+    attributes: [
+      "StrokeWeight",
+      "StrokeColor",
+      "StrokeTint",
+      "StrokeType",
+      "GapColor",
+      "GapTint",
+      "OverprintStroke",
+      "OverprintGap",
+    ],
+  },
+  strokeAndCornerOptions: {
+    enable: "EnableStrokeAndCornerOptions",
+    attributes: [
+      "StrokeAlignment",
+      "EndCap",
+      "EndJoin",
+      "MiterLimit",
+      "LeftLineEnd",
+      "RightLineEnd",
+      "TopLeftCornerOption",
+      "TopLeftCornerRadius",
+      "TopRightCornerOption",
+      "TopRightCornerRadius",
+      "BottomLeftCornerOption",
+      "BottomLeftCornerRadius",
+      "BottomRightCornerOption",
+      "BottomRightCornerRadius",
+    ],
+  },
+  textFrameGeneralOptions: {
+    enable: "EnableTextFrameGeneralOptions",
+    children: ["TextFramePreference"],
+  },
+  textWrapAndOthers: {
+    enable: "EnableTextWrapAndOthers",
+    children: ["TextWrapPreference"],
+  },
+  anchoredObjectOptions: {
+    enable: "EnableAnchoredObjectOptions",
+    children: ["AnchoredObjectSetting"],
+  },
+  transparency: {
+    enable: "EnableTransparency",
+    enableNode: "ObjectStyleObjectEffectsCategorySettings",
+    children: ["TransparencySetting"],
+  },
+};
 
 class StyleParser {
-  constructor(unitConverter = null) {
+  constructor(unitConverter = null, diagnostics = null, logger = null) {
     this.styles = {
       paragraph: {},
       character: {},
@@ -16,14 +88,28 @@ class StyleParser {
       gradients: {},
     };
     this.fontMap = new Map(); // Global font lookup map
+
+    // NEW: Raw style definitions (own attributes only) and resolved BasedOn chains
+    this.rawStyles = {
+      paragraph: {},
+      character: {},
+      object: {},
+    };
+    this.inheritedStyleCache = {
+      paragraph: {},
+      character: {},
+      object: {},
+    };
     this.unitConverter = unitConverter; // ADDED: Unit converter for typography measurements
     this.documentUnits = null; // Will be set from document units
+    this.diagnostics = diagnostics || new DiagnosticsCollector(); // NEW
+    this.logger = (logger || Logger.getDefault()).child("StyleParser"); // NEW
   }
 
   // ADDED: Method to set document units for typography conversion
   setDocumentUnits(units) {
     this.documentUnits = units;
-    console.log("📐 StyleParser: Set document units to", units);
+    this.logger.debug("📐 StyleParser: Set document units to", units);
   }
 
   // ADDED: Method to convert typography measurements to pixels
@@ -44,7 +130,7 @@ class StyleParser {
         value,
         this.documentUnits
       );
-      console.log(
+      this.logger.debug(
         `📐 Converted typography: ${value} ${this.documentUnits} → ${convertedValue} px`
       );
       return convertedValue;
@@ -102,7 +188,7 @@ class StyleParser {
   }
 
   async parseResourceFile(fileName, content, xmlParser) {
-    console.log(`📋 Parsing resource: ${fileName}`);
+    this.logger.debug(`📋 Parsing resource: ${fileName}`);
 
     try {
       const parsed = xmlParser.parse(content);
@@ -119,18 +205,18 @@ class StyleParser {
         await this.extractPreferences(parsed);
       }
 
-      console.log(`✅ Resource ${resourceName} parsed`);
+      this.logger.debug(`✅ Resource ${resourceName} parsed`);
     } catch (error) {
-      console.error(`❌ Error parsing ${fileName}:`, error.message);
+      this.logger.error(`❌ Error parsing ${fileName}:`, error.message);
     }
   }
 
   async extractStyles(stylesData) {
-    console.log("Extracting styles...");
-    console.log("📋 Styles data structure:", Object.keys(stylesData));
+    this.logger.debug("Extracting styles...");
+    this.logger.debug("📋 Styles data structure:", Object.keys(stylesData));
 
     const styles = stylesData.Styles || stylesData;
-    console.log("📋 Processed styles structure:", Object.keys(styles));
+    this.logger.debug("📋 Processed styles structure:", Object.keys(styles));
 
     // ENHANCED: Handle different possible styles structures
     let paragraphStylesFound = false;
@@ -138,171 +224,331 @@ class StyleParser {
 
     // Try different possible structures for paragraph styles
     if (styles.RootParagraphStyleGroup) {
-      console.log("✅ Found RootParagraphStyleGroup");
+      this.logger.debug("✅ Found RootParagraphStyleGroup");
       this.extractParagraphStyles(styles.RootParagraphStyleGroup);
       paragraphStylesFound = true;
     } else if (styles.ParagraphStyleGroup) {
-      console.log("✅ Found ParagraphStyleGroup");
+      this.logger.debug("✅ Found ParagraphStyleGroup");
       this.extractParagraphStyles(styles.ParagraphStyleGroup);
       paragraphStylesFound = true;
     } else if (styles.ParagraphStyle) {
-      console.log("✅ Found direct ParagraphStyle");
+      this.logger.debug("✅ Found direct ParagraphStyle");
       this.extractParagraphStyles({ ParagraphStyle: styles.ParagraphStyle });
       paragraphStylesFound = true;
     }
 
     // Try different possible structures for character styles
     if (styles.RootCharacterStyleGroup) {
-      console.log("✅ Found RootCharacterStyleGroup");
+      this.logger.debug("✅ Found RootCharacterStyleGroup");
       this.extractCharacterStyles(styles.RootCharacterStyleGroup);
       characterStylesFound = true;
     } else if (styles.CharacterStyleGroup) {
-      console.log("✅ Found CharacterStyleGroup");
+      this.logger.debug("✅ Found CharacterStyleGroup");
       this.extractCharacterStyles(styles.CharacterStyleGroup);
       characterStylesFound = true;
     } else if (styles.CharacterStyle) {
-      console.log("✅ Found direct CharacterStyle");
+      this.logger.debug("✅ Found direct CharacterStyle");
       this.extractCharacterStyles({ CharacterStyle: styles.CharacterStyle });
       characterStylesFound = true;
     }
 
+    // NEW: Object styles (frame fill, stroke, corners, text frame options)
+    if (styles.RootObjectStyleGroup) {
+      this.logger.debug("✅ Found RootObjectStyleGroup");
+      this.extractObjectStyles(styles.RootObjectStyleGroup);
+    }
+
     if (!paragraphStylesFound) {
-      console.warn("⚠️ No paragraph styles found in expected structure");
-      console.log("📋 Available keys:", Object.keys(styles));
+      this.logger.warn("⚠️ No paragraph styles found in expected structure");
+      this.logger.debug("📋 Available keys:", Object.keys(styles));
     }
 
     if (!characterStylesFound) {
-      console.warn("⚠️ No character styles found in expected structure");
-      console.log("📋 Available keys:", Object.keys(styles));
+      this.logger.warn("⚠️ No character styles found in expected structure");
+      this.logger.debug("📋 Available keys:", Object.keys(styles));
     }
   }
 
   extractParagraphStyles(styleGroup) {
-    console.log(
+    this.logger.debug(
       "📋 Extracting paragraph styles from:",
       Object.keys(styleGroup)
     );
 
-    const extractStylesRecursively = (group) => {
-      if (group.ParagraphStyle) {
-        const styles = Array.isArray(group.ParagraphStyle)
-          ? group.ParagraphStyle
-          : [group.ParagraphStyle];
+    // Collect every style first - BasedOn may point into any (nested) group
+    const styles = this.collectStyleDefinitions(
+      styleGroup,
+      "ParagraphStyle",
+      "ParagraphStyleGroup"
+    );
+    this.logger.debug(`📋 Found ${styles.length} paragraph styles`);
 
-        console.log(`📋 Found ${styles.length} paragraph styles`);
+    styles.forEach((style) => {
+      this.rawStyles.paragraph[style["@_Self"]] = style;
+    });
+    this.inheritedStyleCache.paragraph = {};
 
-        styles.forEach((style) => {
-          // CRITICAL: Extract font reference from multiple possible locations
-          const fontRef = this.extractFontFromStyle(style);
+    styles.forEach((style) => {
+      // ENHANCED: Build from the cascaded BasedOn attributes, not just the style's own
+      const inherited = this.resolveInheritedStyle(
+        "paragraph",
+        style["@_Self"]
+      );
+      const effective = inherited?.style || style;
 
-          // ENHANCED: Process font size with unit conversion
-          const rawFontSize = parseFloat(style["@_PointSize"]) || 12;
-          console.log(
-            `📐 Raw font size for style "${style["@_Name"]}": ${rawFontSize}pt`
-          );
+      // CRITICAL: Extract font reference from multiple possible locations
+      const fontRef = this.extractFontFromStyle(effective);
 
-          // Convert font size to pixels using document units
-          let fontSize = rawFontSize;
-          if (
-            this.unitConverter &&
-            this.documentUnits &&
-            this.documentUnits !== "Pixels"
-          ) {
-            // Font sizes in IDML are typically in Points, but use document units as fallback
-            const fontUnits =
-              this.documentUnits === "Pixels" ? "Pixels" : "Points";
-            fontSize = this.unitConverter.toPixels(rawFontSize, fontUnits);
-            console.log(
-              `📐 Converted font size in paragraph style "${style["@_Name"]}": ${rawFontSize} ${fontUnits} → ${fontSize} px`
-            );
-          } else {
-            console.log(
-              `📐 Font size for style "${style["@_Name"]}": ${fontSize}px (no conversion needed)`
-            );
-          }
+      // ENHANCED: Process font size with unit conversion
+      const rawFontSize = parseFloat(effective["@_PointSize"]) || 12;
+      this.logger.debug(
+        `📐 Raw font size for style "${style["@_Name"]}": ${rawFontSize}pt`
+      );
 
-          const rawLeading = style["@_Leading"];
-          const processedLeading = this.processLeadingValue(
-            rawLeading,
-            fontSize
-          );
+      // Convert font size to pixels using document units
+      let fontSize = rawFontSize;
+      if (
+        this.unitConverter &&
+        this.documentUnits &&
+        this.documentUnits !== "Pixels"
+      ) {
+        // Font sizes in IDML are typically in Points, but use document units as fallback
+        const fontUnits = this.documentUnits === "Pixels" ? "Pixels" : "Points";
+        fontSize = this.unitConverter.toPixels(rawFontSize, fontUnits);
+        this.logger.debug(
+          `📐 Converted font size in paragraph style "${style["@_Name"]}": ${rawFontSize} ${fontUnits} → ${fontSize} px`
+        );
+      } else {
+        this.logger.debug(
+          `📐 Font size for style "${style["@_Name"]}": ${fontSize}px (no conversion needed)`
+        );
+      }
 
-          // FIXED: Extract raw typography measurements for conversion
-          const rawLeftIndent = parseFloat(style["@_LeftIndent"]) || 0;
-          const rawRightIndent = parseFloat(style["@_RightIndent"]) || 0;
-          const rawFirstLineIndent =
-            parseFloat(style["@_FirstLineIndent"]) || 0;
-          const rawSpaceBefore = parseFloat(style["@_SpaceBefore"]) || 0;
-          const rawSpaceAfter = parseFloat(style["@_SpaceAfter"]) || 0;
-          const rawTracking = parseFloat(style["@_Tracking"]) || 0;
-          const rawKerning = parseFloat(style["@_Kerning"]) || 0;
-
-          // FIXED: Create base style object with raw values
-          const baseStyle = {
-            self: style["@_Self"],
-            name: style["@_Name"] || "",
-            fontStyle: style["@_FontStyle"] || "Regular",
-            pointSize: rawFontSize, // Keep original point size
-            fontSize: fontSize, // Add converted font size
-            leading: processedLeading,
-            leadingType: this.determineLeadingType(rawLeading),
-            effectiveLineHeight: this.calculateEffectiveLineHeight(
-              processedLeading,
-              fontSize
-            ),
-            alignment: style["@_Justification"] || "LeftAlign",
-
-            // Raw measurements (will be converted to pixels)
-            leftIndent: rawLeftIndent,
-            rightIndent: rawRightIndent,
-            firstLineIndent: rawFirstLineIndent,
-            spaceBefore: rawSpaceBefore,
-            spaceAfter: rawSpaceAfter,
-            tracking: rawTracking,
-            kerning: rawKerning,
-
-            // Store original values for reference
-            originalLeftIndent: rawLeftIndent,
-            originalRightIndent: rawRightIndent,
-            originalFirstLineIndent: rawFirstLineIndent,
-            originalSpaceBefore: rawSpaceBefore,
-            originalSpaceAfter: rawSpaceAfter,
-            originalTracking: rawTracking,
-            originalKerning: rawKerning,
-
-            horizontalScale: parseFloat(style["@_HorizontalScale"]) || 100,
-            verticalScale: parseFloat(style["@_VerticalScale"]) || 100,
-
-            // IMPROVED: Add baselineShift for vertical alignment
-            baselineShift: parseFloat(style["@_BaselineShift"]) || null,
-
-            // ENHANCED: Use the new extraction method
-            appliedFont: fontRef,
-            originalFontRef: fontRef,
-
-            fillColor: style["@_FillColor"] || "Color/Black",
-            rawStyle: style,
-          };
-
-          // FIXED: Apply unit conversion to create pixel-converted style
-          this.styles.paragraph[style["@_Self"]] =
-            this.convertStyleMeasurementsToPixels(baseStyle);
-
-          console.log(
-            `✅ Paragraph Style: ${style["@_Name"]} -> Font: "${fontRef}" -> Size: ${fontSize}px`
-          );
+      const rawLeading = this.extractLeadingFromStyle(effective);
+      const processedLeading = this.processLeadingValue(rawLeading, fontSize);
+
+      // FIXED: Extract raw typography measurements for conversion
+      const rawLeftIndent = parseFloat(effective["@_LeftIndent"]) || 0;
+      const rawRightIndent = parseFloat(effective["@_RightIndent"]) || 0;
+      const rawFirstLineIndent =
+        parseFloat(effective["@_FirstLineIndent"]) || 0;
+      const rawSpaceBefore = parseFloat(effective["@_SpaceBefore"]) || 0;
+      const rawSpaceAfter = parseFloat(effective["@_SpaceAfter"]) || 0;
+      const rawTracking = parseFloat(effective["@_Tracking"]) || 0;
+      const rawKerning = parseFloat(effective["@_Kerning"]) || 0;
+
+      // FIXED: Create base style object with raw values
+      const baseStyle = {
+        self: style["@_Self"],
+        name: style["@_Name"] || "",
+        fontStyle: effective["@_FontStyle"] || "Regular",
+        pointSize: rawFontSize, // Keep original point size
+        fontSize: fontSize, // Add converted font size
+        leading: processedLeading,
+        leadingType: this.determineLeadingType(rawLeading),
+        effectiveLineHeight: this.calculateEffectiveLineHeight(
+          processedLeading,
+          fontSize
+        ),
+        alignment: effective["@_Justification"] || "LeftAlign",
+
+        // Raw measurements (will be converted to pixels)
+        leftIndent: rawLeftIndent,
+        rightIndent: rawRightIndent,
+        firstLineIndent: rawFirstLineIndent,
+        spaceBefore: rawSpaceBefore,
+        spaceAfter: rawSpaceAfter,
+        tracking: rawTracking,
+        kerning: rawKerning,
+
+        // Store original values for reference
+        originalLeftIndent: rawLeftIndent,
+        originalRightIndent: rawRightIndent,
+        originalFirstLineIndent: rawFirstLineIndent,
+        originalSpaceBefore: rawSpaceBefore,
+        originalSpaceAfter: rawSpaceAfter,
+        originalTracking: rawTracking,
+        originalKerning: rawKerning,
+
+        horizontalScale: parseFloat(effective["@_HorizontalScale"]) || 100,
+        verticalScale: parseFloat(effective["@_VerticalScale"]) || 100,
+
+        // IMPROVED: Add baselineShift for vertical alignment
+        baselineShift: parseFloat(effective["@_BaselineShift"]) || null,
+
+        // ENHANCED: Use the new extraction method
+        appliedFont: fontRef,
+        originalFontRef: fontRef,
+
+        fillColor: effective["@_FillColor"] || "Color/Black",
+
+        // NEW: Inheritance information (which style defined each attribute)
+        basedOn: inherited?.basedOn || null,
+        basedOnChain: inherited?.chain || [style["@_Self"]],
+        propertyOrigins: inherited?.origins || {},
+
+        rawStyle: style,
+      };
+
+      // FIXED: Apply unit conversion to create pixel-converted style
+      this.styles.paragraph[style["@_Self"]] =
+        this.convertStyleMeasurementsToPixels(baseStyle);
+
+      this.logger.debug(
+        `✅ Paragraph Style: ${style["@_Name"]} -> Font: "${fontRef}" -> Size: ${fontSize}px`
+      );
+    });
+  }
+
+  // NEW: Flatten a (nested) style group into a list of style definitions
+  collectStyleDefinitions(group, styleKey, groupKey) {
+    const collected = [];
+    if (!group || typeof group !== "object") return collected;
+
+    if (group[styleKey]) {
+      const styles = Array.isArray(group[styleKey])
+        ? group[styleKey]
+        : [group[styleKey]];
+      collected.push(...styles.filter((style) => style && style["@_Self"]));
+    }
+
+    if (group[groupKey]) {
+      const subGroups = Array.isArray(group[groupKey])
+        ? group[groupKey]
+        : [group[groupKey]];
+      subGroups.forEach((subGroup) => {
+        collected.push(
+          ...this.collectStyleDefinitions(subGroup, styleKey, groupKey)
+        );
+      });
+    }
+
+    return collected;
+  }
+
+  /**
+   * Get the style a paragraph/character/object style is based on
+   * @param {string} type - "paragraph", "character" or "object"
+   * @param {Object} style - Raw style definition
+   * @returns {string|null} Self id of the parent style, or null for the root
+   */
+  getBasedOnReference(type, style) {
+    const prefix = {
+      paragraph: "ParagraphStyle/",
+      character: "CharacterStyle/",
+      object: "ObjectStyle/",
+    }[type];
+    const root =
+      type === "object"
+        ? `${prefix}$ID/[None]`
+        : `${prefix}$ID/[No ${type} style]`;
+
+    let basedOn = style["@_BasedOn"] || style.Properties?.BasedOn || null;
+    if (basedOn && typeof basedOn === "object") {
+      basedOn = basedOn["#text"] || null;
+    }
+
+    if (!basedOn || basedOn === "n") {
+      // Styles without BasedOn hang off the "[No ... style]" root
+      if (style["@_Self"] === root) return null;
+      return this.rawStyles[type][root] ? root : null;
+    }
+
+    basedOn = String(basedOn);
+    return basedOn.startsWith(prefix) ? basedOn : `${prefix}${basedOn}`;
+  }
+
+  /**
+   * Cascade a style's attributes over its BasedOn chain
+   * @param {string} type - "paragraph", "character" or "object"
+   * @param {string} styleSelf - Self id of the style to resolve
+   * @param {Set} visiting - Styles on the current chain (cycle protection)
+   * @returns {Object|null} { style, origins, chain, basedOn }
+   */
+  resolveInheritedStyle(type, styleSelf, visiting = new Set()) {
+    const cache = this.inheritedStyleCache[type];
+    if (cache[styleSelf]) return cache[styleSelf];
+
+    const style = this.rawStyles[type][styleSelf];
+    if (!style) return null;
+
+    const basedOn = this.getBasedOnReference(type, style);
+    let parent = null;
+    if (basedOn && basedOn !== styleSelf) {
+      if (visiting.has(basedOn)) {
+        this.logger.warn(`⚠️ Circular BasedOn chain at style "${styleSelf}"`);
+      } else if (!this.rawStyles[type][basedOn]) {
+        this.logger.warn(
+          `⚠️ Style "${styleSelf}" is based on unknown style "${basedOn}"`
+        );
+      } else {
+        visiting.add(styleSelf);
+        parent = this.resolveInheritedStyle(type, basedOn, visiting);
+        visiting.delete(styleSelf);
+      }
+    }
+
+    const effective = { ...(parent?.style || {}) };
+    const properties = { ...(parent?.style?.Properties || {}) };
+    const origins = { ...(parent?.origins || {}) };
+    const identityAttributes = [
+      "@_Self",
+      "@_Name",
+      "@_Imported",
+      "@_KeyboardShortcut",
+      "@_BasedOn",
+    ];
+
+    Object.entries(style).forEach(([key, value]) => {
+      if (key === "Properties" && value && typeof value === "object") {
+        Object.entries(value).forEach(([property, propertyValue]) => {
+          if (property === "BasedOn") return;
+          properties[property] = propertyValue;
+          delete effective[`@_${property}`]; // Own value wins over inherited attribute
+          origins[property] = styleSelf;
         });
+        return;
       }
 
-      if (group.ParagraphStyleGroup) {
-        const subGroups = Array.isArray(group.ParagraphStyleGroup)
-          ? group.ParagraphStyleGroup
-          : [group.ParagraphStyleGroup];
-        subGroups.forEach(extractStylesRecursively);
+      // Child settings (e.g. TextFramePreference on object styles) merge too
+      if (!key.startsWith("@_") && value && typeof value === "object") {
+        effective[key] = IDMLUtils.mergeAttributeNodes(effective[key], value);
+        origins[key] = styleSelf;
+        return;
       }
+
+      if (!key.startsWith("@_") || identityAttributes.includes(key)) return;
+
+      const property = key.slice(2);
+      effective[key] = value;
+      delete properties[property]; // Own value wins over inherited property
+      origins[property] = styleSelf;
+    });
+
+    effective["@_Self"] = style["@_Self"];
+    effective["@_Name"] = style["@_Name"];
+    effective.Properties = properties;
+
+    const resolved = {
+      style: effective,
+      origins,
+      chain: [styleSelf, ...(parent?.chain || [])],
+      basedOn: parent ? basedOn : null,
     };
+    cache[styleSelf] = resolved;
+    return resolved;
+  }
 
-    extractStylesRecursively(styleGroup);
+  // NEW: Leading can be an attribute or a <Properties><Leading> element
+  extractLeadingFromStyle(style) {
+    let leading = style["@_Leading"];
+    if (leading === undefined && style.Properties?.Leading !== undefined) {
+      leading = style.Properties.Leading;
+      if (leading && typeof leading === "object") leading = leading["#text"];
+    }
+    return leading === undefined || leading === null
+      ? leading
+      : String(leading);
   }
 
   extractFontFromStyle(style) {
@@ -332,91 +578,210 @@ class StyleParser {
   }
 
   extractCharacterStyles(styleGroup) {
-    console.log(
+    this.logger.debug(
       "📋 Extracting character styles from:",
       Object.keys(styleGroup)
     );
 
-    const extractStylesRecursively = (group) => {
-      if (group.CharacterStyle) {
-        const styles = Array.isArray(group.CharacterStyle)
-          ? group.CharacterStyle
-          : [group.CharacterStyle];
+    const styles = this.collectStyleDefinitions(
+      styleGroup,
+      "CharacterStyle",
+      "CharacterStyleGroup"
+    );
+    this.logger.debug(`📋 Found ${styles.length} character styles`);
 
-        console.log(`📋 Found ${styles.length} character styles`);
+    styles.forEach((style) => {
+      this.rawStyles.character[style["@_Self"]] = style;
+    });
+    this.inheritedStyleCache.character = {};
 
-        styles.forEach((style) => {
-          const fontRef = this.extractFontFromStyle(style);
+    styles.forEach((style) => {
+      // ENHANCED: Character styles cascade over their BasedOn chain too
+      const inherited = this.resolveInheritedStyle(
+        "character",
+        style["@_Self"]
+      );
+      const effective = inherited?.style || style;
 
-          // ENHANCED: Process font size with unit conversion for character styles
-          const rawFontSize = parseFloat(style["@_PointSize"]) || null;
-          console.log(
-            `📐 Raw font size for character style "${style["@_Name"]}": ${rawFontSize}pt`
-          );
+      const fontRef = this.extractFontFromStyle(effective);
 
-          // Convert font size to pixels using document units
-          let fontSize = rawFontSize;
-          if (
-            this.unitConverter &&
-            this.documentUnits &&
-            rawFontSize &&
-            this.documentUnits !== "Pixels"
-          ) {
-            // Font sizes in IDML are typically in Points, but use document units as fallback
-            const fontUnits =
-              this.documentUnits === "Pixels" ? "Pixels" : "Points";
-            fontSize = this.unitConverter.toPixels(rawFontSize, fontUnits);
-            console.log(
-              `📐 Converted font size in character style "${style["@_Name"]}": ${rawFontSize} ${fontUnits} → ${fontSize} px`
-            );
-          } else if (rawFontSize) {
-            console.log(
-              `📐 Font size for character style "${style["@_Name"]}": ${fontSize}px (no conversion needed)`
-            );
-          } else {
-            console.log(
-              `📐 No font size for character style "${style["@_Name"]}"`
-            );
-          }
+      // ENHANCED: Process font size with unit conversion for character styles
+      const rawFontSize = parseFloat(effective["@_PointSize"]) || null;
+      this.logger.debug(
+        `📐 Raw font size for character style "${style["@_Name"]}": ${rawFontSize}pt`
+      );
 
-          this.styles.character[style["@_Self"]] = {
-            self: style["@_Self"],
-            name: style["@_Name"] || "",
-            fontStyle: style["@_FontStyle"] || "Regular",
-            pointSize: rawFontSize, // Keep original point size
-            fontSize: fontSize, // Add converted font size
+      // Convert font size to pixels using document units
+      let fontSize = rawFontSize;
+      if (
+        this.unitConverter &&
+        this.documentUnits &&
+        rawFontSize &&
+        this.documentUnits !== "Pixels"
+      ) {
+        // Font sizes in IDML are typically in Points, but use document units as fallback
+        const fontUnits = this.documentUnits === "Pixels" ? "Pixels" : "Points";
+        fontSize = this.unitConverter.toPixels(rawFontSize, fontUnits);
+        this.logger.debug(
+          `📐 Converted font size in character style "${style["@_Name"]}": ${rawFontSize} ${fontUnits} → ${fontSize} px`
+        );
+      } else if (rawFontSize) {
+        this.logger.debug(
+          `📐 Font size for character style "${style["@_Name"]}": ${fontSize}px (no conversion needed)`
+        );
+      } else {
+        this.logger.debug(
+          `📐 No font size for character style "${style["@_Name"]}"`
+        );
+      }
 
-            appliedFont: fontRef,
-            originalFontRef: fontRef,
+      this.styles.character[style["@_Self"]] = {
+        self: style["@_Self"],
+        name: style["@_Name"] || "",
+        // FIXED: Only override the paragraph font style when the chain sets one
+        fontStyle: effective["@_FontStyle"] || null,
+        pointSize: rawFontSize, // Keep original point size
+        fontSize: fontSize, // Add converted font size
 
-            fillColor: style["@_FillColor"] || null,
-            strokeColor: style["@_StrokeColor"] || null,
+        appliedFont: fontRef,
+        originalFontRef: fontRef,
 
-            // IMPROVED: Add baselineShift for vertical alignment
-            baselineShift: parseFloat(style["@_BaselineShift"]) || null,
+        fillColor: effective["@_FillColor"] || null,
+        strokeColor: effective["@_StrokeColor"] || null,
 
-            rawStyle: style,
-          };
+        // IMPROVED: Add baselineShift for vertical alignment
+        baselineShift: parseFloat(effective["@_BaselineShift"]) || null,
 
-          console.log(
-            `✅ Character Style: ${style["@_Name"]} -> Font: "${fontRef}" -> Size: ${fontSize}px`
-          );
+        // NEW: Inheritance information (which style defined each attribute)
+        basedOn: inherited?.basedOn || null,
+        basedOnChain: inherited?.chain || [style["@_Self"]],
+        propertyOrigins: inherited?.origins || {},
+
+        rawStyle: style,
+      };
+
+      this.logger.debug(
+        `✅ Character Style: ${style["@_Name"]} -> Font: "${fontRef}" -> Size: ${fontSize}px`
+      );
+    });
+  }
+
+  // NEW: Object styles (fill, stroke, corners, text frame, transparency)
+  extractObjectStyles(styleGroup) {
+    const styles = this.collectStyleDefinitions(
+      styleGroup,
+      "ObjectStyle",
+      "ObjectStyleGroup"
+    );
+    this.logger.debug(`📋 Found ${styles.length} object styles`);
+
+    styles.forEach((style) => {
+      this.rawStyles.object[style["@_Self"]] = style;
+    });
+    this.inheritedStyleCache.object = {};
+
+    styles.forEach((style) => {
+      const inherited = this.resolveInheritedStyle("object", style["@_Self"]);
+      const effective = inherited?.style || style;
+
+      // Which categories this style actually controls
+      const enabledCategories = {};
+      Object.entries(OBJECT_STYLE_CATEGORIES).forEach(([category, def]) => {
+        const source = def.enableNode ? effective[def.enableNode] : effective;
+        const enabled = source
+          ? this.getStyleAttribute(source, def.enable)
+          : undefined;
+        enabledCategories[category] = enabled !== false;
+      });
+
+      // The settings page items inherit: enabled categories only
+      const appliedAttributes = {};
+      Object.entries(OBJECT_STYLE_CATEGORIES).forEach(([category, def]) => {
+        if (!enabledCategories[category]) return;
+        (def.attributes || []).forEach((attribute) => {
+          const value = this.getStyleAttribute(effective, attribute);
+          if (value !== undefined) appliedAttributes[`@_${attribute}`] = value;
         });
-      }
+        (def.children || []).forEach((child) => {
+          if (effective[child]) appliedAttributes[child] = effective[child];
+        });
+      });
 
-      if (group.CharacterStyleGroup) {
-        const subGroups = Array.isArray(group.CharacterStyleGroup)
-          ? group.CharacterStyleGroup
-          : [group.CharacterStyleGroup];
-        subGroups.forEach(extractStylesRecursively);
-      }
-    };
+      const numberOrNull = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+      };
+      const corner = (prefix) => ({
+        option: appliedAttributes[`@_${prefix}CornerOption`] || "None",
+        radius: numberOrNull(appliedAttributes[`@_${prefix}CornerRadius`]),
+      });
+      const blending = appliedAttributes.TransparencySetting?.BlendingSetting;
+      const opacity = blending ? numberOrNull(blending["@_Opacity"]) : null;
+
+      this.styles.object[style["@_Self"]] = {
+        self: style["@_Self"],
+        name: style["@_Name"] || "",
+        enabledCategories,
+
+        fillColor: appliedAttributes["@_FillColor"] || null,
+        fillTint: numberOrNull(appliedAttributes["@_FillTint"]),
+        strokeColor: appliedAttributes["@_StrokeColor"] || null,
+        // Raw (points); ElementParser converts it with the item's stroke
+        strokeWeight: numberOrNull(appliedAttributes["@_StrokeWeight"]),
+        strokeTint: numberOrNull(appliedAttributes["@_StrokeTint"]),
+        strokeType: appliedAttributes["@_StrokeType"] || null,
+        cornerOptions: {
+          topLeft: corner("TopLeft"),
+          topRight: corner("TopRight"),
+          bottomLeft: corner("BottomLeft"),
+          bottomRight: corner("BottomRight"),
+        },
+        textFramePreference: appliedAttributes.TextFramePreference || null,
+        textWrapPreference: appliedAttributes.TextWrapPreference || null,
+        anchoredObjectSetting: appliedAttributes.AnchoredObjectSetting || null,
+        transparency: blending
+          ? {
+              blendMode: blending["@_BlendMode"] || "Normal",
+              opacity: opacity === null ? 100 : opacity,
+            }
+          : null,
+        appliedParagraphStyle:
+          this.getStyleAttribute(effective, "EnableParagraphStyle") !== false
+            ? this.getStyleAttribute(effective, "AppliedParagraphStyle") ||
+              null
+            : null,
+
+        // Settings merged into page items that apply this style
+        appliedAttributes,
+
+        basedOn: inherited?.basedOn || null,
+        basedOnChain: inherited?.chain || [style["@_Self"]],
+        propertyOrigins: inherited?.origins || {},
+
+        rawStyle: style,
+      };
+
+      this.logger.debug(
+        `✅ Object Style: ${style["@_Name"]} -> Fill: ${
+          appliedAttributes["@_FillColor"] || "-"
+        }, Stroke: ${appliedAttributes["@_StrokeColor"] || "-"}`
+      );
+    });
+  }
 
-    extractStylesRecursively(styleGroup);
+  // NEW: Read a style attribute from "@_Name" or <Properties><Name>
+  getStyleAttribute(style, name) {
+    if (!style) return undefined;
+    if (style[`@_${name}`] !== undefined) return style[`@_${name}`];
+    const property = style.Properties?.[name];
+    if (property === undefined || property === null) return undefined;
+    return typeof property === "object" && "#text" in property
+      ? property["#text"]
+      : property;
   }
 
   async extractFonts(fontsData) {
-    console.log("Extracting fonts with enhanced mapping...");
+    this.logger.debug("Extracting fonts with enhanced mapping...");
 
     const fonts = fontsData.Fonts || fontsData;
     this.resources.fonts = {};
@@ -449,6 +814,27 @@ class StyleParser {
               fontStyleName: font["@_FontStyleName"] || "Regular",
             };
 
+            // NEW: InDesign marks fonts it could not find when saving
+            if (MISSING_FONT_STATUSES.includes(fontInfo.status)) {
+              this.diagnostics.warn(
+                DiagnosticsCollector.CATEGORIES.MISSING_FONT,
+                `Font "${fontInfo.name || fontInfo.postScriptName}" was ${
+                  fontInfo.status === "NotAvailable"
+                    ? "not available"
+                    : fontInfo.status.toLowerCase()
+                } when the document was saved`,
+                {
+                  code: `font-${fontInfo.status.toLowerCase()}`,
+                  source: { self: fontInfo.self, type: "Font" },
+                  details: {
+                    fontFamily: fontInfo.fontFamily,
+                    postScriptName: fontInfo.postScriptName,
+                    status: fontInfo.status,
+                  },
+                }
+              );
+            }
+
             familyInfo.fonts.push(fontInfo);
 
             // Create multiple lookup entries for this font
@@ -457,7 +843,7 @@ class StyleParser {
             this.fontMap.set(font["@_Name"], familyInfo.name);
             this.fontMap.set(font["@_FontFamily"], familyInfo.name);
 
-            console.log(
+            this.logger.debug(
               `Font mapping: ${font["@_Self"]} -> ${familyInfo.name}`
             );
           });
@@ -467,14 +853,14 @@ class StyleParser {
       });
     }
 
-    console.log(
+    this.logger.debug(
       `✅ Fonts extracted: ${Object.keys(this.resources.fonts).length} families`
     );
-    console.log(`Font map entries: ${this.fontMap.size}`);
+    this.logger.debug(`Font map entries: ${this.fontMap.size}`);
   }
 
   async extractGraphics(graphicsData) {
-    console.log("Extracting graphics and colors...");
+    this.logger.debug("Extracting graphics and colors...");
 
     const graphics = graphicsData.Graphic || graphicsData;
     this.resources.colors = {};
@@ -503,18 +889,18 @@ class StyleParser {
         const colorName = color["@_Name"] || "";
         const colorSelf = color["@_Self"] || "";
 
-        console.log(`🎨 Processing color: ${colorSelf}`);
-        console.log(
+        this.logger.debug(`🎨 Processing color: ${colorSelf}`);
+        this.logger.debug(
           `   Name: "${colorName}", Space: ${colorSpace}, Model: ${colorModel}`
         );
-        console.log(`   ColorValue: "${colorValue}"`);
-        console.log(
+        this.logger.debug(`   ColorValue: "${colorValue}"`);
+        this.logger.debug(
           `   Individual channels - C:${cyan} M:${magenta} Y:${yellow} K:${black} R:${red} G:${green} B:${blue}`
         );
 
         // CRITICAL: Determine if this is a custom color that should use RGB ColorValue
         const isCustomColor = this.isCustomColorName(colorSelf, colorName);
-        console.log(`   🔍 Is custom color: ${isCustomColor}`);
+        this.logger.debug(`   🔍 Is custom color: ${isCustomColor}`);
 
         // Initialize color data structure
         let finalColorData = {
@@ -539,7 +925,7 @@ class StyleParser {
 
         // STRATEGY 1: Check for direct RGB values in individual attributes
         if (red > 0 || green > 0 || blue > 0) {
-          console.log(
+          this.logger.debug(
             `   ✅ Using direct RGB from individual channels: R:${red} G:${green} B:${blue}`
           );
           finalColorData.red = red;
@@ -550,7 +936,7 @@ class StyleParser {
         }
         // STRATEGY 2: Check for direct CMYK values in individual attributes
         else if (cyan > 0 || magenta > 0 || yellow > 0 || black > 0) {
-          console.log(
+          this.logger.debug(
             `   ✅ Using direct CMYK from individual channels: C:${cyan} M:${magenta} Y:${yellow} K:${black}`
           );
           finalColorData.cyan = cyan;
@@ -562,7 +948,7 @@ class StyleParser {
         }
         // STRATEGY 3: Parse ColorValue attribute (ONLY for custom colors)
         else if (colorValue && isCustomColor) {
-          console.log(
+          this.logger.debug(
             `   🔍 Parsing ColorValue for CUSTOM color: "${colorValue}"`
           );
 
@@ -574,7 +960,7 @@ class StyleParser {
 
           if (valueParts.length === 3 && colorSpace === "RGB") {
             // RGB ColorValue: "255 137 0" -> R:255 G:137 B:0
-            console.log(
+            this.logger.debug(
               `   ✅ Using RGB ColorValue for custom color: R:${valueParts[0]} G:${valueParts[1]} B:${valueParts[2]}`
             );
             finalColorData.red = valueParts[0];
@@ -584,7 +970,7 @@ class StyleParser {
             finalColorData.hasDirectRGB = true;
           } else if (valueParts.length === 4 && colorSpace === "CMYK") {
             // CMYK ColorValue: "0 0 0 100" -> C:0 M:0 Y:0 K:100
-            console.log(
+            this.logger.debug(
               `   ✅ Using CMYK ColorValue for custom color: C:${valueParts[0]} M:${valueParts[1]} Y:${valueParts[2]} K:${valueParts[3]}`
             );
             finalColorData.cyan = valueParts[0];
@@ -595,7 +981,7 @@ class StyleParser {
             finalColorData.hasDirectCMYK = true;
           } else if (valueParts.length === 3) {
             // Assume RGB if space is unknown but we have 3 values (for custom colors)
-            console.log(
+            this.logger.debug(
               `   ⚠️  Assuming RGB for 3-value ColorValue on custom color: R:${valueParts[0]} G:${valueParts[1]} B:${valueParts[2]}`
             );
             finalColorData.red = valueParts[0];
@@ -605,7 +991,7 @@ class StyleParser {
             finalColorData.colorSource = "colorvalue_assumed_rgb_custom";
             finalColorData.hasDirectRGB = true;
           } else {
-            console.log(
+            this.logger.debug(
               `   ⚠️  Could not parse ColorValue for custom color: "${colorValue}" (${valueParts.length} parts)`
             );
             finalColorData.colorSource = "colorvalue_unparseable_custom";
@@ -613,7 +999,7 @@ class StyleParser {
         }
         // STRATEGY 4: Handle ColorValue for standard colors (use for CMYK only, skip RGB)
         else if (colorValue && !isCustomColor) {
-          console.log(
+          this.logger.debug(
             `   🔍 Parsing ColorValue for STANDARD color: "${colorValue}"`
           );
 
@@ -625,7 +1011,7 @@ class StyleParser {
 
           if (valueParts.length === 4 && colorSpace === "CMYK") {
             // Only use CMYK ColorValue for standard colors, ignore RGB ColorValue
-            console.log(
+            this.logger.debug(
               `   ✅ Using CMYK ColorValue for standard color: C:${valueParts[0]} M:${valueParts[1]} Y:${valueParts[2]} K:${valueParts[3]}`
             );
             finalColorData.cyan = valueParts[0];
@@ -636,12 +1022,12 @@ class StyleParser {
             finalColorData.hasDirectCMYK = true;
           } else if (valueParts.length === 3 && colorSpace === "RGB") {
             // Skip RGB ColorValue for standard colors to avoid "0 0 0" issues
-            console.log(
+            this.logger.debug(
               `   ⚠️  Skipping RGB ColorValue for standard color (avoiding black fallback): "${colorValue}"`
             );
             finalColorData.colorSource = "colorvalue_rgb_skipped_standard";
           } else {
-            console.log(
+            this.logger.debug(
               `   ⚠️  Could not parse ColorValue for standard color: "${colorValue}" (${valueParts.length} parts)`
             );
             finalColorData.colorSource = "colorvalue_unparseable_standard";
@@ -650,7 +1036,9 @@ class StyleParser {
 
         // STRATEGY 5: Handle special color types (fallback)
         if (finalColorData.colorSource === "unknown") {
-          console.log(`   🔄 Using fallback handling for color: ${colorSelf}`);
+          this.logger.debug(
+            `   🔄 Using fallback handling for color: ${colorSelf}`
+          );
           finalColorData.colorSource = "fallback";
 
           // For standard colors with no data, don't store them at all
@@ -665,7 +1053,7 @@ class StyleParser {
             finalColorData.green === 0 &&
             finalColorData.blue === 0
           ) {
-            console.log(
+            this.logger.debug(
               `   ⚠️  Standard color with no valid data - skipping storage to allow gray fallback`
             );
             return; // Skip storing this color completely
@@ -675,7 +1063,7 @@ class StyleParser {
         // Store the color data
         this.resources.colors[colorSelf] = finalColorData;
 
-        console.log(`   💾 Stored color data:`, {
+        this.logger.debug(`   💾 Stored color data:`, {
           self: finalColorData.self,
           source: finalColorData.colorSource,
           hasRGB: finalColorData.hasDirectRGB,
@@ -703,7 +1091,7 @@ class StyleParser {
       });
     }
 
-    console.log(
+    this.logger.debug(
       `✅ Graphics extraction complete. Colors: ${
         Object.keys(this.resources.colors).length
       }, Gradients: ${Object.keys(this.resources.gradients).length}`
@@ -797,7 +1185,7 @@ class StyleParser {
   }
 
   async extractPreferences(preferencesData) {
-    console.log("Extracting document preferences...");
+    this.logger.debug("Extracting document preferences...");
 
     const prefs = preferencesData.Preferences || preferencesData;
 
@@ -839,6 +1227,13 @@ class StyleParser {
         parseFloat(docPref["@_DocumentBleedInsideOrLeftOffset"]) || 0,
       documentBleedOutsideOrRightOffset:
         parseFloat(docPref["@_DocumentBleedOutsideOrRightOffset"]) || 0,
+      // NEW: Slug area beyond the bleed
+      slugTopOffset: parseFloat(docPref["@_SlugTopOffset"]) || 0,
+      slugBottomOffset: parseFloat(docPref["@_SlugBottomOffset"]) || 0,
+      slugInsideOrLeftOffset:
+        parseFloat(docPref["@_SlugInsideOrLeftOffset"]) || 0,
+      slugRightOrOutsideOffset:
+        parseFloat(docPref["@_SlugRightOrOutsideOffset"]) || 0,
     };
   }
 
@@ -905,6 +1300,19 @@ class StyleParser {
   resolveStyleFormatting(formatting) {
     const resolved = { ...formatting };
 
+    // NEW: Track which layer (and which style in a BasedOn chain) set each value
+    const origins = {};
+    const setOrigin = (property, layer, style = null, attribute = null) => {
+      origins[property] = this.describeStyleOrigin(layer, style, attribute);
+    };
+    Object.keys(formatting).forEach((property) => {
+      if (["paragraphStyle", "characterStyle", "styleOrigins"].includes(property))
+        return;
+      if (formatting[property] !== undefined && formatting[property] !== null) {
+        setOrigin(property, "direct");
+      }
+    });
+
     // DEBUG: Check if formatting is being applied (generic check)
     const hasAnyFormatting =
       formatting.paragraphStyle ||
@@ -914,7 +1322,7 @@ class StyleParser {
       formatting.fontSize;
 
     if (hasAnyFormatting) {
-      console.log("🔧 StyleParser.resolveStyleFormatting - Input:", {
+      this.logger.debug("🔧 StyleParser.resolveStyleFormatting - Input:", {
         paragraphStyle: formatting.paragraphStyle,
         characterStyle: formatting.characterStyle,
         directFontStyle: formatting.fontStyle,
@@ -929,7 +1337,7 @@ class StyleParser {
       this.styles.paragraph[formatting.paragraphStyle]
     ) {
       const pStyle = this.styles.paragraph[formatting.paragraphStyle];
-      console.log(
+      this.logger.debug(
         `📐 Resolving paragraph style: ${formatting.paragraphStyle}`,
         {
           fontSize: pStyle.fontSize,
@@ -940,16 +1348,25 @@ class StyleParser {
 
       if (!resolved.fontSize && pStyle.fontSize) {
         resolved.fontSize = pStyle.fontSize; // Use converted fontSize, not pointSize
-        console.log(`📐 Font size from paragraph style: ${pStyle.fontSize} px`);
+        setOrigin("fontSize", "paragraphStyle", pStyle, "PointSize");
+        this.logger.debug(
+          `📐 Font size from paragraph style: ${pStyle.fontSize} px`
+        );
       }
-      if (!resolved.fillColor && pStyle.fillColor)
+      if (!resolved.fillColor && pStyle.fillColor) {
         resolved.fillColor = pStyle.fillColor;
+        setOrigin("fillColor", "paragraphStyle", pStyle, "FillColor");
+      }
       // CRITICAL FIX: Always inherit paragraph alignment unless explicitly overridden
-      if (pStyle.alignment) resolved.alignment = pStyle.alignment;
+      if (pStyle.alignment) {
+        resolved.alignment = pStyle.alignment;
+        setOrigin("alignment", "paragraphStyle", pStyle, "Justification");
+      }
       if (!resolved.fontStyle && pStyle.fontStyle) {
         resolved.fontStyle = pStyle.fontStyle;
+        setOrigin("fontStyle", "paragraphStyle", pStyle, "FontStyle");
         if (hasAnyFormatting) {
-          console.log(
+          this.logger.debug(
             `   FontStyle from paragraph style: "${pStyle.fontStyle}"`
           );
         }
@@ -958,8 +1375,9 @@ class StyleParser {
       // CRITICAL: Resolve font from paragraph style
       if (!resolved.fontFamily && pStyle.appliedFont) {
         resolved.fontFamily = this.resolveFontReference(pStyle.appliedFont);
+        setOrigin("fontFamily", "paragraphStyle", pStyle, "AppliedFont");
         if (hasAnyFormatting) {
-          console.log(
+          this.logger.debug(
             `   Font from paragraph style: ${pStyle.appliedFont} -> ${resolved.fontFamily}`
           );
         }
@@ -976,6 +1394,20 @@ class StyleParser {
       resolved.spaceAfter = pStyle.spaceAfter;
       resolved.tracking = pStyle.tracking;
       resolved.kerning = pStyle.kerning;
+      [
+        ["leading", "Leading"],
+        ["leadingType", "Leading"],
+        ["effectiveLineHeight", "Leading"],
+        ["leftIndent", "LeftIndent"],
+        ["rightIndent", "RightIndent"],
+        ["firstLineIndent", "FirstLineIndent"],
+        ["spaceBefore", "SpaceBefore"],
+        ["spaceAfter", "SpaceAfter"],
+        ["tracking", "Tracking"],
+        ["kerning", "Kerning"],
+      ].forEach(([property, attribute]) =>
+        setOrigin(property, "paragraphStyle", pStyle, attribute)
+      );
     }
 
     // Resolve character style (override layer)
@@ -984,7 +1416,7 @@ class StyleParser {
       this.styles.character[formatting.characterStyle]
     ) {
       const cStyle = this.styles.character[formatting.characterStyle];
-      console.log(
+      this.logger.debug(
         `📐 Resolving character style: ${formatting.characterStyle}`,
         {
           fontSize: cStyle.fontSize,
@@ -995,18 +1427,28 @@ class StyleParser {
 
       if (cStyle.fontSize) {
         resolved.fontSize = cStyle.fontSize; // Use converted fontSize, not pointSize
-        console.log(`📐 Font size from character style: ${cStyle.fontSize} px`);
+        setOrigin("fontSize", "characterStyle", cStyle, "PointSize");
+        this.logger.debug(
+          `📐 Font size from character style: ${cStyle.fontSize} px`
+        );
+      }
+      if (cStyle.fillColor) {
+        resolved.fillColor = cStyle.fillColor;
+        setOrigin("fillColor", "characterStyle", cStyle, "FillColor");
       }
-      if (cStyle.fillColor) resolved.fillColor = cStyle.fillColor;
       if (cStyle.fontStyle) {
         resolved.fontStyle = cStyle.fontStyle;
+        setOrigin("fontStyle", "characterStyle", cStyle, "FontStyle");
         if (hasAnyFormatting) {
-          console.log(
+          this.logger.debug(
             `   FontStyle from character style: "${cStyle.fontStyle}"`
           );
         }
       }
-      if (cStyle.strokeColor) resolved.strokeColor = cStyle.strokeColor;
+      if (cStyle.strokeColor) {
+        resolved.strokeColor = cStyle.strokeColor;
+        setOrigin("strokeColor", "characterStyle", cStyle, "StrokeColor");
+      }
 
       // Include leading information from character style
       if (cStyle.leading) resolved.leading = cStyle.leading;
@@ -1017,8 +1459,9 @@ class StyleParser {
       // CRITICAL: Character style font overrides paragraph style
       if (cStyle.appliedFont) {
         resolved.fontFamily = this.resolveFontReference(cStyle.appliedFont);
+        setOrigin("fontFamily", "characterStyle", cStyle, "AppliedFont");
         if (hasAnyFormatting) {
-          console.log(
+          this.logger.debug(
             `   Font from character style: ${cStyle.appliedFont} -> ${resolved.fontFamily}`
           );
         }
@@ -1028,8 +1471,9 @@ class StyleParser {
     // Apply direct formatting (highest priority)
     if (formatting.fontReference) {
       resolved.fontFamily = this.resolveFontReference(formatting.fontReference);
+      setOrigin("fontFamily", "direct");
       if (hasAnyFormatting) {
-        console.log(
+        this.logger.debug(
           `   Font from direct formatting: ${formatting.fontReference} -> ${resolved.fontFamily}`
         );
       }
@@ -1038,8 +1482,9 @@ class StyleParser {
     // CRITICAL: Apply direct fontStyle if provided (this might be the issue)
     if (formatting.fontStyle) {
       resolved.fontStyle = formatting.fontStyle;
+      setOrigin("fontStyle", "direct");
       if (hasAnyFormatting) {
-        console.log(
+        this.logger.debug(
           `   FontStyle from direct formatting: "${formatting.fontStyle}"`
         );
       }
@@ -1055,6 +1500,20 @@ class StyleParser {
     if (formatting.fontSize) resolved.fontSize = formatting.fontSize;
     if (formatting.tracking) resolved.tracking = formatting.tracking;
     if (formatting.kerning) resolved.kerning = formatting.kerning;
+    [
+      "leading",
+      "leadingType",
+      "effectiveLineHeight",
+      "fontSize",
+      "tracking",
+      "kerning",
+      "baselineShift",
+      "alignment",
+    ].forEach((property) => {
+      if (formatting[property] !== undefined && formatting[property] !== null) {
+        setOrigin(property, "direct");
+      }
+    });
 
     // IMPROVED: Apply baselineShift for vertical alignment
     if (
@@ -1063,7 +1522,7 @@ class StyleParser {
     ) {
       resolved.baselineShift = formatting.baselineShift;
       if (hasAnyFormatting) {
-        console.log(
+        this.logger.debug(
           `   BaselineShift from direct formatting: ${formatting.baselineShift}`
         );
       }
@@ -1073,7 +1532,7 @@ class StyleParser {
     if (formatting.alignment) {
       resolved.alignment = formatting.alignment;
       if (hasAnyFormatting) {
-        console.log(
+        this.logger.debug(
           `   Alignment from direct formatting: "${formatting.alignment}"`
         );
       }
@@ -1082,8 +1541,9 @@ class StyleParser {
     // FIXED: Ensure fontStyle defaults to Regular/normal if not set
     if (!resolved.fontStyle || resolved.fontStyle === "") {
       resolved.fontStyle = "Regular";
+      setOrigin("fontStyle", "default");
       if (hasAnyFormatting) {
-        console.log(`   FontStyle defaulted to: "Regular"`);
+        this.logger.debug(`   FontStyle defaulted to: "Regular"`);
       }
     }
 
@@ -1095,23 +1555,28 @@ class StyleParser {
       !formatting.fontReference
     ) {
       resolved.fontStyle = "Regular";
+      setOrigin("fontStyle", "default");
       if (hasAnyFormatting) {
-        console.log(`   No source styles found - ensuring clean defaults`);
+        this.logger.debug(
+          `   No source styles found - ensuring clean defaults`
+        );
       }
     }
 
     // Final fallback
     if (!resolved.fontFamily || resolved.fontFamily === "") {
       resolved.fontFamily = this.getDefaultFont();
+      setOrigin("fontFamily", "default");
       if (hasAnyFormatting) {
-        console.log(`   Using fallback font: ${resolved.fontFamily}`);
+        this.logger.debug(`   Using fallback font: ${resolved.fontFamily}`);
       }
     }
 
     // ENHANCED: Ensure font size is set with fallback
     if (!resolved.fontSize) {
       resolved.fontSize = 16; // Default font size in pixels
-      console.log(`📐 Using fallback font size: ${resolved.fontSize} px`);
+      setOrigin("fontSize", "default");
+      this.logger.debug(`📐 Using fallback font size: ${resolved.fontSize} px`);
     }
 
     // Ensure line height is calculated if not explicitly set
@@ -1124,32 +1589,57 @@ class StyleParser {
         resolved.leading,
         resolved.fontSize
       );
+      setOrigin("effectiveLineHeight", "default");
     }
 
+    resolved.styleOrigins = origins;
+
     if (hasAnyFormatting) {
-      console.log("🔧 StyleParser.resolveStyleFormatting - Final Output:", {
-        fontSize: resolved.fontSize,
-        fontFamily: resolved.fontFamily,
-        fontStyle: resolved.fontStyle,
-        fillColor: resolved.fillColor,
-        leading: resolved.leading,
-        effectiveLineHeight: resolved.effectiveLineHeight,
-      });
+      this.logger.debug(
+        "🔧 StyleParser.resolveStyleFormatting - Final Output:",
+        {
+          fontSize: resolved.fontSize,
+          fontFamily: resolved.fontFamily,
+          fontStyle: resolved.fontStyle,
+          fillColor: resolved.fillColor,
+          leading: resolved.leading,
+          effectiveLineHeight: resolved.effectiveLineHeight,
+        }
+      );
     }
 
     return resolved;
   }
 
+  /**
+   * Describe the source of a resolved formatting value
+   * @param {string} layer - "paragraphStyle", "characterStyle", "direct" or "default"
+   * @param {Object} style - Parsed style the value came from (if any)
+   * @param {string} attribute - IDML attribute name looked up in propertyOrigins
+   * @returns {Object} { layer, style, definedBy }
+   */
+  describeStyleOrigin(layer, style = null, attribute = null) {
+    return {
+      layer,
+      style: style?.self || null,
+      // The style in the BasedOn chain that defines the attribute
+      // (null when no style sets it and the parser default was used)
+      definedBy: attribute
+        ? style?.propertyOrigins?.[attribute] || null
+        : style?.self || null,
+    };
+  }
+
   resolveFontReference(fontRef) {
     if (!fontRef || fontRef === "") {
-      console.log("Empty font reference, using fallback");
+      this.logger.debug("Empty font reference, using fallback");
       return this.getDefaultFont();
     }
 
     // Try direct lookup in font map
     if (this.fontMap && this.fontMap.has(fontRef)) {
       const resolvedFont = this.fontMap.get(fontRef);
-      console.log(`Font resolved: "${fontRef}" -> "${resolvedFont}"`);
+      this.logger.debug(`Font resolved: "${fontRef}" -> "${resolvedFont}"`);
       return resolvedFont;
     }
 
@@ -1164,7 +1654,7 @@ class StyleParser {
           (familyInfo.name.toLowerCase().includes(fontRef.toLowerCase()) ||
             fontRef.toLowerCase().includes(familyInfo.name.toLowerCase()))
         ) {
-          console.log(
+          this.logger.debug(
             `Font partially matched: "${fontRef}" -> "${familyInfo.name}"`
           );
           return familyInfo.name;
@@ -1178,7 +1668,7 @@ class StyleParser {
               font.postScriptName === fontRef ||
               font.name === fontRef
             ) {
-              console.log(
+              this.logger.debug(
                 `Font exactly matched: "${fontRef}" -> "${familyInfo.name}"`
               );
               return familyInfo.name;
@@ -1188,8 +1678,55 @@ class StyleParser {
       }
     }
 
-    console.log(`Font not found: "${fontRef}", using fallback`);
-    return this.getDefaultFont() || fontRef;
+    this.logger.debug(`Font not found: "${fontRef}", using fallback`);
+    const fallbackFont = this.getDefaultFont() || fontRef;
+    this.diagnostics.warn(
+      DiagnosticsCollector.CATEGORIES.MISSING_FONT,
+      `Font "${fontRef}" is not defined in Resources/Fonts.xml; using "${fallbackFont}"`,
+      {
+        code: "unknown-font-reference",
+        details: { fontReference: fontRef, fallbackFont },
+      }
+    );
+    return fallbackFont;
+  }
+
+  /**
+   * Check whether a color reference points at a parsed swatch
+   * @param {string} colorRef - e.g. "Color/Black" or "Gradient/u1"
+   * @returns {boolean} True for "None" swatches and parsed colors/gradients
+   */
+  isKnownColorReference(colorRef) {
+    if (!colorRef || /^(Color|Swatch)\/None$/.test(colorRef)) return true;
+    return !!(
+      this.resources.colors?.[colorRef] || this.resources.gradients?.[colorRef]
+    );
+  }
+
+  /**
+   * Record a diagnostic for a color reference that cannot be resolved
+   * @param {string} colorRef - Color reference from a page item or text
+   * @param {Object} source - { self, type } of the item using the color
+   * @returns {boolean} True when the reference resolves
+   */
+  checkColorReference(colorRef, source = {}) {
+    if (this.isKnownColorReference(colorRef)) return true;
+
+    const isUnsupportedSwatch = /^(Tint|MixedInk|MixedInkGroup)\//.test(
+      colorRef
+    );
+    this.diagnostics.warn(
+      DiagnosticsCollector.CATEGORIES.UNRESOLVED_COLOR,
+      isUnsupportedSwatch
+        ? `Swatch "${colorRef}" is a tint or mixed ink, which is not parsed; a fallback color is shown`
+        : `Color "${colorRef}" is not defined in Resources/Graphic.xml; a fallback color is shown`,
+      {
+        code: isUnsupportedSwatch ? "unsupported-swatch" : "unknown-color",
+        source,
+        details: { colorReference: colorRef },
+      }
+    );
+    return false;
   }
 
   getDefaultFont() {
@@ -1322,6 +1859,9 @@ class StyleParser {
   getCharacterStyles() {
     return this.styles.character;
   }
+  getObjectStyles() {
+    return this.styles.object;
+  }
   getFontDefinitions() {
     // Prefer plain object for debug output
     if (this.resources && this.resources.fonts) {
@@ -1,7 +1,9 @@
 import { XMLParser } from "fast-xml-parser";
+import Logger from "../utils/Logger.js";
 
 class IDMLXMLParser {
-  constructor() {
+  constructor(logger = null) {
+    this.logger = (logger || Logger.getDefault()).child("XMLParser"); // NEW
     // Critical parser configuration for IDML files
     this.xmlParser = new XMLParser({
       ignoreAttributes: false,
@@ -18,7 +20,7 @@ class IDMLXMLParser {
     try {
       return this.xmlParser.parse(xmlContent);
     } catch (error) {
-      console.error("Error parsing XML:", error);
+      this.logger.error("Error parsing XML:", error);
       throw error;
     }
   }
@@ -28,7 +30,7 @@ class IDMLXMLParser {
       const parsed = this.xmlParser.parse(xmlContent);
       return { success: true, data: parsed, error: null };
     } catch (error) {
-      console.error(`Error parsing XML file ${fileName}:`, error.message);
+      this.logger.error(`Error parsing XML file ${fileName}:`, error.message);
       return { success: false, data: null, error: error.message };
     }
   }
@@ -199,7 +201,7 @@ class IDMLXMLParser {
   }
 
   logXMLStructure(parsedXML, maxDepth = 3) {
-    console.log("XML Structure Analysis:");
+    this.logger.debug("XML Structure Analysis:");
 
     const analyzeStructure = (obj, depth = 0, prefix = "") => {
       if (depth >= maxDepth || typeof obj !== "object" || obj === null) {
@@ -211,17 +213,19 @@ class IDMLXMLParser {
         const indent = "  ".repeat(depth);
 
         if (Array.isArray(value)) {
-          console.log(`${indent}${prefix}${key}: Array[${value.length}]`);
+          this.logger.debug(`${indent}${prefix}${key}: Array[${value.length}]`);
           if (value.length > 0 && typeof value[0] === "object") {
             analyzeStructure(value[0], depth + 1, `${prefix}${key}[0].`);
           }
         } else if (typeof value === "object" && value !== null) {
-          console.log(`${indent}${prefix}${key}: Object`);
+          this.logger.debug(`${indent}${prefix}${key}: Object`);
           analyzeStructure(value, depth + 1, `${prefix}${key}.`);
         } else if (key.startsWith("@_")) {
-          console.log(`${indent}${prefix}${key}: ${typeof value} = ${value}`);
+          this.logger.debug(
+            `${indent}${prefix}${key}: ${typeof value} = ${value}`
+          );
         } else {
-          console.log(`${indent}${prefix}${key}: ${typeof value}`);
+          this.logger.debug(`${indent}${prefix}${key}: ${typeof value}`);
         }
       });
     };
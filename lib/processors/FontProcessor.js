@@ -0,0 +1,243 @@
+import path from "path";
+import fs from "fs";
+import OpenTypeFont from "../utils/OpenTypeFont.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
+import { getFontWeight } from "../viewer/utils/fontUtils.js";
+
+// font-stretch keywords for width words in InDesign style names
+const FONT_STRETCHES = [
+  [/ultra\s*(condensed|compressed)/, "ultra-condensed"],
+  [/extra\s*(condensed|compressed)/, "extra-condensed"],
+  [/semi\s*(condensed|compressed)/, "semi-condensed"],
+  [/condensed|compressed|narrow/, "condensed"],
+  [/ultra\s*(expanded|extended)/, "ultra-expanded"],
+  [/extra\s*(expanded|extended)/, "extra-expanded"],
+  [/semi\s*(expanded|extended)/, "semi-expanded"],
+  [/expanded|extended|wide/, "expanded"],
+];
+
+// Compare font names ignoring case, spaces and punctuation
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+class FontProcessor {
+  constructor(diagnostics = null, logger = null) {
+    this.diagnostics = diagnostics || new DiagnosticsCollector();
+    this.logger = (logger || Logger.getDefault()).child("FontProcessor");
+  }
+
+  /**
+   * Match the fonts in a package's font folder (InDesign's "Document fonts")
+   * to the document's font definitions and build @font-face rules for them
+   * @param {Object} fontDefinitions - StyleParser.getFontDefinitions()
+   * @param {Object} options - { fontsDir, urlPrefix, reportMissing }:
+   *   fontsDir holds the font files, urlPrefix is where they are served
+   *   from, reportMissing adds a diagnostic for each font not found
+   * @returns {Object} { faces, missing, families, css } (the documentFonts
+   *   module)
+   */
+  processDocumentFonts(fontDefinitions, options = {}) {
+    const { fontsDir, urlPrefix = "", reportMissing = false } = options;
+    const fontFiles = this.readFontFiles(fontsDir);
+    const faces = [];
+    const missing = [];
+
+    this.getDocumentFonts(fontDefinitions).forEach((font) => {
+      const file = this.findFontFile(font, fontFiles);
+      if (!file) {
+        missing.push(font);
+        return;
+      }
+
+      const fontStyle = font.style || "Regular";
+      faces.push({
+        family: font.family,
+        style: fontStyle,
+        postScriptName: font.postScriptName,
+        file: file.fileName,
+        format: file.format,
+        url: `${urlPrefix}/${encodeURIComponent(file.fileName)}`,
+        fontWeight: getFontWeight(fontStyle),
+        fontStyle: /italic|oblique/i.test(fontStyle) ? "italic" : "normal",
+        fontStretch: FontProcessor.getFontStretch(fontStyle),
+      });
+      this.logger.debug(
+        `🔤 ${font.family} ${fontStyle} → ${file.fileName} (${file.matchedBy})`
+      );
+    });
+
+    if (reportMissing) {
+      missing.forEach((font) =>
+        this.diagnostics.warn(
+          DiagnosticsCollector.CATEGORIES.MISSING_FONT,
+          `Font "${font.family} ${font.style}" is not in the package; a substitute font is shown`,
+          {
+            code: "font-not-packaged",
+            source: {
+              file: "Resources/Fonts.xml",
+              self: font.self,
+              type: "Font",
+            },
+            details: { postScriptName: font.postScriptName },
+          }
+        )
+      );
+    }
+
+    this.logger.info(
+      `🔤 Document fonts: ${faces.length} embedded, ${missing.length} substituted`
+    );
+
+    return {
+      faces,
+      missing,
+      families: [...new Set(faces.map((face) => face.family))],
+      css: faces
+        .map((face) => FontProcessor.buildFontFaceRule(face))
+        .join("\n"),
+    };
+  }
+
+  /**
+   * Flatten font definitions into one entry per font (face)
+   * @param {Object} fontDefinitions - Font families keyed by Self
+   * @returns {Array} [{ self, family, style, postScriptName, name }]
+   */
+  getDocumentFonts(fontDefinitions = {}) {
+    return Object.values(fontDefinitions || {}).flatMap((family) =>
+      (family?.fonts || []).map((font) => ({
+        self: font.self,
+        family: font.fontFamily || family.name,
+        style: font.fontStyleName || "Regular",
+        postScriptName: font.postScriptName || "",
+        name: font.name || "",
+      }))
+    );
+  }
+
+  /**
+   * Read the names of every font file in a folder; unreadable files are
+   * reported and skipped
+   * @param {string} fontsDir - Folder with font files
+   * @returns {Array} [{ fileName, format, names }]
+   */
+  readFontFiles(fontsDir) {
+    if (!fontsDir || !fs.existsSync(fontsDir)) return [];
+
+    return fs
+      .readdirSync(fontsDir)
+      .filter((fileName) => OpenTypeFont.isFontFile(fileName))
+      .map((fileName) => {
+        try {
+          const font = OpenTypeFont.fromFile(path.join(fontsDir, fileName));
+          return {
+            fileName,
+            format: OpenTypeFont.getCSSFormat(fileName),
+            names: font.getNames(),
+          };
+        } catch (error) {
+          this.diagnostics.warn(
+            DiagnosticsCollector.CATEGORIES.MISSING_FONT,
+            `Font file "${fileName}" could not be read: ${error.message}`,
+            { code: "unreadable-font-file", source: { file: fileName } }
+          );
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the file for a document font: by PostScript name, then by family
+   * and style name, then by a file named after the PostScript name
+   * @param {Object} font - Entry from getDocumentFonts
+   * @param {Array} fontFiles - Entries from readFontFiles
+   * @returns {Object|null} The font file entry plus matchedBy
+   */
+  findFontFile(font, fontFiles) {
+    const postScriptName = normalizeName(font.postScriptName);
+    const family = normalizeName(font.family);
+    const style = normalizeName(font.style);
+
+    const matchers = [
+      [
+        "PostScript name",
+        (file) =>
+          postScriptName &&
+          normalizeName(file.names.postScriptName) === postScriptName,
+      ],
+      [
+        "family and style",
+        (file) =>
+          normalizeName(file.names.typographicFamily || file.names.family) ===
+            family &&
+          normalizeName(
+            file.names.typographicSubfamily || file.names.subfamily
+          ) === style,
+      ],
+      [
+        "file name",
+        (file) =>
+          postScriptName &&
+          normalizeName(path.parse(file.fileName).name) === postScriptName,
+      ],
+    ];
+
+    for (const [matchedBy, matches] of matchers) {
+      const file = fontFiles.find(matches);
+      if (file) return { ...file, matchedBy };
+    }
+    return null;
+  }
+
+  /**
+   * CSS font-stretch for an InDesign style name
+   * @param {string} fontStyle - e.g. "Semibold Condensed"
+   * @returns {string} font-stretch keyword
+   */
+  static getFontStretch(fontStyle) {
+    const style = String(fontStyle || "").toLowerCase();
+    const match = FONT_STRETCHES.find(([pattern]) => pattern.test(style));
+    return match ? match[1] : "normal";
+  }
+
+  /**
+   * Quote a value as a CSS string. Quotes, backslashes, control characters
+   * and the markup characters < > & are written as CSS escapes, so a font
+   * name from the document cannot end the string, the rule or the <style>
+   * (or CDATA section) the rule is embedded in
+   * @param {*} value - Value to quote
+   * @returns {string} CSS string
+   */
+  static quoteCSSString(value) {
+    return `"${String(value).replace(
+      /["\\<>&]|[\u0000-\u001f\u007f]/g,
+      (char) => `\\${char.charCodeAt(0).toString(16)} `
+    )}"`;
+  }
+
+  /**
+   * Build an @font-face rule for a matched face
+   * @param {Object} face - Entry of processDocumentFonts().faces
+   * @returns {string} CSS rule
+   */
+  static buildFontFaceRule(face) {
+    const quote = FontProcessor.quoteCSSString;
+    return [
+      "@font-face {",
+      `  font-family: ${quote(face.family)};`,
+      `  src: url(${quote(face.url)}) format(${quote(face.format)});`,
+      `  font-weight: ${face.fontWeight};`,
+      `  font-style: ${face.fontStyle};`,
+      `  font-stretch: ${face.fontStretch};`,
+      "  font-display: swap;",
+      "}",
+    ].join("\n");
+  }
+}
+
+// ES6 exports
+export default FontProcessor;
@@ -0,0 +1,365 @@
+import path from "path";
+import fs from "fs";
+import zlib from "zlib";
+import RasterImage from "../utils/RasterImage.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
+
+// Placed formats browsers can't show, which get a web derivative
+const CONVERTIBLE_EXTENSIONS = [".tif", ".tiff", ".psd", ".eps", ".ai", ".pdf"];
+
+// Derivative formats, in the order a cached one is looked for
+const DERIVATIVE_FORMATS = ["png", "jpg"];
+
+// First bytes of an EPS file with a binary (DOS) header
+const DOS_EPS_MAGIC = 0xc5d0d3c6;
+
+/**
+ * ImageConverter - makes web-friendly derivatives of print formats placed in
+ * a document (TIFF, PSD, EPS, AI, PDF). Raster files are decoded in full;
+ * vector files can't be rendered here, so their embedded preview is used
+ * instead (the TIFF or EPSI preview of an EPS, the page thumbnail of a
+ * PDF). Derivatives are written beside the original as "<file>.png" (or
+ * ".jpg") and reused while they are newer than it
+ */
+class ImageConverter {
+  constructor(diagnostics = null, logger = null) {
+    this.diagnostics = diagnostics || new DiagnosticsCollector();
+    this.logger = (logger || Logger.getDefault()).child("ImageConverter");
+  }
+
+  /**
+   * Whether a file needs a derivative to be shown in a browser
+   * @param {string} fileName - File name or path
+   * @returns {boolean}
+   */
+  static isConvertible(fileName) {
+    return CONVERTIBLE_EXTENSIONS.includes(
+      path.extname(fileName || "").toLowerCase()
+    );
+  }
+
+  /**
+   * Where the derivative of a file in a format is written
+   * @param {string} originalPath - Placed file
+   * @param {string} format - "png" or "jpg"
+   * @returns {string}
+   */
+  static getDerivativePath(originalPath, format) {
+    return `${originalPath}.${format}`;
+  }
+
+  /**
+   * An existing derivative that is still current (newer than the original)
+   * @param {string} originalPath - Placed file
+   * @returns {Object|null} { path, format }
+   */
+  static findDerivative(originalPath) {
+    if (!fs.existsSync(originalPath)) return null;
+    const originalTime = fs.statSync(originalPath).mtimeMs;
+
+    for (const format of DERIVATIVE_FORMATS) {
+      const derivativePath = ImageConverter.getDerivativePath(
+        originalPath,
+        format
+      );
+      if (
+        fs.existsSync(derivativePath) &&
+        fs.statSync(derivativePath).mtimeMs >= originalTime
+      ) {
+        return { path: derivativePath, format };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Make (or reuse) the derivative of a placed file
+   * @param {string} originalPath - Placed file
+   * @param {Object} source - Page item the file is placed in, for
+   *   diagnostics ({ self, type })
+   * @returns {Object|null} { path, format, method, cached }, or null when
+   *   the file can't be converted
+   */
+  convert(originalPath, source = {}) {
+    const cached = ImageConverter.findDerivative(originalPath);
+    if (cached) {
+      this.logger.debug(`♻️ Reusing derivative: ${cached.path}`);
+      return { ...cached, method: "cached", cached: true };
+    }
+
+    const fileName = path.basename(originalPath);
+    try {
+      const result = this.decode(fs.readFileSync(originalPath));
+      if (!result) {
+        this.diagnostics.warn(
+          DiagnosticsCollector.CATEGORIES.FALLBACK,
+          `"${fileName}" has no preview that can be shown; showing a placeholder`,
+          { code: "image-preview-missing", source, details: { fileName } }
+        );
+        return null;
+      }
+
+      const derivativePath = ImageConverter.getDerivativePath(
+        originalPath,
+        result.format
+      );
+      fs.writeFileSync(derivativePath, result.data);
+      this.logger.info(
+        `🖼️ Converted ${fileName} → ${path.basename(derivativePath)} (${
+          result.method
+        })`
+      );
+      return {
+        path: derivativePath,
+        format: result.format,
+        method: result.method,
+        cached: false,
+      };
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not convert ${fileName}:`, error.message);
+      this.diagnostics.warn(
+        DiagnosticsCollector.CATEGORIES.FALLBACK,
+        `"${fileName}" could not be converted for display: ${error.message}`,
+        { code: "image-conversion-failed", source, details: { fileName } }
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Where a downscaled copy of an image is written
+   * @param {string} sourcePath - Image shown in the browser (a web format
+   *   or a derivative)
+   * @param {number} width - Width in pixels
+   * @returns {string}
+   */
+  static getResizedPath(sourcePath, width) {
+    return `${sourcePath}.w${width}.png`;
+  }
+
+  /**
+   * The narrowest current downscaled copy of an image that is at least a
+   * given width
+   * @param {string} sourcePath - Image the copies were made from
+   * @param {number} width - Minimum width in pixels
+   * @returns {Object|null} { path, width }
+   */
+  static findResized(sourcePath, width) {
+    if (!fs.existsSync(sourcePath)) return null;
+    const sourceTime = fs.statSync(sourcePath).mtimeMs;
+    const directory = path.dirname(sourcePath);
+    const prefix = `${path.basename(sourcePath)}.w`;
+
+    let best = null;
+    for (const fileName of fs.readdirSync(directory)) {
+      if (!fileName.startsWith(prefix) || !fileName.endsWith(".png")) continue;
+      const resizedWidth = Number(fileName.slice(prefix.length, -4));
+      if (!Number.isInteger(resizedWidth) || resizedWidth < width) continue;
+      if (best && best.width <= resizedWidth) continue;
+
+      const resizedPath = path.join(directory, fileName);
+      if (fs.statSync(resizedPath).mtimeMs >= sourceTime) {
+        best = { path: resizedPath, width: resizedWidth };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Make (or reuse) downscaled PNG copies of a PNG or JPEG image, so
+   * viewers don't load print-resolution files to show them small
+   * @param {string} sourcePath - Image to downscale
+   * @param {number[]} widths - Widths in pixels, narrower than the image
+   * @param {Object} source - Page item the image is placed in, for
+   *   diagnostics ({ self, type })
+   * @returns {Array} [{ width, path, cached }] for each copy made or
+   *   reused (copies larger than the image are dropped); empty when the
+   *   image can't be decoded
+   */
+  resize(sourcePath, widths, source = {}) {
+    const fileName = path.basename(sourcePath);
+    const sourceStats = fs.statSync(sourcePath);
+    const results = [];
+    let image = null;
+
+    try {
+      for (const width of widths) {
+        const resizedPath = ImageConverter.getResizedPath(sourcePath, width);
+        if (
+          fs.existsSync(resizedPath) &&
+          fs.statSync(resizedPath).mtimeMs >= sourceStats.mtimeMs
+        ) {
+          results.push({ width, path: resizedPath, cached: true });
+          continue;
+        }
+
+        image =
+          image || ImageConverter.decodeRaster(fs.readFileSync(sourcePath));
+        const data = image.resize(width).toPNG();
+        // A PNG copy of a photo can outweigh the JPEG it was made from
+        if (data.length >= sourceStats.size) continue;
+        fs.writeFileSync(resizedPath, data);
+        results.push({ width, path: resizedPath, cached: false });
+      }
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not resize ${fileName}:`, error.message);
+      this.diagnostics.info(
+        DiagnosticsCollector.CATEGORIES.FALLBACK,
+        `"${fileName}" is shown at full resolution: ${error.message}`,
+        { code: "image-resize-failed", source, details: { fileName } }
+      );
+      return [];
+    }
+
+    const made = results.filter((result) => !result.cached);
+    if (made.length > 0) {
+      this.logger.info(
+        `📐 Downscaled ${fileName} to ${made
+          .map((result) => result.width)
+          .join(", ")}px wide`
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Decode a PNG or JPEG file
+   * @param {Buffer} buffer - File contents
+   * @returns {RasterImage}
+   */
+  static decodeRaster(buffer) {
+    if (buffer.toString("latin1", 1, 4) === "PNG") {
+      return RasterImage.fromPNG(buffer);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return RasterImage.fromJPEG(buffer);
+    }
+    throw new Error("Only PNG and JPEG images can be downscaled");
+  }
+
+  /**
+   * Decode a placed file by its contents (extensions are not reliable: .ai
+   * files are PDF or EPS, .eps files may carry a binary header)
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { data, format, method }
+   */
+  decode(buffer) {
+    const head = buffer.toString("latin1", 0, 4);
+    const png = (image, method) => ({
+      data: image.toPNG(),
+      format: "png",
+      method,
+    });
+
+    if (head === "II*\0" || head === "MM\0*" || head === "II+\0") {
+      return png(RasterImage.fromTIFF(buffer), "tiff");
+    }
+    if (head === "8BPS") {
+      return png(RasterImage.fromPSD(buffer), "psd");
+    }
+    if (buffer.length >= 30 && buffer.readUInt32BE(0) === DOS_EPS_MAGIC) {
+      return this.decodeDOSEPS(buffer);
+    }
+    if (head === "%PDF") {
+      return this.decodePDFThumbnail(buffer);
+    }
+    if (head.startsWith("%!")) {
+      const preview = RasterImage.fromEPSIPreview(buffer.toString("latin1"));
+      return preview ? png(preview, "epsi-preview") : null;
+    }
+    throw new Error("Unrecognised file format");
+  }
+
+  /**
+   * Preview of an EPS file with a binary header: a TIFF preview, or the
+   * EPSI preview in its PostScript section
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { data, format, method }
+   */
+  decodeDOSEPS(buffer) {
+    const psOffset = buffer.readUInt32LE(4);
+    const psLength = buffer.readUInt32LE(8);
+    const tiffOffset = buffer.readUInt32LE(20);
+    const tiffLength = buffer.readUInt32LE(24);
+
+    if (tiffOffset && tiffLength) {
+      const tiff = buffer.subarray(tiffOffset, tiffOffset + tiffLength);
+      return {
+        data: RasterImage.fromTIFF(tiff).toPNG(),
+        format: "png",
+        method: "eps-tiff-preview",
+      };
+    }
+
+    const preview = RasterImage.fromEPSIPreview(
+      buffer.toString("latin1", psOffset, psOffset + psLength)
+    );
+    return preview
+      ? { data: preview.toPNG(), format: "png", method: "epsi-preview" }
+      : null;
+  }
+
+  /**
+   * Thumbnail image of the first page of a PDF (or PDF-compatible AI)
+   * file. JPEG thumbnails are kept as they are; others are made into PNG
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { data, format, method }
+   */
+  decodePDFThumbnail(buffer) {
+    const text = buffer.toString("latin1");
+    const thumb = /\/Thumb\s+(\d+)\s+(\d+)\s+R/.exec(text);
+    if (!thumb) return null;
+
+    const objectStart = new RegExp(`(^|\\s)${thumb[1]}\\s+${thumb[2]}\\s+obj`);
+    const object = objectStart.exec(text);
+    if (!object) return null;
+
+    const dictStart = object.index + object[0].length;
+    const streamStart = text.indexOf("stream", dictStart);
+    if (streamStart < 0) return null;
+    const dict = text.slice(dictStart, streamStart);
+
+    // Stream data starts after the end of line following "stream"
+    let dataStart = streamStart + "stream".length;
+    if (text[dataStart] === "\r") dataStart++;
+    if (text[dataStart] === "\n") dataStart++;
+    const directLength = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    const dataEnd = directLength
+      ? dataStart + Number(directLength[1])
+      : text.indexOf("endstream", dataStart);
+    const data = buffer.subarray(dataStart, dataEnd);
+
+    const filter = /\/Filter\s*\[?\s*\/(\w+)/.exec(dict)?.[1];
+    if (filter === "DCTDecode") {
+      return { data, format: "jpg", method: "pdf-thumbnail" };
+    }
+    if (filter && filter !== "FlateDecode") {
+      throw new Error(`PDF thumbnail filter ${filter} is not supported`);
+    }
+
+    const width = Number(/\/Width\s+(\d+)/.exec(dict)?.[1]);
+    const height = Number(/\/Height\s+(\d+)/.exec(dict)?.[1]);
+    const bits = Number(/\/BitsPerComponent\s+(\d+)/.exec(dict)?.[1] || 8);
+    const gray = /\/ColorSpace\s*\/DeviceGray/.test(dict);
+    if (bits !== 8 || !(gray || /\/ColorSpace\s*\/DeviceRGB/.test(dict))) {
+      throw new Error("PDF thumbnail color space is not supported");
+    }
+
+    const samples = filter ? zlib.inflateSync(data) : data;
+    const channels = gray ? 1 : 3;
+    const image = RasterImage.create(width, height);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const from = pixel * channels;
+      const to = pixel * 4;
+      image.data[to] = samples[from] || 0;
+      image.data[to + 1] = samples[from + (gray ? 0 : 1)] || 0;
+      image.data[to + 2] = samples[from + (gray ? 0 : 2)] || 0;
+      image.data[to + 3] = 255;
+    }
+    return { data: image.toPNG(), format: "png", method: "pdf-thumbnail" };
+  }
+}
+
+// ES6 exports
+export default ImageConverter;
@@ -1,10 +1,59 @@
 import path from "path";
 import fs from "fs";
 import IDMLUtils from "../utils/IDMLUtils.js";
+import DiagnosticsCollector from "../utils/DiagnosticsCollector.js";
+import Logger from "../utils/Logger.js";
+import ImageConverter from "./ImageConverter.js";
+import RasterImage from "../utils/RasterImage.js";
+
+// Page zoom levels the viewer gets downscaled copies of large images for
+const RESPONSIVE_ZOOM_LEVELS = [0.25, 1, 2, 4];
+
+// Copies are only made when noticeably narrower than the image itself
+const RESIZE_THRESHOLD = 0.8;
+
+// CSS pixels per inch, and per point (IDML geometry is in points)
+const CSS_PIXELS_PER_INCH = 96;
+const CSS_PIXELS_PER_POINT = CSS_PIXELS_PER_INCH / 72;
+
+// Enough of an image file to find its size in a PNG or JPEG header
+const IMAGE_HEADER_BYTES = 256 * 1024;
+
+// Link statuses in the links report, as in InDesign's Links panel
+const LINK_STATUSES = [
+  "found",
+  "modified",
+  "matched-by-heuristic",
+  "missing",
+  "embedded",
+];
+
+// Placed formats whose web derivative has the same pixels
+const RASTER_EXTENSIONS = [".tif", ".tiff", ".psd"];
+
+/**
+ * Pixel size of a PNG or JPEG file, from its first bytes
+ * @param {string} filePath - Image file
+ * @returns {Object|null} { width, height }
+ */
+const readImageSize = (filePath) => {
+  const descriptor = fs.openSync(filePath, "r");
+  try {
+    const length = Math.min(IMAGE_HEADER_BYTES, fs.fstatSync(descriptor).size);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(descriptor, buffer, 0, length, 0);
+    return RasterImage.readSize(buffer);
+  } finally {
+    fs.closeSync(descriptor);
+  }
+};
 
 class ImageProcessor {
-  constructor(fileExtractor) {
+  constructor(fileExtractor, diagnostics = null, logger = null) {
     this.fileExtractor = fileExtractor;
+    this.diagnostics = diagnostics || new DiagnosticsCollector(); // NEW
+    this.logger = (logger || Logger.getDefault()).child("ImageProcessor"); // NEW
+    this.imageConverter = new ImageConverter(this.diagnostics, logger); // NEW
   }
 
   async processIDMLPackage(
@@ -12,7 +61,7 @@ class ImageProcessor {
     packageStructure,
     extractedImages = []
   ) {
-    console.log("Processing IDML package:", idmlFilePath);
+    this.logger.debug("Processing IDML package:", idmlFilePath);
 
     try {
       // Process linked images and update elements
@@ -21,14 +70,14 @@ class ImageProcessor {
       // Add extracted images to the map
       extractedImages.forEach((embeddedInfo) => {
         imageMap.set(embeddedInfo.fileName, embeddedInfo.extractedPath);
-        console.log(
+        this.logger.debug(
           `📎 Added extracted image to map: ${embeddedInfo.fileName}`
         );
       });
 
       return imageMap;
     } catch (error) {
-      console.error("Error processing IDML package:", error);
+      this.logger.error("Error processing IDML package:", error);
       throw error;
     }
   }
@@ -36,8 +85,8 @@ class ImageProcessor {
   async buildImageMap(packageStructure) {
     const imageMap = new Map();
 
-    console.log("Building image map...");
-    console.log("Package structure:", {
+    this.logger.debug("Building image map...");
+    this.logger.debug("Package structure:", {
       uploadDir: packageStructure.uploadDir,
       linksFolder: packageStructure.linksFolder,
       resourceMapSize: packageStructure.resourceMap?.size || 0,
@@ -46,9 +95,9 @@ class ImageProcessor {
 
     // Check all files in resourceMap first
     if (packageStructure.resourceMap) {
-      console.log("Resource map contents:");
+      this.logger.debug("Resource map contents:");
       packageStructure.resourceMap.forEach((filePath, fileName) => {
-        console.log(`  - ${fileName} -> ${filePath}`);
+        this.logger.debug(`  - ${fileName} -> ${filePath}`);
         if (IDMLUtils.isImageFile(fileName)) {
           imageMap.set(fileName, filePath);
 
@@ -56,7 +105,7 @@ class ImageProcessor {
           const nameWithoutExt = path.parse(fileName).name;
           imageMap.set(nameWithoutExt, filePath);
 
-          console.log("Added to image map:", fileName, "->", filePath);
+          this.logger.debug("Added to image map:", fileName, "->", filePath);
         }
       });
     }
@@ -67,8 +116,8 @@ class ImageProcessor {
       fs.existsSync(packageStructure.linksFolder)
     ) {
       const files = fs.readdirSync(packageStructure.linksFolder);
-      console.log("Links folder contents:", files);
-      console.log("Links folder path:", packageStructure.linksFolder);
+      this.logger.debug("Links folder contents:", files);
+      this.logger.debug("Links folder path:", packageStructure.linksFolder);
 
       for (const fileName of files) {
         if (IDMLUtils.isImageFile(fileName)) {
@@ -78,19 +127,26 @@ class ImageProcessor {
           const nameWithoutExt = path.parse(fileName).name;
           imageMap.set(nameWithoutExt, fullPath);
 
-          console.log("Added from Links folder:", fileName, "->", fullPath);
+          this.logger.debug(
+            "Added from Links folder:",
+            fileName,
+            "->",
+            fullPath
+          );
         }
       }
     } else {
-      console.log(
+      this.logger.debug(
         "Links folder does not exist or is not defined:",
         packageStructure.linksFolder
       );
     }
 
-    console.log(`📸 Image map built with ${imageMap.size / 2} unique images`);
+    this.logger.debug(
+      `📸 Image map built with ${imageMap.size / 2} unique images`
+    );
     Array.from(imageMap.keys()).forEach((key) => {
-      console.log("  - Image key:", key);
+      this.logger.debug("  - Image key:", key);
     });
 
     return imageMap;
@@ -101,21 +157,25 @@ class ImageProcessor {
     packageStructure,
     extractedImages = []
   ) {
-    console.log("🖼️ Processing linked resources...");
-    console.log(
+    this.logger.debug("🖼️ Processing linked resources...");
+    this.logger.debug(
       `📊 Document has ${documentData.elements?.length || 0} elements`
     );
-    console.log(`📊 Package has ${extractedImages.length} extracted images`);
-    console.log(`📊 Package structure uploadId: ${packageStructure.uploadId}`);
+    this.logger.debug(
+      `📊 Package has ${extractedImages.length} extracted images`
+    );
+    this.logger.debug(
+      `📊 Package structure uploadId: ${packageStructure.uploadId}`
+    );
 
     const imageMap = await this.buildImageMap(packageStructure);
-    console.log(`📊 Image map has ${imageMap.size} images`);
+    this.logger.debug(`📊 Image map has ${imageMap.size} images`);
 
     // Add extracted images to the map
-    console.log("📎 Adding extracted embedded images to image map:");
+    this.logger.debug("📎 Adding extracted embedded images to image map:");
     extractedImages.forEach((embeddedInfo) => {
       imageMap.set(embeddedInfo.fileName, embeddedInfo.extractedPath);
-      console.log(
+      this.logger.debug(
         `  - ${embeddedInfo.fileName} -> ${embeddedInfo.extractedPath}`
       );
     });
@@ -127,7 +187,7 @@ class ImageProcessor {
 
     for (const element of documentData.elements || []) {
       if (this.hasImageReference(element)) {
-        console.log(`🔍 Processing element for image linking:`, {
+        this.logger.debug(`🔍 Processing element for image linking:`, {
           id: element.id || element.self,
           name: element.name,
           type: element.type,
@@ -176,19 +236,42 @@ class ImageProcessor {
       }
     }
 
+    // NEW: Page items anchored in stories (e.g. inline icons)
+    for (const story of Object.values(documentData.stories || {})) {
+      const anchoredItems = (story.anchoredObjects || []).flatMap((item) => [
+        item,
+        ...(item.groupItems || []),
+      ]);
+      for (const item of anchoredItems) {
+        if (!this.hasImageReference(item)) continue;
+        const linked = await this.linkElementToImage(
+          item,
+          packageStructure,
+          imageMap,
+          extractedImages
+        );
+        if (linked) linkedCount++;
+      }
+    }
+
     await this.processTextImages(documentData, packageStructure, imageMap);
 
-    console.log("✅ Linked resources processed");
-    console.log(
+    // NEW: What each Link resolved to (saved as the links module)
+    documentData.links = this.buildLinksReport(documentData);
+
+    this.logger.debug("✅ Linked resources processed");
+    this.logger.debug(
       `📊 Summary: ${externalCount} external images, ${embeddedCount} embedded images`
     );
-    console.log(`📊 Successfully linked ${linkedCount} elements to images`);
+    this.logger.debug(
+      `📊 Successfully linked ${linkedCount} elements to images`
+    );
   }
 
   hasImageReference(element) {
     // ENHANCED: Check for embedded images first
     if (element.isContentFrame && element.hasPlacedContent) {
-      console.log(
+      this.logger.debug(
         `🔍 Element ${element.id || element.self} (${
           element.name
         }) is a content frame with placed content`
@@ -198,7 +281,7 @@ class ImageProcessor {
 
     // Check for href directly on the element (as shown in the logs)
     if (element.href) {
-      console.log(
+      this.logger.debug(
         `🔍 Element ${element.id || element.self} (${
           element.name
         }) has href directly on element: "${element.href}"`
@@ -213,7 +296,7 @@ class ImageProcessor {
         element.placedContent.imageTypeName ||
         element.placedContent.actualPpi)
     ) {
-      console.log(
+      this.logger.debug(
         `🔍 Element ${element.id || element.self} (${
           element.name
         }) has placed content with image data`
@@ -223,7 +306,7 @@ class ImageProcessor {
 
     // For rectangles, check if they could be content frames
     if (element.type === "Rectangle") {
-      console.log(
+      this.logger.debug(
         `🔍 Element ${element.id || element.self} (${
           element.name
         }) is a rectangle - potential image container`
@@ -252,7 +335,7 @@ class ImageProcessor {
       element.linkedImage;
 
     if (hasImageRef) {
-      console.log(
+      this.logger.debug(
         `🔍 Element ${element.id || element.self} (${
           element.name
         }) has image reference indicators`
@@ -263,6 +346,17 @@ class ImageProcessor {
   }
 
   findImageByName(searchName, imageMap) {
+    return this.matchImageName(searchName, imageMap)?.fileName || null;
+  }
+
+  /**
+   * NEW: Find the image a link names, and how it was found: "exact" (the
+   * file name itself) or "heuristic" (another extension, case or encoding)
+   * @param {string} searchName - Linked file name or URI
+   * @param {Map} imageMap - Image file names → paths
+   * @returns {Object|null} { fileName, method }
+   */
+  matchImageName(searchName, imageMap) {
     if (!searchName) return null;
 
     // Remove file: prefix and any leading slashes
@@ -272,7 +366,7 @@ class ImageProcessor {
     try {
       cleanName = decodeURIComponent(cleanName);
     } catch (error) {
-      console.log(`⚠️ Could not URL decode "${searchName}", using as-is`);
+      this.logger.debug(`⚠️ Could not URL decode "${searchName}", using as-is`);
     }
 
     // Only use the base filename for matching
@@ -280,27 +374,27 @@ class ImageProcessor {
     const nameWithoutExt = path.parse(baseName).name;
     const originalExt = path.parse(baseName).ext;
 
-    console.log(
+    this.logger.debug(
       `🔍 Searching for image: "${searchName}" (decoded: "${cleanName}", base: "${baseName}", name: "${nameWithoutExt}", ext: "${originalExt}")`
     );
-    console.log(`🔍 Available image keys:`, Array.from(imageMap.keys()));
+    this.logger.debug(`🔍 Available image keys:`, Array.from(imageMap.keys()));
 
     // Try exact match first (with decoded name)
     if (imageMap.has(baseName)) {
-      console.log(`✅ Found exact match: "${baseName}"`);
-      return baseName;
+      this.logger.debug(`✅ Found exact match: "${baseName}"`);
+      return { fileName: baseName, method: "exact" };
     }
 
     // Try with Links/ prefix
     if (imageMap.has(`Links/${baseName}`)) {
-      console.log(`✅ Found with Links/ prefix: "Links/${baseName}"`);
-      return `Links/${baseName}`;
+      this.logger.debug(`✅ Found with Links/ prefix: "Links/${baseName}"`);
+      return { fileName: `Links/${baseName}`, method: "exact" };
     }
 
     // Try without extension
     if (imageMap.has(nameWithoutExt)) {
-      console.log(`✅ Found without extension: "${nameWithoutExt}"`);
-      return nameWithoutExt;
+      this.logger.debug(`✅ Found without extension: "${nameWithoutExt}"`);
+      return { fileName: nameWithoutExt, method: "heuristic" };
     }
 
     // Try different extensions for the same base name
@@ -316,8 +410,8 @@ class ImageProcessor {
     for (const ext of commonExtensions) {
       const testName = nameWithoutExt + ext;
       if (imageMap.has(testName)) {
-        console.log(`✅ Found with different extension: "${testName}"`);
-        return testName;
+        this.logger.debug(`✅ Found with different extension: "${testName}"`);
+        return { fileName: testName, method: "heuristic" };
       }
     }
 
@@ -325,28 +419,30 @@ class ImageProcessor {
     for (const ext of commonExtensions) {
       const encodedName = encodeURIComponent(nameWithoutExt) + ext;
       if (imageMap.has(encodedName)) {
-        console.log(
+        this.logger.debug(
           `✅ Found URL-encoded version with ${ext}: "${encodedName}"`
         );
-        return encodedName;
+        return { fileName: encodedName, method: "heuristic" };
       }
     }
 
     // Try the original encoded name as-is
     const originalBaseName = path.basename(searchName);
     if (imageMap.has(originalBaseName)) {
-      console.log(`✅ Found original encoded name: "${originalBaseName}"`);
-      return originalBaseName;
+      this.logger.debug(
+        `✅ Found original encoded name: "${originalBaseName}"`
+      );
+      return { fileName: originalBaseName, method: "exact" };
     }
 
     // Try the original encoded name with different extensions
     for (const ext of commonExtensions) {
       const testName = path.parse(originalBaseName).name + ext;
       if (imageMap.has(testName)) {
-        console.log(
+        this.logger.debug(
           `✅ Found original encoded name with ${ext}: "${testName}"`
         );
-        return testName;
+        return { fileName: testName, method: "heuristic" };
       }
     }
 
@@ -357,11 +453,13 @@ class ImageProcessor {
     });
 
     if (possibleMatches.length > 0) {
-      console.log(`✅ Found case-insensitive match: "${possibleMatches[0]}"`);
-      return possibleMatches[0];
+      this.logger.debug(
+        `✅ Found case-insensitive match: "${possibleMatches[0]}"`
+      );
+      return { fileName: possibleMatches[0], method: "heuristic" };
     }
 
-    console.log(`❌ No match found for "${searchName}"`);
+    this.logger.debug(`❌ No match found for "${searchName}"`);
     return null;
   }
 
@@ -371,7 +469,7 @@ class ImageProcessor {
     imageMap,
     extractedImages
   ) {
-    console.log(
+    this.logger.debug(
       "🔍 Linking images for element:",
       element.id || element.self,
       element.type
@@ -391,7 +489,7 @@ class ImageProcessor {
       // Also check for href directly on the element (as shown in the logs)
       if (!href && element.href) {
         href = element.href;
-        console.log(`🔍 Found href directly on element: "${href}"`);
+        this.logger.debug(`🔍 Found href directly on element: "${href}"`);
       }
 
       // If we have an href that looks like a file reference (not base64), handle as linked image
@@ -399,21 +497,24 @@ class ImageProcessor {
         // FIX: Decode URL-encoded filename
         const decodedHref = decodeURIComponent(href);
         const referencedImage = path.basename(decodedHref);
-        console.log(
+        this.logger.debug(
           `🔍 Looking for linked image: "${referencedImage}" (decoded from "${href}")`
         );
 
         // Try to find the image by name
-        imageFileName = this.findImageByName(referencedImage, imageMap);
+        let match = this.matchImageName(referencedImage, imageMap);
 
         // If not found, also try with the original encoded name
-        if (!imageFileName) {
+        if (!match) {
           const encodedImage = path.basename(href);
-          imageFileName = this.findImageByName(encodedImage, imageMap);
-          if (imageFileName) {
-            console.log(`✅ Found image with encoded name: "${encodedImage}"`);
+          match = this.matchImageName(encodedImage, imageMap);
+          if (match) {
+            this.logger.debug(
+              `✅ Found image with encoded name: "${encodedImage}"`
+            );
           }
         }
+        imageFileName = match?.fileName || null;
 
         if (imageFileName && imageMap.has(imageFileName)) {
           // Determine if the image is in Links or ExtractedImages
@@ -431,8 +532,28 @@ class ImageProcessor {
             isEmbedded: isEmbedded,
             framePosition: element.position,
             imagePosition: element.imagePosition,
+            match: match.method, // NEW: "exact" or "heuristic"
           };
-          console.log(
+          // NEW: Guessed links are shown, but reported
+          if (match.method === "heuristic") {
+            this.diagnostics.warn(
+              DiagnosticsCollector.CATEGORIES.MISSING_LINK,
+              `Linked file "${referencedImage}" was not found; showing "${path.basename(
+                imagePath
+              )}", which has a similar name`,
+              {
+                code: "link-matched-by-heuristic",
+                source: {
+                  self: element.self || element.id,
+                  type: element.type,
+                },
+                details: { href, fileName: imageFileName },
+              }
+            );
+          }
+          this.attachDerivative(element, uploadId, urlFolder); // NEW
+          this.attachResponsiveSizes(element, uploadId, urlFolder); // NEW
+          this.logger.debug(
             `✅ Successfully linked image: ${imageFileName} to element ${
               element.id || element.self
             }`
@@ -441,6 +562,19 @@ class ImageProcessor {
         }
       }
 
+      // NEW: The frame names a file that is not in the package
+      const source = {
+        self: element.self || element.id,
+        type: element.type,
+      };
+      if (href && !href.startsWith("data:") && href.length < 1000) {
+        this.diagnostics.warn(
+          DiagnosticsCollector.CATEGORIES.MISSING_LINK,
+          `Linked file "${path.basename(href)}" was not found in the package`,
+          { code: "link-not-found", source, details: { href } }
+        );
+      }
+
       // --- EMBEDDED IMAGE HANDLING (Only if no linked image found) ---
       const embeddedInfo = this.detectEmbeddedImages(element);
       if (embeddedInfo.hasEmbeddedContent) {
@@ -464,7 +598,9 @@ class ImageProcessor {
             framePosition: element.position,
             imagePosition: element.imagePosition,
           };
-          console.log(
+          this.attachDerivative(element, uploadId, "ExtractedImages"); // NEW
+          this.attachResponsiveSizes(element, uploadId, "ExtractedImages"); // NEW
+          this.logger.debug(
             `✅ Linked extracted embedded image: ${matchingExtractedImage.fileName}`
           );
           return true;
@@ -481,23 +617,349 @@ class ImageProcessor {
             framePosition: element.position,
             imagePosition: element.imagePosition,
           };
-          console.log(
+          this.logger.debug(
             `📋 Created placeholder for embedded image: ${
               element.id || element.self
             }`
           );
+          this.diagnostics.info(
+            DiagnosticsCollector.CATEGORIES.FALLBACK,
+            "Embedded image could not be extracted; showing a placeholder",
+            {
+              code: "embedded-image-placeholder",
+              source,
+              details: { embeddedType: embeddedInfo.embeddedType },
+            }
+          );
           return true;
         }
       }
 
       // If we get here, no image was found or linked
-      console.log(`❌ No image linked for ${element.id || element.self}`);
+      this.logger.debug(`❌ No image linked for ${element.id || element.self}`);
+      // Plain colour boxes have no placed content to miss
+      if (!href && (element.hasPlacedContent || element.placedContent)) {
+        this.diagnostics.warn(
+          DiagnosticsCollector.CATEGORIES.MISSING_LINK,
+          "Frame has placed content but no image could be linked",
+          { code: "no-image-linked", source }
+        );
+      }
       return false;
     } catch (error) {
-      console.error(`❌ Error linking image:`, error);
+      this.logger.error(`❌ Error linking image:`, error);
       return false;
     }
   }
+
+  /**
+   * NEW: Point a linked TIFF, PSD, EPS, AI or PDF at a web derivative, so
+   * browsers get a PNG or JPEG. The original stays at originalUrl
+   * @param {Object} element - Element with linkedImage
+   * @param {string} uploadId - Upload the files are served from
+   * @param {string} urlFolder - "Links" or "ExtractedImages"
+   */
+  attachDerivative(element, uploadId, urlFolder) {
+    const linkedImage = element.linkedImage;
+    if (
+      !linkedImage?.originalPath ||
+      !ImageConverter.isConvertible(linkedImage.originalPath)
+    ) {
+      return;
+    }
+
+    const derivative = this.imageConverter.convert(linkedImage.originalPath, {
+      self: element.self || element.id,
+      type: element.type,
+    });
+    if (!derivative) return;
+
+    const derivativeName = path.basename(derivative.path);
+    const url = `/api/image/${uploadId}/${urlFolder}/${derivativeName}`;
+    linkedImage.originalUrl = linkedImage.url;
+    linkedImage.url = url;
+    linkedImage.derivativePath = derivative.path;
+
+    if (element.placedContent) {
+      element.placedContent.derivative = {
+        path: `${urlFolder}/${derivativeName}`,
+        url,
+        format: derivative.format,
+        method: derivative.method,
+      };
+    }
+  }
+
+  /**
+   * NEW: Make downscaled copies of a large image at the sizes it is shown
+   * at (its placed size at several zoom levels), listed in
+   * linkedImage.sizes so viewers can ask the image API for one with ?w=
+   * @param {Object} element - Element with linkedImage
+   * @param {string} uploadId - Upload the files are served from
+   * @param {string} urlFolder - "Links" or "ExtractedImages"
+   */
+  attachResponsiveSizes(element, uploadId, urlFolder) {
+    const linkedImage = element.linkedImage;
+    const sourcePath = linkedImage?.derivativePath || linkedImage?.originalPath;
+    if (!linkedImage?.url || !sourcePath || !fs.existsSync(sourcePath)) return;
+
+    const size = readImageSize(sourcePath);
+    if (!size) return;
+    const displayWidth = this.getDisplayWidth(element, size.width);
+    if (!(displayWidth > 0)) return;
+    linkedImage.sourceWidth = size.width;
+    linkedImage.displayWidth = Math.round(displayWidth);
+
+    const widths = [
+      ...new Set(
+        RESPONSIVE_ZOOM_LEVELS.map((zoom) => Math.ceil(displayWidth * zoom))
+      ),
+    ].filter((width) => width > 0 && width < size.width * RESIZE_THRESHOLD);
+    if (widths.length === 0) return;
+
+    const resized = this.imageConverter.resize(sourcePath, widths, {
+      self: element.self || element.id,
+      type: element.type,
+    });
+    if (resized.length === 0) return;
+
+    const url = `/api/image/${uploadId}/${urlFolder}/${path.basename(
+      sourcePath
+    )}`;
+    linkedImage.sizes = resized.map(({ width }) => ({
+      width,
+      url: `${url}?w=${width}`,
+    }));
+  }
+
+  /**
+   * NEW: Width in CSS pixels a placed image is shown at with the page at
+   * 100%. The effective resolution InDesign recorded gives it for the
+   * placed pixels; derivatives (which may be previews of another size)
+   * use the image's placed size instead
+   * @param {Object} element - Element with linkedImage
+   * @param {number} sourceWidth - Width of the served image in pixels
+   * @returns {number} Width in CSS pixels, or 0 when unknown
+   */
+  getDisplayWidth(element, sourceWidth) {
+    const effectivePpi = parseFloat(element.placedContent?.effectivePpi);
+    if (effectivePpi > 0 && !element.linkedImage.derivativePath) {
+      return (sourceWidth * CSS_PIXELS_PER_INCH) / effectivePpi;
+    }
+
+    const placement =
+      element.imagePosition || element.linkedImage.imagePosition;
+    const boundsWidth = placement?.graphicBounds?.width;
+    if (boundsWidth > 0 && placement.matrix) {
+      const { a, b } = placement.matrix;
+      return boundsWidth * Math.hypot(a, b) * CSS_PIXELS_PER_POINT;
+    }
+    return 0;
+  }
+
+  /**
+   * NEW: Page items with placed content: elements, the items of their
+   * groups, and items anchored in stories
+   * @param {Object} documentData - { elements, stories }
+   * @returns {Array} Page items (each object once)
+   */
+  getPlacedItems(documentData) {
+    const items = new Set();
+    const add = (item) => {
+      if (!item || items.has(item)) return;
+      if (item.placedContent) items.add(item);
+      (item.groupItems || []).forEach(add);
+    };
+    (documentData.elements || []).forEach(add);
+    Object.values(documentData.stories || {}).forEach((story) =>
+      (story.anchoredObjects || []).forEach(add)
+    );
+    return [...items];
+  }
+
+  /**
+   * NEW: Key of a placed item's link in the links report: the Link's Self
+   * id, or the item's own for content without a Link
+   * @param {Object} item - Page item with placedContent
+   * @returns {string}
+   */
+  getLinkId(item) {
+    return item.placedContent.link?.self || `${item.self || item.id}/content`;
+  }
+
+  /**
+   * NEW: Links report, like InDesign's Links panel: each Link with its
+   * URI, status, resolution, color space, effective PPI and where it is
+   * placed
+   * @param {Object} documentData - Processed document (elements, stories)
+   * @returns {Object} { generatedAt, summary, links }; summary counts the
+   *   links by status
+   */
+  buildLinksReport(documentData) {
+    const links = new Map();
+    for (const item of this.getPlacedItems(documentData)) {
+      const id = this.getLinkId(item);
+      if (!links.has(id)) links.set(id, this.createLinkEntry(item, id));
+
+      const placements = links.get(id).placements;
+      const self = item.self || item.id;
+      if (!placements.some((placement) => placement.self === self)) {
+        placements.push({
+          self,
+          type: item.type,
+          spreadId: item.spreadId || null,
+        });
+      }
+    }
+
+    const entries = [...links.values()];
+    const summary = { total: entries.length };
+    LINK_STATUSES.forEach((status) => {
+      summary[status] = entries.filter(
+        (entry) => entry.status === status
+      ).length;
+    });
+    return { generatedAt: new Date().toISOString(), summary, links: entries };
+  }
+
+  /**
+   * NEW: Links report entry for the first item a link is placed in
+   * @param {Object} item - Page item with placedContent
+   * @param {string} id - Link id (see getLinkId)
+   * @returns {Object} Entry without placements
+   */
+  createLinkEntry(item, id) {
+    const content = item.placedContent;
+    const link = content.link || {};
+    const linkedImage = item.linkedImage?.url ? item.linkedImage : null;
+    const filePath =
+      linkedImage?.originalPath && fs.existsSync(linkedImage.originalPath)
+        ? linkedImage.originalPath
+        : null;
+    const parsePpi = (value) =>
+      value == null ? null : String(value).split(/\s+/).map(Number);
+
+    return {
+      id,
+      name: link.uri ? link.uri.split(/[\\/]/).pop() : content.href || null,
+      uri: link.uri || null,
+      format: link.format || null,
+      storedState: link.storedState || null,
+      status: this.getLinkStatus(link, linkedImage, filePath),
+      relinkedTo: link.relinkedTo || null,
+      file: linkedImage?.fileName || null,
+      url: linkedImage?.originalUrl || linkedImage?.url || null,
+      fileSize: filePath ? fs.statSync(filePath).size : null,
+      resolution: this.getLinkResolution(item, filePath),
+      actualPpi: parsePpi(content.actualPpi),
+      effectivePpi: parsePpi(content.effectivePpi),
+      colorSpace: content.space || null,
+      imageType: content.imageTypeName || null,
+      placements: [],
+    };
+  }
+
+  /**
+   * NEW: Status of a link: found, modified (InDesign marked it out of
+   * date, or the file's size differs from the one it recorded),
+   * matched-by-heuristic, missing, or embedded (no file to link)
+   * @param {Object} link - placedContent.link
+   * @param {Object|null} linkedImage - Linked image, when one was found
+   * @param {string|null} filePath - The file found for it
+   * @returns {string} One of LINK_STATUSES
+   */
+  getLinkStatus(link, linkedImage, filePath) {
+    if (!link.uri && linkedImage?.isEmbedded) return "embedded";
+    if (!linkedImage) return "missing";
+    if (linkedImage.match === "heuristic") return "matched-by-heuristic";
+    // A file the user relinked to is what they want, whatever its size
+    if (link.relinkedTo) return "found";
+    if (link.storedState === "LinkOutOfDate") return "modified";
+    if (
+      link.size != null &&
+      filePath &&
+      fs.statSync(filePath).size !== link.size
+    ) {
+      return "modified";
+    }
+    return "found";
+  }
+
+  /**
+   * NEW: Pixel size of a linked image: from its file (or a TIFF or PSD's
+   * derivative), or else from its actual PPI and placed size
+   * @param {Object} item - Page item with placedContent
+   * @param {string|null} filePath - The file found for it
+   * @returns {Object|null} { width, height }
+   */
+  getLinkResolution(item, filePath) {
+    const derivativePath = item.linkedImage?.derivativePath;
+    const size =
+      (filePath && readImageSize(filePath)) ||
+      (filePath &&
+        derivativePath &&
+        RASTER_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) &&
+        fs.existsSync(derivativePath) &&
+        readImageSize(derivativePath));
+    if (size) return size;
+
+    const [ppiX, ppiY] = String(item.placedContent.actualPpi ?? "")
+      .split(/\s+/)
+      .map(Number);
+    const bounds = item.placedContent.graphicBounds;
+    if (!(ppiX > 0 && bounds?.width > 0)) return null;
+    return {
+      width: Math.round((bounds.width / 72) * ppiX),
+      height: Math.round((bounds.height / 72) * (ppiY || ppiX)),
+    };
+  }
+
+  /**
+   * NEW: Point a link at another file (a replacement uploaded to the Links
+   * folder) and link the page items it is placed in again, without
+   * processing the rest of the document
+   * @param {Object} documentData - { elements, stories }; updated in place
+   * @param {string} linkId - Link id from the links report
+   * @param {string} fileName - Replacement file name in the Links folder
+   * @param {Object} packageStructure - { uploadId, uploadDir, linksFolder }
+   * @param {Array} extractedImages - Embedded images extracted on upload
+   * @returns {Promise<Array>} The page items that were relinked
+   */
+  async relink(
+    documentData,
+    linkId,
+    fileName,
+    packageStructure,
+    extractedImages = []
+  ) {
+    const items = this.getPlacedItems(documentData).filter(
+      (item) => this.getLinkId(item) === linkId
+    );
+    if (items.length === 0) return [];
+
+    const imageMap = await this.buildImageMap(packageStructure);
+    for (const item of items) {
+      item.placedContent.href = fileName;
+      item.placedContent.link = {
+        ...(item.placedContent.link || {}),
+        relinkedTo: fileName,
+      };
+      delete item.placedContent.derivative;
+      delete item.linkedImage;
+      await this.linkElementToImage(
+        item,
+        packageStructure,
+        imageMap,
+        extractedImages
+      );
+    }
+
+    this.logger.info(
+      `🔗 Relinked ${linkId} to ${fileName} (${items.length} page item(s))`
+    );
+    return items;
+  }
+
   detectEmbeddedImages(element) {
     const embeddedIndicators = {
       hasEmbeddedContent: false,
@@ -574,8 +1036,8 @@ class ImageProcessor {
   }
 
   async analyzeSpreadForImageReferences(idmlPath, xmlParser) {
-    console.log("\n🔍 === ANALYZING SPREADS FOR IMAGE REFERENCES ===");
-    console.log("📁 IDML path:", idmlPath);
+    this.logger.debug("\n🔍 === ANALYZING SPREADS FOR IMAGE REFERENCES ===");
+    this.logger.debug("📁 IDML path:", idmlPath);
 
     const spreadAnalysis = {
       spreadsAnalyzed: 0,
@@ -585,23 +1047,28 @@ class ImageProcessor {
     };
 
     try {
+      // Only the spreads are needed here
       const extractedData = await this.fileExtractor.extractIDMLContents(
-        idmlPath
+        idmlPath,
+        { filter: ["Spreads/"] }
       );
 
-      console.log(`📊 Extracted data keys:`, Object.keys(extractedData));
+      this.logger.debug(`📊 Extracted data keys:`, Object.keys(extractedData));
 
       // Find spread files
       const spreadFiles = Object.keys(extractedData).filter(
         (name) => name.startsWith("Spreads/") && name.endsWith(".xml")
       );
 
-      console.log(`📄 Found ${spreadFiles.length} spread files:`, spreadFiles);
+      this.logger.debug(
+        `📄 Found ${spreadFiles.length} spread files:`,
+        spreadFiles
+      );
 
       // Analyze each spread
       for (const spreadFile of spreadFiles) {
         try {
-          console.log(`🔍 Analyzing spread file: ${spreadFile}`);
+          this.logger.debug(`🔍 Analyzing spread file: ${spreadFile}`);
           const spreadContent = extractedData[spreadFile];
           const analysis = this.analyzeSpreadXMLForImages(
             spreadContent,
@@ -616,17 +1083,17 @@ class ImageProcessor {
             ...analysis.placedContentDetails
           );
 
-          console.log(`✅ Analyzed ${spreadFile}:`, {
+          this.logger.debug(`✅ Analyzed ${spreadFile}:`, {
             imageReferences: analysis.imageReferences.length,
             linkReferences: analysis.linkReferences.length,
             placedContentDetails: analysis.placedContentDetails.length,
           });
         } catch (error) {
-          console.error(`❌ Error analyzing ${spreadFile}:`, error);
+          this.logger.error(`❌ Error analyzing ${spreadFile}:`, error);
         }
       }
 
-      console.log(`📊 Final analysis summary:`, {
+      this.logger.debug(`📊 Final analysis summary:`, {
         spreadsAnalyzed: spreadAnalysis.spreadsAnalyzed,
         imageReferences: spreadAnalysis.imageReferences.length,
         linkReferences: spreadAnalysis.linkReferences.length,
@@ -635,13 +1102,16 @@ class ImageProcessor {
 
       return spreadAnalysis;
     } catch (error) {
-      console.error("❌ Error analyzing spreads for image references:", error);
+      this.logger.error(
+        "❌ Error analyzing spreads for image references:",
+        error
+      );
       return spreadAnalysis;
     }
   }
 
   analyzeSpreadXMLForImages(xmlContent, fileName, xmlParser) {
-    console.log(`🔍 Analyzing ${fileName} for image references...`);
+    this.logger.debug(`🔍 Analyzing ${fileName} for image references...`);
 
     const analysis = {
       imageReferences: [],
@@ -665,7 +1135,7 @@ class ImageProcessor {
                 path: `${path}.${key}`,
                 value: value,
               });
-              console.log(`🔗 Found href: ${path}.${key} = ${value}`);
+              this.logger.debug(`🔗 Found href: ${path}.${key} = ${value}`);
             }
 
             // Look for image type names
@@ -675,7 +1145,9 @@ class ImageProcessor {
                 path: `${path}.${key}`,
                 value: value,
               });
-              console.log(`🖼️ Found image type: ${path}.${key} = ${value}`);
+              this.logger.debug(
+                `🖼️ Found image type: ${path}.${key} = ${value}`
+              );
             }
 
             // Look for Links or Link references
@@ -685,7 +1157,7 @@ class ImageProcessor {
                 path: `${path}.${key}`,
                 value: JSON.stringify(value).substring(0, 200),
               });
-              console.log(`🔗 Found Link object at: ${path}.${key}`);
+              this.logger.debug(`🔗 Found Link object at: ${path}.${key}`);
             }
 
             // Look for placed content - ENHANCED DETECTION
@@ -713,7 +1185,7 @@ class ImageProcessor {
                   path: `${path}.${key}`,
                   details: value,
                 });
-                console.log(`📷 Found image element: ${path}.${key}`, {
+                this.logger.debug(`📷 Found image element: ${path}.${key}`, {
                   type: value["@_type"],
                   href: value["@_href"],
                   hasProperties: !!value["Properties"],
@@ -738,7 +1210,7 @@ class ImageProcessor {
                       },
                     },
                   });
-                  console.log(
+                  this.logger.debug(
                     `📷 Found Properties with Contents (${contents.length} chars) at: ${path}.${key}`
                   );
                 }
@@ -754,15 +1226,15 @@ class ImageProcessor {
 
       findImageRefs(parsed);
     } catch (error) {
-      console.error(`Error parsing XML in ${fileName}:`, error);
+      this.logger.error(`Error parsing XML in ${fileName}:`, error);
     }
 
     return analysis;
   }
 
   async extractEmbeddedImageFromSpread(idmlPath, uploadDir, xmlParser) {
-    console.log("🖼️ Extracting embedded images from spread XML...");
-    console.log("📁 Upload directory:", uploadDir);
+    this.logger.debug("🖼️ Extracting embedded images from spread XML...");
+    this.logger.debug("📁 Upload directory:", uploadDir);
 
     const embeddedImages = [];
 
@@ -772,20 +1244,22 @@ class ImageProcessor {
         xmlParser
       );
 
-      console.log(`📊 Spread analysis results:`);
-      console.log(`  - Spreads analyzed: ${spreadAnalysis.spreadsAnalyzed}`);
-      console.log(
+      this.logger.debug(`📊 Spread analysis results:`);
+      this.logger.debug(
+        `  - Spreads analyzed: ${spreadAnalysis.spreadsAnalyzed}`
+      );
+      this.logger.debug(
         `  - Image references: ${spreadAnalysis.imageReferences.length}`
       );
-      console.log(
+      this.logger.debug(
         `  - Link references: ${spreadAnalysis.linkReferences.length}`
       );
-      console.log(
+      this.logger.debug(
         `  - Placed content details: ${spreadAnalysis.placedContentDetails.length}`
       );
 
       for (const placedContent of spreadAnalysis.placedContentDetails) {
-        console.log(`🔍 Processing placed content:`, {
+        this.logger.debug(`🔍 Processing placed content:`, {
           elementType: placedContent.elementType,
           path: placedContent.path,
           hasProperties: !!placedContent.details?.Properties,
@@ -799,7 +1273,7 @@ class ImageProcessor {
           placedContent.details.Properties.Contents
         ) {
           const base64Data = placedContent.details.Properties.Contents;
-          console.log(
+          this.logger.debug(
             `📷 Found Base64 image data: ${base64Data.length} characters`
           );
 
@@ -818,7 +1292,7 @@ class ImageProcessor {
           const outputDir = path.dirname(outputPath);
           if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
-            console.log(`📁 Created directory: ${outputDir}`);
+            this.logger.debug(`📁 Created directory: ${outputDir}`);
           }
 
           try {
@@ -835,14 +1309,14 @@ class ImageProcessor {
               isExtracted: true,
             });
 
-            console.log(
+            this.logger.debug(
               `✅ Extracted image: ${fileName} (${imageBuffer.length} bytes) to ${outputPath}`
             );
           } catch (error) {
-            console.error(`❌ Failed to convert Base64 to image:`, error);
+            this.logger.error(`❌ Failed to convert Base64 to image:`, error);
           }
         } else {
-          console.log(
+          this.logger.debug(
             `⏭️ Skipping placed content - not an image with base64 data`
           );
         }
@@ -850,7 +1324,9 @@ class ImageProcessor {
 
       // FALLBACK: If no images found in spreads, try searching in other XML files
       if (embeddedImages.length === 0) {
-        console.log("🔄 No images found in spreads, trying fallback search...");
+        this.logger.debug(
+          "🔄 No images found in spreads, trying fallback search..."
+        );
         const fallbackImages = await this.searchForEmbeddedImagesInAllFiles(
           idmlPath,
           uploadDir,
@@ -859,17 +1335,20 @@ class ImageProcessor {
         embeddedImages.push(...fallbackImages);
       }
     } catch (error) {
-      console.error("❌ Error extracting embedded images from spread:", error);
+      this.logger.error(
+        "❌ Error extracting embedded images from spread:",
+        error
+      );
     }
 
-    console.log(
+    this.logger.debug(
       `✅ Extracted ${embeddedImages.length} embedded images from spread`
     );
     return embeddedImages;
   }
 
   async searchForEmbeddedImagesInAllFiles(idmlPath, uploadDir, xmlParser) {
-    console.log("🔍 Searching for embedded images in all IDML files...");
+    this.logger.debug("🔍 Searching for embedded images in all IDML files...");
 
     const embeddedImages = [];
 
@@ -881,7 +1360,7 @@ class ImageProcessor {
       // Search through all XML files for embedded images
       for (const [fileName, content] of Object.entries(extractedData)) {
         if (fileName.endsWith(".xml")) {
-          console.log(`🔍 Searching in ${fileName}...`);
+          this.logger.debug(`🔍 Searching in ${fileName}...`);
 
           try {
             const parsed = xmlParser.parse(content);
@@ -901,7 +1380,7 @@ class ImageProcessor {
               const outputDir = path.dirname(outputPath);
               if (!fs.existsSync(outputDir)) {
                 fs.mkdirSync(outputDir, { recursive: true });
-                console.log(`📁 Created directory: ${outputDir}`);
+                this.logger.debug(`📁 Created directory: ${outputDir}`);
               }
 
               try {
@@ -917,20 +1396,23 @@ class ImageProcessor {
                   isExtracted: true,
                 });
 
-                console.log(
+                this.logger.debug(
                   `✅ Extracted fallback image: ${fileName} (${imageBuffer.length} bytes)`
                 );
               } catch (error) {
-                console.error(`❌ Failed to extract fallback image:`, error);
+                this.logger.error(
+                  `❌ Failed to extract fallback image:`,
+                  error
+                );
               }
             }
           } catch (error) {
-            console.error(`❌ Error parsing ${fileName}:`, error);
+            this.logger.error(`❌ Error parsing ${fileName}:`, error);
           }
         }
       }
     } catch (error) {
-      console.error("❌ Error in fallback search:", error);
+      this.logger.error("❌ Error in fallback search:", error);
     }
 
     return embeddedImages;
@@ -949,7 +1431,7 @@ class ImageProcessor {
           value.length > 1000 &&
           /^[A-Za-z0-9+/=]+$/.test(value)
         ) {
-          console.log(
+          this.logger.debug(
             `📷 Found potential base64 data in ${path}.${key} (${value.length} chars)`
           );
           foundImages.push(value);
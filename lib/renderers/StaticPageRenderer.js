@@ -0,0 +1,459 @@
+import ColorUtils from "../utils/ColorUtils.js";
+import SpecialCharacters from "../utils/SpecialCharacters.js";
+import TextLayoutEngine from "../utils/TextLayoutEngine.js";
+import { convertColor } from "../viewer/utils/colorUtils.js";
+import { getVectorPathData } from "../viewer/utils/pathGeometry.js";
+import { getImagePlacement } from "../viewer/utils/imagePlacement.js";
+import {
+  getMasterElementsForPage,
+  substitutePageNumbers,
+} from "../viewer/rendering/masterPages.js";
+
+const TEXT_ANCHORS = {
+  CenterAlign: "middle",
+  CenterJustified: "middle",
+  RightAlign: "end",
+  RightJustified: "end",
+};
+
+/**
+ * StaticPageRenderer - renders pages of processed document data as
+ * standalone SVG or HTML, without a browser (used by the CLI and the render
+ * API)
+ */
+class StaticPageRenderer {
+  /**
+   * @param {Object} documentData - Data returned by IDMLProcessor.processIDML
+   * @param {Object} options - resolveImageHref(element) → image URL or path,
+   *   fontMetrics (FontMetrics) to break lines with the document's fonts,
+   *   styles (CSS, e.g. @font-face rules) to embed in each SVG,
+   *   imagePlaceholder (color) to fill image frames whose image has no href
+   */
+  constructor(documentData, options = {}) {
+    this.documentData = documentData || {};
+    this.resolveImageHref =
+      options.resolveImageHref || ((element) => element.linkedImage?.url);
+    this.textLayout = new TextLayoutEngine(options.fontMetrics); // NEW
+    this.styles = options.styles || ""; // NEW
+    this.imagePlaceholder = options.imagePlaceholder || null; // NEW
+  }
+
+  /**
+   * Escape text for use in XML content and attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escapeXML(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  getPages() {
+    const pages = this.documentData.pages;
+    if (Array.isArray(pages)) return pages;
+    return pages && typeof pages === "object" ? Object.values(pages) : [];
+  }
+
+  /**
+   * Page size in pixels
+   * @param {Object} page - Document page
+   * @returns {Object} { width, height }
+   */
+  getPageSize(page) {
+    const dimensions = this.documentData.pageInfo?.dimensions || {};
+    return {
+      width:
+        page.geometricBounds?.width ||
+        dimensions.pixelDimensions?.width ||
+        dimensions.width ||
+        612,
+      height:
+        page.geometricBounds?.height ||
+        dimensions.pixelDimensions?.height ||
+        dimensions.height ||
+        792,
+    };
+  }
+
+  /**
+   * Items drawn on a page, master items first (bottom of the stack first)
+   * @param {Object} page - Document page
+   * @returns {Array} Elements with pixel positions
+   */
+  getPageElements(page) {
+    const { elementMap = {}, pageElementIds = {}, elementsByPage = {} } =
+      this.documentData;
+    // FIXED: elementMap and elementsByPage hold copies made before images
+    // were linked, so items are taken from the elements list when they are
+    // in it
+    const elements = new Map(
+      (this.documentData.elements || []).map((element) => [
+        element.self || element.id,
+        element,
+      ])
+    );
+    const pageElements = pageElementIds[page.self]
+      ? pageElementIds[page.self]
+          .map((id) => elements.get(id) || elementMap[id])
+          .filter(Boolean)
+      : (elementsByPage[page.self] || []).map(
+          (element) => elements.get(element.self || element.id) || element
+        );
+
+    // Stacking order follows the order items appear in the spreads
+    const order = new Map(
+      [...elements.keys()].map((elementId, index) => [elementId, index])
+    );
+    const sorted = [...pageElements].sort(
+      (a, b) =>
+        (order.get(a.self || a.id) ?? 0) - (order.get(b.self || b.id) ?? 0)
+    );
+
+    return [
+      ...getMasterElementsForPage(page, this.documentData),
+      ...sorted,
+    ].filter((element) => element.pixelPosition && element.visible !== false);
+  }
+
+  /**
+   * Convert a swatch reference to a CSS color
+   * @param {string} colorRef - Swatch reference
+   * @returns {string|null} Color, or null for None/missing swatches
+   */
+  getColor(colorRef) {
+    if (!colorRef || /(^|\/)None$/.test(colorRef)) return null;
+    if (colorRef.startsWith("Gradient/")) return null;
+    const color = convertColor(colorRef, this.documentData, ColorUtils);
+    return color && color !== "transparent" ? color : null;
+  }
+
+  /**
+   * Id for a definition (clip path, gradient) that stays unique when several
+   * pages are inlined into one HTML document
+   * @param {string} prefix - Kind of definition
+   * @param {Object} element - Page item it belongs to
+   * @param {number} pageIndex - Index of the page
+   * @returns {string} XML id
+   */
+  getDefinitionId(prefix, element, pageIndex) {
+    const elementId = String(element.self || element.id);
+    return `${prefix}-${pageIndex}-${elementId.replace(/[^\w-]/g, "_")}`;
+  }
+
+  /**
+   * Build an SVG gradient for a gradient swatch
+   * @param {string} gradientRef - Gradient swatch reference
+   * @param {string} id - Id for the gradient element
+   * @param {number} angle - Gradient fill angle (degrees, counterclockwise)
+   * @returns {string|null} SVG markup, or null for unknown gradients
+   */
+  renderGradient(gradientRef, id, angle = 0) {
+    // Modularized data keeps swatches in resources, processIDML output in
+    // gradientDefinitions
+    const gradient =
+      this.documentData.resources?.gradients?.[gradientRef] ||
+      this.documentData.gradientDefinitions?.[gradientRef];
+    if (!gradient?.gradientStops || gradient.gradientStops.length < 2) {
+      return null;
+    }
+
+    const stops = gradient.gradientStops.map(
+      (stop) =>
+        `<stop offset="${(parseFloat(stop.location) || 0) / 100}" stop-color="${
+          this.getColor(stop.stopColor) || "rgb(0, 0, 0)"
+        }"/>`
+    );
+
+    if (gradient.type === "Radial") {
+      return [
+        `<radialGradient id="${id}" cx="0.5" cy="0.5" r="0.5">`,
+        ...stops,
+        "</radialGradient>",
+      ].join("\n");
+    }
+
+    // InDesign measures angles counterclockwise; SVG rotates clockwise
+    const gradientTransform = angle
+      ? ` gradientTransform="rotate(${-angle} 0.5 0.5)"`
+      : "";
+    return [
+      `<linearGradient id="${id}" x1="0" y1="0" x2="1" y2="0"${gradientTransform}>`,
+      ...stops,
+      "</linearGradient>",
+    ].join("\n");
+  }
+
+  /**
+   * Render one page as a standalone SVG document
+   * @param {Object} page - Document page
+   * @param {number} pageIndex - Index of the page in the document
+   * @param {Object} options - scale of the output size (the viewBox stays in
+   *   page pixels), x for a page nested in a spread
+   * @returns {string} SVG markup
+   */
+  renderPageSVG(page, pageIndex = 0, options = {}) {
+    const { scale = 1, x } = options;
+    const { width, height } = this.getPageSize(page);
+    const outputWidth = +(width * scale).toFixed(2);
+    const outputHeight = +(height * scale).toFixed(2);
+    const position = x !== undefined ? ` x="${x}"` : "";
+    const background =
+      this.getColor(page.backgroundColor) || "rgb(255, 255, 255)";
+    const body = this.getPageElements(page)
+      .map((element) => this.renderElement(element, page, pageIndex))
+      .filter(Boolean)
+      .join("\n");
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"${position} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${width} ${height}">`,
+      // Escaped, not in CDATA: "]]>" in the CSS would end a CDATA section
+      this.styles && `<style>\n${this.escapeXML(this.styles)}\n</style>`,
+      `<rect width="100%" height="100%" fill="${background}"/>`,
+      body,
+      "</svg>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * Render the pages of a spread side by side as one SVG
+   * @param {Array} spreadPages - [{ page, pageIndex }] from left to right
+   * @param {Object} options - scale of the output size
+   * @returns {string} SVG markup
+   */
+  renderSpreadSVG(spreadPages, options = {}) {
+    const { scale = 1 } = options;
+    const sizes = spreadPages.map(({ page }) => this.getPageSize(page));
+    const width = sizes.reduce((sum, size) => sum + size.width, 0);
+    const height = Math.max(0, ...sizes.map((size) => size.height));
+    const outputWidth = +(width * scale).toFixed(2);
+    const outputHeight = +(height * scale).toFixed(2);
+
+    let x = 0;
+    const pages = spreadPages.map(({ page, pageIndex }, index) => {
+      const svg = this.renderPageSVG(page, pageIndex, { x });
+      x += sizes[index].width;
+      return svg;
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${width} ${height}">`,
+      ...pages,
+      "</svg>",
+    ].join("\n");
+  }
+
+  /**
+   * Render every page into one HTML document (pages as inline SVG)
+   * @returns {string} HTML markup
+   */
+  renderDocumentHTML() {
+    const title = this.escapeXML(this.documentData.document?.name || "IDML");
+    const pages = this.getPages()
+      .map(
+        (page, index) =>
+          `<section class="page" data-page="${this.escapeXML(page.self)}">\n${this.renderPageSVG(
+            page,
+            index
+          )}\n</section>`
+      )
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { margin: 0; padding: 24px; background: #e5e5e5; }
+  .page { margin: 0 auto 24px; width: max-content; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); }
+  .page svg { display: block; }
+</style>
+</head>
+<body>
+${pages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render a page item: shape, placed image and text
+   * @param {Object} element - Page item with pixelPosition
+   * @param {Object} page - Page it is drawn on
+   * @param {number} pageIndex - Index of the page
+   * @returns {string} SVG markup
+   */
+  renderElement(element, page, pageIndex) {
+    const { x, y, width, height, rotation } = element.pixelPosition;
+    const transform = rotation
+      ? `translate(${x} ${y}) rotate(${rotation})`
+      : `translate(${x} ${y})`;
+    const fillRef = element.fill || element.fillColor;
+    const fill = this.getColor(fillRef);
+    const stroke = this.getColor(element.stroke || element.strokeColor);
+    const strokeWeight =
+      (element.strokeWeight || 0) * ((element.pixelPosition._dpi || 72) / 72);
+
+    const shapeData = element.pathGeometry
+      ? getVectorPathData(element.pathGeometry, width, height)
+      : `M 0 0 H ${width} V ${height} H 0 Z`;
+    const parts = [];
+
+    // NEW: Gradient swatches become an SVG gradient defined with the item
+    const gradientId = this.getDefinitionId("gradient", element, pageIndex);
+    const gradient = String(fillRef || "").startsWith("Gradient/")
+      ? this.renderGradient(fillRef, gradientId, element.gradientFillAngle)
+      : null;
+    if (gradient) {
+      parts.push(
+        gradient,
+        `<path d="${shapeData}" fill="url(#${gradientId})" fill-rule="evenodd" stroke="none"/>`
+      );
+    } else if (fill) {
+      parts.push(
+        `<path d="${shapeData}" fill="${fill}" fill-rule="evenodd" stroke="none"/>`
+      );
+    }
+
+    const imageHref = element.linkedImage
+      ? this.resolveImageHref(element)
+      : null;
+    if (imageHref) {
+      // NEW: Images in shaped frames are clipped to the frame's path
+      const clipId = this.getDefinitionId("image-clip", element, pageIndex);
+      const placement = getImagePlacement(element, width, height);
+      if (element.pathGeometry || placement.transform) {
+        parts.push(
+          `<clipPath id="${clipId}"><path d="${shapeData}" fill-rule="evenodd"/></clipPath>`
+        );
+      }
+      const image = `<image xlink:href="${this.escapeXML(imageHref)}" x="${
+        placement.x
+      }" y="${placement.y}" width="${placement.width}" height="${
+        placement.height
+      }" preserveAspectRatio="${placement.preserveAspectRatio}"${
+        placement.transform ? ` transform="${placement.transform}"` : ""
+      }/>`;
+      // The clip goes on a group, so it isn't moved by the image transform
+      parts.push(
+        element.pathGeometry || placement.transform
+          ? `<g clip-path="url(#${clipId})">${image}</g>`
+          : image
+      );
+    } else if (element.linkedImage && this.imagePlaceholder) {
+      parts.push(
+        `<path d="${shapeData}" fill="${this.imagePlaceholder}" fill-rule="evenodd" stroke="none"/>`
+      );
+    }
+
+    if (element.type === "TextFrame" && element.parentStory) {
+      parts.push(this.renderTextFrame(element, page, pageIndex));
+    }
+
+    if (stroke && strokeWeight > 0) {
+      parts.push(
+        `<path d="${shapeData}" fill="none" stroke="${stroke}" stroke-width="${strokeWeight}"/>`
+      );
+    }
+
+    if (parts.length === 0) return "";
+    // NEW: Item opacity from its transparency settings
+    const opacity = element.transparency?.blendingSettings?.opacity;
+    const opacityAttribute =
+      typeof opacity === "number" && opacity < 100
+        ? ` opacity="${Math.max(0, opacity) / 100}"`
+        : "";
+    return `<g data-id="${this.escapeXML(
+      element.self || element.id
+    )}" transform="${transform}"${opacityAttribute}>\n${parts.join(
+      "\n"
+    )}\n</g>`;
+  }
+
+  /**
+   * Lay a story out across the frames of its thread (TextLayoutEngine):
+   * lines fill each frame's columns in turn, the rest is overset
+   * @param {Object} story - Story with page numbers filled in
+   * @param {Array} frames - Text frames in thread order
+   * @returns {Array} Positioned lines per frame
+   */
+  layoutStory(story, frames) {
+    return this.textLayout.layoutStory(story, frames).frames.map((frame) =>
+      frame.lines
+        .map((line) => {
+          const anchor = TEXT_ANCHORS[line.alignment] || "start";
+          return {
+            text: SpecialCharacters.removeAnchoredObjects(line.text).trimEnd(),
+            x:
+              anchor === "middle"
+                ? line.columnX + line.columnWidth / 2
+                : anchor === "end"
+                ? line.columnX + line.columnWidth
+                : line.x,
+            y: line.baseline,
+            fontSize: line.style.fontSize,
+            anchor,
+            color: this.getColor(line.style.fillColor) || "rgb(0, 0, 0)",
+            fontFamily: line.style.fontFamily,
+          };
+        })
+        .filter((line) => line.text)
+    );
+  }
+
+  /**
+   * Render the frame's share of its story as positioned text lines
+   * @param {Object} element - Text frame
+   * @param {Object} page - Page it is drawn on
+   * @param {number} pageIndex - Index of the page
+   * @returns {string} SVG markup
+   */
+  renderTextFrame(element, page, pageIndex) {
+    const fullStory = this.documentData.stories?.[element.parentStory];
+    if (!fullStory) return "";
+
+    const elementId = element.self || element.id;
+    const elements = this.documentData.elements || [];
+    const frames = (
+      Array.isArray(element.threadFrames) && element.threadFrames.length
+        ? element.threadFrames
+        : [elementId]
+    )
+      .map((frameId) =>
+        frameId === elementId
+          ? element
+          : elements.find((el) => (el.self || el.id) === frameId)
+      )
+      .filter((frame) => frame?.pixelPosition);
+
+    const story = substitutePageNumbers(fullStory, page, pageIndex);
+    const lines =
+      this.layoutStory(story, frames)[frames.indexOf(element)] || [];
+    if (lines.length === 0) return "";
+
+    const clipId = this.getDefinitionId("frame-clip", element, pageIndex);
+    return [
+      `<clipPath id="${clipId}"><rect width="${element.pixelPosition.width}" height="${element.pixelPosition.height}"/></clipPath>`,
+      `<text clip-path="url(#${clipId})" xml:space="preserve">`,
+      ...lines.map(
+        (line) =>
+          `<tspan x="${+line.x.toFixed(2)}" y="${+line.y.toFixed(
+            2
+          )}" font-size="${line.fontSize}" font-family="${this.escapeXML(
+            line.fontFamily
+          )}" fill="${line.color}" text-anchor="${line.anchor}">${this.escapeXML(
+            line.text
+          )}</tspan>`
+      ),
+      "</text>",
+    ].join("\n");
+  }
+}
+
+// ES6 exports
+export default StaticPageRenderer;
@@ -0,0 +1,184 @@
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import StaticPageRenderer from "./StaticPageRenderer.js";
+import Logger from "../utils/Logger.js";
+
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * ThumbnailGenerator - renders small SVG previews of every page and spread
+ * into a thumbnails folder next to the modules. The manifest records the
+ * hash of the IDML file they were made from, so unchanged documents reuse
+ * them
+ */
+class ThumbnailGenerator {
+  /**
+   * @param {Object} documentData - Processed (or modularized) document data
+   * @param {Object} options - width (px) of a page thumbnail, fontMetrics
+   *   (FontMetrics) to break lines with, urlPrefix the files are served
+   *   from, logger
+   */
+  constructor(documentData, options = {}) {
+    this.documentData = documentData || {};
+    this.width = options.width || 160;
+    this.urlPrefix = options.urlPrefix || "";
+    this.logger = (options.logger || Logger.getDefault()).child(
+      "ThumbnailGenerator"
+    );
+    // Thumbnails are shown as <img>, which can't load linked files, so
+    // image frames get a flat placeholder instead
+    this.renderer = new StaticPageRenderer(this.documentData, {
+      fontMetrics: options.fontMetrics,
+      resolveImageHref: () => null,
+      imagePlaceholder: "rgb(221, 221, 221)",
+    });
+  }
+
+  /**
+   * SHA-256 of a file, used as the thumbnail cache key
+   * @param {string} filePath - IDML file
+   * @returns {string} Hex digest
+   */
+  static hashFile(filePath) {
+    return crypto
+      .createHash("sha256")
+      .update(fs.readFileSync(filePath))
+      .digest("hex");
+  }
+
+  /**
+   * Pages grouped into their spreads, in document order
+   * @returns {Array} [{ spreadId, pages: [{ page, pageIndex }] }]
+   */
+  getSpreads() {
+    const spreads = [];
+    this.renderer.getPages().forEach((page, pageIndex) => {
+      const spreadId = page.spreadParent || page.self;
+      const last = spreads[spreads.length - 1];
+      if (last && last.spreadId === spreadId) {
+        last.pages.push({ page, pageIndex });
+      } else {
+        spreads.push({ spreadId, pages: [{ page, pageIndex }] });
+      }
+    });
+    return spreads;
+  }
+
+  /**
+   * Read the manifest of thumbnails that are still valid for a file
+   * @param {string} thumbnailsDir - Thumbnails folder
+   * @param {string} hash - Hash of the IDML file
+   * @returns {Object|null} Manifest, or null when they must be rendered
+   */
+  loadCachedManifest(thumbnailsDir, hash) {
+    const manifestPath = path.join(thumbnailsDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return null;
+
+    try {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+      const files = [...manifest.pages, ...manifest.spreads].map(
+        (thumbnail) => thumbnail.file
+      );
+      const isValid =
+        manifest.hash === hash &&
+        manifest.width === this.width &&
+        files.every((file) => fs.existsSync(path.join(thumbnailsDir, file)));
+      return isValid ? manifest : null;
+    } catch (error) {
+      this.logger.warn(
+        "⚠️ Ignoring unreadable thumbnail manifest:",
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Render the page and spread thumbnails, unless the folder already has
+   * them for this IDML file
+   * @param {string} thumbnailsDir - Folder to write to
+   * @param {string} hash - Hash of the IDML file (hashFile)
+   * @returns {Object} Manifest { hash, width, generatedAt, pages, spreads }
+   *   (the thumbnails module)
+   */
+  generate(thumbnailsDir, hash) {
+    const cached = this.loadCachedManifest(thumbnailsDir, hash);
+    if (cached) {
+      this.logger.info(`♻️ Thumbnails are up to date (${hash.slice(0, 12)})`);
+      return cached;
+    }
+
+    // Drop thumbnails of an earlier version of the file
+    fs.rmSync(thumbnailsDir, { recursive: true, force: true });
+    fs.mkdirSync(thumbnailsDir, { recursive: true });
+
+    const version = hash.slice(0, 12);
+    const write = (file, svg, size) => {
+      fs.writeFileSync(path.join(thumbnailsDir, file), svg, "utf8");
+      return {
+        file,
+        url: `${this.urlPrefix}/${file}?v=${version}`,
+        width: +size.width.toFixed(2),
+        height: +size.height.toFixed(2),
+      };
+    };
+
+    const pages = this.renderer.getPages().map((page, pageIndex) => {
+      const size = this.renderer.getPageSize(page);
+      const scale = this.width / size.width;
+      return {
+        pageId: page.self,
+        pageIndex,
+        name: String(page.name ?? pageIndex + 1),
+        ...write(
+          `page-${pageIndex + 1}.svg`,
+          this.renderer.renderPageSVG(page, pageIndex, { scale }),
+          { width: size.width * scale, height: size.height * scale }
+        ),
+      };
+    });
+
+    // Spreads use the scale of their pages, so a two-page spread is twice
+    // as wide as a page thumbnail
+    const spreads = this.getSpreads().map((spread, index) => {
+      const sizes = spread.pages.map(({ page }) =>
+        this.renderer.getPageSize(page)
+      );
+      const scale = this.width / sizes[0].width;
+      return {
+        spreadId: spread.spreadId,
+        pageIds: spread.pages.map(({ page }) => page.self),
+        ...write(
+          `spread-${index + 1}.svg`,
+          this.renderer.renderSpreadSVG(spread.pages, { scale }),
+          {
+            width: sizes.reduce((sum, size) => sum + size.width, 0) * scale,
+            height: Math.max(...sizes.map((size) => size.height)) * scale,
+          }
+        ),
+      };
+    });
+
+    const manifest = {
+      hash,
+      width: this.width,
+      generatedAt: new Date().toISOString(),
+      pages,
+      spreads,
+    };
+    fs.writeFileSync(
+      path.join(thumbnailsDir, MANIFEST_FILE),
+      JSON.stringify(manifest, null, 2),
+      "utf8"
+    );
+
+    this.logger.info(
+      `🖼️ Rendered ${pages.length} page and ${spreads.length} spread thumbnails`
+    );
+    return manifest;
+  }
+}
+
+// ES6 exports
+export default ThumbnailGenerator;
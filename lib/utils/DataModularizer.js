@@ -2,8 +2,14 @@ const fs = require("fs");
 const path = require("path");
 
 class DataModularizer {
-  constructor(uploadDir) {
+  /**
+   * @param {string} uploadDir - Upload directory holding modules/
+   * @param {Object} logger - Optional Logger (lib/utils/Logger.js); console
+   *   when not given
+   */
+  constructor(uploadDir, logger = null) {
     this.uploadDir = uploadDir;
+    this.logger = logger ? logger.child("DataModularizer") : console; // NEW
     this.modulesDir = path.join(uploadDir, "modules");
     this.ensureModulesDirectory();
   }
@@ -20,7 +26,7 @@ class DataModularizer {
    * @returns {Object} - Index object with references to all modules
    */
   modularize(processedData) {
-    console.log("🔧 Starting data modularization...");
+    this.logger.debug("🔧 Starting data modularization...");
 
     const modules = {};
     const index = {
@@ -174,6 +180,48 @@ class DataModularizer {
       index.modules.extractedImages = modules.extractedImages;
     }
 
+    // 19. Diagnostics (skipped content, missing fonts/links, fallbacks)
+    if (processedData.diagnostics) {
+      modules.diagnostics = this.saveModule(
+        "diagnostics.json",
+        processedData.diagnostics
+      );
+      index.modules.diagnostics = modules.diagnostics;
+    }
+
+    // 20. Document Fonts (fonts shipped in the package and their @font-face CSS)
+    if (processedData.documentFonts) {
+      modules.documentFonts = this.saveModule(
+        "documentFonts.json",
+        processedData.documentFonts
+      );
+      index.modules.documentFonts = modules.documentFonts;
+    }
+
+    // 21. Text Layout (line breaks and baselines per story and frame)
+    if (processedData.textLayout) {
+      modules.textLayout = this.saveModule(
+        "textLayout.json",
+        processedData.textLayout
+      );
+      index.modules.textLayout = modules.textLayout;
+    }
+
+    // 22. Thumbnails (manifest of the page and spread thumbnail files)
+    if (processedData.thumbnails) {
+      modules.thumbnails = this.saveModule(
+        "thumbnails.json",
+        processedData.thumbnails
+      );
+      index.modules.thumbnails = modules.thumbnails;
+    }
+
+    // 23. Links (each link's status, resolution and placements)
+    if (processedData.links) {
+      modules.links = this.saveModule("links.json", processedData.links);
+      index.modules.links = modules.links;
+    }
+
     // Calculate metadata
     index.metadata.totalModules = Object.keys(index.modules).length;
     index.metadata.totalSize = Object.values(modules).reduce(
@@ -185,12 +233,12 @@ class DataModularizer {
     const indexPath = path.join(this.modulesDir, "index.json");
     fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
 
-    console.log(
+    this.logger.debug(
       `✅ Modularization complete! Created ${index.metadata.totalModules} modules`
     );
-    console.log(`📁 Modules directory: ${this.modulesDir}`);
-    console.log(`📄 Index file: ${indexPath}`);
-    console.log(
+    this.logger.debug(`📁 Modules directory: ${this.modulesDir}`);
+    this.logger.debug(`📄 Index file: ${indexPath}`);
+    this.logger.debug(
       `📊 Total size: ${(index.metadata.totalSize / 1024 / 1024).toFixed(2)} MB`
     );
 
@@ -219,7 +267,34 @@ class DataModularizer {
       dataType: this.getDataType(data),
     };
 
-    console.log(`📄 Created module: ${filename} (${moduleInfo.sizeFormatted})`);
+    this.logger.debug(
+      `📄 Created module: ${filename} (${moduleInfo.sizeFormatted})`
+    );
+    return moduleInfo;
+  }
+
+  /**
+   * Replace the data of one module, e.g. after relinking an image, and
+   * update the index
+   * @param {string} filename - The module's filename
+   * @param {Object} data - The new data
+   * @returns {Object} - Module metadata
+   */
+  updateModule(filename, data) {
+    const moduleInfo = this.saveModule(filename, data);
+    const index = this.loadIndex();
+    if (!index) return moduleInfo;
+
+    index.modules[filename.replace(".json", "")] = moduleInfo;
+    index.metadata.totalModules = Object.keys(index.modules).length;
+    index.metadata.totalSize = Object.values(index.modules).reduce(
+      (total, module) => total + module.size,
+      0
+    );
+    fs.writeFileSync(
+      path.join(this.modulesDir, "index.json"),
+      JSON.stringify(index, null, 2)
+    );
     return moduleInfo;
   }
 
@@ -260,16 +335,19 @@ class DataModularizer {
     const modulePath = path.join(this.modulesDir, `${moduleName}.json`);
 
     if (!fs.existsSync(modulePath)) {
-      console.warn(`⚠️ Module not found: ${moduleName}`);
+      this.logger.warn(`⚠️ Module not found: ${moduleName}`);
       return null;
     }
 
     try {
       const data = JSON.parse(fs.readFileSync(modulePath, "utf8"));
-      console.log(`📖 Loaded module: ${moduleName}`);
+      this.logger.debug(`📖 Loaded module: ${moduleName}`);
       return data;
     } catch (error) {
-      console.error(`❌ Error loading module ${moduleName}:`, error.message);
+      this.logger.error(
+        `❌ Error loading module ${moduleName}:`,
+        error.message
+      );
       return null;
     }
   }
@@ -282,16 +360,16 @@ class DataModularizer {
     const indexPath = path.join(this.modulesDir, "index.json");
 
     if (!fs.existsSync(indexPath)) {
-      console.warn("⚠️ Index file not found");
+      this.logger.warn("⚠️ Index file not found");
       return null;
     }
 
     try {
       const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
-      console.log("📖 Loaded index file");
+      this.logger.debug("📖 Loaded index file");
       return index;
     } catch (error) {
-      console.error("❌ Error loading index file:", error.message);
+      this.logger.error("❌ Error loading index file:", error.message);
       return null;
     }
   }
@@ -317,7 +395,7 @@ class DataModularizer {
       }
     }
 
-    console.log("✅ All modules loaded and reconstructed");
+    this.logger.debug("✅ All modules loaded and reconstructed");
     return reconstructedData;
   }
 
@@ -345,6 +423,11 @@ class DataModularizer {
       "masterSpreads.json": "masterSpreads",
       "layers.json": "layers",
       "resources.json": "resources",
+      "diagnostics.json": "diagnostics",
+      "documentFonts.json": "documentFonts",
+      "textLayout.json": "textLayout",
+      "thumbnails.json": "thumbnails",
+      "links.json": "links",
     };
 
     return mapping[moduleName] || moduleName.replace(".json", "");
@@ -362,9 +445,9 @@ class DataModularizer {
     if (fs.existsSync(oldProcessedDataPath)) {
       try {
         fs.unlinkSync(oldProcessedDataPath);
-        console.log("🗑️ Removed old processed_data.json file");
+        this.logger.debug("🗑️ Removed old processed_data.json file");
       } catch (error) {
-        console.error(
+        this.logger.error(
           "❌ Error removing old processed_data.json:",
           error.message
         );
@@ -0,0 +1,141 @@
+// Diagnostic categories: what was skipped or approximated while parsing
+const CATEGORIES = {
+  UNSUPPORTED_ELEMENT: "unsupported-element",
+  MISSING_FONT: "missing-font",
+  MISSING_LINK: "missing-link",
+  UNRESOLVED_COLOR: "unresolved-color",
+  FALLBACK: "fallback",
+};
+
+const SEVERITIES = ["error", "warning", "info"];
+
+class DiagnosticsCollector {
+  constructor() {
+    this.items = [];
+    this.itemsByKey = new Map(); // Repeated reports only bump occurrences
+    this.itemFiles = new Map(); // Page item Self → package file it came from
+    this.currentFile = null;
+  }
+
+  static get CATEGORIES() {
+    return CATEGORIES;
+  }
+
+  /**
+   * Set the package file being parsed; reports without a file are located
+   * in it
+   * @param {string|null} fileName - Entry name, e.g. "Spreads/Spread_u1.xml"
+   */
+  setCurrentFile(fileName) {
+    this.currentFile = fileName || null;
+  }
+
+  /**
+   * Remember which file a page item was parsed from, so later steps (such
+   * as image linking) can report its location by Self id alone
+   * @param {string} self - Page item Self id
+   */
+  trackItem(self) {
+    if (self && this.currentFile) this.itemFiles.set(self, this.currentFile);
+  }
+
+  /**
+   * Record a diagnostic
+   * @param {Object} diagnostic - { severity, category, code, message,
+   *   source: { file, self, type }, details }
+   * @returns {Object} The stored diagnostic
+   */
+  report(diagnostic) {
+    const severity = SEVERITIES.includes(diagnostic.severity)
+      ? diagnostic.severity
+      : "warning";
+    const source = { ...(diagnostic.source || {}) };
+    if (!source.file) {
+      source.file =
+        (source.self && this.itemFiles.get(source.self)) || this.currentFile;
+    }
+
+    const key = [
+      diagnostic.category,
+      diagnostic.code,
+      source.file,
+      source.self,
+      diagnostic.message,
+    ].join("|");
+    const existing = this.itemsByKey.get(key);
+    if (existing) {
+      existing.occurrences++;
+      return existing;
+    }
+
+    const item = {
+      severity,
+      category: diagnostic.category || CATEGORIES.FALLBACK,
+      code: diagnostic.code || null,
+      message: diagnostic.message,
+      source,
+      details: diagnostic.details || null,
+      occurrences: 1,
+    };
+    this.items.push(item);
+    this.itemsByKey.set(key, item);
+    return item;
+  }
+
+  error(category, message, extra = {}) {
+    return this.report({ ...extra, severity: "error", category, message });
+  }
+
+  warn(category, message, extra = {}) {
+    return this.report({ ...extra, severity: "warning", category, message });
+  }
+
+  info(category, message, extra = {}) {
+    return this.report({ ...extra, severity: "info", category, message });
+  }
+
+  /**
+   * Count diagnostics by severity and category
+   * @returns {Object} { total, bySeverity, byCategory }
+   */
+  getSummary() {
+    const summary = {
+      total: this.items.length,
+      bySeverity: Object.fromEntries(SEVERITIES.map((s) => [s, 0])),
+      byCategory: Object.fromEntries(
+        Object.values(CATEGORIES).map((category) => [category, 0])
+      ),
+    };
+    this.items.forEach((item) => {
+      summary.bySeverity[item.severity]++;
+      summary.byCategory[item.category] =
+        (summary.byCategory[item.category] || 0) + 1;
+    });
+    return summary;
+  }
+
+  /**
+   * Build the diagnostics report (saved as the diagnostics module)
+   * @returns {Object} { generatedAt, summary, items } with errors first
+   */
+  getReport() {
+    const items = [...this.items].sort(
+      (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+    );
+    return {
+      generatedAt: new Date().toISOString(),
+      summary: this.getSummary(),
+      items,
+    };
+  }
+
+  clear() {
+    this.items = [];
+    this.itemsByKey.clear();
+    this.itemFiles.clear();
+    this.currentFile = null;
+  }
+}
+
+// ES6 exports
+export default DiagnosticsCollector;
@@ -0,0 +1,166 @@
+import path from "path";
+import OpenTypeFont from "./OpenTypeFont.js";
+import Logger from "./Logger.js";
+
+// Average glyph width as a share of the font size, for fonts without a font
+// file to measure with
+const AVERAGE_CHARACTER_WIDTH = 0.5;
+
+// Vertical metrics (share of the font size) for fonts without a font file
+const DEFAULT_VERTICAL_METRICS = {
+  ascent: 0.8,
+  descent: 0.2,
+  lineGap: 0,
+  capHeight: 0.7,
+  xHeight: 0.5,
+  emBoxTop: 0.8,
+};
+
+// Compare font names ignoring case, spaces and punctuation
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * FontMetrics - Measures text with the glyph metrics of real font files
+ * (advance widths and pair kerning), falling back to an estimate for fonts
+ * that are not available
+ */
+class FontMetrics {
+  constructor(logger = null) {
+    this.logger = (logger || Logger.getDefault()).child("FontMetrics");
+    this.fonts = new Map(); // "family|style" → OpenTypeFont
+  }
+
+  /**
+   * Load the fonts matched by FontProcessor (the documentFonts module)
+   * @param {Object} documentFonts - { faces } from processDocumentFonts
+   * @param {string} fontsDir - Folder the face files are in
+   * @param {Logger} logger - Optional logger
+   * @returns {FontMetrics}
+   */
+  static fromDocumentFonts(documentFonts, fontsDir, logger = null) {
+    const fontMetrics = new FontMetrics(logger);
+    (documentFonts?.faces || []).forEach((face) => {
+      try {
+        fontMetrics.addFont(
+          face.family,
+          face.style,
+          OpenTypeFont.fromFile(path.join(fontsDir, face.file))
+        );
+      } catch (error) {
+        fontMetrics.logger.warn(
+          `⚠️ Could not load metrics from ${face.file}:`,
+          error.message
+        );
+      }
+    });
+    return fontMetrics;
+  }
+
+  /**
+   * Register a font for a family and style
+   * @param {string} family - InDesign font family
+   * @param {string} style - InDesign font style, e.g. "Bold Italic"
+   * @param {OpenTypeFont} font - Font file to measure with
+   */
+  addFont(family, style, font) {
+    font.getMetrics(); // Fail early for fonts without metrics tables
+    this.fonts.set(
+      `${normalizeName(family)}|${normalizeName(style || "Regular")}`,
+      font
+    );
+  }
+
+  /**
+   * Font file for a text style; only the exact family and style are used
+   * so a regular face never stands in for a bold one
+   * @param {Object} style - { fontFamily, fontStyle }
+   * @returns {OpenTypeFont|null}
+   */
+  getFont(style = {}) {
+    return (
+      this.fonts.get(
+        `${normalizeName(style.fontFamily)}|${normalizeName(
+          style.fontStyle || "Regular"
+        )}`
+      ) || null
+    );
+  }
+
+  hasFont(style) {
+    return Boolean(this.getFont(style));
+  }
+
+  /**
+   * Width of a run of text in pixels
+   * @param {string} text - Text without line breaks
+   * @param {Object} style - { fontFamily, fontStyle, fontSize, tracking
+   *   (thousandths of an em per character), horizontalScale (percent) }
+   * @returns {number} Advance width
+   */
+  measureText(text, style = {}) {
+    const fontSize = style.fontSize || 12;
+    const characters = Array.from(text || "");
+    const font = this.getFont(style);
+
+    let width;
+    if (font) {
+      const { unitsPerEm } = font.getMetrics();
+      let units = 0;
+      let previousGlyph = null;
+      characters.forEach((character) => {
+        const glyph = font.getGlyphIndex(character.codePointAt(0));
+        units += font.getAdvanceWidth(glyph);
+        if (previousGlyph !== null) {
+          units += font.getKerning(previousGlyph, glyph);
+        }
+        previousGlyph = glyph;
+      });
+      width = (units / unitsPerEm) * fontSize;
+    } else {
+      width = characters.length * fontSize * AVERAGE_CHARACTER_WIDTH;
+    }
+
+    width += (characters.length * (style.tracking || 0) * fontSize) / 1000;
+    return (width * (style.horizontalScale || 100)) / 100;
+  }
+
+  /**
+   * Vertical metrics of a text style in pixels
+   * @param {Object} style - { fontFamily, fontStyle, fontSize }
+   * @returns {Object} { ascent, descent, lineGap, capHeight, xHeight,
+   *   emBoxTop, measured }
+   */
+  getVerticalMetrics(style = {}) {
+    const fontSize = style.fontSize || 12;
+    const font = this.getFont(style);
+
+    let ratios = DEFAULT_VERTICAL_METRICS;
+    if (font) {
+      const metrics = font.getMetrics();
+      const em = metrics.unitsPerEm;
+      const height = metrics.ascender - metrics.descender || em;
+      ratios = {
+        ascent: metrics.ascender / em,
+        descent: -metrics.descender / em,
+        lineGap: metrics.lineGap / em,
+        capHeight: metrics.capHeight / em,
+        xHeight: metrics.xHeight / em,
+        // The em box is split between ascent and descent in their ratio
+        emBoxTop: metrics.ascender / height,
+      };
+    }
+
+    return {
+      ...Object.fromEntries(
+        Object.entries(ratios).map(([key, ratio]) => [key, ratio * fontSize])
+      ),
+      measured: Boolean(font),
+    };
+  }
+}
+
+// ES6 exports
+export default FontMetrics;
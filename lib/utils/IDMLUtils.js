@@ -1,7 +1,13 @@
 import path from "path";
 import fs from "fs";
+import Logger from "./Logger.js";
 
 class IDMLUtils {
+  // NEW: Static helpers log through the shared default logger
+  static get logger() {
+    return Logger.getDefault().child("IDMLUtils");
+  }
+
   static parseGeometricBounds(boundsString) {
     if (!boundsString || boundsString === "undefined") {
       return {
@@ -138,6 +144,15 @@ class IDMLUtils {
       .replace(/&apos;/g, "'"); // Apostrophe
   }
 
+  static encodeXMLEntities(text) {
+    if (!text) return "";
+
+    return text
+      .replace(/&/g, "&amp;") // Ampersand (must be first)
+      .replace(/</g, "&lt;") // Less than
+      .replace(/>/g, "&gt;"); // Greater than
+  }
+
   static cleanTextContent(content) {
     return (
       content
@@ -193,7 +208,7 @@ class IDMLUtils {
     );
 
     if (hasProblematicText) {
-      console.log(
+      IDMLUtils.logger.debug(
         "   - After cleanTextForRendering:",
         JSON.stringify(processed)
       );
@@ -236,6 +251,7 @@ class IDMLUtils {
       ".eps",
       ".ai",
       ".psd",
+      ".pdf",
       ".webp",
       ".ico",
       ".jfif",
@@ -277,7 +293,9 @@ class IDMLUtils {
 
   static calculateCoordinateOffset(elements) {
     if (!elements || elements.length === 0) {
-      console.log("🚫 No elements provided for coordinate offset calculation");
+      IDMLUtils.logger.debug(
+        "🚫 No elements provided for coordinate offset calculation"
+      );
       return { x: 0, y: 0 };
     }
 
@@ -286,7 +304,7 @@ class IDMLUtils {
     let maxStrokeWidth = 0;
     let validElements = 0;
 
-    console.log(
+    IDMLUtils.logger.debug(
       `🔍 ANALYZING ${elements.length} elements for coordinate offset...`
     );
 
@@ -300,7 +318,7 @@ class IDMLUtils {
         const finalX = (bounds.left || 0) + (transform.tx || 0);
         const finalY = (bounds.top || 0) + (transform.ty || 0);
 
-        console.log(
+        IDMLUtils.logger.debug(
           `   Element ${index}: bounds(${bounds.left}, ${bounds.top}) + transform(${transform.tx}, ${transform.ty}) = final(${finalX}, ${finalY})`
         );
 
@@ -312,13 +330,15 @@ class IDMLUtils {
         const strokeWidth = element.strokeWeight || 0;
         maxStrokeWidth = Math.max(maxStrokeWidth, strokeWidth);
       } else {
-        console.log(`   Element ${index}: No valid bounds - skipping`);
+        IDMLUtils.logger.debug(
+          `   Element ${index}: No valid bounds - skipping`
+        );
       }
     });
 
     // Handle case where no valid elements found
     if (validElements === 0) {
-      console.log(
+      IDMLUtils.logger.debug(
         "⚠️  No valid elements with bounds found - using zero offset"
       );
       return { x: 0, y: 0 };
@@ -328,7 +348,7 @@ class IDMLUtils {
     if (minX === Infinity) minX = 0;
     if (minY === Infinity) minY = 0;
 
-    console.log(
+    IDMLUtils.logger.debug(
       `📊 ANALYSIS COMPLETE: minX=${minX}, minY=${minY}, maxStroke=${maxStrokeWidth}px, validElements=${validElements}`
     );
 
@@ -340,14 +360,14 @@ class IDMLUtils {
     // Only add offset if coordinates are actually negative
     if (minX < 0) {
       offsetX = Math.abs(minX);
-      console.log(
+      IDMLUtils.logger.debug(
         `❌ Negative X detected: ${minX} → adding offset: ${offsetX}`
       );
     }
 
     if (minY < 0) {
       offsetY = Math.abs(minY);
-      console.log(
+      IDMLUtils.logger.debug(
         `❌ Negative Y detected: ${minY} → adding offset: ${offsetY}`
       );
     }
@@ -359,15 +379,15 @@ class IDMLUtils {
       if (offsetY > 0) offsetY += strokePadding;
     }
 
-    console.log(`🎯 FINAL OFFSET: X=${offsetX}, Y=${offsetY}`);
-    console.log(
+    IDMLUtils.logger.debug(`🎯 FINAL OFFSET: X=${offsetX}, Y=${offsetY}`);
+    IDMLUtils.logger.debug(
       `   ${
         offsetX === 0
           ? "✅ Perfect! No X offset needed"
           : `⚠️ X offset: ${offsetX}px (${minX} was negative)`
       }`
     );
-    console.log(
+    IDMLUtils.logger.debug(
       `   ${
         offsetY === 0
           ? "✅ Perfect! No Y offset needed"
@@ -386,11 +406,13 @@ class IDMLUtils {
    */
   static calculateCoordinateOffsetPrecise(elements) {
     if (!elements || elements.length === 0) {
-      console.warn("🎯 No elements provided for coordinate offset calculation");
+      IDMLUtils.logger.warn(
+        "🎯 No elements provided for coordinate offset calculation"
+      );
       return { x: 0, y: 0 };
     }
 
-    console.log(
+    IDMLUtils.logger.debug(
       "🔍 ANALYZING",
       elements.length,
       "elements for PRECISE coordinate offset..."
@@ -403,7 +425,7 @@ class IDMLUtils {
 
     elements.forEach((element, index) => {
       if (!element.geometricBounds || !element.itemTransform) {
-        console.warn(
+        IDMLUtils.logger.warn(
           `   ⚠️ Element ${index} missing bounds/transform - skipping`
         );
         return;
@@ -417,7 +439,7 @@ class IDMLUtils {
       const strokeWidth = element.strokeWeight || 0;
       maxStroke = Math.max(maxStroke, strokeWidth);
 
-      console.log(
+      IDMLUtils.logger.debug(
         `   Element ${index}: bounds(${element.geometricBounds.left}, ${element.geometricBounds.top}) + transform(${element.itemTransform.tx}, ${element.itemTransform.ty}) = final(${finalX}, ${finalY})`
       );
 
@@ -426,7 +448,7 @@ class IDMLUtils {
       validElements++;
     });
 
-    console.log(
+    IDMLUtils.logger.debug(
       "📊 ANALYSIS COMPLETE:",
       `minX=${minX}, minY=${minY}, maxStroke=${maxStroke}px, validElements=${validElements}`
     );
@@ -439,7 +461,7 @@ class IDMLUtils {
     // Only handle negative coordinates that would be clipped by the browser
     if (minX < 0) {
       offsetX = Math.abs(minX) + maxStroke;
-      console.log(
+      IDMLUtils.logger.debug(
         `❌ Negative X detected: ${minX} → adding offset: ${offsetX}`
       );
     } else {
@@ -447,7 +469,7 @@ class IDMLUtils {
 
     if (minY < 0) {
       offsetY = Math.abs(minY) + maxStroke;
-      console.log(
+      IDMLUtils.logger.debug(
         `❌ Negative Y detected: ${minY} → adding offset: ${offsetY}`
       );
     } else {
@@ -455,15 +477,18 @@ class IDMLUtils {
 
     const finalOffset = { x: offsetX, y: offsetY };
 
-    console.log("🎯 FINAL PRECISE OFFSET:", `X=${offsetX}, Y=${offsetY}`);
-    console.log(
+    IDMLUtils.logger.debug(
+      "🎯 FINAL PRECISE OFFSET:",
+      `X=${offsetX}, Y=${offsetY}`
+    );
+    IDMLUtils.logger.debug(
       `   ${
         offsetX === 0
           ? "✅ Perfect! No X offset needed"
           : `⚠️ X offset: ${offsetX}px (compensating for negative coordinates)`
       }`
     );
-    console.log(
+    IDMLUtils.logger.debug(
       `   ${
         offsetY === 0
           ? "✅ Perfect! No Y offset needed"
@@ -481,13 +506,11 @@ class IDMLUtils {
         return this.parseGeometricBounds(item["@_GeometricBounds"]);
       }
 
-      // Then try path geometry
-      const pathGeometry =
-        item?.Properties?.PathGeometry?.GeometryPathType?.PathPointArray
-          ?.PathPointType;
+      // Then try path geometry (all subpaths of compound paths)
+      const pathGeometry = this.parsePathGeometry(item);
 
-      if (!pathGeometry || !Array.isArray(pathGeometry)) {
-        console.log(
+      if (!pathGeometry) {
+        IDMLUtils.logger.debug(
           `Warning: No geometry found for ${item["@_Self"]}, using item transform`
         );
 
@@ -503,37 +526,9 @@ class IDMLUtils {
         };
       }
 
-      let minX = Infinity,
-        minY = Infinity,
-        maxX = -Infinity,
-        maxY = -Infinity;
-
-      pathGeometry.forEach((point) => {
-        const anchor = point["@_Anchor"];
-        if (anchor) {
-          const [x, y] = anchor.split(" ").map(parseFloat);
-          if (!isNaN(x) && !isNaN(y)) {
-            minX = Math.min(minX, x);
-            maxX = Math.max(maxX, x);
-            minY = Math.min(minY, y);
-            maxY = Math.max(maxY, y);
-          }
-        }
-      });
-
-      if (minX === Infinity || minY === Infinity) {
-        console.log(
-          `Warning: Could not calculate bounds for ${item["@_Self"]}`
-        );
-        return {
-          top: 0,
-          left: 0,
-          bottom: 100,
-          right: 100,
-          width: 100,
-          height: 100,
-        };
-      }
+      const { left: minX, top: minY } = pathGeometry.bounds;
+      const maxX = minX + pathGeometry.bounds.width;
+      const maxY = minY + pathGeometry.bounds.height;
 
       return {
         top: minY,
@@ -544,7 +539,10 @@ class IDMLUtils {
         height: maxY - minY,
       };
     } catch (error) {
-      console.error(`Error calculating bounds for ${item["@_Self"]}:`, error);
+      IDMLUtils.logger.error(
+        `Error calculating bounds for ${item["@_Self"]}:`,
+        error
+      );
       return {
         top: 0,
         left: 0,
@@ -556,6 +554,72 @@ class IDMLUtils {
     }
   }
 
+  /**
+   * Parse the full path geometry of a page item
+   * Keeps every subpath (compound paths) with its anchor and direction
+   * points, in the item's inner coordinates.
+   * @param {Object} item - Parsed page item node
+   * @returns {Object|null} { subpaths: [{ open, points }], bounds } or null
+   */
+  static parsePathGeometry(item) {
+    const geometry = item?.Properties?.PathGeometry?.GeometryPathType;
+    if (!geometry) return null;
+
+    const parsePoint = (value) => {
+      if (value === undefined || value === null) return null;
+      const [x, y] = String(value).split(" ").map(parseFloat);
+      return isNaN(x) || isNaN(y) ? null : { x, y };
+    };
+
+    const subpaths = [];
+    (Array.isArray(geometry) ? geometry : [geometry]).forEach((path) => {
+      const pointNodes = path?.PathPointArray?.PathPointType;
+      if (!pointNodes) return;
+
+      const points = (Array.isArray(pointNodes) ? pointNodes : [pointNodes])
+        .map((point) => {
+          const anchor = parsePoint(point["@_Anchor"]);
+          if (!anchor) return null;
+          return {
+            anchor,
+            // Missing direction points mean a corner (handle on the anchor)
+            leftDirection: parsePoint(point["@_LeftDirection"]) || anchor,
+            rightDirection: parsePoint(point["@_RightDirection"]) || anchor,
+          };
+        })
+        .filter(Boolean);
+
+      if (points.length > 0) {
+        subpaths.push({ open: path["@_PathOpen"] === true, points });
+      }
+    });
+
+    if (subpaths.length === 0) return null;
+
+    let minX = Infinity,
+      minY = Infinity,
+      maxX = -Infinity,
+      maxY = -Infinity;
+    subpaths.forEach((subpath) => {
+      subpath.points.forEach(({ anchor }) => {
+        minX = Math.min(minX, anchor.x);
+        maxX = Math.max(maxX, anchor.x);
+        minY = Math.min(minY, anchor.y);
+        maxY = Math.max(maxY, anchor.y);
+      });
+    });
+
+    return {
+      subpaths,
+      bounds: {
+        left: minX,
+        top: minY,
+        width: maxX - minX,
+        height: maxY - minY,
+      },
+    };
+  }
+
   static calculateRelativePosition(
     frameBounds,
     contentBounds,
@@ -587,32 +651,109 @@ class IDMLUtils {
     };
   }
 
+  /**
+   * Parse an ItemTransform keeping every value as written (parseTransform
+   * reads a scale of 0 as 1, which breaks rotations by 90°)
+   * @param {string} transformString - "a b c d tx ty"
+   * @returns {Object} { a, b, c, d, tx, ty }
+   */
+  static parseMatrix(transformString) {
+    const values = String(transformString || "")
+      .split(" ")
+      .map(parseFloat);
+    const value = (index, fallback) =>
+      Number.isFinite(values[index]) ? values[index] : fallback;
+
+    return {
+      a: value(0, 1),
+      b: value(1, 0),
+      c: value(2, 0),
+      d: value(3, 1),
+      tx: value(4, 0),
+      ty: value(5, 0),
+    };
+  }
+
+  /**
+   * Place an image inside its frame. The image's ItemTransform maps its own
+   * coordinates (GraphicBounds) into the frame's inner coordinates, so the
+   * matrix moved to the frame's top-left corner draws it exactly, however
+   * it is scaled, rotated, flipped or cropped
+   * @param {Object} frameBounds - Frame geometric bounds (points, inner)
+   * @param {Object} frameTransform - Frame ItemTransform
+   * @param {Object} placedContent - From ElementParser.extractPlacedContent
+   * @param {Object} frameFitting - Frame fitting options, if any
+   * @returns {Object|null} { x, y, width, height } box of the image in the
+   *   frame (points), scaleX, scaleY, rotation, flipped, matrix (image →
+   *   frame points), graphicBounds, crop (how far each frame edge cuts into
+   *   the image) and fitting; null when the content has no transform
+   */
   static calculateImagePositionInFrame(
     frameBounds,
     frameTransform,
-    placedContent
+    placedContent,
+    frameFitting = null
   ) {
     if (!frameBounds || !placedContent?.transform) {
       return null;
     }
 
-    const imageTransform = placedContent.transform;
-
-    // Calculate image position relative to frame
-    const imageX = (frameBounds.left || 0) + (imageTransform.tx || 0);
-    const imageY = (frameBounds.top || 0) + (imageTransform.ty || 0);
+    const { a, b, c, d, tx, ty } = placedContent.transform;
+    const matrix = {
+      a,
+      b,
+      c,
+      d,
+      tx: tx - (frameBounds.left || 0),
+      ty: ty - (frameBounds.top || 0),
+    };
+    const graphicBounds = placedContent.graphicBounds || null;
+
+    // Box the transformed image covers, relative to the frame
+    let box = { x: matrix.tx, y: matrix.ty, width: 0, height: 0 };
+    if (graphicBounds) {
+      const corners = this.calculateCorners(
+        {
+          left: graphicBounds.left,
+          top: graphicBounds.top,
+          right: graphicBounds.left + graphicBounds.width,
+          bottom: graphicBounds.top + graphicBounds.height,
+        },
+        matrix
+      );
+      const xs = Object.values(corners).map((corner) => corner.x);
+      const ys = Object.values(corners).map((corner) => corner.y);
+      box = {
+        x: Math.min(...xs),
+        y: Math.min(...ys),
+        width: Math.max(...xs) - Math.min(...xs),
+        height: Math.max(...ys) - Math.min(...ys),
+      };
+    }
 
-    // Calculate image size with scaling
-    const imageWidth = (frameBounds.width || 0) * (imageTransform.a || 1);
-    const imageHeight = (frameBounds.height || 0) * (imageTransform.d || 1);
+    const frameWidth = frameBounds.width || 0;
+    const frameHeight = frameBounds.height || 0;
+    const determinant = a * d - b * c;
 
     return {
-      x: imageX,
-      y: imageY,
-      width: imageWidth,
-      height: imageHeight,
-      scaleX: imageTransform.a || 1,
-      scaleY: imageTransform.d || 1,
+      ...box,
+      scaleX: Math.hypot(a, b),
+      scaleY: Math.hypot(c, d),
+      rotation: this.calculateRotation(matrix),
+      flipped: determinant < 0,
+      matrix,
+      graphicBounds,
+      crop: graphicBounds
+        ? {
+            top: -box.y,
+            left: -box.x,
+            bottom: box.y + box.height - frameHeight,
+            right: box.x + box.width - frameWidth,
+          }
+        : null,
+      frameWidth,
+      frameHeight,
+      fitting: frameFitting,
     };
   }
 
@@ -640,6 +781,52 @@ class IDMLUtils {
     return structure;
   }
 
+  /**
+   * Merge two parsed XML nodes, override winning per attribute.
+   * An attribute may appear as "@_Name" or as <Properties><Name>; a value in
+   * either form on the override replaces both forms on the base.
+   * @param {Object} base - Node providing defaults (e.g. a style)
+   * @param {Object} override - Node with precedence (e.g. a page item)
+   * @returns {Object} Merged node
+   */
+  static mergeAttributeNodes(base, override) {
+    const isNode = (value) =>
+      value && typeof value === "object" && !Array.isArray(value);
+    if (override === undefined || override === null) return base;
+    if (!isNode(base) || !isNode(override)) return override;
+
+    const merged = { ...base };
+    const properties = { ...(base.Properties || {}) };
+
+    Object.entries(override).forEach(([key, value]) => {
+      if (key === "Properties" && isNode(value)) {
+        Object.entries(value).forEach(([property, propertyValue]) => {
+          properties[property] = propertyValue;
+          delete merged[`@_${property}`];
+        });
+        return;
+      }
+
+      if (key.startsWith("@_")) {
+        merged[key] = value;
+        delete properties[key.slice(2)];
+        return;
+      }
+
+      merged[key] =
+        isNode(value) && isNode(base[key])
+          ? this.mergeAttributeNodes(base[key], value)
+          : value;
+    });
+
+    if (Object.keys(properties).length > 0) {
+      merged.Properties = properties;
+    } else {
+      delete merged.Properties;
+    }
+    return merged;
+  }
+
   static isFormattingAttribute(attributeName) {
     const formattingAttributes = [
       "@_PointSize",
@@ -684,7 +871,7 @@ class IDMLUtils {
         );
         validation.totalIssues++;
       } else if (dims.pixelDimensions) {
-        console.log(
+        IDMLUtils.logger.debug(
           `✅ Page dimensions converted: ${dims.width}x${dims.height} ${dims.units} → ${dims.pixelDimensions.width}x${dims.pixelDimensions.height} px`
         );
       }
@@ -753,7 +940,7 @@ class IDMLUtils {
           element.geometricBounds &&
           element.geometricBounds._convertedToPixels
         ) {
-          console.log(
+          IDMLUtils.logger.debug(
             `✅ Element ${index}: Geometric bounds properly marked as converted`
           );
         } else if (
@@ -772,21 +959,21 @@ class IDMLUtils {
     }
 
     if (validation.totalIssues === 0) {
-      console.log(
+      IDMLUtils.logger.debug(
         "✅ All unit conversions validated successfully - no double conversions detected"
       );
     } else {
-      console.warn(
+      IDMLUtils.logger.warn(
         `⚠️ Found ${validation.totalIssues} unit conversion issues:`
       );
       validation.pageDimensions.issues.forEach((issue) =>
-        console.warn(`  - ${issue}`)
+        IDMLUtils.logger.warn(`  - ${issue}`)
       );
       validation.fontSizes.issues.forEach((issue) =>
-        console.warn(`  - ${issue}`)
+        IDMLUtils.logger.warn(`  - ${issue}`)
       );
       validation.doubleConversions.issues.forEach((issue) =>
-        console.warn(`  - ${issue}`)
+        IDMLUtils.logger.warn(`  - ${issue}`)
       );
     }
 
@@ -3,7 +3,14 @@
  * Handles font metrics, leading calculations, and text frame insets exactly like InDesign
  */
 
+import Logger from "./Logger.js";
+
 class InDesignTextMetrics {
+  // NEW: Static helpers log through the shared default logger
+  static get logger() {
+    return Logger.getDefault().child("InDesignTextMetrics");
+  }
+
   /**
    * Calculate precise text frame dimensions including InDesign-specific insets
    * @param {object} textFrame - The text frame element
@@ -116,21 +123,29 @@ class InDesignTextMetrics {
    * @param {string} firstBaselineOffset - InDesign first baseline offset setting
    * @param {number} fontSize - Font size in points
    * @param {number} lineHeight - Line height in points
+   * @param {object} verticalMetrics - Optional font metrics at this size
+   *   (FontMetrics.getVerticalMetrics); approximations are used without them
    * @returns {number} First baseline offset in points
    */
   static calculateFirstBaselineOffset(
     firstBaselineOffset,
     fontSize,
-    lineHeight
+    lineHeight,
+    verticalMetrics = null
   ) {
+    // NEW: Real font metrics when the font file is available
+    const ascent = verticalMetrics?.ascent ?? fontSize * 0.8; // Approximate ascent for most fonts
+    const capHeight = verticalMetrics?.capHeight ?? fontSize * 0.7; // Approximate cap height for most fonts
+    const xHeight = verticalMetrics?.xHeight ?? fontSize * 0.5; // Approximate x-height for most fonts
+
     switch (firstBaselineOffset) {
       case "AscentOffset":
         // Text sits at natural ascent line (default)
-        return fontSize * 0.8; // Approximate ascent for most fonts
+        return ascent;
 
       case "CapHeightOffset":
         // Text sits at cap height
-        return fontSize * 0.7; // Approximate cap height for most fonts
+        return capHeight;
 
       case "FixedHeight":
         // Custom fixed height - use line height
@@ -138,10 +153,18 @@ class InDesignTextMetrics {
 
       case "XHeightOffset":
         // Text sits at x-height
-        return fontSize * 0.5; // Approximate x-height for most fonts
+        return xHeight;
+
+      case "LeadingOffset":
+        // ADDED: Baseline one line of leading below the top
+        return lineHeight;
+
+      case "EmBoxHeight":
+        // ADDED: Top of the em box at the top of the frame
+        return verticalMetrics?.emBoxTop ?? ascent;
 
       default:
-        return fontSize * 0.8; // Default to ascent offset
+        return ascent; // Default to ascent offset
     }
   }
 
@@ -324,7 +347,7 @@ class InDesignTextMetrics {
     const overflowRatio =
       textMeasurement.textHeight / textMeasurement.availableHeight;
 
-    console.log("🔧 calculateOptimalFontSize:", {
+    InDesignTextMetrics.logger.debug("🔧 calculateOptimalFontSize:", {
       originalFontSize,
       textHeight: textMeasurement.textHeight,
       availableHeight: textMeasurement.availableHeight,
@@ -341,7 +364,7 @@ class InDesignTextMetrics {
 
     const newFontSize = originalFontSize * finalScaleFactor;
 
-    console.log("🔧 Scale calculation:", {
+    InDesignTextMetrics.logger.debug("🔧 Scale calculation:", {
       requiredScale: scaleFactor,
       maxReduction,
       minAllowedScale,
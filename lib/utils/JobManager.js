@@ -0,0 +1,323 @@
+import { EventEmitter } from "events";
+import path from "path";
+import fs from "fs";
+import Logger from "./Logger.js";
+
+// Processing phases in display order; weight is each phase's share of the
+// overall percentage
+const PHASES = [
+  { id: "extract", label: "Extracting package", weight: 10 },
+  { id: "styles", label: "Parsing styles", weight: 15 },
+  { id: "stories", label: "Parsing stories", weight: 25 },
+  { id: "spreads", label: "Parsing spreads", weight: 20 },
+  { id: "images", label: "Linking images", weight: 15 },
+  { id: "fonts", label: "Mapping fonts", weight: 5 },
+  { id: "layout", label: "Laying out text", weight: 5 },
+  { id: "thumbnails", label: "Rendering thumbnails", weight: 5 },
+  { id: "modularize", label: "Writing modules", weight: 10 },
+];
+
+const TOTAL_WEIGHT = PHASES.reduce((sum, phase) => sum + phase.weight, 0);
+const JOB_FILE = "job.json";
+const JOB_ID_PATTERN = /^[\w-]+$/;
+
+// Next.js bundles every API route separately, so the shared manager lives on
+// globalThis instead of in this module
+const SHARED_KEY = "__idmlJobManager";
+
+class JobManager extends EventEmitter {
+  /**
+   * @param {Object} options - { storageDir, concurrency, logger }; job
+   *   status is saved to <storageDir>/<jobId>/job.json so it outlives the
+   *   process
+   */
+  constructor(options = {}) {
+    super();
+    this.logger = (options.logger || Logger.getDefault()).child("JobManager");
+    this.storageDir = options.storageDir || null;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    // Tail of the runExclusive() chain of each job id
+    this.locks = new Map();
+    // One listener per open event stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Get the manager shared by all API routes of this server
+   * @param {Object} options - Options used when the manager is first created
+   * @returns {JobManager} The shared manager
+   */
+  static getShared(options = {}) {
+    if (!globalThis[SHARED_KEY]) {
+      globalThis[SHARED_KEY] = new JobManager({
+        storageDir: path.join(process.cwd(), "uploads"),
+        ...options,
+      });
+    }
+    return globalThis[SHARED_KEY];
+  }
+
+  /**
+   * Processing phases in display order
+   * @returns {Array} { id, label, weight }
+   */
+  static get PHASES() {
+    return PHASES;
+  }
+
+  /**
+   * Check whether a string is usable as a job id (it names a directory)
+   * @param {string} id - Job id
+   * @returns {boolean} True when valid
+   */
+  static isValidId(id) {
+    return typeof id === "string" && JOB_ID_PATTERN.test(id);
+  }
+
+  /**
+   * Queue a task; it runs in the background once a worker slot is free
+   * @param {string} id - Job id (the upload id)
+   * @param {Function} task - async (progress) => result; progress has
+   *   phase(phaseId, fraction) and warn(message)
+   * @returns {Object} The job snapshot
+   */
+  enqueue(id, task) {
+    if (!JobManager.isValidId(id)) throw new Error(`Invalid job id: ${id}`);
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      status: "queued",
+      phase: null,
+      percent: 0,
+      phases: PHASES.map(({ id: phaseId, label }) => ({
+        id: phaseId,
+        label,
+        status: "pending",
+        progress: 0,
+      })),
+      warnings: [],
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+
+    this.jobs.set(id, job);
+    this.queue.push({ job, task });
+    this.saveJob(job);
+    this.emitUpdate(job);
+
+    // Start on a later tick so the caller can answer its request first
+    setImmediate(() => this.runNext());
+    return this.getJob(id);
+  }
+
+  /**
+   * Start queued tasks while worker slots are free
+   */
+  runNext() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { job, task } = this.queue.shift();
+      this.running++;
+      this.runJob(job, task).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  /**
+   * Run one task and record its outcome
+   * @param {Object} job - Job record
+   * @param {Function} task - The task
+   */
+  async runJob(job, task) {
+    job.status = "running";
+    this.touch(job, true);
+
+    const progress = {
+      phase: (phaseId, fraction = 0) =>
+        this.updatePhase(job, phaseId, fraction),
+      warn: (message) => {
+        job.warnings.push({ phase: job.phase, message: String(message) });
+        this.touch(job, true);
+      },
+    };
+
+    try {
+      const result = await task(progress);
+      job.phases.forEach((phase) => {
+        phase.status = "done";
+        phase.progress = 1;
+      });
+      job.status = "completed";
+      job.phase = null;
+      job.percent = 100;
+      job.result = result ?? null;
+    } catch (error) {
+      this.logger.error(`❌ Job ${job.id} failed:`, error);
+      const failedPhase = job.phases.find((phase) => phase.id === job.phase);
+      if (failedPhase) failedPhase.status = "failed";
+      job.status = "failed";
+      job.error = { message: error.message, phase: job.phase };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    this.touch(job, true);
+  }
+
+  /**
+   * Move a job to a phase, or update progress within the current phase.
+   * Phases that are already done are not reopened, so progress never goes
+   * backwards when a step runs again.
+   * @param {Object} job - Job record
+   * @param {string} phaseId - Phase id from PHASES
+   * @param {number} fraction - Progress within the phase (0-1)
+   */
+  updatePhase(job, phaseId, fraction) {
+    const phase = job.phases.find((candidate) => candidate.id === phaseId);
+    if (!phase || phase.status === "done" || job.status !== "running") return;
+
+    const isNewPhase = job.phase !== phaseId;
+    if (isNewPhase) {
+      const previous = job.phases.find(
+        (candidate) => candidate.id === job.phase
+      );
+      if (previous) {
+        previous.status = "done";
+        previous.progress = 1;
+      }
+      phase.status = "running";
+      job.phase = phaseId;
+    }
+    phase.progress = Math.min(1, Math.max(phase.progress, fraction || 0));
+
+    const completed = job.phases.reduce((sum, candidate) => {
+      const weight = PHASES.find((p) => p.id === candidate.id).weight;
+      return sum + weight * candidate.progress;
+    }, 0);
+    job.percent = Math.min(99, Math.round((completed / TOTAL_WEIGHT) * 100));
+
+    // Only phase changes are written to disk; progress inside a phase is
+    // reported to listeners only
+    this.touch(job, isNewPhase);
+  }
+
+  /**
+   * Record a change: notify listeners and optionally save the job
+   * @param {Object} job - Job record
+   * @param {boolean} persist - Write job.json
+   */
+  touch(job, persist) {
+    job.updatedAt = new Date().toISOString();
+    if (persist) this.saveJob(job);
+    this.emitUpdate(job);
+  }
+
+  emitUpdate(job) {
+    this.emit("update", this.snapshot(job));
+  }
+
+  /**
+   * Copy of a job record that is safe to hand out
+   * @param {Object} job - Job record
+   * @returns {Object} Snapshot
+   */
+  snapshot(job) {
+    return JSON.parse(JSON.stringify(job));
+  }
+
+  getJobFile(id) {
+    return this.storageDir ? path.join(this.storageDir, id, JOB_FILE) : null;
+  }
+
+  saveJob(job) {
+    const jobFile = this.getJobFile(job.id);
+    if (!jobFile) return;
+    try {
+      fs.mkdirSync(path.dirname(jobFile), { recursive: true });
+      fs.writeFileSync(jobFile, JSON.stringify(job, null, 2));
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not save job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Get a job's current state, from memory or from its saved job.json
+   * @param {string} id - Job id
+   * @returns {Object|null} Job snapshot, or null when unknown
+   */
+  getJob(id) {
+    if (!JobManager.isValidId(id)) return null;
+    if (this.jobs.has(id)) return this.snapshot(this.jobs.get(id));
+
+    const jobFile = this.getJobFile(id);
+    if (!jobFile || !fs.existsSync(jobFile)) return null;
+
+    try {
+      const job = JSON.parse(fs.readFileSync(jobFile, "utf8"));
+      // Saved as unfinished but not running here: the server stopped midway
+      if (job.status === "queued" || job.status === "running") {
+        job.status = "failed";
+        job.error = {
+          message: "Processing was interrupted before it finished",
+          phase: job.phase,
+        };
+      }
+      return job;
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not read job ${id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run a task that changes a finished job's output (e.g. relinking),
+   * one at a time per job id: later calls wait for earlier ones to settle
+   * @param {string} id - Job id (the upload id)
+   * @param {Function} task - async () => result
+   * @returns {Promise} Settles like the task
+   */
+  runExclusive(id, task) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const run = previous.then(() => task());
+    const settled = run.catch(() => {});
+    this.locks.set(id, settled);
+    settled.then(() => {
+      if (this.locks.get(id) === settled) this.locks.delete(id);
+    });
+    return run;
+  }
+
+  /**
+   * Check whether a job is still waiting or running in this process
+   * @param {string} id - Job id
+   * @returns {boolean} True while unfinished
+   */
+  isActive(id) {
+    const job = this.jobs.get(id);
+    return !!job && (job.status === "queued" || job.status === "running");
+  }
+
+  /**
+   * Listen for updates of one job
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with each job snapshot
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(id, listener) {
+    const onUpdate = (snapshot) => {
+      if (snapshot.id === id) listener(snapshot);
+    };
+    this.on("update", onUpdate);
+    return () => this.off("update", onUpdate);
+  }
+}
+
+// ES6 exports
+export default JobManager;
@@ -0,0 +1,226 @@
+// Log levels, most to least severe; a logger prints its level and above
+const LEVELS = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4,
+  trace: 5,
+};
+
+const DEFAULT_LEVEL = "info";
+
+// Console method each level is written with
+const CONSOLE_METHODS = {
+  error: "error",
+  warn: "warn",
+  info: "log",
+  debug: "log",
+  trace: "log",
+};
+
+const readEnv = (name) =>
+  typeof process !== "undefined" && process.env ? process.env[name] : undefined;
+
+let defaultLogger = null;
+
+class Logger {
+  /**
+   * @param {Object} options - {
+   *   level: "silent" | "error" | "warn" | "info" | "debug" | "trace",
+   *   modules: filter such as "StoryParser,ElementParser=trace,-IDMLUtils"
+   *     (a name only logs that module, "-name" mutes it, "name=level"
+   *     changes its level), or an array of those entries,
+   *   format: "text" or "json" (one JSON object per line for server logs),
+   *   output: object with log/warn/error methods (default console)
+   * }
+   * Unset options fall back to IDML_LOG_LEVEL, IDML_LOG_MODULES and
+   * IDML_LOG_FORMAT
+   */
+  constructor(options = {}) {
+    this.level = Logger.normalizeLevel(
+      options.level || readEnv("IDML_LOG_LEVEL"),
+      DEFAULT_LEVEL
+    );
+    this.filter = Logger.parseModules(
+      options.modules || readEnv("IDML_LOG_MODULES")
+    );
+    this.format =
+      (options.format || readEnv("IDML_LOG_FORMAT")) === "json"
+        ? "json"
+        : "text";
+    this.output = options.output || console;
+    this.module = options.module || null;
+  }
+
+  static get LEVELS() {
+    return LEVELS;
+  }
+
+  /**
+   * Shared logger for code without an injected one (static helpers)
+   * @returns {Logger}
+   */
+  static getDefault() {
+    if (!defaultLogger) defaultLogger = new Logger();
+    return defaultLogger;
+  }
+
+  /**
+   * Replace the shared logger
+   * @param {Logger|Object} loggerOrOptions - Logger or Logger options
+   * @returns {Logger}
+   */
+  static setDefault(loggerOrOptions = {}) {
+    defaultLogger =
+      loggerOrOptions instanceof Logger
+        ? loggerOrOptions
+        : new Logger(loggerOrOptions);
+    return defaultLogger;
+  }
+
+  static normalizeLevel(level, fallback = DEFAULT_LEVEL) {
+    const name = String(level || "").toLowerCase();
+    return Object.prototype.hasOwnProperty.call(LEVELS, name) ? name : fallback;
+  }
+
+  /**
+   * Parse a module filter
+   * @param {string|string[]} spec - e.g. "StoryParser,ElementParser=trace"
+   * @returns {Object} { include: Set|null, exclude: Set, levels: Map }
+   */
+  static parseModules(spec) {
+    const filter = { include: null, exclude: new Set(), levels: new Map() };
+    const entries = Array.isArray(spec) ? spec : String(spec || "").split(",");
+
+    entries
+      .map((entry) => String(entry).trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        if (entry.startsWith("-")) {
+          filter.exclude.add(entry.slice(1));
+          return;
+        }
+        const [name, level] = entry.split("=").map((part) => part.trim());
+        if (level) {
+          filter.levels.set(name, Logger.normalizeLevel(level, "silent"));
+          return;
+        }
+        filter.include = filter.include || new Set();
+        filter.include.add(name);
+      });
+
+    return filter;
+  }
+
+  /**
+   * Logger for one module; shares level, filter and output with this one
+   * @param {string} moduleName - e.g. "StoryParser"
+   * @returns {Logger}
+   */
+  child(moduleName) {
+    const child = Object.create(this);
+    child.module = moduleName;
+    return child;
+  }
+
+  /**
+   * Level in effect for a module after the module filter
+   * @param {string|null} moduleName
+   * @returns {string} Level name
+   */
+  getModuleLevel(moduleName = this.module) {
+    const { include, exclude, levels } = this.filter;
+    if (levels.has(moduleName)) return levels.get(moduleName);
+    if (exclude.has(moduleName)) return "silent";
+    if (include && !include.has(moduleName)) return "silent";
+    return this.level;
+  }
+
+  /**
+   * Whether a message at this level would be written; use it to skip
+   * building expensive debug output
+   * @param {string} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    const value = LEVELS[level];
+    return value > 0 && value <= LEVELS[this.getModuleLevel()];
+  }
+
+  /**
+   * Write a message. Function arguments are called only when the message
+   * is written, for values that are expensive to build
+   * @param {string} level
+   * @param {...*} args - Message parts, as for console.log
+   */
+  log(level, ...args) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const values = args.map((arg) => (typeof arg === "function" ? arg() : arg));
+    const method = CONSOLE_METHODS[level];
+
+    if (this.format === "json") {
+      this.output[method](JSON.stringify(this.toRecord(level, values)));
+      return;
+    }
+
+    if (this.module) {
+      this.output[method](`[${this.module}]`, ...values);
+    } else {
+      this.output[method](...values);
+    }
+  }
+
+  // Build the JSON log record for a message
+  toRecord(level, values) {
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      module: this.module,
+      msg: values
+        .filter((value) => !(value instanceof Error))
+        .map((value) =>
+          typeof value === "string" ? value : Logger.stringify(value)
+        )
+        .join(" "),
+    };
+
+    const error = values.find((value) => value instanceof Error);
+    if (error) {
+      record.error = { message: error.message, stack: error.stack };
+    }
+    return record;
+  }
+
+  static stringify(value) {
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch {
+      return String(value);
+    }
+  }
+
+  error(...args) {
+    this.log("error", ...args);
+  }
+
+  warn(...args) {
+    this.log("warn", ...args);
+  }
+
+  info(...args) {
+    this.log("info", ...args);
+  }
+
+  debug(...args) {
+    this.log("debug", ...args);
+  }
+
+  trace(...args) {
+    this.log("trace", ...args);
+  }
+}
+
+// ES6 exports
+export default Logger;
@@ -3,8 +3,11 @@
  * NO HARDCODED MAPPINGS - Automatically maps any font to appropriate Next.js fonts
  */
 
+import Logger from "./Logger.js";
+
 class NextFontMapper {
-  constructor() {
+  constructor(logger = null) {
+    this.logger = (logger || Logger.getDefault()).child("NextFontMapper"); // NEW
     // Available Next.js font categories and their characteristics
     this.nextFontDatabase = this.initializeNextFontDatabase();
     this.fontCache = new Map(); // Cache for resolved fonts
@@ -267,7 +270,7 @@ class NextFontMapper {
     fontMetadata = {}
   ) {
     if (!idmlFontFamily) {
-      console.log("⚠️  No font family provided, using default");
+      this.logger.debug("⚠️  No font family provided, using default");
       return this.getDefaultFont();
     }
 
@@ -279,7 +282,7 @@ class NextFontMapper {
       return this.fontCache.get(cacheKey);
     }
 
-    console.log(
+    this.logger.debug(
       `🔍 Dynamically mapping font: "${idmlFontFamily}" (${fontStyle})`
     );
 
@@ -290,7 +293,7 @@ class NextFontMapper {
       fontMetadata
     );
 
-    console.log(`📊 Font analysis for "${idmlFontFamily}":`, {
+    this.logger.debug(`📊 Font analysis for "${idmlFontFamily}":`, {
       category: fontAnalysis.category,
       subcategory: fontAnalysis.subcategory,
       language: fontAnalysis.language,
@@ -315,7 +318,7 @@ class NextFontMapper {
     // Track for import generation
     this.nextFontImports.add(bestMatch.nextFont);
 
-    console.log(
+    this.logger.debug(
       `✅ Dynamic mapping: "${idmlFontFamily}" → "${finalConfig.fontFamily}" (${bestMatch.nextFont})`
     );
 
@@ -586,7 +589,9 @@ class NextFontMapper {
     }
 
     if (!candidates || candidates.length === 0) {
-      console.log(`⚠️ No candidates found for ${originalName}, using default`);
+      this.logger.debug(
+        `⚠️ No candidates found for ${originalName}, using default`
+      );
       return this.getDefaultFontConfig();
     }
 
@@ -600,7 +605,7 @@ class NextFontMapper {
     scoredCandidates.sort((a, b) => b.score - a.score);
 
     const bestMatch = scoredCandidates[0];
-    console.log(
+    this.logger.debug(
       `🎯 Best match for "${originalName}": ${
         bestMatch.family
       } (score: ${bestMatch.score.toFixed(2)})`
@@ -667,7 +672,9 @@ class NextFontMapper {
   buildFontConfig(fontConfig, fontStyle, fontSize, originalFamily) {
     // Safety check
     if (!fontConfig) {
-      console.error("⚠️ buildFontConfig received null/undefined fontConfig");
+      this.logger.error(
+        "⚠️ buildFontConfig received null/undefined fontConfig"
+      );
       fontConfig = this.getDefaultFontConfig();
     }
 
@@ -1040,7 +1047,7 @@ class NextFontMapper {
     const usedFonts = new Set();
     const fontConfigs = [];
 
-    console.log("🔍 Extracting fonts from document data...");
+    this.logger.debug("🔍 Extracting fonts from document data...");
 
     // Extract fonts from stories
     if (documentData.stories) {
@@ -1090,13 +1097,13 @@ class NextFontMapper {
       });
     }
 
-    console.log(
+    this.logger.debug(
       `📊 Extracted ${fontConfigs.length} unique fonts from document`
     );
 
     // Log summary
     fontConfigs.forEach((font, index) => {
-      console.log(
+      this.logger.debug(
         `   ${index + 1}. "${font.originalFamily}" → "${font.fontFamily}" (${
           font.mappingReason
         })`
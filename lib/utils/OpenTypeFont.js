@@ -0,0 +1,721 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+// Font file extensions and their @font-face format() names
+const FONT_FORMATS = {
+  ".otf": "opentype",
+  ".ttf": "truetype",
+  ".woff": "woff",
+  ".woff2": "woff2",
+};
+
+// WOFF2 known table tags, indexed by the 6-bit tag index in the directory
+const WOFF2_KNOWN_TAGS = [
+  "cmap", "head", "hhea", "hmtx", "maxp", "name", "OS/2", "post", "cvt ",
+  "fpgm", "glyf", "loca", "prep", "CFF ", "VORG", "EBDT", "EBLC", "gasp",
+  "hdmx", "kern", "LTSH", "PCLT", "VDMX", "vhea", "vmtx", "BASE", "GDEF",
+  "GPOS", "GSUB", "EBSC", "JSTF", "MATH", "CBDT", "CBLC", "COLR", "CPAL",
+  "SVG ", "sbix", "acnt", "avar", "bdat", "bloc", "bsln", "cvar", "fdsc",
+  "feat", "fmtx", "fvar", "gvar", "hsty", "just", "lcar", "mort", "morx",
+  "opbd", "prop", "trak", "Zapf", "Silf", "Glat", "Gloc", "Feat", "Sill",
+]; // prettier-ignore
+
+// name table IDs
+const NAME_IDS = {
+  family: 1,
+  subfamily: 2,
+  fullName: 4,
+  postScriptName: 6,
+  typographicFamily: 16,
+  typographicSubfamily: 17,
+};
+
+// cmap subtables in order of preference: [platform, encoding, format]
+const CMAP_SUBTABLES = [
+  [3, 10, 12],
+  [0, 4, 12],
+  [0, 6, 12],
+  [3, 1, 4],
+  [0, 3, 4],
+  [0, 1, 4],
+  [0, 0, 4],
+  [3, 0, 4], // Symbol fonts map U+F0xx
+];
+
+// Count the 16-bit fields of a GPOS value record
+const countValueFields = (valueFormat) => {
+  let count = 0;
+  for (let bits = valueFormat & 0xff; bits; bits >>= 1) count += bits & 1;
+  return count;
+};
+
+/**
+ * OpenTypeFont - Minimal reader for OpenType/TrueType, WOFF and WOFF2 font
+ * files: the table directory, the name table and the metrics needed to
+ * measure text (advance widths, pair kerning, vertical metrics)
+ */
+class OpenTypeFont {
+  /**
+   * @param {Buffer} buffer - Font file contents
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.tables = new Map(); // tag → { offset, length, compLength, transformed }
+    this.tableCache = new Map();
+    this.woff2Data = null;
+    this.metrics = null;
+    this.cmap = undefined;
+    this.advanceWidths = null;
+    this.kerningLookups = null;
+    this.kerningCache = new Map();
+
+    const signature = buffer.toString("latin1", 0, 4);
+    if (signature === "wOFF") {
+      this.format = "woff";
+      this.readWoffDirectory();
+    } else if (signature === "wOF2") {
+      this.format = "woff2";
+      this.readWoff2Directory();
+    } else if (signature === "ttcf") {
+      // Collections: read the first font
+      this.format = "collection";
+      this.readSfntDirectory(buffer.readUInt32BE(12));
+    } else if (signature === "OTTO" || buffer.readUInt32BE(0) === 0x10000) {
+      this.format = signature === "OTTO" ? "opentype" : "truetype";
+      this.readSfntDirectory(0);
+    } else if (signature === "true") {
+      this.format = "truetype";
+      this.readSfntDirectory(0);
+    } else {
+      throw new Error("Not an OpenType, TrueType or WOFF font");
+    }
+  }
+
+  /**
+   * Read a font file
+   * @param {string} filePath - Font file path
+   * @returns {OpenTypeFont}
+   */
+  static fromFile(filePath) {
+    return new OpenTypeFont(fs.readFileSync(filePath));
+  }
+
+  /**
+   * Check whether a file name has a web font extension
+   * @param {string} fileName - File name or path
+   * @returns {boolean}
+   */
+  static isFontFile(fileName) {
+    return Boolean(FONT_FORMATS[path.extname(fileName || "").toLowerCase()]);
+  }
+
+  /**
+   * @font-face format() name for a font file
+   * @param {string} fileName - File name or path
+   * @returns {string|null} e.g. "opentype"
+   */
+  static getCSSFormat(fileName) {
+    return FONT_FORMATS[path.extname(fileName || "").toLowerCase()] || null;
+  }
+
+  readSfntDirectory(start) {
+    const numTables = this.buffer.readUInt16BE(start + 4);
+    for (let i = 0; i < numTables; i++) {
+      const record = start + 12 + i * 16;
+      this.tables.set(this.buffer.toString("latin1", record, record + 4), {
+        offset: this.buffer.readUInt32BE(record + 8),
+        length: this.buffer.readUInt32BE(record + 12),
+      });
+    }
+  }
+
+  readWoffDirectory() {
+    const numTables = this.buffer.readUInt16BE(12);
+    for (let i = 0; i < numTables; i++) {
+      const record = 44 + i * 20;
+      this.tables.set(this.buffer.toString("latin1", record, record + 4), {
+        offset: this.buffer.readUInt32BE(record + 4),
+        compLength: this.buffer.readUInt32BE(record + 8),
+        length: this.buffer.readUInt32BE(record + 12),
+      });
+    }
+  }
+
+  readWoff2Directory() {
+    const numTables = this.buffer.readUInt16BE(12);
+    const flavor = this.buffer.toString("latin1", 4, 8);
+    let position = 48;
+    let dataOffset = 0;
+
+    const readBase128 = () => {
+      let value = 0;
+      for (let i = 0; i < 5; i++) {
+        const byte = this.buffer[position++];
+        value = value * 128 + (byte & 0x7f);
+        if ((byte & 0x80) === 0) return value;
+      }
+      throw new Error("Invalid WOFF2 table directory");
+    };
+
+    for (let i = 0; i < numTables; i++) {
+      const flags = this.buffer[position++];
+      let tag = WOFF2_KNOWN_TAGS[flags & 0x3f];
+      if ((flags & 0x3f) === 63) {
+        tag = this.buffer.toString("latin1", position, position + 4);
+        position += 4;
+      }
+      const transformVersion = flags >> 6;
+      const length = readBase128();
+      // glyf/loca use version 0 for their transform; other tables for none
+      const transformed = ["glyf", "loca"].includes(tag)
+        ? transformVersion === 0
+        : transformVersion !== 0;
+      const storedLength = transformed ? readBase128() : length;
+
+      this.tables.set(tag, {
+        offset: dataOffset,
+        length,
+        storedLength,
+        transformed,
+      });
+      dataOffset += storedLength;
+    }
+
+    if (flavor === "ttcf") {
+      throw new Error("WOFF2 font collections are not supported");
+    }
+    this.woff2Start = position;
+    this.woff2CompressedLength = this.buffer.readUInt32BE(20);
+  }
+
+  hasTable(tag) {
+    return this.tables.has(tag);
+  }
+
+  /**
+   * Get the raw (decompressed) data of a table
+   * @param {string} tag - Table tag, e.g. "name"
+   * @returns {Buffer|null} Table data, or null if missing or stored in a
+   *   transformed WOFF2 form
+   */
+  getTable(tag) {
+    if (this.tableCache.has(tag)) return this.tableCache.get(tag);
+
+    const table = this.tables.get(tag);
+    let data = null;
+    if (table && this.format === "woff2") {
+      if (!table.transformed) data = this.getWoff2TableData(table);
+    } else if (table && this.format === "woff") {
+      const stored = this.buffer.subarray(
+        table.offset,
+        table.offset + table.compLength
+      );
+      data =
+        table.compLength < table.length ? zlib.inflateSync(stored) : stored;
+    } else if (table) {
+      data = this.buffer.subarray(table.offset, table.offset + table.length);
+    }
+
+    this.tableCache.set(tag, data);
+    return data;
+  }
+
+  /**
+   * Stored bytes of a WOFF2 table (in its transformed form if it has one)
+   * @param {Object} table - Table directory entry
+   * @returns {Buffer}
+   */
+  getWoff2TableData(table) {
+    if (!this.woff2Data) {
+      this.woff2Data = zlib.brotliDecompressSync(
+        this.buffer.subarray(
+          this.woff2Start,
+          this.woff2Start + this.woff2CompressedLength
+        )
+      );
+    }
+    return this.woff2Data.subarray(
+      table.offset,
+      table.offset + table.storedLength
+    );
+  }
+
+  /**
+   * Read the font names from the name table, preferring English Windows
+   * (Unicode) records
+   * @returns {Object} { family, subfamily, fullName, postScriptName,
+   *   typographicFamily, typographicSubfamily } (missing names are null)
+   */
+  getNames() {
+    const names = Object.fromEntries(
+      Object.keys(NAME_IDS).map((key) => [key, null])
+    );
+    const table = this.getTable("name");
+    if (!table) return names;
+
+    const count = table.readUInt16BE(2);
+    const stringOffset = table.readUInt16BE(4);
+    const ranks = {};
+
+    for (let i = 0; i < count; i++) {
+      const record = 6 + i * 12;
+      const platformId = table.readUInt16BE(record);
+      const encodingId = table.readUInt16BE(record + 2);
+      const languageId = table.readUInt16BE(record + 4);
+      const nameId = table.readUInt16BE(record + 6);
+      const length = table.readUInt16BE(record + 8);
+      const offset = stringOffset + table.readUInt16BE(record + 10);
+
+      const key = Object.keys(NAME_IDS).find((k) => NAME_IDS[k] === nameId);
+      if (!key || offset + length > table.length) continue;
+
+      // Windows English first, then any Windows/Unicode, then Macintosh
+      let rank = 0;
+      let value = null;
+      const bytes = table.subarray(offset, offset + length);
+      if (platformId === 3 && (encodingId === 1 || encodingId === 10)) {
+        rank = languageId === 0x409 ? 4 : 3;
+        value = OpenTypeFont.decodeUTF16BE(bytes);
+      } else if (platformId === 0) {
+        rank = 2;
+        value = OpenTypeFont.decodeUTF16BE(bytes);
+      } else if (platformId === 1 && encodingId === 0) {
+        rank = languageId === 0 ? 1 : 0.5;
+        value = bytes.toString("latin1");
+      }
+
+      if (value && rank > (ranks[key] || 0)) {
+        ranks[key] = rank;
+        names[key] = value.replace(/\0/g, "").trim();
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Font-wide metrics in font units, from head, hhea and OS/2. Ascender and
+   * descender are the OS/2 typographic values when the font has them
+   * @returns {Object} { unitsPerEm, ascender, descender, lineGap,
+   *   capHeight, xHeight, numberOfHMetrics }
+   */
+  getMetrics() {
+    if (this.metrics) return this.metrics;
+
+    const head = this.getTable("head");
+    const hhea = this.getTable("hhea");
+    const os2 = this.getTable("OS/2");
+    if (!head || !hhea) throw new Error("Font has no head or hhea table");
+
+    const unitsPerEm = head.readUInt16BE(18) || 1000;
+    const metrics = {
+      unitsPerEm,
+      ascender: hhea.readInt16BE(4),
+      descender: hhea.readInt16BE(6),
+      lineGap: hhea.readInt16BE(8),
+      capHeight: null,
+      xHeight: null,
+      numberOfHMetrics: hhea.readUInt16BE(34),
+    };
+
+    if (os2 && os2.length >= 78) {
+      metrics.ascender = os2.readInt16BE(68);
+      metrics.descender = os2.readInt16BE(70);
+      metrics.lineGap = os2.readInt16BE(72);
+      if (os2.readUInt16BE(0) >= 2 && os2.length >= 90) {
+        metrics.xHeight = os2.readInt16BE(86) || null;
+        metrics.capHeight = os2.readInt16BE(88) || null;
+      }
+    }
+
+    // Older fonts do not record these; use the usual proportions
+    metrics.capHeight = metrics.capHeight || Math.round(unitsPerEm * 0.7);
+    metrics.xHeight = metrics.xHeight || Math.round(unitsPerEm * 0.5);
+
+    this.metrics = metrics;
+    return metrics;
+  }
+
+  // Pick the cmap subtable used for character lookups
+  getCmapSubtable() {
+    if (this.cmap !== undefined) return this.cmap;
+
+    this.cmap = null;
+    const table = this.getTable("cmap");
+    if (!table) return null;
+
+    const subtables = [];
+    const count = table.readUInt16BE(2);
+    for (let i = 0; i < count; i++) {
+      const record = 4 + i * 8;
+      const offset = table.readUInt32BE(record + 4);
+      if (offset + 2 > table.length) continue;
+      subtables.push({
+        platformId: table.readUInt16BE(record),
+        encodingId: table.readUInt16BE(record + 2),
+        format: table.readUInt16BE(offset),
+        offset,
+      });
+    }
+
+    for (const [platformId, encodingId, format] of CMAP_SUBTABLES) {
+      const subtable = subtables.find(
+        (entry) =>
+          entry.platformId === platformId &&
+          entry.encodingId === encodingId &&
+          entry.format === format
+      );
+      if (subtable) {
+        this.cmap = {
+          ...subtable,
+          table,
+          symbol: platformId === 3 && !encodingId,
+        };
+        break;
+      }
+    }
+    return this.cmap;
+  }
+
+  /**
+   * Glyph index for a Unicode code point (0 when the font has no glyph)
+   * @param {number} codePoint
+   * @returns {number}
+   */
+  getGlyphIndex(codePoint) {
+    const cmap = this.getCmapSubtable();
+    if (!cmap) return 0;
+
+    const glyph = this.lookupCmap(cmap, codePoint);
+    if (glyph || !cmap.symbol || codePoint > 0xff) return glyph;
+    return this.lookupCmap(cmap, 0xf000 + codePoint);
+  }
+
+  lookupCmap({ table, offset, format }, codePoint) {
+    if (format === 12) {
+      let low = 0;
+      let high = table.readUInt32BE(offset + 12) - 1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        const group = offset + 16 + middle * 12;
+        if (codePoint < table.readUInt32BE(group)) high = middle - 1;
+        else if (codePoint > table.readUInt32BE(group + 4)) low = middle + 1;
+        else {
+          return (
+            table.readUInt32BE(group + 8) +
+            codePoint -
+            table.readUInt32BE(group)
+          );
+        }
+      }
+      return 0;
+    }
+
+    // Format 4: segments of code ranges, searched by their end code
+    if (codePoint > 0xffff) return 0;
+    const segCount = table.readUInt16BE(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    let low = 0;
+    let high = segCount - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (table.readUInt16BE(endCodes + middle * 2) < codePoint) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const startCode = table.readUInt16BE(startCodes + low * 2);
+    if (
+      codePoint < startCode ||
+      codePoint > table.readUInt16BE(endCodes + low * 2)
+    ) {
+      return 0;
+    }
+    const idDelta = table.readInt16BE(idDeltas + low * 2);
+    const idRangeOffset = table.readUInt16BE(idRangeOffsets + low * 2);
+    if (idRangeOffset === 0) return (codePoint + idDelta) & 0xffff;
+
+    const glyphAddress =
+      idRangeOffsets + low * 2 + idRangeOffset + (codePoint - startCode) * 2;
+    if (glyphAddress + 2 > table.length) return 0;
+    const glyph = table.readUInt16BE(glyphAddress);
+    return glyph ? (glyph + idDelta) & 0xffff : 0;
+  }
+
+  /**
+   * Advance width of a glyph in font units (hmtx)
+   * @param {number} glyphIndex
+   * @returns {number}
+   */
+  getAdvanceWidth(glyphIndex) {
+    if (!this.advanceWidths) this.advanceWidths = this.readAdvanceWidths();
+    const widths = this.advanceWidths;
+    if (widths.length === 0) return this.getMetrics().unitsPerEm / 2;
+    return widths[Math.min(glyphIndex, widths.length - 1)];
+  }
+
+  readAdvanceWidths() {
+    const { numberOfHMetrics } = this.getMetrics();
+    const table = this.tables.get("hmtx");
+    if (!table) return [];
+
+    // WOFF2 may store hmtx transformed: a flags byte, then the advance
+    // widths without the left side bearings
+    let data = this.getTable("hmtx");
+    let start = 0;
+    let stride = 4;
+    if (!data && this.format === "woff2") {
+      data = this.getWoff2TableData(table);
+      start = 1;
+      stride = 2;
+    }
+
+    const count = Math.min(
+      numberOfHMetrics,
+      Math.floor((data.length - start) / stride)
+    );
+    return Array.from({ length: count }, (_, i) =>
+      data.readUInt16BE(start + i * stride)
+    );
+  }
+
+  /**
+   * Pair kerning between two glyphs in font units: GPOS "kern" feature
+   * lookups, or the legacy kern table when the font has no GPOS kerning
+   * @param {number} leftGlyph
+   * @param {number} rightGlyph
+   * @returns {number}
+   */
+  getKerning(leftGlyph, rightGlyph) {
+    const key = leftGlyph * 0x10000 + rightGlyph;
+    if (this.kerningCache.has(key)) return this.kerningCache.get(key);
+
+    if (!this.kerningLookups) this.kerningLookups = this.readKerningLookups();
+    const { gpos, subtables, kernTable } = this.kerningLookups;
+
+    let value = 0;
+    if (subtables.length) {
+      // One adjustment per lookup: the first subtable that covers the pair
+      let lookupIndex = -1;
+      for (const subtable of subtables) {
+        if (subtable.lookupIndex === lookupIndex) continue;
+        const adjustment = this.readPairAdjustment(
+          gpos,
+          subtable.offset,
+          leftGlyph,
+          rightGlyph
+        );
+        if (adjustment !== null) {
+          value += adjustment;
+          lookupIndex = subtable.lookupIndex;
+        }
+      }
+    } else if (kernTable) {
+      value = this.readKernTablePair(kernTable, leftGlyph, rightGlyph);
+    }
+
+    this.kerningCache.set(key, value);
+    return value;
+  }
+
+  // Collect the PairPos subtables of the GPOS lookups used by "kern"
+  readKerningLookups() {
+    const gpos = this.getTable("GPOS");
+    const subtables = [];
+
+    if (gpos && gpos.length >= 10) {
+      const featureList = gpos.readUInt16BE(6);
+      const lookupList = gpos.readUInt16BE(8);
+      const lookupIndexes = new Set();
+
+      const featureCount = gpos.readUInt16BE(featureList);
+      for (let i = 0; i < featureCount; i++) {
+        const record = featureList + 2 + i * 6;
+        if (gpos.toString("latin1", record, record + 4) !== "kern") continue;
+        const feature = featureList + gpos.readUInt16BE(record + 4);
+        const indexCount = gpos.readUInt16BE(feature + 2);
+        for (let j = 0; j < indexCount; j++) {
+          lookupIndexes.add(gpos.readUInt16BE(feature + 4 + j * 2));
+        }
+      }
+
+      [...lookupIndexes]
+        .sort((a, b) => a - b)
+        .forEach((lookupIndex) => {
+          const lookup =
+            lookupList + gpos.readUInt16BE(lookupList + 2 + lookupIndex * 2);
+          const lookupType = gpos.readUInt16BE(lookup);
+          const subtableCount = gpos.readUInt16BE(lookup + 4);
+          for (let i = 0; i < subtableCount; i++) {
+            let offset = lookup + gpos.readUInt16BE(lookup + 6 + i * 2);
+            let type = lookupType;
+            // Extension lookups point at the real subtable
+            if (type === 9) {
+              type = gpos.readUInt16BE(offset + 2);
+              offset += gpos.readUInt32BE(offset + 4);
+            }
+            if (type === 2) subtables.push({ lookupIndex, offset });
+          }
+        });
+    }
+
+    return { gpos, subtables, kernTable: this.getTable("kern") };
+  }
+
+  // Adjustment of the first glyph's advance from a PairPos subtable, or
+  // null when the subtable does not cover the pair
+  readPairAdjustment(gpos, offset, leftGlyph, rightGlyph) {
+    const format = gpos.readUInt16BE(offset);
+    const coverageIndex = this.getCoverageIndex(
+      gpos,
+      offset + gpos.readUInt16BE(offset + 2),
+      leftGlyph
+    );
+    if (coverageIndex < 0) return null;
+
+    const valueFormat1 = gpos.readUInt16BE(offset + 4);
+    const valueFormat2 = gpos.readUInt16BE(offset + 6);
+    const recordSize =
+      (countValueFields(valueFormat1) + countValueFields(valueFormat2)) * 2;
+    // XAdvance follows the optional XPlacement and YPlacement fields
+    const xAdvance = (record) =>
+      valueFormat1 & 0x4
+        ? gpos.readInt16BE(record + countValueFields(valueFormat1 & 0x3) * 2)
+        : 0;
+
+    if (format === 1) {
+      const pairSet =
+        offset + gpos.readUInt16BE(offset + 10 + coverageIndex * 2);
+      const pairSize = 2 + recordSize;
+      let low = 0;
+      let high = gpos.readUInt16BE(pairSet) - 1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        const record = pairSet + 2 + middle * pairSize;
+        const secondGlyph = gpos.readUInt16BE(record);
+        if (secondGlyph < rightGlyph) low = middle + 1;
+        else if (secondGlyph > rightGlyph) high = middle - 1;
+        else return xAdvance(record + 2);
+      }
+      return null;
+    }
+
+    if (format === 2) {
+      const class1 = this.getGlyphClass(
+        gpos,
+        offset + gpos.readUInt16BE(offset + 8),
+        leftGlyph
+      );
+      const class2 = this.getGlyphClass(
+        gpos,
+        offset + gpos.readUInt16BE(offset + 10),
+        rightGlyph
+      );
+      const class1Count = gpos.readUInt16BE(offset + 12);
+      const class2Count = gpos.readUInt16BE(offset + 14);
+      if (class1 >= class1Count || class2 >= class2Count) return null;
+      return xAdvance(
+        offset + 16 + (class1 * class2Count + class2) * recordSize
+      );
+    }
+
+    return null;
+  }
+
+  getCoverageIndex(data, offset, glyph) {
+    const format = data.readUInt16BE(offset);
+    const count = data.readUInt16BE(offset + 2);
+    let low = 0;
+    let high = count - 1;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (format === 1) {
+        const value = data.readUInt16BE(offset + 4 + middle * 2);
+        if (value < glyph) low = middle + 1;
+        else if (value > glyph) high = middle - 1;
+        else return middle;
+      } else {
+        const range = offset + 4 + middle * 6;
+        if (glyph < data.readUInt16BE(range)) high = middle - 1;
+        else if (glyph > data.readUInt16BE(range + 2)) low = middle + 1;
+        else {
+          return (
+            data.readUInt16BE(range + 4) + glyph - data.readUInt16BE(range)
+          );
+        }
+      }
+    }
+    return -1;
+  }
+
+  getGlyphClass(data, offset, glyph) {
+    const format = data.readUInt16BE(offset);
+
+    if (format === 1) {
+      const startGlyph = data.readUInt16BE(offset + 2);
+      const glyphCount = data.readUInt16BE(offset + 4);
+      const index = glyph - startGlyph;
+      return index >= 0 && index < glyphCount
+        ? data.readUInt16BE(offset + 6 + index * 2)
+        : 0;
+    }
+
+    let low = 0;
+    let high = data.readUInt16BE(offset + 2) - 1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const range = offset + 4 + middle * 6;
+      if (glyph < data.readUInt16BE(range)) high = middle - 1;
+      else if (glyph > data.readUInt16BE(range + 2)) low = middle + 1;
+      else return data.readUInt16BE(range + 4);
+    }
+    return 0;
+  }
+
+  // Pair value from a version 0 kern table, format 0 horizontal subtables
+  readKernTablePair(kern, leftGlyph, rightGlyph) {
+    if (kern.length < 4 || kern.readUInt16BE(0) !== 0) return 0;
+
+    const key = leftGlyph * 0x10000 + rightGlyph;
+    let offset = 4;
+    let value = 0;
+    for (let i = 0; i < kern.readUInt16BE(2); i++) {
+      const length = kern.readUInt16BE(offset + 2);
+      const coverage = kern.readUInt16BE(offset + 4);
+      if (coverage >> 8 === 0 && (coverage & 0x1) === 1) {
+        let low = 0;
+        let high = kern.readUInt16BE(offset + 6) - 1;
+        while (low <= high) {
+          const middle = (low + high) >> 1;
+          const pair = offset + 14 + middle * 6;
+          const pairKey = kern.readUInt32BE(pair);
+          if (pairKey < key) low = middle + 1;
+          else if (pairKey > key) high = middle - 1;
+          else {
+            value += kern.readInt16BE(pair + 4);
+            break;
+          }
+        }
+      }
+      offset += length;
+    }
+    return value;
+  }
+
+  static decodeUTF16BE(bytes) {
+    const swapped = Buffer.from(bytes.subarray(0, bytes.length & ~1));
+    swapped.swap16();
+    return swapped.toString("utf16le");
+  }
+}
+
+// ES6 exports
+export default OpenTypeFont;
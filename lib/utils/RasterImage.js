@@ -0,0 +1,1377 @@
+import zlib from "zlib";
+
+// Largest image decoded (pixels), so a huge scan can't exhaust memory
+const MAX_PIXELS = 64 * 1024 * 1024;
+
+// Byte size of each TIFF field type, indexed by type (BYTE = 1 ... DOUBLE = 12)
+const TIFF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+// TIFF tags read by the decoder
+const TIFF_TAGS = {
+  256: "width",
+  257: "height",
+  258: "bitsPerSample",
+  259: "compression",
+  262: "photometric",
+  273: "stripOffsets",
+  277: "samplesPerPixel",
+  278: "rowsPerStrip",
+  279: "stripByteCounts",
+  284: "planarConfig",
+  317: "predictor",
+  320: "colorMap",
+  322: "tileWidth",
+  323: "tileLength",
+  324: "tileOffsets",
+  325: "tileByteCounts",
+  338: "extraSamples",
+};
+
+// TIFF compression schemes the decoder reads
+const TIFF_COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  PACKBITS: 32773,
+  DEFLATE_OLD: 32946,
+};
+
+// TIFF photometric interpretations
+const PHOTOMETRIC = {
+  WHITE_IS_ZERO: 0,
+  BLACK_IS_ZERO: 1,
+  RGB: 2,
+  PALETTE: 3,
+  SEPARATED: 5,
+};
+
+// PSD color modes
+const PSD_MODES = {
+  BITMAP: 0,
+  GRAYSCALE: 1,
+  INDEXED: 2,
+  RGB: 3,
+  CMYK: 4,
+  MULTICHANNEL: 7,
+  DUOTONE: 8,
+};
+
+// CRC-32 table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// First bytes of every PNG file
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// PNG color type → samples per pixel
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// JPEG frames the decoder reads: baseline and extended sequential Huffman
+const JPEG_SEQUENTIAL_FRAMES = [0xc0, 0xc1];
+
+// JPEG markers between 0xC0 and 0xCF that are not frame headers (DHT,
+// JPG, DAC)
+const JPEG_NON_FRAME_MARKERS = [0xc4, 0xc8, 0xcc];
+
+// Position (row-major) of each JPEG coefficient in zig-zag scan order
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+  48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29,
+  22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+  47, 55, 62, 63,
+];
+
+// Inverse DCT basis: [x * 8 + u] = C(u) / 2 * cos((2x + 1)uπ / 16)
+const IDCT_TABLE = Float64Array.from({ length: 64 }, (_, index) => {
+  const x = index >> 3;
+  const u = index & 7;
+  const scale = u === 0 ? Math.SQRT1_2 : 1;
+  return (scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16)) / 2;
+});
+
+// Scratch rows of the inverse DCT
+const IDCT_ROWS = new Float64Array(64);
+
+const clampByte = (value) =>
+  value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+
+// PNG Paeth predictor
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+};
+
+/**
+ * Build a JPEG Huffman decoding table (canonical codes) from a DHT segment
+ * @param {Uint8Array} counts - Number of codes of each length (1-16)
+ * @param {Uint8Array} values - Symbols, in code order
+ * @returns {Object} { maxCode, valueOffset, values } by code length
+ */
+const buildHuffmanTable = (counts, values) => {
+  const maxCode = new Int32Array(17).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    valueOffset[length] = index - code;
+    if (count) maxCode[length] = code + count - 1;
+    code = (code + count) << 1;
+    index += count;
+  }
+  return { maxCode, valueOffset, values };
+};
+
+/**
+ * Expand PackBits run-length data (TIFF compression 32773, PSD RLE)
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} length - Expected output length
+ * @returns {Uint8Array}
+ */
+const unpackBits = (input, length) => {
+  const output = new Uint8Array(length);
+  let inPos = 0;
+  let outPos = 0;
+  while (inPos < input.length && outPos < length) {
+    const header = (input[inPos++] << 24) >> 24;
+    if (header >= 0) {
+      const count = Math.min(header + 1, length - outPos);
+      output.set(input.subarray(inPos, inPos + count), outPos);
+      inPos += header + 1;
+      outPos += count;
+    } else if (header !== -128) {
+      const count = Math.min(1 - header, length - outPos);
+      output.fill(input[inPos++], outPos, outPos + count);
+      outPos += count;
+    }
+  }
+  return output;
+};
+
+/**
+ * Decode TIFF LZW data (MSB-first codes with early change). Every table
+ * entry is a run of the output so far, so it is kept as a start and length
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} length - Expected output length
+ * @returns {Uint8Array}
+ */
+const decodeLZW = (input, length) => {
+  const output = new Uint8Array(length);
+  const starts = new Int32Array(4096);
+  const lengths = new Int32Array(4096);
+  let bitPos = 0;
+  let codeLength = 9;
+  let next = 258;
+  let outPos = 0;
+  let prevStart = -1;
+  let prevLength = 0;
+
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeLength; i++, bitPos++) {
+      const byte = input[bitPos >> 3];
+      if (byte === undefined) return 257;
+      code = (code << 1) | ((byte >> (7 - (bitPos & 7))) & 1);
+    }
+    return code;
+  };
+
+  while (outPos < length) {
+    const code = readCode();
+    if (code === 257) break;
+    if (code === 256) {
+      codeLength = 9;
+      next = 258;
+      prevStart = -1;
+      continue;
+    }
+
+    const start = outPos;
+    let entryLength;
+    if (code < 256) {
+      output[outPos] = code;
+      entryLength = 1;
+    } else if (code < next) {
+      entryLength = lengths[code];
+      output.copyWithin(outPos, starts[code], starts[code] + entryLength);
+    } else if (prevStart >= 0) {
+      // Code not in the table yet: previous entry plus its first byte
+      entryLength = prevLength + 1;
+      output.copyWithin(outPos, prevStart, prevStart + prevLength);
+      if (outPos + prevLength < length) {
+        output[outPos + prevLength] = output[prevStart];
+      }
+    } else {
+      break;
+    }
+
+    // New entry: previous entry plus the first byte of this one, which
+    // always directly follows it in the output
+    if (prevStart >= 0 && next < 4096) {
+      starts[next] = prevStart;
+      lengths[next] = prevLength + 1;
+      next++;
+      if (next + 1 >= 1 << codeLength && codeLength < 12) codeLength++;
+    }
+
+    prevStart = start;
+    prevLength = entryLength;
+    outPos += entryLength;
+  }
+  return output;
+};
+
+/**
+ * RasterImage - Minimal decoders for print and web raster formats (TIFF,
+ * PSD, EPSI previews, PNG, baseline JPEG) into 8-bit RGBA pixels, a
+ * downscaler, and a PNG encoder for web derivatives
+ */
+class RasterImage {
+  /**
+   * @param {number} width - Pixels
+   * @param {number} height - Pixels
+   * @param {Uint8Array} data - RGBA, 4 bytes per pixel
+   */
+  constructor(width, height, data) {
+    this.width = width;
+    this.height = height;
+    this.data = data || new Uint8Array(width * height * 4);
+  }
+
+  /**
+   * Blank image, checked against the size limit
+   * @param {number} width - Pixels
+   * @param {number} height - Pixels
+   * @returns {RasterImage}
+   */
+  static create(width, height) {
+    if (!(width > 0 && height > 0)) {
+      throw new Error("Image has no pixels");
+    }
+    if (width * height > MAX_PIXELS) {
+      throw new Error(`Image is too large to convert (${width}x${height})`);
+    }
+    return new RasterImage(width, height);
+  }
+
+  // ===== TIFF =====
+
+  /**
+   * Decode the first image of a TIFF file. Reads strips or tiles that are
+   * uncompressed, LZW, Deflate or PackBits, with 1-16 bits per sample in
+   * grayscale, palette, RGB or CMYK. JPEG-compressed TIFFs are not read
+   * @param {Buffer} buffer - TIFF file contents
+   * @returns {RasterImage}
+   */
+  static fromTIFF(buffer) {
+    const order = buffer.toString("latin1", 0, 2);
+    if (order !== "II" && order !== "MM") throw new Error("Not a TIFF file");
+    const little = order === "II";
+    const u16 = (offset) =>
+      little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const u32 = (offset) =>
+      little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    const magic = u16(2);
+    if (magic === 43) throw new Error("BigTIFF files are not supported");
+    if (magic !== 42) throw new Error("Not a TIFF file");
+
+    const tags = RasterImage.readTIFFDirectory(buffer, u32(4), u16, u32);
+    const width = tags.width?.[0];
+    const height = tags.height?.[0];
+    const samplesPerPixel = tags.samplesPerPixel?.[0] || 1;
+    const bits = tags.bitsPerSample?.[0] || 1;
+    const compression = tags.compression?.[0] || TIFF_COMPRESSION.NONE;
+    const photometric = tags.photometric?.[0] ?? PHOTOMETRIC.BLACK_IS_ZERO;
+    const planar = tags.planarConfig?.[0] === 2;
+    const predictor = tags.predictor?.[0] || 1;
+
+    if (!Object.values(TIFF_COMPRESSION).includes(compression)) {
+      throw new Error(`TIFF compression ${compression} is not supported`);
+    }
+    if (![1, 2, 4, 8, 16].includes(bits)) {
+      throw new Error(`TIFF with ${bits} bits per sample is not supported`);
+    }
+    if (!Object.values(PHOTOMETRIC).includes(photometric)) {
+      throw new Error(`TIFF photometric ${photometric} is not supported`);
+    }
+
+    const image = RasterImage.create(width, height);
+    const samples = new Uint8Array(width * height * samplesPerPixel);
+    const chunkSamples = planar ? 1 : samplesPerPixel;
+
+    const decompress = (offset, byteCount, length) => {
+      const input = buffer.subarray(offset, offset + byteCount);
+      switch (compression) {
+        case TIFF_COMPRESSION.LZW:
+          return decodeLZW(input, length);
+        case TIFF_COMPRESSION.PACKBITS:
+          return unpackBits(input, length);
+        case TIFF_COMPRESSION.DEFLATE:
+        case TIFF_COMPRESSION.DEFLATE_OLD:
+          return zlib.inflateSync(input);
+        default:
+          return input;
+      }
+    };
+
+    // Copy a decoded strip or tile into the sample buffer, undoing the
+    // predictor and reducing every sample to one byte
+    const place = (chunk, plane, left, top, chunkWidth, chunkHeight) => {
+      const rowBytes = Math.ceil((chunkWidth * chunkSamples * bits) / 8);
+      for (let row = 0; row < chunkHeight && top + row < height; row++) {
+        const rowStart = row * rowBytes;
+        if (predictor === 2) {
+          RasterImage.undoTIFFPredictor(
+            chunk,
+            rowStart,
+            chunkWidth,
+            chunkSamples,
+            bits,
+            little
+          );
+        }
+        for (let x = 0; x < chunkWidth && left + x < width; x++) {
+          for (let s = 0; s < chunkSamples; s++) {
+            const index = x * chunkSamples + s;
+            let value;
+            if (bits === 16) {
+              value = chunk[rowStart + index * 2 + (little ? 1 : 0)];
+            } else if (bits === 8) {
+              value = chunk[rowStart + index];
+            } else {
+              const bit = index * bits;
+              const byte = chunk[rowStart + (bit >> 3)];
+              value = (byte >> (8 - bits - (bit & 7))) & ((1 << bits) - 1);
+            }
+            const pixel = (top + row) * width + left + x;
+            samples[pixel * samplesPerPixel + (planar ? plane : s)] =
+              value || 0;
+          }
+        }
+      }
+    };
+
+    if (tags.tileOffsets) {
+      const tileWidth = tags.tileWidth[0];
+      const tileHeight = tags.tileLength[0];
+      const across = Math.ceil(width / tileWidth);
+      const down = Math.ceil(height / tileHeight);
+      const tileBytes =
+        Math.ceil((tileWidth * chunkSamples * bits) / 8) * tileHeight;
+      tags.tileOffsets.forEach((offset, index) => {
+        const plane = Math.floor(index / (across * down));
+        const tile = index % (across * down);
+        place(
+          decompress(offset, tags.tileByteCounts[index], tileBytes),
+          plane,
+          (tile % across) * tileWidth,
+          Math.floor(tile / across) * tileHeight,
+          tileWidth,
+          tileHeight
+        );
+      });
+    } else if (tags.stripOffsets) {
+      const rowsPerStrip = Math.min(tags.rowsPerStrip?.[0] || height, height);
+      const stripsPerPlane = Math.ceil(height / rowsPerStrip);
+      const rowBytes = Math.ceil((width * chunkSamples * bits) / 8);
+      tags.stripOffsets.forEach((offset, index) => {
+        const plane = Math.floor(index / stripsPerPlane);
+        const top = (index % stripsPerPlane) * rowsPerStrip;
+        const rows = Math.min(rowsPerStrip, height - top);
+        place(
+          decompress(offset, tags.stripByteCounts[index], rows * rowBytes),
+          plane,
+          0,
+          top,
+          width,
+          rows
+        );
+      });
+    } else {
+      throw new Error("TIFF has no image data");
+    }
+
+    const extraSamples = tags.extraSamples || [];
+    const colorSamples =
+      photometric === PHOTOMETRIC.RGB
+        ? 3
+        : photometric === PHOTOMETRIC.SEPARATED
+          ? 4
+          : 1;
+    // Associated (1) or unassociated (2) alpha right after the color
+    const alphaIndex =
+      samplesPerPixel > colorSamples &&
+      (extraSamples[0] === 1 || extraSamples[0] === 2)
+        ? colorSamples
+        : -1;
+    const max = (1 << Math.min(bits, 8)) - 1;
+    const scale = (value) => Math.round((value * 255) / max);
+    const colorMap = tags.colorMap;
+    const mapSize = 1 << bits;
+
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const s = pixel * samplesPerPixel;
+      const out = pixel * 4;
+      let r;
+      let g;
+      let b;
+      switch (photometric) {
+        case PHOTOMETRIC.WHITE_IS_ZERO:
+          r = g = b = 255 - scale(samples[s]);
+          break;
+        case PHOTOMETRIC.RGB:
+          r = scale(samples[s]);
+          g = scale(samples[s + 1]);
+          b = scale(samples[s + 2]);
+          break;
+        case PHOTOMETRIC.PALETTE:
+          r = colorMap ? colorMap[samples[s]] >> 8 : 0;
+          g = colorMap ? colorMap[mapSize + samples[s]] >> 8 : 0;
+          b = colorMap ? colorMap[mapSize * 2 + samples[s]] >> 8 : 0;
+          break;
+        case PHOTOMETRIC.SEPARATED:
+          [r, g, b] = RasterImage.cmykToRgb(
+            samples[s],
+            samples[s + 1],
+            samples[s + 2],
+            samples[s + 3]
+          );
+          break;
+        default:
+          r = g = b = scale(samples[s]);
+      }
+      image.data[out] = r;
+      image.data[out + 1] = g;
+      image.data[out + 2] = b;
+      image.data[out + 3] =
+        alphaIndex >= 0 ? scale(samples[s + alphaIndex]) : 255;
+    }
+    return image;
+  }
+
+  /**
+   * Read the tags of a TIFF image file directory
+   * @param {Buffer} buffer - TIFF file contents
+   * @param {number} offset - Directory offset
+   * @param {Function} u16 - Reads a 16-bit value in the file's byte order
+   * @param {Function} u32 - Reads a 32-bit value in the file's byte order
+   * @returns {Object} Tag name → array of values
+   */
+  static readTIFFDirectory(buffer, offset, u16, u32) {
+    const tags = {};
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      const name = TIFF_TAGS[u16(entry)];
+      if (!name) continue;
+
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = TIFF_TYPE_SIZES[type] || 1;
+      const valueOffset = size * valueCount <= 4 ? entry + 8 : u32(entry + 8);
+      const values = [];
+      for (let v = 0; v < valueCount; v++) {
+        const at = valueOffset + v * size;
+        if (at + size > buffer.length) break;
+        values.push(size === 1 ? buffer[at] : size === 2 ? u16(at) : u32(at));
+      }
+      tags[name] = values;
+    }
+    return tags;
+  }
+
+  /**
+   * Undo TIFF horizontal differencing (predictor 2) on one row, in place
+   */
+  static undoTIFFPredictor(chunk, rowStart, width, samples, bits, little) {
+    if (bits === 8) {
+      for (let i = samples; i < width * samples; i++) {
+        chunk[rowStart + i] =
+          (chunk[rowStart + i] + chunk[rowStart + i - samples]) & 0xff;
+      }
+    } else if (bits === 16) {
+      const view = new DataView(chunk.buffer, chunk.byteOffset + rowStart);
+      for (let i = samples; i < width * samples; i++) {
+        const value =
+          view.getUint16(i * 2, little) +
+          view.getUint16((i - samples) * 2, little);
+        view.setUint16(i * 2, value & 0xffff, little);
+      }
+    }
+  }
+
+  // ===== PSD =====
+
+  /**
+   * Decode the merged (composite) image of a Photoshop file. Reads raw and
+   * RLE data, 1, 8 and 16 bits per channel, in bitmap, grayscale, duotone,
+   * indexed, RGB and CMYK modes
+   * @param {Buffer} buffer - PSD file contents
+   * @returns {RasterImage}
+   */
+  static fromPSD(buffer) {
+    if (buffer.toString("latin1", 0, 4) !== "8BPS") {
+      throw new Error("Not a Photoshop file");
+    }
+    const version = buffer.readUInt16BE(4);
+    if (version !== 1)
+      throw new Error("Large document (PSB) files are not supported");
+
+    const channels = buffer.readUInt16BE(12);
+    const height = buffer.readUInt32BE(14);
+    const width = buffer.readUInt32BE(18);
+    const depth = buffer.readUInt16BE(22);
+    const mode = buffer.readUInt16BE(24);
+    if (![1, 8, 16].includes(depth)) {
+      throw new Error(
+        `Photoshop files with ${depth}-bit channels are not supported`
+      );
+    }
+    if (!Object.values(PSD_MODES).includes(mode)) {
+      throw new Error(`Photoshop color mode ${mode} is not supported`);
+    }
+
+    // Color mode data (the palette of indexed images), image resources and
+    // layers come before the merged image
+    let offset = 26;
+    const colorModeLength = buffer.readUInt32BE(offset);
+    const palette = buffer.subarray(offset + 4, offset + 4 + colorModeLength);
+    offset += 4 + colorModeLength;
+    offset += 4 + buffer.readUInt32BE(offset);
+    offset += 4 + buffer.readUInt32BE(offset);
+
+    const compression = buffer.readUInt16BE(offset);
+    offset += 2;
+    const rowBytes = Math.ceil((width * depth) / 8);
+    const planeBytes = rowBytes * height;
+    const image = RasterImage.create(width, height);
+
+    const planes = [];
+    if (compression === 0) {
+      for (let c = 0; c < channels; c++) {
+        planes.push(
+          buffer.subarray(
+            offset + c * planeBytes,
+            offset + (c + 1) * planeBytes
+          )
+        );
+      }
+    } else if (compression === 1) {
+      // Byte counts of every row of every channel, then the rows
+      const counts = offset;
+      let data = offset + channels * height * 2;
+      for (let c = 0; c < channels; c++) {
+        const plane = new Uint8Array(planeBytes);
+        for (let row = 0; row < height; row++) {
+          const count = buffer.readUInt16BE(counts + (c * height + row) * 2);
+          plane.set(
+            unpackBits(buffer.subarray(data, data + count), rowBytes),
+            row * rowBytes
+          );
+          data += count;
+        }
+        planes.push(plane);
+      }
+    } else {
+      throw new Error(`Photoshop compression ${compression} is not supported`);
+    }
+
+    const sample = (channel, pixel) => {
+      const plane = planes[channel];
+      if (!plane) return 0;
+      if (depth === 16) return plane[pixel * 2];
+      if (depth === 1) {
+        const x = pixel % width;
+        const byte = plane[Math.floor(pixel / width) * rowBytes + (x >> 3)];
+        return (byte >> (7 - (x & 7))) & 1 ? 0 : 255; // 1 = black
+      }
+      return plane[pixel];
+    };
+
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const out = pixel * 4;
+      let rgb;
+      switch (mode) {
+        case PSD_MODES.RGB:
+          rgb = [sample(0, pixel), sample(1, pixel), sample(2, pixel)];
+          break;
+        case PSD_MODES.CMYK:
+          // Photoshop stores ink values inverted (255 = no ink)
+          rgb = RasterImage.cmykToRgb(
+            255 - sample(0, pixel),
+            255 - sample(1, pixel),
+            255 - sample(2, pixel),
+            255 - sample(3, pixel)
+          );
+          break;
+        case PSD_MODES.INDEXED: {
+          const index = sample(0, pixel);
+          rgb = [palette[index], palette[256 + index], palette[512 + index]];
+          break;
+        }
+        default: {
+          const gray = sample(0, pixel);
+          rgb = [gray, gray, gray];
+        }
+      }
+      image.data[out] = rgb[0] || 0;
+      image.data[out + 1] = rgb[1] || 0;
+      image.data[out + 2] = rgb[2] || 0;
+      image.data[out + 3] = 255;
+    }
+    return image;
+  }
+
+  // ===== PNG and JPEG =====
+
+  /**
+   * Pixel size of a PNG or JPEG file, read from its header
+   * @param {Buffer} buffer - File contents
+   * @returns {Object|null} { width, height }, or null for other formats
+   */
+  static readSize(buffer) {
+    if (buffer.length >= 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      return {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20),
+      };
+    }
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+    for (let offset = 2; offset + 9 < buffer.length;) {
+      const marker = buffer[offset + 1];
+      if (buffer[offset] !== 0xff || marker === 0xff) {
+        offset++;
+      } else if (
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        !JPEG_NON_FRAME_MARKERS.includes(marker)
+      ) {
+        return {
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+        };
+      } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+        offset += 2;
+      } else {
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decode a PNG file (any color type and bit depth; not interlaced)
+   * @param {Buffer} buffer - PNG file contents
+   * @returns {RasterImage}
+   */
+  static fromPNG(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      throw new Error("Not a PNG file");
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const chunks = [];
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString("latin1", offset + 4, offset + 8);
+      const body = buffer.subarray(offset + 8, offset + 8 + length);
+      offset += 12 + length;
+
+      if (type === "IHDR") {
+        header = {
+          width: body.readUInt32BE(0),
+          height: body.readUInt32BE(4),
+          bitDepth: body[8],
+          colorType: body[9],
+          interlace: body[12],
+        };
+      } else if (type === "PLTE") {
+        palette = body;
+      } else if (type === "tRNS") {
+        transparency = body;
+      } else if (type === "IDAT") {
+        chunks.push(body);
+      } else if (type === "IEND") {
+        break;
+      }
+    }
+
+    if (!header) throw new Error("PNG has no header");
+    const { width, height, bitDepth, colorType } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels) throw new Error(`PNG color type ${colorType} is not valid`);
+    if (header.interlace) {
+      throw new Error("Interlaced PNG files are not supported");
+    }
+
+    const image = RasterImage.create(width, height);
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const rowBytes = Math.ceil((width * channels * bitDepth) / 8);
+    const pixelBytes = Math.max(1, (channels * bitDepth) >> 3);
+
+    // Undo the filter of each row
+    const rows = new Uint8Array(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+      const filter = raw[y * (rowBytes + 1)];
+      const from = y * (rowBytes + 1) + 1;
+      const to = y * rowBytes;
+      for (let i = 0; i < rowBytes; i++) {
+        const left = i >= pixelBytes ? rows[to + i - pixelBytes] : 0;
+        const up = y > 0 ? rows[to - rowBytes + i] : 0;
+        const upLeft =
+          y > 0 && i >= pixelBytes ? rows[to - rowBytes + i - pixelBytes] : 0;
+        let value = raw[from + i];
+        if (filter === 1) value += left;
+        else if (filter === 2) value += up;
+        else if (filter === 3) value += (left + up) >> 1;
+        else if (filter === 4) value += paeth(left, up, upLeft);
+        rows[to + i] = value & 0xff;
+      }
+    }
+
+    // Samples as 8-bit values (palette entries as indexes)
+    const max = (1 << Math.min(bitDepth, 8)) - 1;
+    const sample = (y, index) => {
+      const row = y * rowBytes;
+      if (bitDepth === 16) return rows[row + index * 2];
+      if (bitDepth === 8) return rows[row + index];
+      const bit = index * bitDepth;
+      return (rows[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & max;
+    };
+    const scale = (value) =>
+      bitDepth < 8 ? Math.round((value * 255) / max) : value;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const s = x * channels;
+        const out = (y * width + x) * 4;
+        let rgba;
+        if (colorType === 3) {
+          const index = sample(y, s);
+          rgba = [
+            palette?.[index * 3] || 0,
+            palette?.[index * 3 + 1] || 0,
+            palette?.[index * 3 + 2] || 0,
+            transparency && index < transparency.length
+              ? transparency[index]
+              : 255,
+          ];
+        } else if (colorType === 2 || colorType === 6) {
+          rgba = [
+            scale(sample(y, s)),
+            scale(sample(y, s + 1)),
+            scale(sample(y, s + 2)),
+            colorType === 6 ? scale(sample(y, s + 3)) : 255,
+          ];
+        } else {
+          const gray = scale(sample(y, s));
+          rgba = [
+            gray,
+            gray,
+            gray,
+            colorType === 4 ? scale(sample(y, s + 1)) : 255,
+          ];
+        }
+        image.data.set(rgba, out);
+      }
+    }
+    return image;
+  }
+
+  /**
+   * Decode a baseline (or extended sequential) JPEG file: grayscale,
+   * YCbCr, RGB, CMYK and YCCK, any chroma subsampling, with restart
+   * intervals. Progressive and lossless JPEGs are not read
+   * @param {Buffer} buffer - JPEG file contents
+   * @returns {RasterImage}
+   */
+  static fromJPEG(buffer) {
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+      throw new Error("Not a JPEG file");
+    }
+
+    const quantTables = [];
+    const dcTables = [];
+    const acTables = [];
+    let frame = null;
+    let restartInterval = 0;
+    let adobeTransform = null;
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+      const marker = buffer[offset + 1];
+      if (buffer[offset] !== 0xff || marker === 0xff) {
+        offset++;
+        continue;
+      }
+      offset += 2;
+      if (marker === 0xd9) break; // End of image
+      if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) continue;
+
+      const length = buffer.readUInt16BE(offset);
+      const segment = buffer.subarray(offset + 2, offset + length);
+      offset += length;
+
+      if (marker === 0xdb) {
+        // Quantization tables, kept in zig-zag order
+        for (let p = 0; p < segment.length;) {
+          const wide = segment[p] >> 4;
+          const id = segment[p] & 15;
+          const table = new Int32Array(64);
+          for (let k = 0; k < 64; k++) {
+            table[k] = wide
+              ? segment.readUInt16BE(p + 1 + k * 2)
+              : segment[p + 1 + k];
+          }
+          quantTables[id] = table;
+          p += wide ? 129 : 65;
+        }
+      } else if (marker === 0xc4) {
+        for (let p = 0; p < segment.length;) {
+          const counts = segment.subarray(p + 1, p + 17);
+          const total = counts.reduce((sum, count) => sum + count, 0);
+          const table = buildHuffmanTable(
+            counts,
+            segment.subarray(p + 17, p + 17 + total)
+          );
+          (segment[p] >> 4 === 0 ? dcTables : acTables)[segment[p] & 15] =
+            table;
+          p += 17 + total;
+        }
+      } else if (JPEG_SEQUENTIAL_FRAMES.includes(marker)) {
+        frame = RasterImage.readJPEGFrame(segment);
+      } else if (
+        marker >= 0xc2 &&
+        marker <= 0xcf &&
+        !JPEG_NON_FRAME_MARKERS.includes(marker)
+      ) {
+        throw new Error(
+          marker === 0xc2
+            ? "Progressive JPEG files are not supported"
+            : `JPEG frame type 0x${marker.toString(16)} is not supported`
+        );
+      } else if (marker === 0xdd) {
+        restartInterval = segment.readUInt16BE(0);
+      } else if (
+        marker === 0xee &&
+        segment.toString("latin1", 0, 5) === "Adobe"
+      ) {
+        adobeTransform = segment[11];
+      } else if (marker === 0xda) {
+        if (!frame) throw new Error("JPEG scan comes before the frame header");
+        const scan = [];
+        for (let i = 0; i < segment[0]; i++) {
+          const tables = segment[2 + i * 2];
+          scan.push({
+            component: frame.components.find(
+              (component) => component.id === segment[1 + i * 2]
+            ),
+            dc: dcTables[tables >> 4],
+            ac: acTables[tables & 15],
+          });
+        }
+        if (scan.some((entry) => !entry.component || !entry.dc || !entry.ac)) {
+          throw new Error("JPEG scan refers to a missing table or component");
+        }
+        offset = RasterImage.decodeJPEGScan(
+          buffer,
+          offset,
+          frame,
+          scan,
+          quantTables,
+          restartInterval
+        );
+      }
+    }
+
+    if (!frame) throw new Error("JPEG has no frame header");
+    return RasterImage.fromJPEGFrame(frame, adobeTransform);
+  }
+
+  /**
+   * Read a JPEG frame header and set up a sample plane per component
+   * @param {Buffer} segment - SOF segment (after its length)
+   * @returns {Object} Frame { width, height, maxH, maxV, mcusPerLine,
+   *   mcusPerColumn, components }
+   */
+  static readJPEGFrame(segment) {
+    if (segment[0] !== 8) {
+      throw new Error(`${segment[0]}-bit JPEG files are not supported`);
+    }
+    const height = segment.readUInt16BE(1);
+    const width = segment.readUInt16BE(3);
+    if (!(width > 0 && height > 0)) throw new Error("Image has no pixels");
+    if (width * height > MAX_PIXELS) {
+      throw new Error(`Image is too large to convert (${width}x${height})`);
+    }
+
+    const components = [];
+    for (let i = 0; i < segment[5]; i++) {
+      const p = 6 + i * 3;
+      components.push({
+        id: segment[p],
+        h: segment[p + 1] >> 4,
+        v: segment[p + 1] & 15,
+        quantId: segment[p + 2],
+      });
+    }
+
+    const maxH = Math.max(...components.map((component) => component.h));
+    const maxV = Math.max(...components.map((component) => component.v));
+    const mcusPerLine = Math.ceil(width / (8 * maxH));
+    const mcusPerColumn = Math.ceil(height / (8 * maxV));
+    components.forEach((component) => {
+      component.blocksPerLine = Math.ceil(
+        Math.ceil((width * component.h) / maxH) / 8
+      );
+      component.blocksPerColumn = Math.ceil(
+        Math.ceil((height * component.v) / maxV) / 8
+      );
+      // Planes cover whole MCUs, which may run past the image edge
+      component.stride = mcusPerLine * component.h * 8;
+      component.pixels = new Uint8Array(
+        component.stride * mcusPerColumn * component.v * 8
+      );
+      component.prediction = 0;
+    });
+
+    return {
+      width,
+      height,
+      maxH,
+      maxV,
+      mcusPerLine,
+      mcusPerColumn,
+      components,
+    };
+  }
+
+  /**
+   * Decode the entropy-coded data of one JPEG scan into the component
+   * planes
+   * @returns {number} Offset of the marker that ends the scan
+   */
+  static decodeJPEGScan(
+    buffer,
+    offset,
+    frame,
+    scan,
+    quantTables,
+    restartInterval
+  ) {
+    let position = offset;
+    let bits = 0;
+    let bitCount = 0;
+
+    const readBit = () => {
+      if (bitCount === 0) {
+        bits = buffer[position] ?? 0;
+        if (bits !== 0xff) {
+          position++;
+        } else if (buffer[position + 1] === 0) {
+          position += 2; // Stuffed zero byte
+        } else {
+          bits = 0; // A marker: the scan's data has run out
+        }
+        bitCount = 8;
+      }
+      bitCount--;
+      return (bits >> bitCount) & 1;
+    };
+    const receive = (length) => {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+      return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    };
+    const decodeHuffman = (table) => {
+      let code = 0;
+      for (let length = 1; length <= 16; length++) {
+        code = (code << 1) | readBit();
+        if (code <= table.maxCode[length]) {
+          return table.values[code + table.valueOffset[length]];
+        }
+      }
+      return 0; // Corrupt data: treat as the end of the block
+    };
+    const isRestartMarker = (at) =>
+      buffer[at] === 0xff && buffer[at + 1] >= 0xd0 && buffer[at + 1] <= 0xd7;
+
+    const coefficients = new Float64Array(64);
+    const decodeBlock = ({ component, dc, ac }, blockRow, blockColumn) => {
+      const quant = quantTables[component.quantId];
+      if (!quant)
+        throw new Error("JPEG refers to a missing quantization table");
+      coefficients.fill(0);
+
+      const size = decodeHuffman(dc);
+      component.prediction += size ? receive(size) : 0;
+      coefficients[0] = component.prediction * quant[0];
+      for (let k = 1; k < 64;) {
+        const symbol = decodeHuffman(ac);
+        const size = symbol & 15;
+        const run = symbol >> 4;
+        if (size === 0) {
+          if (run < 15) break; // End of block
+          k += 16;
+          continue;
+        }
+        k += run;
+        if (k > 63) break;
+        coefficients[ZIGZAG[k]] = receive(size) * quant[k];
+        k++;
+      }
+
+      RasterImage.inverseDCT(
+        coefficients,
+        component.pixels,
+        blockRow * 8 * component.stride + blockColumn * 8,
+        component.stride
+      );
+    };
+
+    // A scan of one component has no MCUs beyond its own blocks
+    const single = scan.length === 1;
+    const total = single
+      ? scan[0].component.blocksPerLine * scan[0].component.blocksPerColumn
+      : frame.mcusPerLine * frame.mcusPerColumn;
+    scan.forEach((entry) => {
+      entry.component.prediction = 0;
+    });
+
+    for (let mcu = 0; mcu < total; mcu++) {
+      if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+        bitCount = 0;
+        while (position < buffer.length - 1 && !isRestartMarker(position)) {
+          position++;
+        }
+        position += 2;
+        scan.forEach((entry) => {
+          entry.component.prediction = 0;
+        });
+      }
+
+      if (single) {
+        const { blocksPerLine } = scan[0].component;
+        decodeBlock(
+          scan[0],
+          Math.floor(mcu / blocksPerLine),
+          mcu % blocksPerLine
+        );
+        continue;
+      }
+      const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+      const mcuColumn = mcu % frame.mcusPerLine;
+      scan.forEach((entry) => {
+        const { h, v } = entry.component;
+        for (let y = 0; y < v; y++) {
+          for (let x = 0; x < h; x++) {
+            decodeBlock(entry, mcuRow * v + y, mcuColumn * h + x);
+          }
+        }
+      });
+    }
+
+    // Skip any padding up to the next marker
+    while (
+      position < buffer.length - 1 &&
+      !(
+        buffer[position] === 0xff &&
+        buffer[position + 1] !== 0 &&
+        !isRestartMarker(position)
+      )
+    ) {
+      position++;
+    }
+    return position;
+  }
+
+  /**
+   * Inverse DCT of one 8×8 block into a sample plane (level shifted by 128)
+   * @param {Float64Array} input - Dequantized coefficients, row-major
+   * @param {Uint8Array} output - Sample plane
+   * @param {number} offset - Index of the block's top-left sample
+   * @param {number} stride - Samples per plane row
+   */
+  static inverseDCT(input, output, offset, stride) {
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let u = 0; u < 8; u++) {
+          sum += IDCT_TABLE[x * 8 + u] * input[y * 8 + u];
+        }
+        IDCT_ROWS[y * 8 + x] = sum;
+      }
+    }
+    for (let x = 0; x < 8; x++) {
+      for (let y = 0; y < 8; y++) {
+        let sum = 0;
+        for (let v = 0; v < 8; v++) {
+          sum += IDCT_TABLE[y * 8 + v] * IDCT_ROWS[v * 8 + x];
+        }
+        output[offset + y * stride + x] = clampByte(sum + 128);
+      }
+    }
+  }
+
+  /**
+   * Combine the decoded component planes of a JPEG into RGBA pixels
+   * @param {Object} frame - From readJPEGFrame, after its scans
+   * @param {number|null} adobeTransform - Adobe APP14 color transform
+   * @returns {RasterImage}
+   */
+  static fromJPEGFrame(frame, adobeTransform) {
+    const { width, height, maxH, maxV, components } = frame;
+    const image = new RasterImage(width, height);
+    const count = components.length;
+    // Three components are YCbCr unless an Adobe marker says otherwise;
+    // four are CMYK, or YCCK with Adobe transform 2
+    const transform = adobeTransform ?? (count === 3 ? 1 : 0);
+
+    const sample = (component, x, y) =>
+      component.pixels[
+        Math.floor((y * component.v) / maxV) * component.stride +
+          Math.floor((x * component.h) / maxH)
+      ];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const out = (y * width + x) * 4;
+        let rgb;
+        if (count < 3) {
+          const gray = sample(components[0], x, y);
+          rgb = [gray, gray, gray];
+        } else {
+          let first = sample(components[0], x, y);
+          let second = sample(components[1], x, y);
+          let third = sample(components[2], x, y);
+          if (transform) {
+            const luma = first;
+            const cb = second - 128;
+            const cr = third - 128;
+            first = clampByte(luma + 1.402 * cr);
+            second = clampByte(luma - 0.344136 * cb - 0.714136 * cr);
+            third = clampByte(luma + 1.772 * cb);
+          }
+          if (count === 4) {
+            // Adobe CMYK JPEGs store inverted inks (255 = no ink); YCCK
+            // converts back to those inverted values
+            const black = 255 - sample(components[3], x, y);
+            rgb = transform
+              ? RasterImage.cmykToRgb(first, second, third, black)
+              : RasterImage.cmykToRgb(
+                  255 - first,
+                  255 - second,
+                  255 - third,
+                  black
+                );
+          } else {
+            rgb = [first, second, third];
+          }
+        }
+        image.data[out] = rgb[0];
+        image.data[out + 1] = rgb[1];
+        image.data[out + 2] = rgb[2];
+        image.data[out + 3] = 255;
+      }
+    }
+    return image;
+  }
+
+  // ===== EPSI preview =====
+
+  /**
+   * Decode the device-independent preview (%%BeginPreview) of an EPS file
+   * @param {string} text - PostScript text
+   * @returns {RasterImage|null} Null when the file has no preview
+   */
+  static fromEPSIPreview(text) {
+    const match = /%%BeginPreview:\s*(\d+)\s+(\d+)\s+(\d+)\s+\d+/.exec(text);
+    if (!match) return null;
+
+    const [width, height, depth] = match.slice(1, 4).map(Number);
+    if (![1, 2, 4, 8].includes(depth)) return null;
+    const end = text.indexOf("%%EndPreview", match.index);
+    const hex = text
+      .slice(match.index + match[0].length, end < 0 ? undefined : end)
+      .replace(/^%/gm, "")
+      .replace(/[^0-9a-fA-F]/g, "");
+    const bytes = Buffer.from(hex, "hex");
+
+    const image = RasterImage.create(width, height);
+    const rowBytes = Math.ceil((width * depth) / 8);
+    const max = (1 << depth) - 1;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = x * depth;
+        const byte = bytes[y * rowBytes + (bit >> 3)] || 0;
+        const value = (byte >> (8 - depth - (bit & 7))) & max;
+        // 0 is white, the largest value black
+        const gray = 255 - Math.round((value * 255) / max);
+        const out = (y * width + x) * 4;
+        image.data[out] = image.data[out + 1] = image.data[out + 2] = gray;
+        image.data[out + 3] = 255;
+      }
+    }
+    return image;
+  }
+
+  // ===== Color =====
+
+  /**
+   * Naive CMYK → RGB for 0-255 ink values
+   * @returns {number[]} [r, g, b]
+   */
+  static cmykToRgb(c, m, y, k) {
+    const white = 1 - k / 255;
+    return [
+      Math.round(255 * (1 - c / 255) * white),
+      Math.round(255 * (1 - m / 255) * white),
+      Math.round(255 * (1 - y / 255) * white),
+    ];
+  }
+
+  // ===== Resizing =====
+
+  /**
+   * Downscale to a width, keeping the aspect ratio. Each new pixel is the
+   * average of the source pixels it covers
+   * @param {number} width - New width in pixels
+   * @returns {RasterImage} A new image (this one when it isn't wider)
+   */
+  resize(width) {
+    if (width >= this.width) return this;
+    const height = Math.max(1, Math.round((this.height * width) / this.width));
+    const columns = RasterImage.getResizeWeights(this.width, width);
+    const rows = RasterImage.getResizeWeights(this.height, height);
+
+    // Shrink the rows first, then the columns
+    const narrowed = new Float32Array(width * this.height * 4);
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < width; x++) {
+        const to = (y * width + x) * 4;
+        for (const [source, weight] of columns[x]) {
+          const from = (y * this.width + source) * 4;
+          for (let c = 0; c < 4; c++) {
+            narrowed[to + c] += this.data[from + c] * weight;
+          }
+        }
+      }
+    }
+
+    const image = new RasterImage(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const to = (y * width + x) * 4;
+        for (let c = 0; c < 4; c++) {
+          let sum = 0;
+          for (const [source, weight] of rows[y]) {
+            sum += narrowed[(source * width + x) * 4 + c] * weight;
+          }
+          image.data[to + c] = clampByte(sum);
+        }
+      }
+    }
+    return image;
+  }
+
+  /**
+   * Source pixels each new pixel covers when shrinking a row or column
+   * @param {number} from - Source length
+   * @param {number} to - New length
+   * @returns {Array} Per new pixel, [sourceIndex, weight] pairs summing to 1
+   */
+  static getResizeWeights(from, to) {
+    const ratio = from / to;
+    return Array.from({ length: to }, (_, index) => {
+      const start = index * ratio;
+      const end = start + ratio;
+      const weights = [];
+      for (
+        let source = Math.floor(start);
+        source < Math.min(from, end);
+        source++
+      ) {
+        const overlap = Math.min(end, source + 1) - Math.max(start, source);
+        if (overlap > 0) weights.push([source, overlap / ratio]);
+      }
+      return weights;
+    });
+  }
+
+  // ===== PNG =====
+
+  /**
+   * Encode as PNG (RGB when fully opaque, RGBA otherwise)
+   * @returns {Buffer}
+   */
+  toPNG() {
+    const { width, height, data } = this;
+    let opaque = true;
+    for (let i = 3; i < data.length; i += 4) {
+      if (data[i] !== 255) {
+        opaque = false;
+        break;
+      }
+    }
+
+    const channels = opaque ? 3 : 4;
+    const rowBytes = width * channels + 1; // leading filter byte (none)
+    const raw = Buffer.alloc(rowBytes * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const from = (y * width + x) * 4;
+        const to = y * rowBytes + 1 + x * channels;
+        raw[to] = data[from];
+        raw[to + 1] = data[from + 1];
+        raw[to + 2] = data[from + 2];
+        if (!opaque) raw[to + 3] = data[from + 3];
+      }
+    }
+
+    const chunk = (type, body) => {
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(body.length);
+      const typed = Buffer.concat([Buffer.from(type, "latin1"), body]);
+      const crc = Buffer.alloc(4);
+      crc.writeUInt32BE(crc32(typed));
+      return Buffer.concat([length, typed, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = opaque ? 2 : 6; // truecolor (with alpha)
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      chunk("IHDR", header),
+      chunk("IDAT", zlib.deflateSync(raw)),
+      chunk("IEND", Buffer.alloc(0)),
+    ]);
+  }
+}
+
+// ES6 exports
+export default RasterImage;
@@ -0,0 +1,237 @@
+/**
+ * SpecialCharacters.js - InDesign special characters in story text
+ * Auto page numbers and section markers are stored in IDML as <?ACE n?>
+ * processing instructions. The parser keeps them as private-use placeholder
+ * characters so the viewer can fill them in for the page a frame is shown on.
+ */
+
+// ACE code → placeholder character
+const MARKERS = {
+  18: "\uE018", // Auto page number
+  19: "\uE019", // Section marker
+};
+
+const PAGE_NUMBER_MARKER = MARKERS[18];
+const SECTION_MARKER = MARKERS[19];
+const MARKER_PATTERN = /[\uE018\uE019]/g;
+const TEXT_VARIABLE_PATTERN =
+  /<TextVariableInstance\b([^>]*?)(?:\/>|>[\s\S]*?<\/TextVariableInstance>)/g;
+
+// Anchored object n is stored as the character U+E100 + n
+const ANCHORED_OBJECT_BASE = 0xe100;
+const ANCHORED_OBJECT_LAST = 0xe8ff;
+const ANCHORED_OBJECT_PATTERN = /[\uE100-\uE8FF]/;
+const ANCHORED_OBJECT_TYPES = [
+  "Rectangle",
+  "Oval",
+  "Polygon",
+  "GraphicLine",
+  "TextFrame",
+  "Group",
+  "Button",
+];
+
+class SpecialCharacters {
+  /**
+   * Placeholder character used for auto page numbers
+   * @returns {string} The placeholder character
+   */
+  static get PAGE_NUMBER() {
+    return PAGE_NUMBER_MARKER;
+  }
+
+  /**
+   * Placeholder character used for section markers
+   * @returns {string} The placeholder character
+   */
+  static get SECTION_MARKER() {
+    return SECTION_MARKER;
+  }
+
+  /**
+   * Replace known <?ACE n?> instructions in story XML with placeholders
+   * @param {string} xml - Story XML
+   * @returns {string} XML with placeholders instead of the instructions
+   */
+  static replaceInstructions(xml) {
+    if (!xml) return xml;
+    return xml.replace(/<\?ACE\s+(\d+)\s*\?>/g, (instruction, code) =>
+      MARKERS[code] ? MARKERS[code] : instruction
+    );
+  }
+
+  /**
+   * Turn placeholders back into <?ACE n?> instructions (for writing IDML)
+   * @param {string} text - Text or XML containing placeholders
+   * @returns {string} Text with processing instructions
+   */
+  static restoreInstructions(text) {
+    if (!text) return text;
+    return text.replace(MARKER_PATTERN, (marker) => {
+      const code = Object.keys(MARKERS).find((key) => MARKERS[key] === marker);
+      return `<?ACE ${code}?>`;
+    });
+  }
+
+  /**
+   * Replace <TextVariableInstance> elements with their last result text
+   * @param {string} xml - Story XML
+   * @returns {string} XML with Content elements in place of the variables
+   */
+  static replaceTextVariables(xml) {
+    if (!xml) return xml;
+    return xml.replace(TEXT_VARIABLE_PATTERN, (variable, attributes) => {
+      const result = attributes.match(/\bResultText="([^"]*)"/);
+      return result ? `<Content>${result[1]}</Content>` : "";
+    });
+  }
+
+  /**
+   * Placeholder character for the anchored object at the given index
+   * @param {number} index - Index of the object in the story
+   * @returns {string} The placeholder character
+   */
+  static anchoredObjectMarker(index) {
+    return String.fromCharCode(
+      Math.min(ANCHORED_OBJECT_BASE + index, ANCHORED_OBJECT_LAST)
+    );
+  }
+
+  /**
+   * Index of the anchored object a placeholder character stands for
+   * @param {string} marker - The placeholder character
+   * @returns {number} Object index, or -1 for other characters
+   */
+  static getAnchoredObjectIndex(marker) {
+    return typeof marker === "string" && ANCHORED_OBJECT_PATTERN.test(marker)
+      ? marker.charCodeAt(0) - ANCHORED_OBJECT_BASE
+      : -1;
+  }
+
+  /**
+   * Check whether text contains anchored object placeholders
+   * @param {string} text - Text to check
+   * @returns {boolean} True when placeholders are present
+   */
+  static hasAnchoredObjects(text) {
+    return typeof text === "string" && ANCHORED_OBJECT_PATTERN.test(text);
+  }
+
+  /**
+   * Split text around anchored object placeholders
+   * @param {string} text - Text containing placeholders
+   * @returns {Array} Text parts; placeholders are parts of their own
+   */
+  static splitAnchoredObjects(text) {
+    return String(text || "")
+      .split(/([\uE100-\uE8FF])/)
+      .filter((part) => part.length > 0);
+  }
+
+  /**
+   * Remove anchored object placeholders (for plain text previews)
+   * @param {string} text - Text containing placeholders
+   * @returns {string} Text without the placeholders
+   */
+  static removeAnchoredObjects(text) {
+    if (!SpecialCharacters.hasAnchoredObjects(text)) return text;
+    return text.replace(/[\uE100-\uE8FF]/g, "");
+  }
+
+  /**
+   * Find the page items anchored in story XML (outermost elements only, so
+   * items inside an anchored group are part of the group)
+   * @param {string} xml - Story XML
+   * @returns {Array} { type, start, end } XML ranges in document order
+   */
+  static findAnchoredObjects(xml) {
+    const ranges = [];
+    if (!xml) return ranges;
+
+    const openPattern = new RegExp(
+      `<(${ANCHORED_OBJECT_TYPES.join("|")})\\b[^>]*?(/?)>`,
+      "g"
+    );
+    let match;
+    while ((match = openPattern.exec(xml)) !== null) {
+      const [openTag, type, selfClosing] = match;
+      const start = match.index;
+      let end = start + openTag.length;
+
+      if (!selfClosing) {
+        // Skip nested elements of the same type to find the matching close
+        const tagPattern = new RegExp(`<(/?)${type}\\b[^>]*?(/?)>`, "g");
+        tagPattern.lastIndex = end;
+        let depth = 1;
+        let tag;
+        while (depth > 0 && (tag = tagPattern.exec(xml)) !== null) {
+          if (tag[1]) depth--;
+          else if (!tag[2]) depth++;
+          end = tag.index + tag[0].length;
+        }
+        if (depth > 0) end = xml.length;
+      }
+
+      ranges.push({ type, start, end });
+      openPattern.lastIndex = end;
+    }
+    return ranges;
+  }
+
+  /**
+   * Cut anchored page items out of story XML, leaving a placeholder
+   * character in the text where each one sits
+   * @param {string} xml - Story XML
+   * @returns {Object} { xml, objects } with the item XML in document order
+   */
+  static replaceAnchoredObjects(xml) {
+    const ranges = SpecialCharacters.findAnchoredObjects(xml);
+    if (ranges.length === 0) return { xml, objects: [] };
+
+    const objects = [];
+    let result = "";
+    let offset = 0;
+    ranges.forEach((range, index) => {
+      objects.push(xml.slice(range.start, range.end));
+      result +=
+        xml.slice(offset, range.start) +
+        `<Content>${SpecialCharacters.anchoredObjectMarker(index)}</Content>`;
+      offset = range.end;
+    });
+    result += xml.slice(offset);
+
+    // Join placeholders with neighbouring Content so no break is implied
+    result = result
+      .replace(/<\/Content>\s*<Content>([\uE100-\uE8FF])/g, "$1")
+      .replace(/([\uE100-\uE8FF])<\/Content>\s*<Content>/g, "$1");
+
+    return { xml: result, objects };
+  }
+
+  /**
+   * Check whether text contains page number or section placeholders
+   * @param {string} text - Text to check
+   * @returns {boolean} True when placeholders are present
+   */
+  static hasMarkers(text) {
+    return typeof text === "string" && /[\uE018\uE019]/.test(text);
+  }
+
+  /**
+   * Fill in page number and section marker placeholders
+   * @param {string} text - Text containing placeholders
+   * @param {object} values - { pageNumber, sectionMarker }
+   * @returns {string} Text with the values substituted
+   */
+  static substitute(text, values = {}) {
+    if (!SpecialCharacters.hasMarkers(text)) return text;
+    return text
+      .split(PAGE_NUMBER_MARKER)
+      .join(values.pageNumber !== undefined ? String(values.pageNumber) : "#")
+      .split(SECTION_MARKER)
+      .join(values.sectionMarker || "");
+  }
+}
+
+// ES6 exports
+export default SpecialCharacters;
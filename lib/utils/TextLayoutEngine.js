@@ -0,0 +1,487 @@
+import SpecialCharacters from "./SpecialCharacters.js";
+import InDesignTextMetrics from "./InDesignTextMetrics.js";
+import FontMetrics from "./FontMetrics.js";
+import Logger from "./Logger.js";
+
+// InDesign's auto leading is 120% of the font size
+const AUTO_LEADING = 1.2;
+
+const CENTERED_ALIGNMENTS = ["CenterAlign", "CenterJustified"];
+const RIGHT_ALIGNMENTS = ["RightAlign", "RightJustified"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * TextLayoutEngine - Breaks stories into lines and places them in their
+ * threaded frames and columns, measuring with FontMetrics (real glyph
+ * metrics where the document's fonts are available)
+ */
+class TextLayoutEngine {
+  /**
+   * @param {FontMetrics} fontMetrics - Fonts to measure with (estimates
+   *   only when omitted)
+   * @param {Logger} logger - Optional logger
+   */
+  constructor(fontMetrics = null, logger = null) {
+    this.fontMetrics = fontMetrics || new FontMetrics(logger);
+    this.logger = (logger || Logger.getDefault()).child("TextLayoutEngine");
+  }
+
+  /**
+   * Lay out every story that has text frames (the textLayout module)
+   * @param {Object} documentData - Processed document (stories, elements)
+   * @returns {Object} { stories: { [storyId]: layout }, fonts: { measured,
+   *   estimated } } with layouts as returned by toLayoutData
+   */
+  layoutDocument(documentData = {}) {
+    const elements = documentData.elements || [];
+    const stories = {};
+    const fonts = { measured: new Set(), estimated: new Set() };
+
+    Object.entries(documentData.stories || {}).forEach(([storyId, story]) => {
+      const frames = this.getStoryFrames(storyId, elements);
+      if (frames.length === 0) return;
+
+      const layout = this.layoutStory(story, frames);
+      layout.fonts.forEach((font) =>
+        (font.measured ? fonts.measured : fonts.estimated).add(font.name)
+      );
+      stories[storyId] = this.toLayoutData(layout);
+    });
+
+    this.logger.info(
+      `📏 Laid out ${Object.keys(stories).length} stories (${
+        fonts.measured.size
+      } fonts measured, ${fonts.estimated.size} estimated)`
+    );
+
+    return {
+      stories,
+      fonts: {
+        measured: [...fonts.measured],
+        estimated: [...fonts.estimated],
+      },
+    };
+  }
+
+  /**
+   * Text frames of a story in thread order
+   * @param {string} storyId - Story Self
+   * @param {Array} elements - Document elements
+   * @returns {Array} Frames with a pixel position
+   */
+  getStoryFrames(storyId, elements) {
+    const frames = elements.filter(
+      (element) =>
+        element?.type === "TextFrame" &&
+        element.parentStory === storyId &&
+        element.pixelPosition
+    );
+    const threadFrames = frames.find(
+      (frame) => Array.isArray(frame.threadFrames) && frame.threadFrames.length
+    )?.threadFrames;
+    if (!threadFrames) return frames;
+
+    const framesById = new Map(
+      frames.map((frame) => [frame.self || frame.id, frame])
+    );
+    return threadFrames
+      .map((frameId) => framesById.get(frameId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve the style of a run: its formatting over the story's styling
+   * @param {Object} formatting - Segment formatting
+   * @param {Object} styling - Story styling
+   * @returns {Object} Text style
+   */
+  getRunStyle(formatting = {}, styling = {}) {
+    const pick = (key, fallback) => formatting[key] ?? styling[key] ?? fallback;
+    const fontSize = pick("fontSize", 12);
+    return {
+      fontFamily: pick("fontFamily", "Arial"),
+      fontStyle: pick("fontStyle", "Regular"),
+      fontSize,
+      tracking: pick("tracking", 0),
+      horizontalScale: pick("horizontalScale", 100),
+      leading:
+        typeof formatting.leading === "number"
+          ? formatting.leading
+          : fontSize * AUTO_LEADING,
+      alignment: pick("alignment", null),
+      spaceBefore: pick("spaceBefore", 0),
+      spaceAfter: pick("spaceAfter", 0),
+      fillColor: pick("fillColor", null),
+    };
+  }
+
+  /**
+   * Split a story into paragraphs of styled runs, keeping character offsets
+   * into the story text (formattedContent joined)
+   * @param {Object} story - Story
+   * @returns {Array} { start, end, style, runs: [{ text, start, style }] }
+   */
+  getParagraphs(story) {
+    const styling = story.styling || {};
+    const segments =
+      Array.isArray(story.formattedContent) && story.formattedContent.length
+        ? story.formattedContent
+        : [{ text: story.text || "", formatting: {} }];
+
+    const paragraphs = [{ start: 0, end: 0, style: null, runs: [] }];
+    let offset = 0;
+
+    segments.forEach((segment) => {
+      const text = segment.text || "";
+      const formatting = segment.formatting || {};
+      let position = offset;
+      offset += text.length;
+      if (formatting.isTable || formatting.isAnchoredObject) return;
+
+      const style = this.getRunStyle(formatting, styling);
+      text.split("\n").forEach((part, index) => {
+        if (index > 0) {
+          paragraphs[paragraphs.length - 1].end = position - 1;
+          paragraphs.push({
+            start: position,
+            end: position,
+            style: null,
+            runs: [],
+          });
+        }
+        const paragraph = paragraphs[paragraphs.length - 1];
+        if (part) paragraph.runs.push({ text: part, start: position, style });
+        // The paragraph takes the style of its first text run (or of an
+        // empty paragraph's own break); a return ends the previous one
+        if (
+          !paragraph.style &&
+          (part || (index === 0 && formatting.fontSize))
+        ) {
+          paragraph.style = style;
+        }
+        position += part.length + 1;
+      });
+    });
+
+    paragraphs[paragraphs.length - 1].end = offset;
+    // A return at the very end of the story does not start a new line
+    const last = paragraphs[paragraphs.length - 1];
+    if (
+      paragraphs.length > 1 &&
+      last.runs.length === 0 &&
+      last.start === offset
+    ) {
+      paragraphs.pop();
+    }
+    paragraphs.forEach((paragraph) => {
+      paragraph.style = paragraph.style || this.getRunStyle({}, styling);
+    });
+    return paragraphs;
+  }
+
+  /**
+   * Split paragraph runs into measured words and spaces
+   * @param {Object} paragraph - Paragraph from getParagraphs
+   * @returns {Array} Tokens { text, start, end, style, width, isSpace }
+   */
+  getTokens(paragraph) {
+    const tokens = [];
+    paragraph.runs.forEach((run) => {
+      let position = run.start;
+      run.text.split(/(\s+)/).forEach((piece) => {
+        if (!piece) return;
+        tokens.push({
+          text: piece,
+          start: position,
+          end: position + piece.length,
+          style: run.style,
+          width: this.fontMetrics.measureText(
+            SpecialCharacters.removeAnchoredObjects(piece),
+            run.style
+          ),
+          isSpace: /^\s+$/.test(piece),
+        });
+        position += piece.length;
+      });
+    });
+    return tokens;
+  }
+
+  /**
+   * Take the tokens of the next line: words are added until the next one
+   * does not fit; a word that is wider than the line gets a line of its own
+   * @param {Array} tokens - Paragraph tokens
+   * @param {number} startIndex - First token of the line
+   * @param {number} maxWidth - Line width
+   * @returns {Object} { tokens, width, nextIndex }
+   */
+  breakLine(tokens, startIndex, maxWidth) {
+    const lineTokens = [];
+    let width = 0;
+    let pendingSpace = 0;
+    let index = startIndex;
+
+    while (index < tokens.length) {
+      const token = tokens[index];
+      if (token.isSpace) {
+        lineTokens.push(token);
+        pendingSpace += token.width;
+        index++;
+        continue;
+      }
+
+      // A word may span runs (no space between them): measure all of it
+      let wordWidth = 0;
+      for (let i = index; i < tokens.length && !tokens[i].isSpace; i++) {
+        wordWidth += tokens[i].width;
+      }
+      const hasWord = lineTokens.some((lineToken) => !lineToken.isSpace);
+      if (
+        hasWord &&
+        tokens[index - 1]?.isSpace &&
+        width + pendingSpace + wordWidth > maxWidth
+      ) {
+        break;
+      }
+
+      lineTokens.push(token);
+      width += pendingSpace + token.width;
+      pendingSpace = 0;
+      index++;
+    }
+
+    return { tokens: lineTokens, width, nextIndex: index };
+  }
+
+  /**
+   * Text columns of a frame, in frame coordinates
+   * @param {Object} frame - Text frame
+   * @returns {Array} { x, top, bottom, width, preferences }
+   */
+  getFrameColumns(frame) {
+    const preferences = frame.textFramePreferences || {};
+    const { insets, contentArea } =
+      InDesignTextMetrics.calculateTextFrameInsets(
+        { position: frame.pixelPosition },
+        preferences
+      );
+    const count = Math.max(1, preferences.textColumnCount || 1);
+    const gutter = preferences.textColumnGutter || 0;
+    const width = Math.max(
+      0,
+      (contentArea.width - gutter * (count - 1)) / count
+    );
+
+    return Array.from({ length: count }, (_, column) => ({
+      x: insets.left + column * (width + gutter),
+      top: insets.top,
+      bottom: insets.top + contentArea.height,
+      width,
+      preferences,
+    }));
+  }
+
+  /**
+   * Lay a story out across the frames of its thread: lines fill each
+   * column of each frame in turn, the rest is overset
+   * @param {Object} story - Story
+   * @param {Array} frames - Text frames in thread order (with pixelPosition)
+   * @returns {Object} { textLength, overset, oversetCharacters, fonts,
+   *   frames: [{ frameId, start, end, width, height, lines }] }; lines keep
+   *   the style of their first word
+   */
+  layoutStory(story, frames) {
+    const columns = frames.flatMap((frame, frameIndex) =>
+      this.getFrameColumns(frame).map((column, columnIndex) => ({
+        ...column,
+        frameIndex,
+        columnIndex,
+      }))
+    );
+    const frameLines = frames.map(() => []);
+    const paragraphs = this.getParagraphs(story);
+    const textLength = (
+      Array.isArray(story.formattedContent) && story.formattedContent.length
+        ? story.formattedContent.map((segment) => segment.text || "").join("")
+        : story.text || ""
+    ).length;
+    const fonts = new Map();
+
+    let columnIndex = 0;
+    let baseline = null; // null at the top of a column
+    let oversetStart = null;
+
+    for (const paragraph of paragraphs) {
+      const tokens = this.getTokens(paragraph);
+      let index = 0;
+      let firstLine = true;
+
+      while (firstLine || index < tokens.length) {
+        const column = columns[columnIndex];
+        if (!column) {
+          oversetStart = tokens[index]?.start ?? paragraph.start;
+          break;
+        }
+
+        const line = this.breakLine(tokens, index, column.width);
+        const metrics = this.getLineMetrics(line.tokens, paragraph.style);
+        const spaceBefore = firstLine ? paragraph.style.spaceBefore : 0;
+        let y;
+        if (baseline === null) {
+          y =
+            column.top +
+            spaceBefore +
+            Math.max(
+              InDesignTextMetrics.calculateFirstBaselineOffset(
+                column.preferences.firstBaselineOffset || "AscentOffset",
+                metrics.fontSize,
+                metrics.leading,
+                metrics.vertical
+              ),
+              column.preferences.minimumFirstBaselineOffset || 0
+            );
+        } else {
+          y = baseline + spaceBefore + metrics.leading;
+        }
+
+        // The line fits when its descenders stay inside the column
+        if (y + metrics.vertical.descent > column.bottom + 0.01) {
+          columnIndex++;
+          baseline = null;
+          continue;
+        }
+
+        const alignment = paragraph.style.alignment;
+        const offsetX = CENTERED_ALIGNMENTS.includes(alignment)
+          ? (column.width - line.width) / 2
+          : RIGHT_ALIGNMENTS.includes(alignment)
+          ? column.width - line.width
+          : 0;
+        const start = line.tokens[0]?.start ?? paragraph.start;
+        const end = line.tokens[line.tokens.length - 1]?.end ?? start;
+        const style =
+          line.tokens.find((token) => !token.isSpace)?.style || paragraph.style;
+
+        frameLines[column.frameIndex].push({
+          text: line.tokens.map((token) => token.text).join(""),
+          start,
+          end,
+          x: column.x + offsetX,
+          baseline: y,
+          width: line.width,
+          column: column.columnIndex,
+          columnX: column.x,
+          columnWidth: column.width,
+          fontSize: metrics.fontSize,
+          leading: metrics.leading,
+          ascent: metrics.vertical.ascent,
+          descent: metrics.vertical.descent,
+          alignment,
+          style,
+        });
+        line.tokens.forEach((token) => {
+          const name = `${token.style.fontFamily} ${token.style.fontStyle}`;
+          if (!fonts.has(name)) {
+            fonts.set(name, this.fontMetrics.hasFont(token.style));
+          }
+        });
+
+        baseline = y;
+        index = line.nextIndex;
+        firstLine = false;
+      }
+
+      if (oversetStart !== null) break;
+      if (baseline !== null) baseline += paragraph.style.spaceAfter;
+    }
+
+    // Each frame owns the text up to the first line of a later frame
+    let nextStart = oversetStart ?? textLength;
+    const ends = [];
+    for (let i = frames.length - 1; i >= 0; i--) {
+      ends[i] = nextStart;
+      if (frameLines[i].length) nextStart = frameLines[i][0].start;
+    }
+
+    return {
+      textLength,
+      overset: oversetStart !== null,
+      oversetCharacters: oversetStart !== null ? textLength - oversetStart : 0,
+      fonts: [...fonts].map(([name, measured]) => ({ name, measured })),
+      frames: frames.map((frame, i) => ({
+        frameId: frame.self || frame.id,
+        start: i === 0 ? 0 : ends[i - 1],
+        end: ends[i],
+        width: frame.pixelPosition.width,
+        height: frame.pixelPosition.height,
+        lines: frameLines[i],
+      })),
+    };
+  }
+
+  /**
+   * Size, leading and vertical metrics of a line: the largest of its words
+   * @param {Array} tokens - Line tokens
+   * @param {Object} paragraphStyle - Style for lines without words
+   * @returns {Object} { fontSize, leading, vertical }
+   */
+  getLineMetrics(tokens, paragraphStyle) {
+    const styles = tokens
+      .filter((token) => !token.isSpace)
+      .map((token) => token.style);
+    if (styles.length === 0) styles.push(paragraphStyle);
+
+    const largest = styles.reduce((a, b) => (b.fontSize > a.fontSize ? b : a));
+    const vertical = styles
+      .map((style) => this.fontMetrics.getVerticalMetrics(style))
+      .reduce((a, b) => ({
+        ...a,
+        ascent: Math.max(a.ascent, b.ascent),
+        descent: Math.max(a.descent, b.descent),
+      }));
+
+    return {
+      fontSize: largest.fontSize,
+      leading: Math.max(...styles.map((style) => style.leading)),
+      vertical: {
+        ...this.fontMetrics.getVerticalMetrics(largest),
+        ascent: vertical.ascent,
+        descent: vertical.descent,
+      },
+    };
+  }
+
+  /**
+   * Plain data for a story layout (numbers rounded, styles left out)
+   * @param {Object} layout - Result of layoutStory
+   * @returns {Object} Layout data
+   */
+  toLayoutData(layout) {
+    return {
+      textLength: layout.textLength,
+      overset: layout.overset,
+      oversetCharacters: layout.oversetCharacters,
+      fonts: layout.fonts,
+      frames: layout.frames.map((frame) => ({
+        ...frame,
+        lines: frame.lines.map(({ style, ...line }) => ({
+          ...line,
+          x: round(line.x),
+          baseline: round(line.baseline),
+          width: round(line.width),
+          columnX: round(line.columnX),
+          columnWidth: round(line.columnWidth),
+          ascent: round(line.ascent),
+          descent: round(line.descent),
+          leading: round(line.leading),
+          fontFamily: style.fontFamily,
+          fontStyle: style.fontStyle,
+        })),
+      })),
+    };
+  }
+}
+
+// ES6 exports
+export default TextLayoutEngine;
@@ -5,9 +5,12 @@
  * Supported units: Pixels, Points, Picas, Millimeters, Centimeters, Inches, Cicero, Agate
  */
 
+import Logger from "./Logger.js";
+
 class UnitConverter {
-  constructor(dpi = 96) {
+  constructor(dpi = 96, logger = null) {
     this.dpi = dpi; // Default web DPI
+    this.logger = (logger || Logger.getDefault()).child("UnitConverter"); // NEW
 
     // Conversion factors to inches
     this.CONVERSIONS_TO_INCHES = {
@@ -79,12 +82,14 @@ class UnitConverter {
    */
   toPixels(value, fromUnit) {
     if (typeof value !== "number" || isNaN(value)) {
-      console.warn(`UnitConverter: Invalid value "${value}" for conversion`);
+      this.logger.warn(
+        `UnitConverter: Invalid value "${value}" for conversion`
+      );
       return 0;
     }
 
     if (!fromUnit) {
-      console.warn("UnitConverter: No unit specified, assuming pixels");
+      this.logger.warn("UnitConverter: No unit specified, assuming pixels");
       return value;
     }
 
@@ -97,7 +102,7 @@ class UnitConverter {
     const toInches = this.CONVERSIONS_TO_INCHES[fromUnit];
 
     if (toInches === undefined) {
-      console.warn(
+      this.logger.warn(
         `UnitConverter: Unsupported unit "${fromUnit}", treating as pixels`
       );
       return value;
@@ -107,7 +112,7 @@ class UnitConverter {
     const inches = value * toInches;
     const pixels = inches * this.dpi;
 
-    console.log(
+    this.logger.debug(
       `📐 Converting: ${value} ${fromUnit} → ${inches.toFixed(
         4
       )} in → ${pixels.toFixed(2)} px (DPI: ${this.dpi})`
@@ -116,6 +121,42 @@ class UnitConverter {
     return Math.round(pixels * 100) / 100; // Round to 2 decimal places
   }
 
+  /**
+   * NEW: Pixels per unit, unrounded (for scaling whole matrices rather than
+   * single values)
+   * @param {string} unit - Unit (e.g., 'Points')
+   * @returns {number} Scale factor; 1 for pixels and unsupported units
+   */
+  getPixelsPerUnit(unit) {
+    const toInches = this.CONVERSIONS_TO_INCHES[unit];
+    return toInches ? toInches * this.dpi : 1;
+  }
+
+  /**
+   * Convert pixels back to any supported unit (inverse of toPixels)
+   * @param {number} value - Pixel value to convert
+   * @param {string} toUnit - Target unit (e.g., 'Points', 'Millimeters')
+   * @returns {number} Value in the target unit
+   */
+  fromPixels(value, toUnit) {
+    if (typeof value !== "number" || isNaN(value)) {
+      this.logger.warn(
+        `UnitConverter: Invalid value "${value}" for conversion`
+      );
+      return 0;
+    }
+
+    const toInches = this.CONVERSIONS_TO_INCHES[toUnit];
+
+    // Pixels, unknown or missing units: nothing to convert
+    if (!toUnit || toInches === null || toInches === undefined) {
+      return value;
+    }
+
+    // Convert: pixels → inches → target unit
+    return value / this.dpi / toInches;
+  }
+
   /**
    * Convert multiple values to pixels (for geometric bounds, etc.)
    * @param {object} values - Object with numeric values to convert
@@ -129,7 +170,9 @@ class UnitConverter {
 
     // FIXED: Check if already converted
     if (values._convertedToPixels) {
-      console.log("📐 Object already converted to pixels, skipping conversion");
+      this.logger.debug(
+        "📐 Object already converted to pixels, skipping conversion"
+      );
       return values;
     }
 
@@ -160,7 +203,7 @@ class UnitConverter {
 
     // FIXED: Check if already converted
     if (dimensions._convertedToPixels) {
-      console.log(
+      this.logger.debug(
         "📐 Dimensions already converted to pixels, skipping conversion"
       );
       return dimensions;
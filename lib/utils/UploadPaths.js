@@ -0,0 +1,100 @@
+import path from "path";
+
+// Upload ids are the millisecond timestamp the upload was received at
+const UPLOAD_ID_PATTERN = /^\d{1,20}$/;
+// Largest file a request may upload
+const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500 MB
+// Characters no uploaded file name may contain
+const UNSAFE_NAME_PATTERN = /[\u0000-\u001f\u007f/\\]/;
+
+/**
+ * Resolves paths inside uploads/<uploadId> from user-supplied parts (upload
+ * ids, route params, uploaded file names). Every API route goes through it,
+ * so a request can never reach a file outside its own upload folder
+ */
+class UploadPaths {
+  /**
+   * Largest file, in bytes, an upload or relink request may send
+   * @returns {number}
+   */
+  static get MAX_FILE_SIZE() {
+    return MAX_FILE_SIZE;
+  }
+
+  /**
+   * Folder all uploads are stored in
+   * @returns {string} Absolute path of uploads/
+   */
+  static getUploadsRoot() {
+    return path.join(process.cwd(), "uploads");
+  }
+
+  /**
+   * Check whether a string has the format of an upload id
+   * @param {string} uploadId - Upload id from a request
+   * @returns {boolean} True when valid
+   */
+  static isValidUploadId(uploadId) {
+    return typeof uploadId === "string" && UPLOAD_ID_PATTERN.test(uploadId);
+  }
+
+  /**
+   * Get the folder of an upload
+   * @param {string} uploadId - Upload id from a request
+   * @returns {string|null} Absolute path, or null for an invalid id
+   */
+  static getUploadDir(uploadId) {
+    if (!UploadPaths.isValidUploadId(uploadId)) return null;
+    return path.join(UploadPaths.getUploadsRoot(), uploadId);
+  }
+
+  /**
+   * Resolve a path inside an upload folder. Each segment is one file or
+   * folder name; segments that are empty, "." or "..", or that hold a path
+   * separator or control character, are refused rather than cleaned up
+   * @param {string} uploadId - Upload id from a request
+   * @param {...string} segments - Path segments below the upload folder
+   * @returns {string|null} Absolute path, or null when the id or a segment
+   *   is invalid or the path would leave the upload folder
+   */
+  static resolve(uploadId, ...segments) {
+    const uploadDir = UploadPaths.getUploadDir(uploadId);
+    if (!uploadDir) return null;
+    if (!segments.every((segment) => UploadPaths.isSafeSegment(segment))) {
+      return null;
+    }
+
+    const resolved = path.resolve(uploadDir, ...segments);
+    return resolved.startsWith(uploadDir + path.sep) ? resolved : null;
+  }
+
+  /**
+   * Check whether a string is a single, plain file or folder name
+   * @param {string} segment - Path segment
+   * @returns {boolean} True when safe to join into a path
+   */
+  static isSafeSegment(segment) {
+    return (
+      typeof segment === "string" &&
+      segment !== "" &&
+      segment !== "." &&
+      segment !== ".." &&
+      !UNSAFE_NAME_PATTERN.test(segment)
+    );
+  }
+
+  /**
+   * Get the name to store an uploaded file under: its original name without
+   * any folders the client sent along
+   * @param {string} fileName - Original file name from the client
+   * @returns {string|null} Safe file name, or null when nothing usable is left
+   */
+  static sanitizeFileName(fileName) {
+    if (typeof fileName !== "string") return null;
+    const baseName = fileName.split(/[/\\]/).pop().trim();
+    return UploadPaths.isSafeSegment(baseName) ? baseName : null;
+  }
+}
+
+// ES6 exports
+export default UploadPaths;
@@ -7,14 +7,25 @@
 export * from "./utils/unitConverter";
 export * from "./utils/colorUtils";
 export * from "./utils/fontUtils";
+export * from "./utils/pathGeometry";
+export * from "./utils/imagePlacement";
 
 // Text processing
 export * from "./text/textMetrics";
 export * from "./text/textRendering";
 export * from "./text/textFormatting";
+export * from "./text/textThreading";
 
 // Rendering
 export * from "./rendering/pageRenderer";
+export * from "./rendering/tableRenderer";
+export * from "./rendering/frameStyles";
+export * from "./rendering/masterPages";
+export * from "./rendering/spreads";
+export * from "./rendering/printerMarks";
+export * from "./rendering/vectorPaths";
+export * from "./rendering/placedImages";
+export * from "./rendering/anchoredObjects";
 
 // Hooks
 export * from "./hooks/useViewerState";
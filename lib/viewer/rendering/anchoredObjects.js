@@ -0,0 +1,193 @@
+/**
+ * Anchored object rendering utilities for the IDML Viewer
+ * Renders page items anchored in story text (inline, above line or custom)
+ */
+
+import React from "react";
+import { isVectorShape, renderVectorShape } from "./vectorPaths";
+import { renderPlacedImage } from "./placedImages";
+
+// Custom anchored objects: alignment → CSS for the horizontal position,
+// moved right by the X offset
+const HORIZONTAL_ALIGNMENTS = {
+  LeftAlign: (xOffset) => ({ left: `${xOffset}px` }),
+  CenterAlign: (xOffset) => ({
+    left: `calc(50% + ${xOffset}px)`,
+    transform: "translateX(-50%)",
+  }),
+  RightAlign: (xOffset) => ({ right: `${-xOffset}px` }),
+};
+
+// Above line objects: alignment → auto margins
+const ABOVE_LINE_MARGINS = {
+  LeftAlign: { marginRight: "auto" },
+  CenterAlign: { marginLeft: "auto", marginRight: "auto" },
+  RightAlign: { marginLeft: "auto" },
+};
+
+/**
+ * Gets the element passed to the vector renderer; story sizes are points,
+ * which the viewer shows as pixels
+ * @param {object} object - The anchored object (or a group item)
+ * @returns {object} The object with a pixel box
+ */
+const toShapeElement = (object) => ({
+  ...object,
+  pixelPosition: {
+    width: object.width || 0,
+    height: object.height || 0,
+    _dpi: 72,
+  },
+});
+
+/**
+ * Renders the content of an anchored item: fill, image, text and shape
+ * @param {object} object - The anchored object (or a group item)
+ * @param {object} utils - Utility functions (convertColor, getStory)
+ * @param {function} renderStory - Renders a story's formatted text
+ * @returns {React.ReactElement} The item content
+ */
+const renderObjectContent = (object, utils, renderStory) => {
+  const shapeElement = toShapeElement(object);
+  const isVector = isVectorShape(shapeElement);
+  const fillRef = object.fill || object.fillColor;
+  const fillColor =
+    !isVector && fillRef && !fillRef.includes("None") && utils.convertColor
+      ? utils.convertColor(fillRef)
+      : undefined;
+  const story =
+    object.type === "TextFrame" && object.parentStory
+      ? utils.getStory?.(object.parentStory)
+      : null;
+
+  return (
+    <>
+      {isVector &&
+        renderVectorShape(shapeElement, utils, {
+          layer: "fill",
+          fitToBox: true,
+        })}
+      {fillColor && (
+        <div
+          style={{ position: "absolute", inset: 0, background: fillColor }}
+        />
+      )}
+      {renderPlacedImage(shapeElement, {
+        alt: object.name || "Anchored image",
+      })}
+      {story && renderStory && (
+        <div style={{ position: "relative", overflow: "hidden" }}>
+          {renderStory(story)}
+        </div>
+      )}
+      {(object.groupItems || []).map((child, childIndex) => (
+        <span
+          key={child.self || childIndex}
+          style={{
+            position: "absolute",
+            left: `${child.offsetLeft || 0}px`,
+            top: `${child.offsetTop || 0}px`,
+            width: `${child.width || 0}px`,
+            height: `${child.height || 0}px`,
+          }}
+        >
+          {renderObjectContent(child, utils, renderStory)}
+        </span>
+      ))}
+      {isVector &&
+        renderVectorShape(shapeElement, utils, {
+          layer: "stroke",
+          fitToBox: true,
+        })}
+    </>
+  );
+};
+
+/**
+ * Gets the CSS that places an anchored object in the text flow
+ * @param {object} object - The anchored object
+ * @returns {object} Style for the object's box
+ */
+export const getAnchoredObjectStyle = (object) => {
+  const settings = object.anchorSettings || {};
+  const base = {
+    position: "relative",
+    width: `${object.width || 0}px`,
+    height: `${object.height || 0}px`,
+  };
+
+  // Above line: its own block between lines of text
+  if (object.anchoredPosition === "AboveLine") {
+    return {
+      ...base,
+      display: "block",
+      marginTop: `${settings.anchorSpaceAbove || 0}px`,
+      marginBottom: `${settings.anchorYOffset || 0}px`,
+      ...(ABOVE_LINE_MARGINS[settings.horizontalAlignment] ||
+        ABOVE_LINE_MARGINS.LeftAlign),
+    };
+  }
+
+  // Custom: out of the flow, placed from the line it is anchored in
+  if (object.anchoredPosition === "Anchored") {
+    const xOffset = settings.anchorXOffset || 0;
+    const yOffset = settings.anchorYOffset || 0;
+    const verticalReference = settings.verticalReferencePoint || "";
+    const isFrameVertical =
+      /TextFrame|ColumnEdge|Page|Margin/.test(verticalReference) &&
+      !/Line/.test(verticalReference);
+    const vertical = !isFrameVertical
+      ? { marginTop: `${yOffset}px` }
+      : settings.verticalAlignment === "BottomAlign"
+      ? { bottom: `${-yOffset}px` }
+      : settings.verticalAlignment === "CenterAlign"
+      ? { top: "50%", marginTop: `${yOffset - (object.height || 0) / 2}px` }
+      : { top: `${yOffset}px` };
+    const horizontal =
+      settings.horizontalReferencePoint === "AnchorLocation"
+        ? { marginLeft: `${xOffset}px` }
+        : (
+            HORIZONTAL_ALIGNMENTS[settings.horizontalAlignment] ||
+            HORIZONTAL_ALIGNMENTS.LeftAlign
+          )(xOffset);
+
+    return {
+      ...base,
+      position: "absolute",
+      display: "block",
+      zIndex: 1,
+      ...vertical,
+      ...horizontal,
+    };
+  }
+
+  // Inline: a box sitting on the baseline, moved up by the Y offset
+  return {
+    ...base,
+    display: "inline-block",
+    verticalAlign: `${settings.anchorYOffset || 0}px`,
+  };
+};
+
+/**
+ * Renders a page item anchored in story text
+ * @param {object} object - The anchored object from story.anchoredObjects
+ * @param {object} utils - Utility functions (convertColor, getStory)
+ * @param {function} renderStory - Renders a story's formatted text (for
+ *   anchored text frames)
+ * @param {string} key - React key
+ * @returns {React.ReactElement|null} The rendered object
+ */
+export const renderAnchoredObject = (object, utils, renderStory, key) => {
+  if (!object || object.visible === false) return null;
+
+  return (
+    <span
+      key={key}
+      data-anchored-object={object.self}
+      style={getAnchoredObjectStyle(object)}
+    >
+      {renderObjectContent(object, utils, renderStory)}
+    </span>
+  );
+};
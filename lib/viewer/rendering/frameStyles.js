@@ -0,0 +1,92 @@
+/**
+ * Frame decoration utilities for the IDML Viewer
+ * Stroke, corners and transparency of page items (own or from object styles)
+ */
+
+import { getCellBorder } from "./tableRenderer";
+
+/**
+ * Gets the point → pixel factor used for this element's geometry
+ * @param {object} element - The page item
+ * @returns {number} Pixels per point
+ */
+const getPointScale = (element) => (element?.pixelPosition?._dpi || 72) / 72;
+
+/**
+ * Gets the CSS border radius for rounded corners
+ * @param {object} element - The page item
+ * @returns {string|undefined} CSS border-radius or undefined for square corners
+ */
+export const getFrameCornerRadius = (element) => {
+  const corners = element?.cornerEffects;
+  if (!corners) return undefined;
+
+  const scale = getPointScale(element);
+  const radius = (corner) =>
+    corners[`${corner}CornerOption`] === "RoundedCorner"
+      ? `${(corners[`${corner}CornerRadius`] || 0) * scale}px`
+      : "0px";
+
+  const radii = [
+    radius("topLeft"),
+    radius("topRight"),
+    radius("bottomRight"),
+    radius("bottomLeft"),
+  ];
+  return radii.every((value) => value === "0px") ? undefined : radii.join(" ");
+};
+
+/**
+ * Gets the CSS border for the item's stroke
+ * @param {object} element - The page item
+ * @param {object} utils - Utility functions (convertColor)
+ * @returns {string|null} CSS border value or null when there is no stroke
+ */
+export const getFrameStroke = (element, utils = {}) => {
+  if (!element?.strokeWeight) return null;
+
+  const border = getCellBorder(
+    {
+      weight: element.strokeWeight * getPointScale(element),
+      color: element.stroke || element.strokeColor,
+      type: element.strokeType,
+      tint: element.strokeTint === undefined ? 100 : element.strokeTint,
+    },
+    utils.convertColor
+  );
+  return border === "none" ? null : border;
+};
+
+/**
+ * Gets opacity and drop shadow styles from the item's transparency settings
+ * @param {object} element - The page item
+ * @param {object} utils - Utility functions (convertColor)
+ * @returns {object} CSS style properties
+ */
+export const getFrameEffectStyles = (element, utils = {}) => {
+  const transparency = element?.transparency;
+  if (!transparency) return {};
+
+  const styles = {};
+  const opacity = transparency.blendingSettings?.opacity;
+  if (typeof opacity === "number" && opacity < 100) {
+    styles.opacity = Math.max(0, opacity) / 100;
+  }
+
+  const shadow = transparency.dropShadow;
+  if (shadow) {
+    const scale = getPointScale(element);
+    let color = utils.convertColor
+      ? utils.convertColor(shadow.color)
+      : shadow.color;
+    if (!color || color === "transparent") color = "#000";
+    // filter (not box-shadow) so the hover/selection outline stays intact
+    styles.filter = `drop-shadow(${shadow.xOffset * scale}px ${
+      shadow.yOffset * scale
+    }px ${shadow.size * scale}px color-mix(in srgb, ${color} ${
+      shadow.opacity
+    }%, transparent))`;
+  }
+
+  return styles;
+};
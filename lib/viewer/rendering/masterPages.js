@@ -0,0 +1,127 @@
+/**
+ * Master page utilities for the IDML Viewer
+ * Master items inherited by a page and auto page numbers
+ */
+
+import SpecialCharacters from "../../utils/SpecialCharacters.js";
+
+// Element lookups are cached per elements array (rebuilt when edited)
+const elementIndexCache = new WeakMap();
+
+/**
+ * Gets an id → element index for the document elements
+ * @param {object} documentData - The document data
+ * @returns {object} Elements by id
+ */
+const getElementIndex = (documentData) => {
+  const elements = documentData?.elements;
+  if (!Array.isArray(elements)) return documentData?.elementMap || {};
+
+  let index = elementIndexCache.get(elements);
+  if (!index) {
+    index = {};
+    elements.forEach((element) => {
+      if (element) index[element.self || element.id] = element;
+    });
+    elementIndexCache.set(elements, index);
+  }
+  return index;
+};
+
+/**
+ * Gets the master items shown on a page, placed for that page
+ * (see DocumentParser.resolveMasterPageItems for page.masterItems)
+ * @param {object} page - The document page
+ * @param {object} documentData - The document data
+ * @returns {Array} Master elements with page pixel positions, bottom first
+ */
+export const getMasterElementsForPage = (page, documentData) => {
+  const references = page?.masterItems;
+  if (!Array.isArray(references) || references.length === 0) return [];
+
+  const elementIndex = getElementIndex(documentData);
+  return references
+    .map((reference) => {
+      const element =
+        elementIndex[reference.id] || documentData?.elementMap?.[reference.id];
+      if (!element || !element.pixelPosition) return null;
+
+      const offset = reference.offset || {};
+      return {
+        ...element,
+        isMasterItem: true,
+        pixelPosition: {
+          ...element.pixelPosition,
+          x: element.pixelPosition.x + (offset.x || 0),
+          y: element.pixelPosition.y + (offset.y || 0),
+        },
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Gets the page number and section marker text for a page
+ * @param {object} page - The document page
+ * @param {number} pageIndex - Index of the page in the document
+ * @returns {object} { pageNumber, sectionMarker }
+ */
+export const getPageNumberValues = (page, pageIndex = 0) => {
+  const pageName = page?.name ? String(page.name) : String(pageIndex + 1);
+  return {
+    pageNumber: page?.pageNumber || pageName,
+    sectionMarker: page?.sectionMarker || "",
+  };
+};
+
+/**
+ * Fills in page number placeholders in text, formatted segments and cells
+ * @param {object} content - Story or table cell
+ * @param {object} values - Values from getPageNumberValues
+ * @returns {object} The content with placeholders replaced
+ */
+const substituteContent = (content, values) => {
+  const result = { ...content };
+  if (typeof content.text === "string") {
+    result.text = SpecialCharacters.substitute(content.text, values);
+  }
+  if (Array.isArray(content.formattedContent)) {
+    result.formattedContent = content.formattedContent.map((segment) =>
+      SpecialCharacters.hasMarkers(segment.text)
+        ? {
+            ...segment,
+            text: SpecialCharacters.substitute(segment.text, values),
+          }
+        : segment
+    );
+  }
+  if (Array.isArray(content.tables)) {
+    result.tables = content.tables.map((table) => ({
+      ...table,
+      cells: (table.cells || []).map((cell) => substituteContent(cell, values)),
+    }));
+  }
+  return result;
+};
+
+/**
+ * Returns the story with auto page numbers filled in for the given page
+ * @param {object} story - The story (or the frame's slice of it)
+ * @param {object} page - The page the frame is shown on
+ * @param {number} pageIndex - Index of the page in the document
+ * @returns {object} The story, unchanged when it has no page numbers
+ */
+export const substitutePageNumbers = (story, page, pageIndex = 0) => {
+  if (!story) return story;
+
+  const hasMarkers =
+    SpecialCharacters.hasMarkers(story.text) ||
+    (story.tables || []).some((table) =>
+      (table.cells || []).some((cell) =>
+        SpecialCharacters.hasMarkers(cell.text)
+      )
+    );
+  if (!hasMarkers) return story;
+
+  return substituteContent(story, getPageNumberValues(page, pageIndex));
+};
@@ -3,6 +3,13 @@
  */
 
 import React from "react";
+import SpecialCharacters from "../../utils/SpecialCharacters.js";
+import {
+  getMasterElementsForPage,
+  substitutePageNumbers,
+} from "./masterPages";
+import { isVectorShape, renderVectorShape } from "./vectorPaths";
+import { renderPlacedImage } from "./placedImages";
 
 /**
  * Gets pages array from document data
@@ -192,7 +199,11 @@ export const renderPagePreview = (
   importedGetDocumentBackgroundColor
 ) => {
   try {
-    const pageElements = getElementsForPage(page.self, documentData);
+    // Master page items first so they are drawn underneath
+    const pageElements = [
+      ...getMasterElementsForPage(page, documentData),
+      ...getElementsForPage(page.self, documentData),
+    ];
 
     // Debug: Check if elements have linked images
     const elementsWithImages = pageElements.filter(
@@ -371,8 +382,12 @@ export const renderPagePreview = (
                 >
                   {(() => {
                     let text =
-                      documentData.stories[element.parentStory].text ||
-                      "No text";
+                      SpecialCharacters.removeAnchoredObjects(
+                        substitutePageNumbers(
+                          documentData.stories[element.parentStory],
+                          page
+                        ).text
+                      ) || "No text";
 
                     // Check for list formatting in the document data
                     const listFormatting = getListFormatting(
@@ -397,6 +412,7 @@ export const renderPagePreview = (
               element.isContentFrame || element.hasPlacedContent;
             const hasPlacedContent = element.placedContent;
             const isTextFrame = element.type === "TextFrame";
+            const isVector = isVectorShape(element);
 
             // Debug logging for elements with images only
             if (element.linkedImage && element.linkedImage.url) {
@@ -426,8 +442,9 @@ export const renderPagePreview = (
                   top: scaledY + "%",
                   width: scaledWidth + "%",
                   height: scaledHeight + "%",
-                  background:
-                    element.fill && element.fill.startsWith("Gradient/")
+                  background: isVector
+                    ? "transparent"
+                    : element.fill && element.fill.startsWith("Gradient/")
                       ? renderGradientBackground(
                           element.fill,
                           documentData,
@@ -441,7 +458,9 @@ export const renderPagePreview = (
                       : element.fill && element.fill !== "Color/None"
                       ? element.fill
                       : "rgba(200, 200, 200, 0.3)",
-                  border: isContentFrame
+                  border: isVector
+                    ? "none"
+                    : isContentFrame
                     ? "1px solid #00aaff"
                     : element.name === "Bulleted List"
                     ? "1px solid #d63384"
@@ -459,27 +478,33 @@ export const renderPagePreview = (
                 }}
               >
                 {/* Actual content rendering */}
-                {element.linkedImage && element.linkedImage.url && (
-                  <img
-                    src={element.linkedImage.url}
-                    alt="Preview"
-                    style={{
-                      width: "100%",
-                      height: "100%",
-                      objectFit: "cover",
-                      objectPosition: "center",
-                    }}
-                    onError={(e) => {
+                {isVector &&
+                  renderVectorShape(element, utils, {
+                    layer: "fill",
+                    fitToBox: true,
+                  })}
+                {element.linkedImage &&
+                  element.linkedImage.url &&
+                  renderPlacedImage(element, {
+                    alt: "Preview",
+                    zoom: scale,
+                    onError: (e) => {
                       console.warn(
                         `❌ Thumbnail image failed to load: ${element.linkedImage.url}`
                       );
-                      e.target.style.display = "none";
-                      if (e.target.nextSibling) {
-                        e.target.nextSibling.style.display = "flex";
+                      // Hide the image's box and show what follows it
+                      const box = e.target.parentElement;
+                      box.style.display = "none";
+                      if (box.nextSibling) {
+                        box.nextSibling.style.display = "flex";
                       }
-                    }}
-                  />
-                )}
+                    },
+                  })}
+                {isVector &&
+                  renderVectorShape(element, utils, {
+                    layer: "stroke",
+                    fitToBox: true,
+                  })}
                 {/* Text content is now rendered separately above */}
                 {/* Fallback for any element that might contain text */}
                 {!isTextFrame &&
@@ -529,29 +554,32 @@ export const renderPagePreview = (
                     Content Frame
                   </div>
                 )}
-                {!isTextFrame && !isContentFrame && !element.linkedImage && (
-                  <div
-                    style={{
-                      width: "100%",
-                      height: "100%",
-                      backgroundColor: "rgba(128, 128, 128, 0.2)", // Default gray
-                      display: "flex",
-                      alignItems: "center",
-                      justifyContent: "center",
-                      fontSize: "8px",
-                      color: "#666", // Default gray
-                      fontWeight: "bold",
-                      border: "1px solid #999", // Default gray
-                      borderRadius: "4px",
-                    }}
-                  >
-                    {element.name === "Bulleted List"
-                      ? "• List"
-                      : element.name === "Numbered List"
-                      ? "1. List"
-                      : element.type}
-                  </div>
-                )}
+                {!isTextFrame &&
+                  !isContentFrame &&
+                  !isVector &&
+                  !element.linkedImage && (
+                    <div
+                      style={{
+                        width: "100%",
+                        height: "100%",
+                        backgroundColor: "rgba(128, 128, 128, 0.2)", // Default gray
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "center",
+                        fontSize: "8px",
+                        color: "#666", // Default gray
+                        fontWeight: "bold",
+                        border: "1px solid #999", // Default gray
+                        borderRadius: "4px",
+                      }}
+                    >
+                      {element.name === "Bulleted List"
+                        ? "• List"
+                        : element.name === "Numbered List"
+                        ? "1. List"
+                        : element.type}
+                    </div>
+                  )}
               </div>
             );
           })}
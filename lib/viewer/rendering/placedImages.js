@@ -0,0 +1,58 @@
+/**
+ * Placed image rendering for the IDML Viewer
+ * Draws a frame's image with its InDesign transform, clipped to the frame,
+ * loading a downscaled copy sized to the zoom level when there is one
+ */
+
+import React from "react";
+import { getVectorClipPath } from "./vectorPaths";
+import {
+  getImagePlacementStyle,
+  getImageSourceUrl,
+} from "../utils/imagePlacement";
+
+/**
+ * Renders the image placed in a frame. A box the size of the frame holds
+ * the image, so it is cropped to the frame (and to its shape). Images are
+ * loaded lazily, when they come near the viewport
+ * @param {object} element - Frame with linkedImage.url
+ * @param {object} options - width and height of the frame in pixels
+ *   (default pixelPosition), zoom the page is shown at (default 1), alt
+ *   text, onError for the image
+ * @returns {JSX.Element|null} Absolutely positioned box filling the frame
+ */
+export const renderPlacedImage = (element, options = {}) => {
+  if (!element.linkedImage?.url) return null;
+
+  const width = options.width ?? element.pixelPosition?.width ?? 0;
+  const height = options.height ?? element.pixelPosition?.height ?? 0;
+  if (!(width > 0 && height > 0)) return null;
+
+  const pixelRatio =
+    typeof window !== "undefined" ? window.devicePixelRatio || 1 : 1;
+  const url = getImageSourceUrl(
+    element.linkedImage,
+    (options.zoom ?? 1) * pixelRatio
+  );
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        inset: 0,
+        overflow: "hidden",
+        clipPath: getVectorClipPath(element),
+      }}
+    >
+      <img
+        src={url}
+        alt={options.alt || element.name || "Frame content"}
+        loading="lazy"
+        decoding="async"
+        draggable={false}
+        style={getImagePlacementStyle(element, width, height)}
+        onError={options.onError}
+      />
+    </div>
+  );
+};
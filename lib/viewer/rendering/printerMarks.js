@@ -0,0 +1,208 @@
+/**
+ * Printer's marks for the IDML Viewer proof mode
+ * Crop marks, registration marks and color bars drawn around the bleed of a
+ * page or spread laid out by getSpreadLayout
+ */
+
+import React from "react";
+import { getSpreadLayout } from "./spreads";
+
+// Mark sizes in pixels (96 dpi): 6pt offset from the bleed, 18pt marks
+const MARK_OFFSET = 8;
+const MARK_LENGTH = 24;
+const MARK_STROKE = 0.5;
+const REGISTRATION = "#000";
+
+// Process inks and overprints, then black tints, as screen colors
+const COLOR_BAR = [
+  "rgb(0, 174, 239)",
+  "rgb(236, 0, 140)",
+  "rgb(255, 242, 0)",
+  "rgb(0, 0, 0)",
+  "rgb(46, 49, 146)",
+  "rgb(0, 166, 81)",
+  "rgb(237, 28, 36)",
+];
+const TINT_BAR = [100, 75, 50, 25, 10].map(
+  (tint) => `rgba(0, 0, 0, ${tint / 100})`
+);
+
+/**
+ * Lays out a page or spread for proofing: bleed and slug shown, with room
+ * for printer's marks beyond the bleed
+ * @param {object} spread - Entry of getSpreadsArray (or one page of it)
+ * @param {object} documentData - The document data
+ * @returns {object} Layout, as from getSpreadLayout
+ */
+export const getProofLayout = (spread, documentData) =>
+  getSpreadLayout(spread, documentData, {
+    showBleed: true,
+    showSlug: true,
+    marks: MARK_OFFSET + MARK_LENGTH,
+  });
+
+// Crop marks: two lines at each trim corner, pointing away from the page
+const renderCropMarks = (trim, bleed) => {
+  const left = bleed.x - MARK_OFFSET;
+  const right = bleed.x + bleed.width + MARK_OFFSET;
+  const top = bleed.y - MARK_OFFSET;
+  const bottom = bleed.y + bleed.height + MARK_OFFSET;
+  const trimRight = trim.x + trim.width;
+  const trimBottom = trim.y + trim.height;
+
+  const lines = [
+    // Horizontal marks on the trim top and bottom
+    [left, trim.y, left - MARK_LENGTH, trim.y],
+    [right, trim.y, right + MARK_LENGTH, trim.y],
+    [left, trimBottom, left - MARK_LENGTH, trimBottom],
+    [right, trimBottom, right + MARK_LENGTH, trimBottom],
+    // Vertical marks on the trim left and right
+    [trim.x, top, trim.x, top - MARK_LENGTH],
+    [trimRight, top, trimRight, top - MARK_LENGTH],
+    [trim.x, bottom, trim.x, bottom + MARK_LENGTH],
+    [trimRight, bottom, trimRight, bottom + MARK_LENGTH],
+  ];
+
+  return lines.map(([x1, y1, x2, y2], index) => (
+    <line
+      key={`crop-${index}`}
+      x1={x1}
+      y1={y1}
+      x2={x2}
+      y2={y2}
+      stroke={REGISTRATION}
+      strokeWidth={MARK_STROKE}
+    />
+  ));
+};
+
+// Registration targets centred on each side, in the marks band
+const renderRegistrationMarks = (trim, bleed) => {
+  const band = MARK_OFFSET + MARK_LENGTH / 2;
+  const radius = MARK_LENGTH / 4;
+  const centers = [
+    [trim.x + trim.width / 2, bleed.y - band],
+    [trim.x + trim.width / 2, bleed.y + bleed.height + band],
+    [bleed.x - band, trim.y + trim.height / 2],
+    [bleed.x + bleed.width + band, trim.y + trim.height / 2],
+  ];
+
+  return centers.map(([cx, cy], index) => (
+    <g
+      key={`registration-${index}`}
+      stroke={REGISTRATION}
+      strokeWidth={MARK_STROKE}
+      fill="none"
+    >
+      <circle cx={cx} cy={cy} r={radius} />
+      <circle cx={cx} cy={cy} r={radius / 2} fill={REGISTRATION} />
+      <line
+        x1={cx - MARK_LENGTH / 2}
+        y1={cy}
+        x2={cx + MARK_LENGTH / 2}
+        y2={cy}
+      />
+      <line
+        x1={cx}
+        y1={cy - MARK_LENGTH / 2}
+        x2={cx}
+        y2={cy + MARK_LENGTH / 2}
+      />
+    </g>
+  ));
+};
+
+// Color bars in the top band: inks to the right of the centre mark, black
+// tints to the left
+const renderColorBars = (trim, bleed) => {
+  const size = MARK_LENGTH * 0.6;
+  const y = bleed.y - MARK_OFFSET - MARK_LENGTH / 2 - size / 2;
+  const center = trim.x + trim.width / 2;
+  const gap = MARK_LENGTH;
+
+  const patches = [
+    ...COLOR_BAR.map((fill, index) => ({
+      fill,
+      x: center + gap + index * size,
+    })),
+    ...TINT_BAR.map((fill, index) => ({
+      fill,
+      x: center - gap - (index + 1) * size,
+    })),
+  ];
+
+  return patches.map((patch, index) => (
+    <rect
+      key={`bar-${index}`}
+      x={patch.x}
+      y={y}
+      width={size}
+      height={size}
+      fill={patch.fill}
+      stroke={REGISTRATION}
+      strokeWidth={MARK_STROKE}
+    />
+  ));
+};
+
+/**
+ * Renders the proof overlay for a layout from getProofLayout: paper beyond
+ * the slug, slug, bleed and trim boxes, and the printer's marks
+ * @param {object} layout - From getProofLayout
+ * @param {object} options - { marks: { crop, registration, colorBars } } to
+ *   turn single marks off (all on by default)
+ * @returns {JSX.Element} Absolutely positioned SVG covering the canvas
+ */
+export const renderPrinterMarks = (layout, options = {}) => {
+  const { trim, bleed, slug, width, height } = layout;
+  const marks = {
+    crop: true,
+    registration: true,
+    colorBars: true,
+    ...(options.marks || {}),
+  };
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      style={{
+        position: "absolute",
+        left: 0,
+        top: 0,
+        pointerEvents: "none",
+        zIndex: 9000,
+      }}
+    >
+      {/* Nothing prints outside the slug, so cover it with paper */}
+      <path
+        d={`M0 0H${width}V${height}H0Z M${slug.x} ${slug.y}v${slug.height}h${
+          slug.width
+        }v${-slug.height}Z`}
+        fill="white"
+        fillRule="evenodd"
+      />
+      <rect
+        {...slug}
+        fill="none"
+        stroke="rgba(59, 130, 246, 0.8)"
+        strokeWidth={1}
+      />
+      <rect
+        {...bleed}
+        fill="none"
+        stroke="rgba(239, 68, 68, 0.8)"
+        strokeWidth={1}
+      />
+      <rect
+        {...trim}
+        fill="none"
+        stroke="rgba(236, 0, 140, 0.8)"
+        strokeWidth={1}
+      />
+      {marks.crop && renderCropMarks(trim, bleed)}
+      {marks.registration && renderRegistrationMarks(trim, bleed)}
+      {marks.colorBars && renderColorBars(trim, bleed)}
+    </svg>
+  );
+};
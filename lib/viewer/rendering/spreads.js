@@ -0,0 +1,225 @@
+/**
+ * Spread utilities for the IDML Viewer
+ * Lays the pages of a spread side by side in spread coordinates, so items
+ * crossing the spine or running into the bleed keep their real position
+ */
+
+import { getPagesArray } from "./pageRenderer";
+import { getMasterElementsForPage } from "./masterPages";
+import { safeToPixels } from "../utils/unitConverter";
+
+/**
+ * Groups the document pages into their spreads, in document order
+ * @param {object} documentData - The document data
+ * @returns {Array} [{ spreadId, pages: [{ page, pageIndex }] }]
+ */
+export const getSpreadsArray = (documentData) => {
+  const spreads = [];
+  getPagesArray(documentData).forEach((page, pageIndex) => {
+    const spreadId = page.spreadParent || page.self;
+    const last = spreads[spreads.length - 1];
+    if (last && last.spreadId === spreadId) {
+      last.pages.push({ page, pageIndex });
+    } else {
+      spreads.push({ spreadId, pages: [{ page, pageIndex }] });
+    }
+  });
+  return spreads;
+};
+
+/**
+ * Finds the spread holding a page
+ * @param {Array} spreads - From getSpreadsArray
+ * @param {number} pageIndex - Index of the page in the document
+ * @returns {number} Spread index, or -1
+ */
+export const getSpreadIndexForPage = (spreads, pageIndex) =>
+  spreads.findIndex((spread) =>
+    spread.pages.some((entry) => entry.pageIndex === pageIndex)
+  );
+
+// Bleed or slug offsets in pixels ({ top, bottom, inside, outside })
+const getPixelOffsets = (offsets, pixelKey) => {
+  if (!offsets) return { top: 0, bottom: 0, inside: 0, outside: 0 };
+  return offsets[pixelKey] || offsets;
+};
+
+// Grows a box by offsets, putting inside/outside on the right edges
+const expandBox = (box, offsets, leftIsOutside, rightIsOutside) => {
+  const left = leftIsOutside ? offsets.outside : offsets.inside;
+  const right = rightIsOutside ? offsets.outside : offsets.inside;
+  return {
+    x: box.x - (left || 0),
+    y: box.y - (offsets.top || 0),
+    width: box.width + (left || 0) + (right || 0),
+    height: box.height + (offsets.top || 0) + (offsets.bottom || 0),
+  };
+};
+
+// Smallest box holding both boxes
+const unionBox = (a, b) => {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+};
+
+/**
+ * Works out where the pages of a spread sit, in pixels relative to the
+ * spread origin (the spine), and the trim, bleed and slug boxes around them
+ * @param {object} spread - Entry of getSpreadsArray
+ * @param {object} documentData - The document data
+ * @param {object} options - { showBleed, showSlug } to grow the canvas by,
+ *   marks (px) to keep free around the bleed for printer's marks
+ * @returns {object} { spreadId, pages, trim, bleed, slug, canvas, width,
+ *   height }; canvas is the box shown, pages also get canvas positions
+ */
+export const getSpreadLayout = (spread, documentData, options = {}) => {
+  const pageInfo = documentData?.pageInfo || {};
+  const units = pageInfo.dimensions?.units;
+  const pixelDimensions = pageInfo.dimensions?.pixelDimensions || {};
+
+  const pages = spread.pages.map(({ page, pageIndex }) => {
+    const bounds = page.geometricBounds || {};
+    const transform = page.itemTransform || {};
+    return {
+      page,
+      pageIndex,
+      x: safeToPixels(transform.tx || 0, units) + (bounds.left || 0),
+      y: safeToPixels(transform.ty || 0, units) + (bounds.top || 0),
+      width: bounds.width || pixelDimensions.width || 612,
+      height: bounds.height || pixelDimensions.height || 792,
+    };
+  });
+
+  const left = Math.min(...pages.map((entry) => entry.x));
+  const top = Math.min(...pages.map((entry) => entry.y));
+  const trim = {
+    x: left,
+    y: top,
+    width: Math.max(...pages.map((entry) => entry.x + entry.width)) - left,
+    height: Math.max(...pages.map((entry) => entry.y + entry.height)) - top,
+  };
+
+  // Facing pages: left-hand pages sit left of the spine, so the spread's
+  // outer edges are "outside". Single-sided documents bleed left = inside
+  const facingPages = !!pageInfo.dimensions?.facingPages;
+  const leftIsOutside = facingPages && pages[0].x + pages[0].width <= 0;
+  const lastPage = pages[pages.length - 1];
+  const rightIsOutside = !facingPages || lastPage.x >= 0;
+
+  const bleed = expandBox(
+    trim,
+    getPixelOffsets(pageInfo.bleeds, "pixelBleeds"),
+    leftIsOutside,
+    rightIsOutside
+  );
+  // The slug is measured from the trim too, so it may sit inside the bleed
+  const slugBox = expandBox(
+    trim,
+    getPixelOffsets(pageInfo.slugs, "pixelSlugs"),
+    leftIsOutside,
+    rightIsOutside
+  );
+  const slug = unionBox(slugBox, bleed);
+
+  let canvas = options.showSlug ? slug : options.showBleed ? bleed : trim;
+  if (options.marks) {
+    const marks = options.marks;
+    canvas = unionBox(canvas, {
+      x: bleed.x - marks,
+      y: bleed.y - marks,
+      width: bleed.width + marks * 2,
+      height: bleed.height + marks * 2,
+    });
+  }
+  const toCanvas = (box) => ({
+    ...box,
+    x: box.x - canvas.x,
+    y: box.y - canvas.y,
+  });
+
+  return {
+    spreadId: spread.spreadId,
+    pages: pages.map(toCanvas),
+    trim: toCanvas(trim),
+    bleed: toCanvas(bleed),
+    slug: toCanvas(slug),
+    canvas,
+    width: canvas.width,
+    height: canvas.height,
+  };
+};
+
+/**
+ * Moves an element from document pixel coordinates (shifted by the parser's
+ * coordinate offset) onto the spread canvas
+ * @param {object} element - Element with pixelPosition
+ * @param {object} layout - From getSpreadLayout
+ * @param {object} spreadPage - Layout page entry the element belongs to
+ * @returns {object} Copy of the element; spreadShift is what was subtracted,
+ *   so edits can be mapped back
+ */
+export const toSpreadElement = (element, layout, spreadPage) => {
+  const position = element.pixelPosition;
+  const info = element.position?._conversionInfo || {};
+  const offset = info.coordinateOffset || {};
+  const alreadyConverted = !info.pixelConversionApplied;
+
+  const spreadShift = {
+    x:
+      safeToPixels(offset.x || 0, info.originalUnits, alreadyConverted) +
+      layout.canvas.x,
+    y:
+      safeToPixels(offset.y || 0, info.originalUnits, alreadyConverted) +
+      layout.canvas.y,
+  };
+
+  return {
+    ...element,
+    spreadShift,
+    spreadPage,
+    pixelPosition: {
+      ...position,
+      x: position.x - spreadShift.x,
+      y: position.y - spreadShift.y,
+    },
+  };
+};
+
+/**
+ * Gets the items of every page in a spread, master items included, placed
+ * on the spread canvas
+ * @param {object} layout - From getSpreadLayout
+ * @param {object} documentData - The document data
+ * @param {function} getElementsForPage - (pageId, documentData) => elements
+ * @returns {object} { elements, masterElements }
+ */
+export const getSpreadElements = (layout, documentData, getElementsForPage) => {
+  const seen = new Set();
+  const elements = [];
+  const masterElements = [];
+
+  layout.pages.forEach((spreadPage) => {
+    getElementsForPage(spreadPage.page.self, documentData).forEach(
+      (element) => {
+        const key = element.self || element.id;
+        if (!element.pixelPosition || seen.has(key)) return;
+        seen.add(key);
+        elements.push(toSpreadElement(element, layout, spreadPage));
+      }
+    );
+
+    getMasterElementsForPage(spreadPage.page, documentData).forEach(
+      (element) => {
+        masterElements.push(toSpreadElement(element, layout, spreadPage));
+      }
+    );
+  });
+
+  return { elements, masterElements };
+};
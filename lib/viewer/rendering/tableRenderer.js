@@ -0,0 +1,204 @@
+/**
+ * Table rendering utilities for the IDML Viewer
+ */
+
+import React from "react";
+
+// InDesign stroke styles → CSS border styles
+const STROKE_STYLE_MAP = {
+  Solid: "solid",
+  Dashed: "dashed",
+  "Dashed (3 and 2)": "dashed",
+  "Dashed (4 and 4)": "dashed",
+  Dotted: "dotted",
+  "Japanese Dots": "dotted",
+  ThickThin: "double",
+  ThinThick: "double",
+  ThinThin: "double",
+  ThickThick: "double",
+  ThinThickThin: "double",
+  ThickThinThick: "double",
+};
+
+/**
+ * Checks whether a swatch reference means "no color"
+ * @param {string} colorRef - The swatch reference
+ * @returns {boolean} True for None swatches or missing colors
+ */
+const isNoneColor = (colorRef) =>
+  !colorRef || colorRef === "Swatch/None" || colorRef === "Color/None";
+
+/**
+ * Lightens a CSS color by an InDesign tint percentage
+ * @param {string} color - CSS color
+ * @param {number} tint - Tint percentage (100 = full color)
+ * @returns {string} CSS background value
+ */
+const applyTint = (color, tint = 100) => {
+  if (!color || tint >= 100) return color;
+  // Layer translucent white over the swatch so any CSS color format works
+  const alpha = (1 - Math.max(0, tint) / 100).toFixed(3);
+  const veil = `rgba(255, 255, 255, ${alpha})`;
+  return `linear-gradient(${veil}, ${veil}), ${color}`;
+};
+
+/**
+ * Converts a cell edge stroke to a CSS border
+ * @param {object} stroke - Stroke with weight, color, type and tint
+ * @param {function} convertColor - Swatch to CSS color converter
+ * @returns {string} CSS border value
+ */
+export const getCellBorder = (stroke, convertColor) => {
+  if (!stroke || !stroke.weight || isNoneColor(stroke.color)) return "none";
+
+  const typeName = String(stroke.type || "")
+    .split("/")
+    .pop();
+  const style = STROKE_STYLE_MAP[typeName] || "solid";
+  let color = convertColor ? convertColor(stroke.color) : stroke.color;
+  if (!color || color === "transparent") color = "#000";
+  if (stroke.tint < 100) {
+    // Borders cannot take gradients, so fade the stroke instead
+    color = `color-mix(in srgb, ${color} ${stroke.tint}%, white)`;
+  }
+
+  // Double borders need at least 3px to show both lines
+  const weight =
+    style === "double" ? Math.max(3, stroke.weight) : stroke.weight;
+  return `${weight}px ${style} ${color}`;
+};
+
+/**
+ * Maps cell vertical justification to flex alignment
+ * @param {string} verticalJustification - InDesign vertical justification
+ * @returns {string} CSS justify-content value
+ */
+const getCellJustifyContent = (verticalJustification) => {
+  switch (verticalJustification) {
+    case "CenterAlign":
+      return "center";
+    case "BottomAlign":
+      return "flex-end";
+    case "JustifyAlign":
+      return "space-between";
+    case "TopAlign":
+    default:
+      return "flex-start";
+  }
+};
+
+/**
+ * Renders a parsed IDML table (see StoryParser.parseTable) as a CSS grid
+ * @param {object} table - The table model from story.tables
+ * @param {object} utils - Utility functions (convertColor) and pointScale,
+ *   the pixels per point of the frame the table sits in
+ * @param {function} renderCellContent - Renders the content of one cell
+ * @param {string|number} key - React key for the table
+ * @returns {React.ReactElement|null} The rendered table or null
+ */
+export const renderTable = (table, utils = {}, renderCellContent, key) => {
+  if (!table || !Array.isArray(table.cells)) return null;
+
+  const { convertColor, pointScale = 1 } = utils;
+  // Table geometry is in points; scale it like the frame around it
+  const toPx = (points) => `${(points || 0) * pointScale}px`;
+  const cellBorder = (stroke) =>
+    getCellBorder(
+      stroke && { ...stroke, weight: stroke.weight * pointScale },
+      convertColor
+    );
+  const columns = table.columns || [];
+  const rows = table.rows || [];
+  const columnCount = Math.max(table.columnCount || 0, columns.length, 1);
+  const rowCount = Math.max(rows.length, 1);
+
+  const gridTemplateColumns = columns.length
+    ? columns.map((column) => toPx(column.width)).join(" ")
+    : `repeat(${columnCount}, 1fr)`;
+  // Auto-growing rows expand with their content like in InDesign
+  const gridTemplateRows = rows
+    .map((row) =>
+      row.autoGrow ? `minmax(${toPx(row.height)}, auto)` : toPx(row.height)
+    )
+    .join(" ");
+
+  const rowType = (rowIndex) => {
+    const row = rows[rowIndex];
+    if (row?.isHeader) return "header";
+    if (row?.isFooter) return "footer";
+    return "body";
+  };
+
+  return (
+    <div
+      key={key}
+      data-table-id={table.self || undefined}
+      style={{
+        display: "grid",
+        gridTemplateColumns,
+        gridTemplateRows: gridTemplateRows || undefined,
+        width: table.width ? toPx(table.width) : "100%",
+        maxWidth: "100%",
+        boxSizing: "border-box",
+        whiteSpace: "normal",
+      }}
+    >
+      {table.cells.map((cell, cellIndex) => {
+        const lastColumn = cell.column + (cell.columnSpan || 1) - 1;
+        const lastRow = cell.row + (cell.rowSpan || 1) - 1;
+        const fill =
+          !isNoneColor(cell.fillColor) && convertColor
+            ? convertColor(cell.fillColor)
+            : null;
+        const insets = cell.insets || {};
+
+        return (
+          <div
+            key={cell.self || `${cell.name}-${cellIndex}`}
+            data-row-type={rowType(cell.row)}
+            style={{
+              gridColumn: `${cell.column + 1} / span ${cell.columnSpan || 1}`,
+              gridRow: `${cell.row + 1} / span ${cell.rowSpan || 1}`,
+              background:
+                fill && fill !== "transparent"
+                  ? applyTint(fill, cell.fillTint)
+                  : "transparent",
+              // Shared edges carry the same stroke on both cells, so each cell
+              // draws top/left and only the outer cells draw right/bottom
+              borderTop: cellBorder(cell.strokes?.top),
+              borderLeft: cellBorder(cell.strokes?.left),
+              borderRight:
+                lastColumn >= columnCount - 1
+                  ? cellBorder(cell.strokes?.right)
+                  : "none",
+              borderBottom:
+                lastRow >= rowCount - 1
+                  ? cellBorder(cell.strokes?.bottom)
+                  : "none",
+              paddingTop: toPx(insets.top),
+              paddingLeft: toPx(insets.left),
+              paddingBottom: toPx(insets.bottom),
+              paddingRight: toPx(insets.right),
+              display: "flex",
+              flexDirection: "column",
+              justifyContent: getCellJustifyContent(
+                cell.verticalJustification
+              ),
+              overflow: "hidden",
+              boxSizing: "border-box",
+              minWidth: 0,
+            }}
+          >
+            <div>
+              {renderCellContent ? (
+                renderCellContent(cell)
+              ) : (
+                <span style={{ whiteSpace: "pre-wrap" }}>{cell.text}</span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
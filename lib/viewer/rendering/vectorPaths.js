@@ -0,0 +1,363 @@
+/**
+ * Vector path rendering utilities for the IDML Viewer
+ * Draws Polygon, Oval, GraphicLine and other non-rectangular page items as SVG
+ */
+
+import React from "react";
+import { getVectorPathData } from "../utils/pathGeometry";
+
+// InDesign end caps / joins → SVG stroke-linecap / stroke-linejoin
+const LINE_CAPS = {
+  ButtEndCap: "butt",
+  RoundEndCap: "round",
+  ProjectingEndCap: "square",
+};
+
+const LINE_JOINS = {
+  MiterEndJoin: "miter",
+  RoundEndJoin: "round",
+  BevelEndJoin: "bevel",
+};
+
+// InDesign stroke types → dash pattern in stroke weights
+const STROKE_DASH_PATTERNS = {
+  Dashed: [3, 2],
+  "Dashed (3 and 2)": [3, 2],
+  "Dashed (4 and 4)": [4, 4],
+  Dotted: [0, 2],
+  "Japanese Dots": [0, 1.5],
+};
+
+// Arrowhead shapes in stroke-width units, pointing right with the tip at 0,0
+const ARROWHEADS = {
+  SimpleArrowHead: { path: "M -4 -2.5 L 0 0 L -4 2.5", filled: false },
+  SimpleWideArrowHead: { path: "M -3 -3.5 L 0 0 L -3 3.5", filled: false },
+  TriangleArrowHead: { path: "M -5 -2.5 L 0 0 L -5 2.5 Z", filled: true },
+  TriangleWideArrowHead: { path: "M -4 -3.5 L 0 0 L -4 3.5 Z", filled: true },
+  BarbedArrowHead: {
+    path: "M -5 -3 L 0 0 L -5 3 L -3.5 0 Z",
+    filled: true,
+  },
+  CurvedArrowHead: {
+    path: "M -5 -3 Q -2 -1 0 0 Q -2 1 -5 3 Q -3.5 0 -5 -3 Z",
+    filled: true,
+  },
+  CircleArrowHead: {
+    path: "M 0 0 A 1.75 1.75 0 1 0 -3.5 0 A 1.75 1.75 0 1 0 0 0 Z",
+    filled: false,
+  },
+  CircleSolidArrowHead: {
+    path: "M 0 0 A 1.75 1.75 0 1 0 -3.5 0 A 1.75 1.75 0 1 0 0 0 Z",
+    filled: true,
+  },
+  SquareArrowHead: { path: "M 0 -1.75 L -3.5 -1.75 L -3.5 1.75 L 0 1.75 Z" },
+  SquareSolidArrowHead: {
+    path: "M 0 -1.75 L -3.5 -1.75 L -3.5 1.75 L 0 1.75 Z",
+    filled: true,
+  },
+  BarArrowHead: { path: "M 0 -3 L 0 3", filled: false },
+};
+
+/**
+ * Gets the point → pixel factor used for this element's geometry
+ * @param {object} element - The page item
+ * @returns {number} Pixels per point
+ */
+const getPointScale = (element) => (element?.pixelPosition?._dpi || 72) / 72;
+
+/**
+ * Checks whether a swatch reference means "no color"
+ * @param {string} colorRef - The swatch reference
+ * @returns {boolean} True for None swatches or missing colors
+ */
+const isNoneColor = (colorRef) =>
+  !colorRef ||
+  colorRef === "Swatch/None" ||
+  colorRef === "Color/None" ||
+  colorRef === "transparent";
+
+/**
+ * Lightens a color by an InDesign tint percentage
+ * @param {string} color - CSS color
+ * @param {number} tint - Tint percentage (100 = full color)
+ * @returns {string} CSS color
+ */
+const applyTint = (color, tint) =>
+  color && tint !== undefined && tint < 100
+    ? `color-mix(in srgb, ${color} ${Math.max(0, tint)}%, white)`
+    : color;
+
+/**
+ * Checks whether a subpath is a plain axis-aligned rectangle
+ * @param {object} subpath - Subpath from IDMLUtils.parsePathGeometry
+ * @returns {boolean} True when CSS boxes can draw it exactly
+ */
+const isRectangularSubpath = (subpath) => {
+  if (subpath.open || subpath.points.length !== 4) return false;
+
+  const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+  const hasCurves = subpath.points.some(
+    (point) =>
+      !samePoint(point.anchor, point.leftDirection) ||
+      !samePoint(point.anchor, point.rightDirection)
+  );
+  if (hasCurves) return false;
+
+  return subpath.points.every((point, index) => {
+    const next = subpath.points[(index + 1) % 4].anchor;
+    return point.anchor.x === next.x || point.anchor.y === next.y;
+  });
+};
+
+/**
+ * Checks whether an element needs SVG path rendering
+ * @param {object} element - The page item
+ * @returns {boolean} True for ovals, polygons, lines and non-rectangular paths
+ */
+export const isVectorShape = (element) => {
+  const geometry = element?.pathGeometry;
+  if (!geometry || !Array.isArray(geometry.subpaths)) return false;
+  // Text frames keep their CSS box so text layout is unaffected
+  if (element.type === "TextFrame") return false;
+
+  if (["Oval", "Polygon", "GraphicLine"].includes(element.type)) return true;
+  return (
+    geometry.subpaths.length > 1 || !isRectangularSubpath(geometry.subpaths[0])
+  );
+};
+
+/**
+ * Gets the id of the clip path that matches the element's shape
+ * @param {object} element - The page item
+ * @returns {string} Clip path element id
+ */
+const getClipPathId = (element) =>
+  `vector-clip-${String(element.self || element.id).replace(/[^\w-]/g, "_")}`;
+
+/**
+ * Gets the CSS clip-path that cuts placed content to the element's shape
+ * @param {object} element - The page item
+ * @returns {string|undefined} CSS clip-path value
+ */
+export const getVectorClipPath = (element) =>
+  isVectorShape(element) ? `url(#${getClipPathId(element)})` : undefined;
+
+/**
+ * Checks whether a stroke type draws dots (zero-length round-capped dashes)
+ * @param {string} strokeType - The stroke type reference
+ * @returns {boolean} True for dotted stroke types
+ */
+const isDottedStroke = (strokeType) => /Dots|Dotted/.test(strokeType || "");
+
+/**
+ * Gets the stroke dash array for an InDesign stroke type
+ * @param {string} strokeType - The stroke type reference
+ * @param {number} weight - Stroke weight in pixels
+ * @returns {string|undefined} SVG stroke-dasharray
+ */
+const getDashArray = (strokeType, weight) => {
+  const typeName = String(strokeType || "")
+    .split("/")
+    .pop();
+  const pattern = STROKE_DASH_PATTERNS[typeName];
+  return pattern
+    ? pattern.map((length) => +(length * weight).toFixed(3)).join(" ")
+    : undefined;
+};
+
+/**
+ * Renders an arrowhead marker definition
+ * @param {string} id - Marker id
+ * @param {string} lineEnd - InDesign line end (e.g. TriangleArrowHead)
+ * @param {number} scale - Arrowhead scale percentage
+ * @param {string} color - Stroke color
+ * @returns {React.ReactElement|null} The marker or null for no arrowhead
+ */
+const renderArrowheadMarker = (id, lineEnd, scale, color) => {
+  const arrowhead = ARROWHEADS[lineEnd];
+  if (!arrowhead) return null;
+
+  const size = (scale || 100) / 100;
+  return (
+    <marker
+      key={id}
+      id={id}
+      viewBox="-6 -4 7 8"
+      refX="0"
+      refY="0"
+      markerWidth={7 * size}
+      markerHeight={8 * size}
+      markerUnits="strokeWidth"
+      orient="auto-start-reverse"
+      overflow="visible"
+    >
+      <path
+        d={arrowhead.path}
+        style={{ fill: arrowhead.filled ? color : "none", stroke: color }}
+        strokeWidth={arrowhead.filled ? 0 : 1}
+        strokeLinejoin="miter"
+      />
+    </marker>
+  );
+};
+
+/**
+ * Renders the element's path as SVG (fill, stroke, caps/joins, arrowheads)
+ * @param {object} element - The page item with pathGeometry
+ * @param {object} utils - Utility functions (convertColor)
+ * @param {object} options - layer ("fill", "stroke" or "all"), fitToBox
+ *   (scale to the parent box instead of the element's pixel size) and
+ *   fillBackground (CSS background for gradient fills)
+ * @returns {React.ReactElement|null} The SVG or null for non-vector elements
+ */
+export const renderVectorShape = (element, utils = {}, options = {}) => {
+  if (!isVectorShape(element)) return null;
+
+  const { layer = "all", fitToBox = false, fillBackground = null } = options;
+  const position = element.pixelPosition || element.position || {};
+  const width = position.width || 0;
+  const height = position.height || 0;
+  const pathData = getVectorPathData(element.pathGeometry, width, height);
+  if (!pathData) return null;
+
+  const { convertColor } = utils;
+  const toColor = (colorRef, tint) =>
+    isNoneColor(colorRef)
+      ? null
+      : applyTint(convertColor ? convertColor(colorRef) : colorRef, tint) ||
+        null;
+
+  const clipId = getClipPathId(element);
+  const fillRef = element.fill || element.fillColor;
+  const isGradientFill = String(fillRef || "").startsWith("Gradient/");
+  const fillColor = isGradientFill ? null : toColor(fillRef, element.fillTint);
+
+  const strokeColor = toColor(
+    element.stroke || element.strokeColor,
+    element.strokeTint
+  );
+  const weight = (element.strokeWeight || 0) * getPointScale(element);
+  const alignment = element.strokeAlignment || "CenterAlignment";
+  const isClosed = element.pathGeometry.subpaths.some((path) => !path.open);
+  // Inside/outside strokes: double width, then clip or hide the other half
+  const alignedWeight =
+    isClosed && alignment !== "CenterAlignment" ? weight * 2 : weight;
+
+  const showFill = layer !== "stroke";
+  const showStroke = layer !== "fill" && strokeColor && weight > 0;
+  const startMarkerId = `${clipId}-start`;
+  const endMarkerId = `${clipId}-end`;
+  const startMarker =
+    showStroke &&
+    renderArrowheadMarker(
+      startMarkerId,
+      element.leftLineEnd,
+      element.leftArrowHeadScale,
+      strokeColor
+    );
+  const endMarker =
+    showStroke &&
+    renderArrowheadMarker(
+      endMarkerId,
+      element.rightLineEnd,
+      element.rightArrowHeadScale,
+      strokeColor
+    );
+
+  // Clip paths in bounding-box units fit the shape at any rendered size
+  const clipData =
+    width > 0 && height > 0
+      ? getVectorPathData(element.pathGeometry, 1, 1)
+      : null;
+
+  const svgSizing = fitToBox
+    ? {
+        width: "100%",
+        height: "100%",
+        viewBox: `0 0 ${Math.max(width, 1)} ${Math.max(height, 1)}`,
+        preserveAspectRatio: "none",
+      }
+    : { width: Math.max(width, 1), height: Math.max(height, 1) };
+
+  return (
+    <>
+      {showFill && isGradientFill && fillBackground && clipData && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 0,
+            background: fillBackground,
+            clipPath: `url(#${clipId})`,
+            pointerEvents: "none",
+          }}
+        />
+      )}
+      <svg
+        {...svgSizing}
+        style={{
+          position: "absolute",
+          left: 0,
+          top: 0,
+          overflow: "visible",
+          pointerEvents: "none",
+        }}
+        data-vector-layer={layer}
+      >
+        <defs>
+          {showFill && clipData && (
+            <clipPath id={clipId} clipPathUnits="objectBoundingBox">
+              <path d={clipData} clipRule="evenodd" />
+            </clipPath>
+          )}
+          {showStroke && alignment === "InsideAlignment" && isClosed && (
+            <clipPath id={`${clipId}-inside`}>
+              <path d={pathData} clipRule="evenodd" />
+            </clipPath>
+          )}
+          {startMarker}
+          {endMarker}
+        </defs>
+        {showFill && fillColor && (
+          <path
+            d={pathData}
+            style={{ fill: fillColor }}
+            fillRule="evenodd"
+            stroke="none"
+          />
+        )}
+        {showStroke && (
+          <path
+            d={pathData}
+            // Outside strokes are painted under the fill so only the outer
+            // half shows; the fill is repeated here for that
+            style={{
+              fill:
+                alignment === "OutsideAlignment" && isClosed && fillColor
+                  ? fillColor
+                  : "none",
+              stroke: strokeColor,
+            }}
+            fillRule="evenodd"
+            paintOrder="stroke"
+            strokeWidth={alignedWeight}
+            strokeLinecap={
+              isDottedStroke(element.strokeType)
+                ? "round"
+                : LINE_CAPS[element.endCap] || "butt"
+            }
+            strokeLinejoin={LINE_JOINS[element.endJoin] || "miter"}
+            strokeMiterlimit={element.miterLimit || 4}
+            strokeDasharray={getDashArray(element.strokeType, weight)}
+            clipPath={
+              alignment === "InsideAlignment" && isClosed
+                ? `url(#${clipId}-inside)`
+                : undefined
+            }
+            markerStart={startMarker ? `url(#${startMarkerId})` : undefined}
+            markerEnd={endMarker ? `url(#${endMarkerId})` : undefined}
+          />
+        )}
+      </svg>
+    </>
+  );
+};
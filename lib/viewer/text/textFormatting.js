@@ -2,6 +2,8 @@
  * Text formatting utilities for the IDML Viewer
  */
 
+import { getFontFamilyStack } from "../utils/fontUtils";
+
 /**
  * Gets InDesign-accurate formatting for text elements
  * @param {object} story - The story object
@@ -19,8 +21,9 @@ export const getInDesignAccurateFormatting = (story, utils) => {
 
   return {
     fontSize: formatting.fontSize || styling.fontSize || 12,
-    fontFamily:
-      formatting.fontFamily || styling.fontFamily || "Arial, sans-serif",
+    fontFamily: formatting.fontFamily
+      ? getFontFamilyStack(formatting.fontFamily, formatting.nextFont)
+      : getFontFamilyStack(styling.fontFamily, styling.nextFont),
     fontWeight: getFontWeight(formatting.fontStyle || styling.fontStyle),
     fontStyle: getFontStyle(formatting.fontStyle || styling.fontStyle),
     color: convertColor(formatting.fillColor || styling.fillColor) || "black",
@@ -3,6 +3,9 @@
  */
 
 import React from "react";
+import { renderTable } from "../rendering/tableRenderer";
+import { renderAnchoredObject } from "../rendering/anchoredObjects";
+import { getFontFamilyStack } from "../utils/fontUtils";
 
 // Text fitting strategies
 export const TEXT_FITTING_STRATEGIES = {
@@ -147,7 +150,7 @@ export const getOptimalTextStyles = (
 
   return {
     fontSize: `${optimalFontSize}px`,
-    fontFamily: styling.fontFamily || "Arial, sans-serif",
+    fontFamily: getFontFamilyStack(styling.fontFamily, styling.nextFont),
     fontWeight: getFontWeight(styling.fontStyle),
     fontStyle: getFontStyle(styling.fontStyle),
     color: convertColor(styling.fillColor) || "black",
@@ -261,6 +264,35 @@ export const renderFormattedText = (
         return renderLineBreak(content.formatting, index);
       }
 
+      // NEW: Tables are referenced by marker segments; cells reuse this renderer
+      if (content.formatting?.isTable) {
+        const table = story.tables?.[content.formatting.tableIndex];
+        return renderTable(
+          table,
+          utils,
+          (cell) =>
+            renderFormattedText(
+              { ...cell, anchoredObjects: story.anchoredObjects },
+              null,
+              adjustedFontSize,
+              utils,
+              backgroundColor
+            ),
+          `table-${index}`
+        );
+      }
+
+      // NEW: Page items anchored in the text, by their placeholder index
+      if (content.formatting?.isAnchoredObject) {
+        return renderAnchoredObject(
+          story.anchoredObjects?.[content.formatting.anchoredObjectIndex],
+          utils,
+          (anchoredStory) =>
+            renderFormattedText(anchoredStory, null, null, utils),
+          `anchored-${index}`
+        );
+      }
+
       const formatting = content.formatting || {};
       const originalFontSize =
         formatting.fontSize || story.styling?.fontSize || 12;
@@ -304,10 +336,12 @@ export const renderFormattedText = (
 
       const style = {
         fontSize: `${fontSize}px`,
-        fontFamily:
-          formatting.fontFamily ||
-          story.styling?.fontFamily ||
-          "Arial, sans-serif",
+        fontFamily: formatting.fontFamily
+          ? getFontFamilyStack(formatting.fontFamily, formatting.nextFont)
+          : getFontFamilyStack(
+              story.styling?.fontFamily,
+              story.styling?.nextFont
+            ),
 
         fontWeight:
           completeStyles.fontWeight ||
@@ -420,6 +454,180 @@ export const renderFormattedText = (
     .filter(Boolean);
 };
 
+/**
+ * Gets the point → pixel factor used for an element's geometry
+ * @param {object} element - The page item
+ * @returns {number} Pixels per point
+ */
+const getPointScale = (element) => (element?.pixelPosition?._dpi || 72) / 72;
+
+/**
+ * Gets the areas text in a frame has to flow around, from the items that
+ * sit above the frame in stacking order and have a text wrap
+ * @param {object} frame - The text frame being rendered
+ * @param {Array} stackingElements - Page items, bottom of the stack first
+ * @param {object} contentBox - Text area inside the frame (x, y, width,
+ *   height in pixels, relative to the frame)
+ * @returns {Array} Wrap areas relative to the text area
+ */
+export const getTextWrapObstacles = (frame, stackingElements, contentBox) => {
+  const framePosition = frame?.pixelPosition;
+  if (!framePosition || !Array.isArray(stackingElements)) return [];
+  if (frame.textFramePreferences?.ignoreWrap) return [];
+
+  const frameKey = frame.self || frame.id;
+  const frameIndex = stackingElements.findIndex(
+    (element) =>
+      element &&
+      (element.self || element.id) === frameKey &&
+      !!element.isMasterItem === !!frame.isMasterItem
+  );
+  if (frameIndex === -1) return [];
+
+  const originX = framePosition.x + (contentBox.x || 0);
+  const originY = framePosition.y + (contentBox.y || 0);
+
+  return stackingElements
+    .slice(frameIndex + 1)
+    .filter(
+      (element) =>
+        element?.textWrap &&
+        element.pixelPosition &&
+        element.visible !== false &&
+        // Master-only wraps do not push text on document pages
+        !(
+          element.textWrap.applyToMasterPageOnly &&
+          element.isMasterItem &&
+          !frame.isMasterItem
+        )
+    )
+    .map((element) => {
+      const { textWrap, pixelPosition } = element;
+      const scale = getPointScale(element);
+      const offsets = textWrap.offsets || {};
+      return {
+        id: element.self || element.id,
+        mode: textWrap.mode,
+        side: textWrap.side,
+        inverse: textWrap.inverse,
+        left: pixelPosition.x - (offsets.left || 0) * scale - originX,
+        top: pixelPosition.y - (offsets.top || 0) * scale - originY,
+        right:
+          pixelPosition.x +
+          pixelPosition.width +
+          (offsets.right || 0) * scale -
+          originX,
+        bottom:
+          pixelPosition.y +
+          pixelPosition.height +
+          (offsets.bottom || 0) * scale -
+          originY,
+      };
+    })
+    .filter(
+      (area) =>
+        area.inverse ||
+        (area.right > 0 &&
+          area.left < contentBox.width &&
+          area.bottom > 0 &&
+          area.top < contentBox.height)
+    );
+};
+
+/**
+ * Renders CSS floats that keep text out of the wrap areas. Contour wraps use
+ * the bounding box; "both sides" wraps keep the side with more room.
+ * @param {Array} obstacles - Areas from getTextWrapObstacles
+ * @param {object} contentBox - Text area size (width, height in pixels)
+ * @returns {Array} Float elements to place before the text
+ */
+export const renderTextWrapFloats = (obstacles, contentBox) => {
+  if (!Array.isArray(obstacles) || obstacles.length === 0) return [];
+
+  const width = contentBox.width;
+  const height = contentBox.height;
+  const bands = [];
+  obstacles.forEach((area) => {
+    const top = Math.max(0, area.top);
+    const bottom = Math.min(height, area.bottom);
+
+    if (area.inverse) {
+      // Text stays inside the area: block everything around it
+      const left = Math.max(0, area.left);
+      const right = Math.min(width, area.right);
+      bands.push({ side: "left", top: 0, bottom: top, width });
+      bands.push({ side: "left", top, bottom, width: left });
+      bands.push({ side: "right", top, bottom, width: width - right });
+      bands.push({ side: "left", top: bottom, bottom: height, width });
+      return;
+    }
+
+    switch (area.mode) {
+      case "JumpObjectTextWrap":
+        bands.push({ side: "left", top, bottom, width });
+        break;
+      case "NextColumnTextWrap":
+        bands.push({ side: "left", top, bottom: height, width });
+        break;
+      default: {
+        const spaceLeft = Math.max(0, area.left);
+        const spaceRight = Math.max(0, width - area.right);
+        const textOnLeft =
+          area.side === "LeftSide" ||
+          (area.side !== "RightSide" && spaceLeft >= spaceRight);
+        bands.push(
+          textOnLeft
+            ? { side: "right", top, bottom, width: width - spaceLeft }
+            : { side: "left", top, bottom, width: width - spaceRight }
+        );
+      }
+    }
+  });
+
+  // Floats cannot start above an earlier float, so place them top-down and
+  // push each one to its top with a zero-width spacer on the same side
+  const floats = [];
+  const sideBottoms = { left: 0, right: 0 };
+  let previousTop = 0;
+  bands
+    .filter((band) => band.width > 0 && band.bottom > band.top)
+    .sort((a, b) => a.top - b.top)
+    .forEach((band, index) => {
+      const floor = Math.max(sideBottoms[band.side], previousTop);
+      const top = Math.max(band.top, floor);
+      if (band.bottom <= top) return;
+
+      const floatStyle = {
+        float: band.side,
+        clear: band.side,
+        pointerEvents: "none",
+      };
+      if (top > floor) {
+        floats.push(
+          <div
+            key={`wrap-spacer-${index}`}
+            style={{ ...floatStyle, width: 0, height: `${top - floor}px` }}
+          />
+        );
+      }
+      floats.push(
+        <div
+          key={`wrap-${index}`}
+          data-text-wrap="true"
+          style={{
+            ...floatStyle,
+            width: `${Math.min(width, band.width)}px`,
+            height: `${band.bottom - top}px`,
+          }}
+        />
+      );
+      sideBottoms[band.side] = band.bottom;
+      previousTop = top;
+    });
+
+  return floats;
+};
+
 /**
  * Gets story styles for text elements with contrast adjustment
  * @param {object} story - The story object
@@ -479,7 +687,7 @@ export const getStoryStyles = (
 
   return {
     fontSize: fontSizeCss,
-    fontFamily: styling.fontFamily || "Arial, sans-serif",
+    fontFamily: getFontFamilyStack(styling.fontFamily, styling.nextFont),
     fontWeight: getFontWeight(styling.fontStyle),
     fontStyle: getFontStyle(styling.fontStyle),
     color: ensureTextContrast(
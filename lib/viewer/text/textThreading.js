@@ -0,0 +1,296 @@
+/**
+ * Text threading utilities for the IDML Viewer
+ * Flows a story across its threaded frames (PreviousTextFrame/NextTextFrame)
+ */
+
+import InDesignTextMetrics from "../../utils/InDesignTextMetrics.js";
+
+// Layouts are cached per story object; edited stories get a fresh entry
+const threadLayoutCache = new WeakMap();
+
+/**
+ * Gets the text that flows through the frames (formattedContent offsets)
+ * @param {object} story - The story object
+ * @returns {string} The flowing text
+ */
+const getStoryFlowText = (story) => {
+  if (Array.isArray(story.formattedContent) && story.formattedContent.length) {
+    return story.formattedContent.map((segment) => segment.text || "").join("");
+  }
+  return story.text || "";
+};
+
+/**
+ * Finds the character offset right after the given number of words
+ * @param {string} text - The text to scan
+ * @param {number} wordCount - Number of words to skip
+ * @returns {number} Character offset (trailing whitespace included)
+ */
+const getOffsetAfterWords = (text, wordCount) => {
+  if (wordCount <= 0) return 0;
+
+  const wordPattern = /\S+/g;
+  let match;
+  let count = 0;
+  while ((match = wordPattern.exec(text)) !== null) {
+    count++;
+    if (count === wordCount) {
+      let end = match.index + match[0].length;
+      while (end < text.length && /\s/.test(text[end])) end++;
+      return end;
+    }
+  }
+  return text.length;
+};
+
+/**
+ * Gets the frame size used for layout (pixel position when available)
+ * @param {object} frame - The text frame element
+ * @returns {object} Position with width and height
+ */
+const getFramePosition = (frame) =>
+  frame.pixelPosition || frame.position || { width: 0, height: 0 };
+
+/**
+ * Measures how much of the text fits in one frame, honoring its columns
+ * @param {string} text - The remaining story text
+ * @param {object} frame - The text frame element
+ * @param {object} storyFormatting - Resolved story formatting
+ * @returns {number} Number of characters of the text that fit in the frame
+ */
+export const measureFrameCapacity = (text, frame, storyFormatting) => {
+  if (!text) return 0;
+
+  const prefs = frame.textFramePreferences || {};
+  const frameMetrics = InDesignTextMetrics.calculateTextFrameInsets(
+    { ...frame, position: getFramePosition(frame) },
+    prefs
+  );
+  const columnCount = Math.max(1, prefs.textColumnCount || 1);
+  const gutter = prefs.textColumnGutter || 0;
+  const columnMetrics = {
+    ...frameMetrics,
+    contentArea: {
+      ...frameMetrics.contentArea,
+      width: Math.max(
+        0,
+        (frameMetrics.contentArea.width - gutter * (columnCount - 1)) /
+          columnCount
+      ),
+    },
+  };
+
+  const measurement = InDesignTextMetrics.measureTextPrecisely(
+    text,
+    storyFormatting || {},
+    columnMetrics
+  );
+  if (!measurement.willOverflow) return text.length;
+
+  // Lines that fit: first baseline, then one line height per extra line
+  const availableHeight = columnMetrics.contentArea.height;
+  const lineHeight = measurement.lineHeightPx || 1;
+  const firstLine = measurement.firstBaselineOffset || lineHeight;
+  const linesPerColumn =
+    availableHeight < firstLine
+      ? 0
+      : 1 + Math.floor((availableHeight - firstLine) / lineHeight);
+
+  const fittingWords = measurement.lines
+    .slice(0, linesPerColumn * columnCount)
+    .reduce(
+      (sum, line) => sum + line.text.split(" ").filter(Boolean).length,
+      0
+    );
+
+  return getOffsetAfterWords(text, fittingWords);
+};
+
+/**
+ * Splits a story into per-frame character ranges following the thread order
+ * @param {object} story - The story object
+ * @param {Array} frames - Text frames in thread order
+ * @param {object} storyFormatting - Resolved story formatting
+ * @returns {object} Layout with ranges, overset flag and overset length
+ */
+export const layoutThreadedStory = (story, frames, storyFormatting) => {
+  const text = getStoryFlowText(story);
+  const ranges = [];
+  let start = 0;
+  let endOwned = false;
+
+  frames.forEach((frame) => {
+    const length = measureFrameCapacity(
+      text.slice(start),
+      frame,
+      storyFormatting
+    );
+    const end = start + length;
+    // Only one frame takes the content anchored at the very end (e.g. tables)
+    const ownsEnd = !endOwned && end === text.length;
+    if (ownsEnd) endOwned = true;
+
+    ranges.push({ frameId: frame.self || frame.id, start, end, ownsEnd });
+    start = end;
+  });
+
+  return {
+    ranges,
+    textLength: text.length,
+    overset: start < text.length,
+    oversetCharacters: Math.max(0, text.length - start),
+  };
+};
+
+/**
+ * Uses the server's line layout (textLayout module, measured with the
+ * document's fonts) while it still matches the story and its frames
+ * @param {object} storyLayout - Layout of the story from textLayout
+ * @param {object} story - The story object
+ * @param {Array} frames - Text frames in thread order
+ * @returns {object|null} Layout like layoutThreadedStory, or null if stale
+ */
+export const getServerThreadLayout = (storyLayout, story, frames) => {
+  if (!storyLayout || !Array.isArray(storyLayout.frames)) return null;
+
+  const textLength = getStoryFlowText(story).length;
+  const matches =
+    storyLayout.textLength === textLength &&
+    storyLayout.frames.length === frames.length &&
+    storyLayout.frames.every((layoutFrame, index) => {
+      const frame = frames[index];
+      const position = getFramePosition(frame);
+      return (
+        layoutFrame.frameId === (frame.self || frame.id) &&
+        Math.abs(layoutFrame.width - position.width) < 0.5 &&
+        Math.abs(layoutFrame.height - position.height) < 0.5
+      );
+    });
+  if (!matches) return null;
+
+  let endOwned = false;
+  return {
+    ranges: storyLayout.frames.map(({ frameId, start, end }) => {
+      const ownsEnd = !endOwned && end === textLength;
+      if (ownsEnd) endOwned = true;
+      return { frameId, start, end, ownsEnd };
+    }),
+    textLength,
+    overset: storyLayout.overset,
+    oversetCharacters: storyLayout.oversetCharacters,
+  };
+};
+
+/**
+ * Returns a copy of the story holding only the given character range
+ * @param {object} story - The story object
+ * @param {object} range - Range from layoutThreadedStory
+ * @returns {object} The sliced story
+ */
+export const sliceStoryRange = (story, range) => {
+  const { start, end, ownsEnd } = range;
+
+  if (!Array.isArray(story.formattedContent)) {
+    return { ...story, text: (story.text || "").slice(start, end) };
+  }
+
+  const formattedContent = [];
+  let offset = 0;
+  story.formattedContent.forEach((segment) => {
+    const text = segment.text || "";
+    const segmentStart = offset;
+    offset += text.length;
+
+    // Zero-length markers belong to the frame their position falls in
+    if (!text.length) {
+      if (
+        segmentStart >= start &&
+        (segmentStart < end || (ownsEnd && segmentStart === end))
+      ) {
+        formattedContent.push(segment);
+      }
+      return;
+    }
+
+    const from = Math.max(start, segmentStart);
+    const to = Math.min(end, offset);
+    if (to > from) {
+      formattedContent.push({
+        ...segment,
+        text: text.slice(from - segmentStart, to - segmentStart),
+      });
+    }
+  });
+
+  return {
+    ...story,
+    text: formattedContent.map((segment) => segment.text || "").join(""),
+    formattedContent,
+  };
+};
+
+/**
+ * Gets the part of a story shown in one frame of its thread
+ * @param {object} element - The text frame being rendered
+ * @param {object} documentData - The document data (elements and stories)
+ * @param {object} storyFormatting - Resolved story formatting
+ * @returns {object|null} Frame story slice with thread and overset info
+ */
+export const getThreadedFrameStory = (
+  element,
+  documentData,
+  storyFormatting
+) => {
+  const story = documentData?.stories?.[element?.parentStory];
+  if (!story) return null;
+
+  const frameIds =
+    Array.isArray(element.threadFrames) && element.threadFrames.length
+      ? element.threadFrames
+      : [element.self || element.id];
+  const elements = documentData.elements || [];
+  const frames = frameIds
+    .map((frameId) =>
+      frameId === (element.self || element.id)
+        ? element
+        : elements.find((el) => el && (el.self || el.id) === frameId)
+    )
+    .filter(Boolean);
+
+  const signature = frames
+    .map((frame) => {
+      const position = getFramePosition(frame);
+      return `${frame.self || frame.id}:${position.width}x${position.height}`;
+    })
+    .join("|");
+
+  let cached = threadLayoutCache.get(story);
+  if (!cached || cached.signature !== signature) {
+    cached = {
+      signature,
+      layout:
+        getServerThreadLayout(
+          documentData.textLayout?.stories?.[element.parentStory],
+          story,
+          frames
+        ) || layoutThreadedStory(story, frames, storyFormatting),
+    };
+    threadLayoutCache.set(story, cached);
+  }
+
+  const { layout } = cached;
+  const threadIndex = frames.indexOf(element);
+  const range = layout.ranges[threadIndex];
+  if (!range) return null;
+
+  const isLastFrame = threadIndex === frames.length - 1;
+  return {
+    story: frames.length > 1 ? sliceStoryRange(story, range) : story,
+    range,
+    threadIndex,
+    threadLength: frames.length,
+    isLastFrame,
+    overset: isLastFrame && layout.overset,
+    oversetCharacters: isLastFrame ? layout.oversetCharacters : 0,
+  };
+};
@@ -26,6 +26,24 @@ export const getFontWeight = (fontStyle) => {
   return "400"; // Regular/Normal
 };
 
+/**
+ * CSS font-family for a document font: the family itself (served with
+ * @font-face when the package ships it), then the fallback chain of the
+ * Next.js font it was mapped to
+ * @param {string} fontFamily - InDesign font family
+ * @param {object} nextFont - Mapping from NextFontMapper, if any
+ * @returns {string} The CSS font-family value
+ */
+export const getFontFamilyStack = (fontFamily, nextFont) => {
+  if (!fontFamily) return nextFont?.fontFamilyFallback || "Arial, sans-serif";
+  if (fontFamily.includes(",")) return fontFamily;
+
+  const family = `"${fontFamily.replace(/"/g, "")}"`;
+  return nextFont?.fontFamilyFallback
+    ? `${family}, ${nextFont.fontFamilyFallback}`
+    : `${family}, Arial, sans-serif`;
+};
+
 /**
  * Converts font style to CSS font style
  * @param {string} fontStyle - The font style string
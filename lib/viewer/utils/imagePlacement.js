@@ -0,0 +1,150 @@
+/**
+ * Image placement utilities for the IDML Viewer
+ * Works out how a placed image is drawn in its frame, shared by the viewer
+ * and the static SVG renderer, and which of its downscaled copies to load
+ */
+
+// Frame fitting reference points → SVG preserveAspectRatio alignment
+const FITTING_ALIGNMENTS = {
+  TopLeftAnchor: "xMinYMin",
+  TopCenterAnchor: "xMidYMin",
+  TopRightAnchor: "xMaxYMin",
+  LeftCenterAnchor: "xMinYMid",
+  CenterAnchor: "xMidYMid",
+  RightCenterAnchor: "xMaxYMid",
+  BottomLeftAnchor: "xMinYMax",
+  BottomCenterAnchor: "xMidYMax",
+  BottomRightAnchor: "xMaxYMax",
+};
+
+// preserveAspectRatio alignment parts → CSS object-position
+const ALIGNMENT_POSITIONS = { Min: "0%", Mid: "50%", Max: "100%" };
+
+const toPercent = (value, total) => `${+((value / total) * 100).toFixed(4)}%`;
+
+/**
+ * Gets the SVG preserveAspectRatio matching a frame's fitting option, for
+ * images without a transform of their own
+ * @param {object} fitting - Frame fitting options (imagePosition.fitting)
+ * @returns {string} preserveAspectRatio value; fill proportionally (slice)
+ *   unless the frame fits proportionally or stretches content to the frame
+ */
+export const getFittingAspectRatio = (fitting) => {
+  const alignment = FITTING_ALIGNMENTS[fitting?.fittingAlignment] || "xMidYMid";
+  switch (fitting?.fittingOnEmptyFrame) {
+    case "Proportionally":
+      return `${alignment} meet`;
+    case "ContentToFrame":
+      return "none";
+    default:
+      return `${alignment} slice`;
+  }
+};
+
+/**
+ * Gets where a placed image is drawn, in the frame's pixel box. With its
+ * graphic bounds and transform the image is drawn exactly (scaled, rotated,
+ * flipped and cropped as in InDesign); otherwise it fills the frame as its
+ * fitting option would
+ * @param {object} element - Frame with imagePosition (or linkedImage)
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {object} { x, y, width, height, preserveAspectRatio, transform }
+ *   for an SVG image; transform is an SVG matrix() or null
+ */
+export const getImagePlacement = (element, width, height) => {
+  const placement = element.imagePosition || element.linkedImage?.imagePosition;
+  const bounds = placement?.graphicBounds;
+
+  if (placement?.matrix && bounds?.width > 0 && bounds?.height > 0) {
+    // The matrix is in points; frames are drawn at pixelScale px per point
+    const scale = placement.pixelScale || 1;
+    const { a, b, c, d, tx, ty } = placement.matrix;
+    return {
+      x: bounds.left,
+      y: bounds.top,
+      width: bounds.width,
+      height: bounds.height,
+      preserveAspectRatio: "none",
+      transform: `matrix(${[a, b, c, d, tx, ty]
+        .map((value) => +(value * scale).toFixed(4))
+        .join(" ")})`,
+    };
+  }
+
+  return {
+    x: 0,
+    y: 0,
+    width,
+    height,
+    preserveAspectRatio: getFittingAspectRatio(placement?.fitting),
+    transform: null,
+  };
+};
+
+/**
+ * Gets the CSS that places an HTML image in a frame box, matching
+ * getImagePlacement. Sizes are percentages of the frame box, so the image
+ * follows the frame when previews draw it smaller
+ * @param {object} element - Frame with imagePosition (or linkedImage)
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {object} Style for an absolutely positioned <img>
+ */
+export const getImagePlacementStyle = (element, width, height) => {
+  const placement = element.imagePosition || element.linkedImage?.imagePosition;
+  const bounds = placement?.graphicBounds;
+
+  if (placement?.matrix && bounds?.width > 0 && bounds?.height > 0) {
+    const scale = placement.pixelScale || 1;
+    const { a, b, c, d, tx, ty } = placement.matrix;
+    // The image box sits at its transformed top-left corner; the matrix's
+    // scale, rotation and flips are applied around that corner
+    const left = scale * (a * bounds.left + c * bounds.top + tx);
+    const top = scale * (b * bounds.left + d * bounds.top + ty);
+    return {
+      position: "absolute",
+      left: toPercent(left, width),
+      top: toPercent(top, height),
+      width: toPercent(bounds.width * scale, width),
+      height: toPercent(bounds.height * scale, height),
+      maxWidth: "none",
+      transformOrigin: "0 0",
+      transform: `matrix(${a}, ${b}, ${c}, ${d}, 0, 0)`,
+    };
+  }
+
+  const [, x, y, mode] =
+    /^x(Min|Mid|Max)Y(Min|Mid|Max) (meet|slice)$/.exec(
+      getFittingAspectRatio(placement?.fitting)
+    ) || [];
+  return {
+    position: "absolute",
+    left: 0,
+    top: 0,
+    width: "100%",
+    height: "100%",
+    maxWidth: "none",
+    objectFit: mode === "meet" ? "contain" : mode ? "cover" : "fill",
+    objectPosition: x
+      ? `${ALIGNMENT_POSITIONS[x]} ${ALIGNMENT_POSITIONS[y]}`
+      : undefined,
+  };
+};
+
+/**
+ * Gets the URL to load a linked image from at a zoom level: its narrowest
+ * downscaled copy that is still sharp, or the image itself when none is
+ * wide enough
+ * @param {object} linkedImage - With url, and sizes and displayWidth when
+ *   copies were made
+ * @param {number} zoom - Page zoom times the device pixel ratio
+ * @returns {string|null}
+ */
+export const getImageSourceUrl = (linkedImage, zoom = 1) => {
+  const needed = (linkedImage?.displayWidth || 0) * zoom;
+  const size = (linkedImage?.sizes || [])
+    .filter((candidate) => candidate.width >= needed)
+    .sort((first, second) => first.width - second.width)[0];
+  return size?.url || linkedImage?.url || null;
+};
@@ -0,0 +1,57 @@
+/**
+ * Path geometry utilities for the IDML Viewer
+ * Plain functions (no JSX) so server-side renderers can share them
+ */
+
+/**
+ * Builds SVG path data for the element's path, scaled to a box
+ * @param {object} pathGeometry - Geometry from IDMLUtils.parsePathGeometry
+ * @param {number} width - Box width the path bounds map to
+ * @param {number} height - Box height the path bounds map to
+ * @returns {string} SVG path data
+ */
+export const getVectorPathData = (pathGeometry, width, height) => {
+  if (!pathGeometry?.subpaths) return "";
+
+  const { left, top, width: boundsWidth, height: boundsHeight } =
+    pathGeometry.bounds;
+  // Zero-sized directions (straight lines) stay on the box edge
+  const scaleX = boundsWidth ? width / boundsWidth : 1;
+  const scaleY = boundsHeight ? height / boundsHeight : 1;
+  const format = (point) =>
+    `${+((point.x - left) * scaleX).toFixed(3)} ${+(
+      (point.y - top) *
+      scaleY
+    ).toFixed(3)}`;
+
+  const segment = (from, to) => {
+    const isStraight =
+      from.rightDirection.x === from.anchor.x &&
+      from.rightDirection.y === from.anchor.y &&
+      to.leftDirection.x === to.anchor.x &&
+      to.leftDirection.y === to.anchor.y;
+    // The outgoing handle of a point is its RightDirection
+    return isStraight
+      ? `L ${format(to.anchor)}`
+      : `C ${format(from.rightDirection)} ${format(
+          to.leftDirection
+        )} ${format(to.anchor)}`;
+  };
+
+  return pathGeometry.subpaths
+    .map((subpath) => {
+      const { points } = subpath;
+      const commands = [`M ${format(points[0].anchor)}`];
+      for (let i = 1; i < points.length; i++) {
+        commands.push(segment(points[i - 1], points[i]));
+      }
+      if (!subpath.open) {
+        const closing = segment(points[points.length - 1], points[0]);
+        // Straight closing edges are drawn by Z itself
+        if (closing.startsWith("C")) commands.push(closing);
+        commands.push("Z");
+      }
+      return commands.join(" ");
+    })
+    .join(" ");
+};
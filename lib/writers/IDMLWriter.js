@@ -0,0 +1,732 @@
+import AdmZip from "adm-zip";
+import fs from "fs";
+import IDMLUtils from "../utils/IDMLUtils.js";
+import SpecialCharacters from "../utils/SpecialCharacters.js";
+import UnitConverter from "../utils/UnitConverter.js";
+import Logger from "../utils/Logger.js";
+
+/**
+ * IDMLWriter - Writes viewer edits back into the original IDML package
+ *
+ * Only the XML entries that contain edited items are rewritten. Every other
+ * entry keeps its original bytes (and compression), so InDesign can reopen
+ * the result as the same document.
+ */
+class IDMLWriter {
+  constructor(options = {}) {
+    this.config = {
+      dpi: options.dpi || 96,
+      documentUnits: options.documentUnits || "Points",
+      tolerance: options.tolerance || 0.01, // Pixels - ignore sub-pixel noise
+      ...options,
+    };
+
+    this.unitConverter =
+      options.unitConverter || new UnitConverter(this.config.dpi);
+    this.documentUnits = this.config.documentUnits;
+    this.logger = (options.logger || Logger.getDefault()).child("IDMLWriter"); // NEW
+  }
+
+  /**
+   * Write an edited copy of an IDML package
+   * @param {string} idmlPath - Path to the original .idml file
+   * @param {Object} originalData - Modularized data (DataModularizer.loadAllModules())
+   * @param {Object} edits - Edited data ({ elements: [{id, pixelPosition}], stories: {id: {text}} })
+   * @param {string} outputPath - Optional path to also write the package to
+   * @returns {Object} { buffer, report }
+   */
+  write(idmlPath, originalData, edits = {}, outputPath = null) {
+    if (!fs.existsSync(idmlPath)) {
+      throw new Error(`IDML file not found: ${idmlPath}`);
+    }
+
+    this.logger.info("📝 Writing edited IDML package from:", idmlPath);
+
+    // Keep the original entry order - "mimetype" must stay the first entry
+    const zip = new AdmZip(idmlPath, { noSort: true });
+    const report = {
+      elementsUpdated: [],
+      storiesUpdated: [],
+      entriesUpdated: [],
+      skipped: [],
+    };
+
+    // Cache of entries we are rewriting: entryName -> xml string
+    const pendingEntries = new Map();
+    const readEntry = (entryName) => {
+      if (!pendingEntries.has(entryName)) {
+        pendingEntries.set(entryName, zip.readAsText(entryName, "utf8"));
+      }
+      return pendingEntries.get(entryName);
+    };
+
+    // 1. Geometry edits (Spreads/*.xml)
+    const geometryEdits = this.collectGeometryEdits(
+      originalData.elements || [],
+      edits.elements || []
+    );
+
+    if (geometryEdits.length > 0) {
+      const spreadEntries = zip
+        .getEntries()
+        .filter(
+          (entry) =>
+            entry.entryName.startsWith("Spreads/") &&
+            entry.entryName.endsWith(".xml")
+        )
+        .map((entry) => entry.entryName);
+
+      geometryEdits.forEach((edit) => {
+        const entryName = spreadEntries.find((name) =>
+          readEntry(name).includes(`Self="${edit.id}"`)
+        );
+
+        if (!entryName) {
+          report.skipped.push({
+            id: edit.id,
+            reason: "Element not found in any spread",
+          });
+          return;
+        }
+
+        const updated = this.applyGeometryEdit(readEntry(entryName), edit);
+        if (updated === null) {
+          report.skipped.push({
+            id: edit.id,
+            reason: "Element geometry could not be updated",
+          });
+          return;
+        }
+
+        pendingEntries.set(entryName, updated);
+        report.elementsUpdated.push(edit.id);
+        if (!report.entriesUpdated.includes(entryName)) {
+          report.entriesUpdated.push(entryName);
+        }
+      });
+    }
+
+    // 2. Text edits (Stories/*.xml)
+    Object.entries(edits.stories || {}).forEach(([storyId, story]) => {
+      const originalStory = originalData.stories?.[storyId];
+      const newText = typeof story === "string" ? story : story?.text;
+
+      if (typeof newText !== "string" || !originalStory) return;
+      if (newText === (originalStory.text ?? "")) return;
+
+      const entryName = `Stories/Story_${storyId}.xml`;
+      if (!zip.getEntry(entryName)) {
+        report.skipped.push({ id: storyId, reason: "Story file not found" });
+        return;
+      }
+
+      const updated = this.applyTextEdit(
+        readEntry(entryName),
+        newText,
+        originalStory.text ?? ""
+      );
+      if (updated === null) {
+        report.skipped.push({
+          id: storyId,
+          reason: "Story has no Content to update",
+        });
+        return;
+      }
+
+      pendingEntries.set(entryName, updated);
+      report.storiesUpdated.push(storyId);
+      report.entriesUpdated.push(entryName);
+    });
+
+    // 3. Only replace the entries we actually changed
+    report.entriesUpdated.forEach((entryName) => {
+      zip.updateFile(entryName, Buffer.from(pendingEntries.get(entryName)));
+    });
+
+    const buffer = zip.toBuffer();
+    if (outputPath) {
+      fs.writeFileSync(outputPath, buffer);
+    }
+
+    this.logger.info(
+      `✅ IDML written: ${report.elementsUpdated.length} elements, ${report.storiesUpdated.length} stories, ${report.skipped.length} skipped`
+    );
+
+    return { buffer, report };
+  }
+
+  /**
+   * Compare edited pixel positions with the originally parsed ones
+   * @param {Array} originalElements - Elements from elements.json
+   * @param {Array} editedElements - Elements from the viewer state
+   * @returns {Array} Geometry edits in document units
+   */
+  collectGeometryEdits(originalElements, editedElements) {
+    const originals = new Map();
+    originalElements.forEach((element) => {
+      const id = element.self || element.id;
+      if (id) originals.set(id, element);
+    });
+
+    const geometryEdits = [];
+    editedElements.forEach((edited) => {
+      const id = edited?.self || edited?.id;
+      const original = originals.get(id);
+      const before = original?.pixelPosition;
+      const after = edited?.pixelPosition;
+      if (!before || !after) return;
+
+      const dx = (after.x ?? before.x) - before.x;
+      const dy = (after.y ?? before.y) - before.y;
+      const scaleX =
+        before.width > 0 ? (after.width ?? before.width) / before.width : 1;
+      const scaleY =
+        before.height > 0
+          ? (after.height ?? before.height) / before.height
+          : 1;
+      const rotation = (after.rotation || 0) - (before.rotation || 0);
+
+      const tolerance = this.config.tolerance;
+      const moved = Math.abs(dx) > tolerance || Math.abs(dy) > tolerance;
+      const resized =
+        Math.abs((scaleX - 1) * before.width) > tolerance ||
+        Math.abs((scaleY - 1) * before.height) > tolerance;
+      const rotated = Math.abs(rotation) > tolerance;
+      if (!moved && !resized && !rotated) return;
+
+      // Convert with the units/DPI the element was originally parsed with
+      const units = before._originalUnits || this.documentUnits;
+      const converter =
+        before._dpi && before._dpi !== this.unitConverter.getDPI()
+          ? new UnitConverter(before._dpi)
+          : this.unitConverter;
+
+      geometryEdits.push({
+        id,
+        dx: converter.fromPixels(dx, units),
+        dy: converter.fromPixels(dy, units),
+        scaleX,
+        scaleY,
+        rotation,
+      });
+    });
+
+    return geometryEdits;
+  }
+
+  /**
+   * Apply a geometry edit to the page item with the given Self id
+   * @param {string} xml - Spread XML
+   * @param {Object} edit - Geometry edit from collectGeometryEdits
+   * @returns {string|null} Updated XML, or null when the item was not found
+   */
+  applyGeometryEdit(xml, edit) {
+    const tagPattern = new RegExp(
+      `<(\\w+)\\s[^>]*Self="${this.escapeRegExp(edit.id)}"[^>]*>`
+    );
+    const match = tagPattern.exec(xml);
+    if (!match) return null;
+
+    const tagName = match[1];
+    const openStart = match.index;
+    const openTag = match[0];
+
+    // Find the end of this element so nested items are left alone
+    const elementEnd = openTag.endsWith("/>")
+      ? openStart + openTag.length
+      : this.findClosingTagEnd(xml, tagName, openStart + openTag.length);
+    if (elementEnd === -1) return null;
+
+    let element = xml.slice(openStart, elementEnd);
+
+    // Path anchors live in the item's inner coordinate space
+    const ownPathArray = this.findOwnPathPointArray(element, openTag.length);
+    const anchors = ownPathArray ? this.parseAnchors(ownPathArray.content) : [];
+    const innerBounds = anchors.length > 0 ? this.boundsOf(anchors) : null;
+
+    // Resize: scale the path points around the top-left corner
+    if (ownPathArray && innerBounds) {
+      const scalePoint = (x, y) => [
+        innerBounds.left + (x - innerBounds.left) * edit.scaleX,
+        innerBounds.top + (y - innerBounds.top) * edit.scaleY,
+      ];
+
+      const scaledContent = ownPathArray.content.replace(
+        /(Anchor|LeftDirection|RightDirection)="([^"]*)"/g,
+        (full, attribute, value) => {
+          const [x, y] = value.split(" ").map(parseFloat);
+          if (isNaN(x) || isNaN(y)) return full;
+          const [nx, ny] = scalePoint(x, y);
+          return `${attribute}="${this.formatNumber(nx)} ${this.formatNumber(
+            ny
+          )}"`;
+        }
+      );
+
+      element =
+        element.slice(0, ownPathArray.start) +
+        scaledContent +
+        element.slice(ownPathArray.end);
+    }
+
+    // Move/rotate: update ItemTransform on the item itself
+    const transform = this.readItemTransform(openTag);
+    const nextTransform = { ...transform };
+    nextTransform.tx += edit.dx;
+    nextTransform.ty += edit.dy;
+
+    if (Math.abs(edit.rotation) > this.config.tolerance && innerBounds) {
+      // Rotate around the (already moved and resized) frame center
+      const innerCenter = {
+        x: innerBounds.left + (innerBounds.width * edit.scaleX) / 2,
+        y: innerBounds.top + (innerBounds.height * edit.scaleY) / 2,
+      };
+      Object.assign(
+        nextTransform,
+        this.rotateTransform(nextTransform, innerCenter, edit.rotation)
+      );
+    }
+
+    const nextOpenTag = this.writeItemTransform(
+      element.slice(0, openTag.length),
+      nextTransform
+    );
+    element = nextOpenTag + element.slice(openTag.length);
+
+    return xml.slice(0, openStart) + element + xml.slice(elementEnd);
+  }
+
+  /**
+   * Rewrite the Content of a story so its text matches newText
+   *
+   * The edit is found by diffing newText against the parsed story text it
+   * was made from, and only that span is mapped onto the XML (common
+   * prefix/suffix are kept), so untouched CharacterStyleRanges keep their
+   * formatting.
+   * @param {string} xml - Story XML
+   * @param {string} newText - Edited plain text ("\n" = line break, "\n\n" =
+   *   paragraph break, as the parser writes them)
+   * @param {string} originalText - Parsed text of the story before the edit
+   * @returns {string|null} Updated XML, or null when the story has no Content
+   */
+  applyTextEdit(xml, newText, originalText) {
+    const tokens = this.tokenizeStory(xml);
+    if (!tokens.some((token) => token.kind === "content")) return null;
+
+    const oldText = tokens.map((token) => token.text).join("");
+
+    // Common prefix/suffix of the parsed text → edited span
+    let prefix = 0;
+    const maxPrefix = Math.min(originalText.length, newText.length);
+    while (prefix < maxPrefix && originalText[prefix] === newText[prefix]) {
+      prefix++;
+    }
+    let suffix = 0;
+    const maxSuffix = Math.min(originalText.length, newText.length) - prefix;
+    while (
+      suffix < maxSuffix &&
+      originalText[originalText.length - 1 - suffix] ===
+        newText[newText.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    // Map the span onto the XML text. It covers the removed characters
+    // only, so whitespace the parsed text did not show is kept; an insert
+    // goes right after the last kept character
+    const offsets = this.alignText(originalText, oldText);
+    const removed = offsets
+      .slice(prefix, originalText.length - suffix)
+      .filter((offset) => offset !== -1);
+    const kept = offsets.slice(0, prefix).filter((offset) => offset !== -1);
+    const start = removed.length
+      ? removed[0]
+      : kept.length
+      ? kept[kept.length - 1] + 1
+      : 0;
+    const oldEnd = removed.length ? removed[removed.length - 1] + 1 : start;
+    // The parser writes a paragraph break as two line breaks; the XML has
+    // one <Br /> for it
+    const inserted = newText
+      .slice(prefix, newText.length - suffix)
+      .replace(/\n\n/g, "\n");
+
+    // Pick the Content token that receives the inserted text
+    let offset = 0;
+    tokens.forEach((token) => {
+      token.start = offset;
+      token.end = offset + token.text.length;
+      offset = token.end;
+    });
+    const contentTokens = tokens.filter((token) => token.kind === "content");
+    const target =
+      contentTokens.find(
+        (token) => token.start <= start && start < token.end
+      ) ||
+      contentTokens.find((token) => token.end === start) ||
+      contentTokens.find((token) => token.start >= start) ||
+      contentTokens[contentTokens.length - 1];
+
+    let insertedDone = false;
+    const replacements = [];
+
+    tokens.forEach((token) => {
+      const overlapStart = Math.max(token.start, start);
+      const overlapEnd = Math.min(token.end, oldEnd);
+      const overlaps = overlapStart < overlapEnd;
+
+      // Breaks, text variables and anchored objects are removed when
+      // deleted, never edited
+      if (token.kind !== "content") {
+        if (overlaps) replacements.push({ token, xml: "" });
+        return;
+      }
+
+      if (!overlaps && token !== target) return;
+
+      let text = token.text;
+      let insertAt = null;
+      if (overlaps) {
+        text =
+          token.text.slice(0, overlapStart - token.start) +
+          token.text.slice(overlapEnd - token.start);
+        insertAt = overlapStart - token.start;
+      }
+
+      if (token === target && !insertedDone) {
+        if (insertAt === null) {
+          insertAt = Math.min(Math.max(start - token.start, 0), text.length);
+        }
+        text = text.slice(0, insertAt) + inserted + text.slice(insertAt);
+        insertedDone = true;
+      }
+
+      replacements.push({ token, xml: this.writeContent(text, token) });
+    });
+
+    // Apply from the end so earlier offsets stay valid
+    let result = xml;
+    replacements
+      .sort((a, b) => b.token.xmlStart - a.token.xmlStart)
+      .forEach(({ token, xml: replacement }) => {
+        result =
+          result.slice(0, token.xmlStart) +
+          replacement +
+          result.slice(token.xmlEnd);
+      });
+
+    return result;
+  }
+
+  /**
+   * Match the characters of the parsed story text to the text of the story
+   * XML tokens. They differ in whitespace only: the parser doubles
+   * paragraph breaks, drops some <Br /> and trims Content, so whitespace
+   * found on one side only is skipped.
+   * @param {string} parsedText - Story text from the parser
+   * @param {string} xmlText - Text of the tokens from tokenizeStory()
+   * @returns {Array<number>} Offset in xmlText of each parsedText character,
+   *   or -1 for characters the XML does not have
+   */
+  alignText(parsedText, xmlText) {
+    const offsets = new Array(parsedText.length).fill(-1);
+    let xmlIndex = 0;
+
+    for (let index = 0; index < parsedText.length; index++) {
+      const char = parsedText[index];
+      if (xmlIndex >= xmlText.length) break;
+      if (char === xmlText[xmlIndex]) {
+        offsets[index] = xmlIndex++;
+        continue;
+      }
+      if (/\s/.test(char)) continue;
+
+      // Skip whitespace the parsed text left out
+      let next = xmlIndex;
+      while (next < xmlText.length && /\s/.test(xmlText[next])) next++;
+      if (xmlText[next] === char) {
+        offsets[index] = next;
+        xmlIndex = next + 1;
+      }
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Split story XML into Content, Br, text variable and anchored object
+   * tokens in document order, with the same text the parser produced for
+   * the story (anchored objects are their placeholder characters).
+   * Table cell text is not part of the story text, so tables are skipped.
+   * @param {string} xml - Story XML
+   * @returns {Array} Tokens with plain text and XML offsets
+   */
+  tokenizeStory(xml) {
+    const tokens = [];
+    const pattern =
+      /<Content>([\s\S]*?)<\/Content>|<Content\s*\/>|<Br\s*\/>|<TextVariableInstance\b[^>]*?(?:\/>|>[\s\S]*?<\/TextVariableInstance>)/g;
+    const tableRanges = this.findTableRanges(xml);
+    let match;
+
+    const isInTable = (index) =>
+      tableRanges.some(([start, end]) => index >= start && index < end);
+
+    // NEW: Anchored page items; numbered like the parser numbers them, so
+    // items inside tables still take up an index
+    const objectRanges = SpecialCharacters.findAnchoredObjects(xml);
+    objectRanges.forEach((range, index) => {
+      if (isInTable(range.start)) return;
+      tokens.push({
+        kind: "object",
+        text: SpecialCharacters.anchoredObjectMarker(index),
+        instructions: [],
+        xmlStart: range.start,
+        xmlEnd: range.end,
+      });
+    });
+
+    while ((match = pattern.exec(xml)) !== null) {
+      const matchIndex = match.index;
+      const inObject = objectRanges.some(
+        (range) => matchIndex >= range.start && matchIndex < range.end
+      );
+      if (inObject || isInTable(matchIndex)) continue;
+
+      if (match[0].startsWith("<TextVariableInstance")) {
+        const result = match[0].match(/\bResultText="([^"]*)"/);
+        tokens.push({
+          kind: "variable",
+          text: IDMLUtils.decodeXMLEntities(result ? result[1] : ""),
+          instructions: [],
+          xmlStart: match.index,
+          xmlEnd: match.index + match[0].length,
+        });
+        continue;
+      }
+
+      const isBreak = match[0].startsWith("<Br");
+      // Page numbers/section markers are placeholders in the story text
+      const inner = SpecialCharacters.replaceInstructions(match[1] || "");
+
+      // Other processing instructions are kept but not editable
+      const instructions = inner.match(/<\?[\s\S]*?\?>/g) || [];
+      const text = isBreak
+        ? "\n"
+        : IDMLUtils.decodeXMLEntities(inner.replace(/<\?[\s\S]*?\?>/g, ""));
+
+      tokens.push({
+        kind: isBreak ? "break" : "content",
+        text,
+        instructions,
+        xmlStart: match.index,
+        xmlEnd: match.index + match[0].length,
+      });
+    }
+
+    return tokens.sort((a, b) => a.xmlStart - b.xmlStart);
+  }
+
+  /**
+   * Find the outermost tables of a story. Tables nested in a cell are part
+   * of the outer table's range, which ends at its own closing tag
+   * @param {string} xml - Story XML
+   * @returns {Array} [start, end] XML offsets of each table
+   */
+  findTableRanges(xml) {
+    const ranges = [];
+    const openPattern = /<Table(?=[\s>/])[^>]*?(\/?)>/g;
+    let match;
+
+    while ((match = openPattern.exec(xml)) !== null) {
+      const openEnd = match.index + match[0].length;
+      const end =
+        match[1] === "/"
+          ? openEnd
+          : this.findClosingTagEnd(xml, "Table", openEnd);
+      ranges.push([match.index, end === -1 ? xml.length : end]);
+      // Continue after the table, skipping the tables nested in it
+      openPattern.lastIndex = end === -1 ? xml.length : end;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Serialize a Content token, turning "\n" into paragraph breaks
+   * @param {string} text - Plain text
+   * @param {Object} token - Original token (for its processing instructions)
+   * @returns {string} XML
+   */
+  writeContent(text, token) {
+    const instructions = token.instructions.join("");
+    if (text.length === 0 && !instructions) return "";
+
+    // Anchored objects only exist as XML; their placeholders are not text
+    return SpecialCharacters.removeAnchoredObjects(text)
+      .split("\n")
+      .map((part, index) => {
+        const body =
+          SpecialCharacters.restoreInstructions(
+            IDMLUtils.encodeXMLEntities(part)
+          ) + (index === 0 ? instructions : "");
+        return `<Content>${body}</Content>`;
+      })
+      .join("<Br />");
+  }
+
+  findClosingTagEnd(xml, tagName, fromIndex) {
+    const pattern = new RegExp(`<(/?)${tagName}(?=[\\s>/])[^>]*?(/?)>`, "g");
+    pattern.lastIndex = fromIndex;
+    let depth = 1;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+      if (match[1] === "/") {
+        depth--;
+      } else if (match[2] !== "/") {
+        depth++;
+      }
+      if (depth === 0) return match.index + match[0].length;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Find the PathPointArray that belongs to the item itself (not to nested
+   * items such as images inside a frame)
+   */
+  findOwnPathPointArray(element, openTagLength) {
+    const propertiesStart = element.indexOf("<Properties>", openTagLength);
+    const firstChildItem = element
+      .slice(openTagLength)
+      .search(
+        /<(Rectangle|Oval|Polygon|GraphicLine|TextFrame|Group|Image|EPS|PDF)\s/
+      );
+    const limit =
+      firstChildItem === -1 ? element.length : openTagLength + firstChildItem;
+
+    if (propertiesStart === -1 || propertiesStart > limit) return null;
+
+    const arrayStart = element.indexOf("<PathPointArray>", propertiesStart);
+    if (arrayStart === -1 || arrayStart > limit) return null;
+
+    const arrayEnd =
+      element.indexOf("</PathPointArray>", arrayStart) +
+      "</PathPointArray>".length;
+
+    return {
+      start: arrayStart,
+      end: arrayEnd,
+      content: element.slice(arrayStart, arrayEnd),
+    };
+  }
+
+  parseAnchors(pathPointArray) {
+    const anchors = [];
+    const pattern = /Anchor="([^"]*)"/g;
+    let match;
+
+    while ((match = pattern.exec(pathPointArray)) !== null) {
+      const [x, y] = match[1].split(" ").map(parseFloat);
+      if (!isNaN(x) && !isNaN(y)) anchors.push({ x, y });
+    }
+
+    return anchors;
+  }
+
+  boundsOf(points) {
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+
+    return {
+      left,
+      top,
+      width: Math.max(...xs) - left,
+      height: Math.max(...ys) - top,
+    };
+  }
+
+  readItemTransform(openTag) {
+    const match = openTag.match(/ItemTransform="([^"]*)"/);
+    const values = match ? match[1].split(" ").map(parseFloat) : [];
+
+    // Read the raw values - a scale of 0 is valid here (unlike parseTransform)
+    const value = (index, fallback) =>
+      Number.isFinite(values[index]) ? values[index] : fallback;
+
+    return {
+      a: value(0, 1),
+      b: value(1, 0),
+      c: value(2, 0),
+      d: value(3, 1),
+      tx: value(4, 0),
+      ty: value(5, 0),
+      present: !!match,
+    };
+  }
+
+  writeItemTransform(openTag, transform) {
+    const value = [
+      transform.a,
+      transform.b,
+      transform.c,
+      transform.d,
+      transform.tx,
+      transform.ty,
+    ]
+      .map((number) => this.formatNumber(number))
+      .join(" ");
+
+    if (transform.present) {
+      return openTag.replace(
+        /ItemTransform="[^"]*"/,
+        `ItemTransform="${value}"`
+      );
+    }
+
+    // Insert the attribute right after the tag name
+    return openTag.replace(/^<(\w+)/, `<$1 ItemTransform="${value}"`);
+  }
+
+  /**
+   * Compose a clockwise rotation (degrees, as in CSS and the viewer) around
+   * an inner-space point onto an ItemTransform
+   */
+  rotateTransform(transform, innerCenter, degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    // Center in parent coordinates
+    const cx =
+      transform.a * innerCenter.x + transform.c * innerCenter.y + transform.tx;
+    const cy =
+      transform.b * innerCenter.x + transform.d * innerCenter.y + transform.ty;
+
+    // R * M, with R rotating around (cx, cy) in a y-down space
+    return {
+      a: cos * transform.a - sin * transform.b,
+      b: sin * transform.a + cos * transform.b,
+      c: cos * transform.c - sin * transform.d,
+      d: sin * transform.c + cos * transform.d,
+      tx: cos * (transform.tx - cx) - sin * (transform.ty - cy) + cx,
+      ty: sin * (transform.tx - cx) + cos * (transform.ty - cy) + cy,
+    };
+  }
+
+  formatNumber(value) {
+    // InDesign writes plain decimals; avoid exponent notation and float noise
+    const rounded = Math.round(value * 1e6) / 1e6;
+    return Object.is(rounded, -0) ? "0" : String(rounded);
+  }
+
+  escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+}
+
+// ES6 exports
+export default IDMLWriter;
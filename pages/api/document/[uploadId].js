@@ -1,5 +1,5 @@
 // pages/api/document/[uploadId].js
-import { IDMLProcessor } from "../../../lib";
+import { IDMLProcessor, JobManager, UploadPaths } from "../../../lib";
 import path from "path";
 import fs from "fs";
 // ADDED: Import DataModularizer for modularized data access
@@ -15,10 +15,13 @@ export default async function handler(req, res) {
   if (!uploadId) {
     return res.status(400).json({ error: "Upload ID is required" });
   }
+  if (!UploadPaths.isValidUploadId(uploadId)) {
+    return res.status(400).json({ error: "Invalid upload ID", uploadId });
+  }
 
   try {
     // Get the upload directory
-    const uploadDir = path.join(process.cwd(), "uploads", uploadId);
+    const uploadDir = UploadPaths.getUploadDir(uploadId);
 
     // ENHANCED: Check if the directory exists with better error handling
     if (!fs.existsSync(uploadDir)) {
@@ -38,6 +41,18 @@ export default async function handler(req, res) {
     // MODULARIZED ONLY: Check for modularized data
     let modularizer = null;
 
+    // NEW: Don't process again while the upload job is still running
+    const jobs = JobManager.getShared();
+    if (!fs.existsSync(indexFile) && jobs.isActive(uploadId)) {
+      const job = jobs.getJob(uploadId);
+      return res.status(409).json({
+        error: "Document is still processing",
+        jobId: job.id,
+        status: job.status,
+        percent: job.percent,
+      });
+    }
+
     if (fs.existsSync(indexFile)) {
       modularizer = new DataModularizer(uploadDir);
     } else {
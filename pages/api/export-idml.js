@@ -0,0 +1,90 @@
+import path from "path";
+import fs from "fs";
+import IDMLWriter from "../../lib/writers/IDMLWriter.js";
+import UploadPaths from "../../lib/utils/UploadPaths.js";
+const DataModularizer = require("../../lib/utils/DataModularizer");
+
+/**
+ * Content-Disposition header for a download. Headers only take ASCII, so the
+ * name goes in twice: an ASCII fallback and the UTF-8 name (RFC 5987)
+ * @param {string} fileName - Download file name
+ * @returns {string} Header value
+ */
+const getContentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(fileName).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method Not Allowed" });
+  }
+
+  try {
+    const { uploadId, elements, stories } = req.body || {};
+    if (!uploadId) {
+      return res.status(400).json({ error: "Upload ID is required" });
+    }
+
+    const uploadDir = UploadPaths.getUploadDir(uploadId);
+    if (!uploadDir) {
+      return res.status(400).json({ error: "Invalid upload ID" });
+    }
+    if (!fs.existsSync(uploadDir)) {
+      return res.status(404).json({ error: "Upload not found" });
+    }
+
+    const idmlFile = fs
+      .readdirSync(uploadDir)
+      .find((file) => file.endsWith(".idml"));
+    if (!idmlFile) {
+      return res.status(404).json({ error: "No IDML file found in upload" });
+    }
+
+    // The modules hold the positions/text as originally parsed; the writer
+    // diffs the edits against them so untouched items stay as they were
+    const modularizer = new DataModularizer(uploadDir);
+    const originalData = {
+      elements: modularizer.loadModule("elements") || [],
+      stories: modularizer.loadModule("stories") || {},
+    };
+    const pageInfo = modularizer.loadModule("pageInfo");
+
+    const writer = new IDMLWriter({
+      documentUnits: pageInfo?.dimensions?.units || "Points",
+    });
+    const { buffer, report } = writer.write(
+      path.join(uploadDir, idmlFile),
+      originalData,
+      {
+        elements: Array.isArray(elements) ? elements : [],
+        stories: stories || {},
+      }
+    );
+
+    const exportName = `${path.basename(idmlFile, ".idml")}-edited.idml`;
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.adobe.indesign-idml-package"
+    );
+    res.setHeader("Content-Disposition", getContentDisposition(exportName));
+    res.setHeader("X-IDML-Skipped-Items", String(report.skipped.length));
+    return res.status(200).send(buffer);
+  } catch (e) {
+    console.error("export-idml error", e);
+    return res.status(500).json({ error: "Failed to write IDML" });
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "20mb",
+    },
+  },
+};
@@ -1,4 +1,5 @@
 import AdmZip from "adm-zip";
+import FileExtractor from "../../lib/extractors/FileExtractor.js";
 
 export default async function handler(req, res) {
   if (req.method !== "POST") {
@@ -11,6 +12,15 @@ export default async function handler(req, res) {
     if (!Array.isArray(files) || files.length === 0) {
       return res.status(400).json({ error: "No files provided" });
     }
+    // NEW: No entry of the ZIP may extract outside its folder
+    const unsafe = files.find(
+      (f) => f?.name && !FileExtractor.isSafeEntryName(f.name)
+    );
+    if (unsafe) {
+      return res
+        .status(400)
+        .json({ error: `Invalid file name: ${unsafe.name}` });
+    }
 
     const zip = new AdmZip();
     files.forEach((f) => {
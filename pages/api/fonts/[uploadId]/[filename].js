@@ -0,0 +1,37 @@
+// pages/api/fonts/[uploadId]/[filename].js
+import path from "path";
+import fs from "fs";
+import { UploadPaths } from "../../../../lib/index.js";
+
+const FONT_MIME_TYPES = {
+  ".otf": "font/otf",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+/**
+ * Serve a font file from the package's fonts folder (uploads/[id]/Fonts),
+ * as referenced by the @font-face rules of the documentFonts module
+ */
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { uploadId, filename } = req.query;
+  const contentType =
+    FONT_MIME_TYPES[path.extname(filename || "").toLowerCase()];
+  const fontPath = UploadPaths.resolve(uploadId, "Fonts", filename);
+  if (!fontPath || !contentType) {
+    return res.status(400).json({ error: "Invalid font request" });
+  }
+
+  if (!fs.existsSync(fontPath)) {
+    return res.status(404).json({ error: "Font not found" });
+  }
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+  fs.createReadStream(fontPath).pipe(res);
+}
@@ -1,32 +1,28 @@
 import path from "path";
 import fs from "fs";
+import { UploadPaths } from "../../../../../lib/index.js";
 
 export default function handler(req, res) {
   const { uploadId, filename } = req.query;
 
   try {
     // Try the filename as-is first
-    let imagePath = path.join(
-      process.cwd(),
-      "uploads",
-      uploadId,
-      "ExtractedImages",
-      filename
-    );
+    // Resolved safely, so "../" in the id or name can't leave the upload
+    let imagePath = UploadPaths.resolve(uploadId, "ExtractedImages", filename);
+    if (!imagePath) {
+      return res.status(400).json({ error: "Invalid image request" });
+    }
 
     // If not found, try URL-encoded version
     if (!fs.existsSync(imagePath)) {
-      const encodedFilename = encodeURIComponent(filename);
-      imagePath = path.join(
-        process.cwd(),
-        "uploads",
+      imagePath = UploadPaths.resolve(
         uploadId,
         "ExtractedImages",
-        encodedFilename
+        encodeURIComponent(filename)
       );
     }
 
-    if (!fs.existsSync(imagePath)) {
+    if (!imagePath || !fs.existsSync(imagePath)) {
       return res.status(404).json({ error: "Image not found" });
     }
 
@@ -1,17 +1,51 @@
 import path from "path";
 import fs from "fs";
+import { ImageConverter, UploadPaths } from "../../../../lib/index.js";
 
 export default function handler(req, res) {
-  const { uploadId, params = [] } = req.query;
+  const { uploadId, params = [], original, w } = req.query;
 
   // params could be ['Links', 'car.jpg'] or ['ExtractedImages', 'panda.jpg']
-  const filePath = path.join(process.cwd(), "uploads", uploadId, ...params);
+  // FIXED: Resolved safely, so "../" in the id or params can't leave the upload
+  let filePath = UploadPaths.resolve(uploadId, ...params);
+  if (!filePath) {
+    res.status(400).json({ error: "Invalid image request" });
+    return;
+  }
 
-  if (!fs.existsSync(filePath)) {
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
     res.status(404).send("Not found");
     return;
   }
 
+  // NEW: Print formats are served as their web derivative when it has been
+  // made; ?original=1 downloads the file itself
+  if (!original && ImageConverter.isConvertible(filePath)) {
+    const derivative = ImageConverter.findDerivative(filePath);
+    if (derivative) filePath = derivative.path;
+  }
+
+  // NEW: ?w= asks for the narrowest downscaled copy at least that wide;
+  // the image itself is served when there is none
+  const width = parseInt(w, 10);
+  if (!original && width > 0) {
+    const resized = ImageConverter.findResized(filePath, width);
+    if (resized) filePath = resized.path;
+  }
+
+  // NEW: Revalidate with an ETag of the served file, which changes when a
+  // derivative or copy is remade
+  const stats = fs.statSync(filePath);
+  const etag = `W/"${stats.size.toString(16)}-${Math.floor(
+    stats.mtimeMs
+  ).toString(16)}"`;
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", "public, max-age=0, must-revalidate");
+  if (req.headers["if-none-match"] === etag) {
+    res.status(304).end();
+    return;
+  }
+
   // Set content type based on file extension
   const ext = path.extname(filePath).toLowerCase();
   const mimeTypes = {
@@ -22,9 +56,16 @@ export default function handler(req, res) {
     ".bmp": "image/bmp",
     ".svg": "image/svg+xml",
     ".webp": "image/webp",
+    ".tif": "image/tiff",
+    ".tiff": "image/tiff",
+    ".psd": "image/vnd.adobe.photoshop",
+    ".eps": "application/postscript",
+    ".ai": "application/postscript",
+    ".pdf": "application/pdf",
   };
 
   res.setHeader("Content-Type", mimeTypes[ext] || "application/octet-stream");
+  res.setHeader("Content-Length", stats.size);
 
   const stream = fs.createReadStream(filePath);
   stream.pipe(res);
@@ -0,0 +1,75 @@
+// pages/api/jobs/[id].js
+import { JobManager, UploadPaths } from "../../../lib/index.js";
+
+const HEARTBEAT_INTERVAL = 15000;
+const FINISHED_STATUSES = ["completed", "failed"];
+
+/**
+ * Job status. Answers with the job as JSON, or as a Server-Sent Events
+ * stream when called with ?stream=1 (or from an EventSource): a "progress"
+ * event for every update, then "completed" or "failed" and the stream ends.
+ */
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { id, stream } = req.query;
+  if (!UploadPaths.isValidUploadId(id)) {
+    return res.status(400).json({ error: "Invalid job ID" });
+  }
+
+  const jobs = JobManager.getShared();
+  const job = jobs.getJob(id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found", jobId: id });
+  }
+
+  const wantsStream =
+    stream === "1" || (req.headers.accept || "").includes("text/event-stream");
+  if (!wantsStream) {
+    return res.status(200).json(job);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+  const send = (snapshot) => {
+    const event = FINISHED_STATUSES.includes(snapshot.status)
+      ? snapshot.status
+      : "progress";
+    res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    // Push through compression middleware, if any
+    if (typeof res.flush === "function") res.flush();
+    if (event !== "progress") close();
+  };
+
+  // Current state first, then live updates while the job runs here
+  send(job);
+  if (FINISHED_STATUSES.includes(job.status)) return;
+
+  unsubscribe = jobs.subscribe(id, send);
+  heartbeat = setInterval(
+    () => res.write(": keep-alive\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+  req.on("close", close);
+}
+
+export const config = {
+  api: {
+    // The event stream stays open until the job finishes
+    responseLimit: false,
+  },
+};
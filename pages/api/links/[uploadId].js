@@ -0,0 +1,232 @@
+// pages/api/links/[uploadId].js
+import multer from "multer";
+import path from "path";
+import fs from "fs";
+import {
+  ImageProcessor,
+  IDMLUtils,
+  JobManager,
+  DiagnosticsCollector,
+  UploadPaths,
+} from "../../../lib/index.js";
+const DataModularizer = require("../../../lib/utils/DataModularizer");
+
+// Replacements are written under a temporary name until the link is known
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(req.linksFolder, { recursive: true });
+      cb(null, req.linksFolder);
+    },
+    filename: (req, file, cb) => {
+      cb(
+        null,
+        `.relink-${Date.now()}-${UploadPaths.sanitizeFileName(
+          file.originalname
+        )}`
+      );
+    },
+  }),
+  fileFilter: (req, file, cb) => {
+    const fileName = UploadPaths.sanitizeFileName(file.originalname);
+    cb(null, Boolean(fileName) && IDMLUtils.isImageFile(fileName));
+  },
+  limits: { files: 1, fileSize: UploadPaths.MAX_FILE_SIZE },
+});
+
+function runMiddleware(req, res, fn) {
+  return new Promise((resolve, reject) => {
+    fn(req, res, (result) => {
+      if (result instanceof Error) {
+        return reject(result);
+      }
+      return resolve(result);
+    });
+  });
+}
+
+/**
+ * Get a name for a file in a folder that no other file has yet: the name
+ * itself, or the name with -1, -2, ... before its extension
+ * @param {string} folder - Folder the file goes in
+ * @param {string} fileName - Wanted file name
+ * @returns {string} Free file name
+ */
+function getFreeFileName(folder, fileName) {
+  const extension = path.extname(fileName);
+  const baseName = path.basename(fileName, extension);
+  let candidate = fileName;
+  for (let index = 1; fs.existsSync(path.join(folder, candidate)); index++) {
+    candidate = `${baseName}-${index}${extension}`;
+  }
+  return candidate;
+}
+
+/**
+ * Keep the diagnostics of a document, minus the missing-link reports of
+ * relinked page items, plus what relinking reported
+ * @param {Object|null} report - Saved diagnostics module
+ * @param {Set} relinked - Self ids of the relinked page items
+ * @param {DiagnosticsCollector} diagnostics - Collector used to relink
+ * @returns {Object} New diagnostics report
+ */
+function mergeDiagnostics(report, relinked, diagnostics) {
+  const merged = new DiagnosticsCollector();
+  (report?.items || [])
+    .filter(
+      (item) =>
+        item.category !== DiagnosticsCollector.CATEGORIES.MISSING_LINK ||
+        !relinked.has(item.source?.self)
+    )
+    .forEach((item) => {
+      merged.report(item).occurrences = item.occurrences;
+    });
+  diagnostics.getReport().items.forEach((item) => merged.report(item));
+  return merged.getReport();
+}
+
+/**
+ * Links report of a processed document (GET), and relinking (POST): a
+ * replacement file ("file") for one link ("linkId" from the report) is
+ * saved to the Links folder and the page items using that link are linked
+ * again, without processing the document again. Relinks of one document run
+ * one at a time through the shared JobManager
+ */
+export default async function handler(req, res) {
+  if (!["GET", "POST"].includes(req.method)) {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { uploadId } = req.query;
+  const uploadDir = UploadPaths.getUploadDir(uploadId);
+  if (!uploadDir) {
+    return res.status(400).json({ error: "Invalid upload ID" });
+  }
+
+  const jobs = JobManager.getShared();
+  if (jobs.isActive(uploadId)) {
+    return res.status(409).json({ error: "Document is still processing" });
+  }
+  if (!fs.existsSync(path.join(uploadDir, "modules", "index.json"))) {
+    return res.status(404).json({ error: "Document not found", uploadId });
+  }
+
+  const modularizer = new DataModularizer(uploadDir);
+  const loadDocumentData = () => ({
+    elements: modularizer.loadModule("elements") || [],
+    stories: modularizer.loadModule("stories") || {},
+  });
+
+  if (req.method === "GET") {
+    const documentData = loadDocumentData();
+    // Documents processed before the links module existed get one now
+    const links =
+      modularizer.loadModule("links") ||
+      new ImageProcessor(null).buildLinksReport(documentData);
+    return res.status(200).json(links);
+  }
+
+  let tempPath = null;
+  try {
+    req.linksFolder = path.join(uploadDir, "Links");
+    await runMiddleware(req, res, upload.single("file"));
+    tempPath = req.file?.path || null;
+
+    const linkId = req.body?.linkId;
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: "A replacement image file is required" });
+    }
+    if (!linkId) {
+      return res.status(400).json({ error: "linkId is required" });
+    }
+
+    // Two relinks must not both load and save elements.json
+    return await jobs.runExclusive(uploadId, async () => {
+      const documentData = loadDocumentData();
+      const diagnostics = new DiagnosticsCollector();
+      const imageProcessor = new ImageProcessor(null, diagnostics);
+      const hasLink = imageProcessor
+        .getPlacedItems(documentData)
+        .some((item) => imageProcessor.getLinkId(item) === linkId);
+      if (!hasLink) {
+        return res.status(404).json({ error: "Link not found", linkId });
+      }
+
+      // The replacement takes its own name in the Links folder, made unique
+      // so it never replaces a file another link uses
+      const fileName = getFreeFileName(
+        req.linksFolder,
+        UploadPaths.sanitizeFileName(req.file.originalname)
+      );
+      fs.renameSync(tempPath, path.join(req.linksFolder, fileName));
+      tempPath = null;
+
+      const relinkedItems = await imageProcessor.relink(
+        documentData,
+        linkId,
+        fileName,
+        {
+          uploadId,
+          uploadDir,
+          linksFolder: req.linksFolder,
+          resourceMap: new Map(),
+        },
+        modularizer.loadModule("extractedImages") || []
+      );
+
+      // Save the relinked items, including their copies in elementsByPage
+      const relinked = new Map(
+        relinkedItems.map((item) => [item.self || item.id, item])
+      );
+      const elementsByPage = modularizer.loadModule("elementsByPage");
+      if (elementsByPage) {
+        Object.keys(elementsByPage).forEach((pageId) => {
+          elementsByPage[pageId] = elementsByPage[pageId].map(
+            (element) => relinked.get(element.self || element.id) || element
+          );
+        });
+        modularizer.updateModule("elementsByPage.json", elementsByPage);
+      }
+      modularizer.updateModule("elements.json", documentData.elements);
+      modularizer.updateModule("stories.json", documentData.stories);
+
+      const links = imageProcessor.buildLinksReport(documentData);
+      modularizer.updateModule("links.json", links);
+      modularizer.updateModule(
+        "diagnostics.json",
+        mergeDiagnostics(
+          modularizer.loadModule("diagnostics"),
+          new Set(relinked.keys()),
+          diagnostics
+        )
+      );
+
+      return res.status(200).json({
+        success: true,
+        linkId,
+        fileName,
+        relinkedItems: [...relinked.keys()],
+        link: links.links.find((link) => link.id === linkId) || null,
+        summary: links.summary,
+      });
+    });
+  } catch (error) {
+    if (error instanceof multer.MulterError) {
+      return res
+        .status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400)
+        .json({ error: `Invalid upload: ${error.message}` });
+    }
+    console.error("❌ Relink error:", error);
+    return res.status(500).json({ error: error.message });
+  } finally {
+    if (tempPath && fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+  }
+}
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,165 @@
+// pages/api/render/[uploadId]/[page].js
+import path from "path";
+import fs from "fs";
+import {
+  FontMetrics,
+  FontProcessor,
+  JobManager,
+  StaticPageRenderer,
+  UploadPaths,
+} from "../../../../lib/index.js";
+const DataModularizer = require("../../../../lib/utils/DataModularizer");
+
+const IMAGE_MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".bmp": "image/bmp",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+};
+
+/**
+ * Find a page by its 1-based number in the document or by its Self id or
+ * name
+ * @param {Array} pages - Document pages
+ * @param {string} pageParam - Page part of the URL, without ".svg"
+ * @returns {number} Page index, or -1 when there is no such page
+ */
+const findPageIndex = (pages, pageParam) => {
+  if (/^\d+$/.test(pageParam)) {
+    const index = parseInt(pageParam, 10) - 1;
+    return index < pages.length ? index : -1;
+  }
+  return pages.findIndex(
+    (page) => page.self === pageParam || String(page.name) === pageParam
+  );
+};
+
+/**
+ * Path of a linked image inside the upload, from its /api/image URL
+ * @param {Object} element - Page item with linkedImage
+ * @param {string} uploadId - Upload id
+ * @returns {string|null} File path, or null when outside the upload
+ */
+const getImagePath = (element, uploadId) => {
+  const match = /^\/api\/image\/[^/]+\/(.+)$/.exec(
+    element.linkedImage?.url || ""
+  );
+  if (!match) return null;
+
+  return UploadPaths.resolve(
+    uploadId,
+    ...match[1].split("/").map(decodeURIComponent)
+  );
+};
+
+/**
+ * Origin that image and font URLs in rendered SVGs start with, from
+ * IDML_PUBLIC_ORIGIN (e.g. https://idml.example.com). Request headers such
+ * as Host are not used: the client controls them
+ * @returns {string} The origin, or "" for URLs relative to this server
+ */
+const getPublicOrigin = () => {
+  const configured = process.env.IDML_PUBLIC_ORIGIN;
+  if (!configured) return "";
+  try {
+    const { origin, protocol } = new URL(configured);
+    return protocol === "http:" || protocol === "https:" ? origin : "";
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Render a page of an upload as a standalone SVG, e.g.
+ * /api/render/[uploadId]/1.svg. Images and fonts are referenced by URL on
+ * this server (absolute when IDML_PUBLIC_ORIGIN is set); ?images=inline
+ * embeds the images as data URIs instead
+ */
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { uploadId, page: pageFile, images } = req.query;
+  const pageMatch = /^(.+)\.svg$/i.exec(pageFile || "");
+  const uploadDir = UploadPaths.getUploadDir(uploadId);
+  if (!uploadDir || !pageMatch) {
+    return res.status(400).json({ error: "Invalid render request" });
+  }
+
+  if (!fs.existsSync(uploadDir)) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+
+  const indexFile = path.join(uploadDir, "modules", "index.json");
+  if (!fs.existsSync(indexFile)) {
+    const jobs = JobManager.getShared();
+    if (jobs.isActive(uploadId)) {
+      const job = jobs.getJob(uploadId);
+      return res.status(409).json({
+        error: "Document is still processing",
+        jobId: job.id,
+        status: job.status,
+        percent: job.percent,
+      });
+    }
+    return res.status(404).json({ error: "Document data not found" });
+  }
+
+  try {
+    const documentData = new DataModularizer(uploadDir).loadAllModules();
+    const origin = getPublicOrigin();
+    const inlineImages = images === "inline";
+
+    // Fonts load from this server; with a public origin the SVG also works
+    // when embedded elsewhere
+    const faces = documentData.documentFonts?.faces || [];
+    const renderer = new StaticPageRenderer(documentData, {
+      fontMetrics: FontMetrics.fromDocumentFonts(
+        documentData.documentFonts,
+        path.join(uploadDir, "Fonts")
+      ),
+      styles: faces
+        .map((face) =>
+          FontProcessor.buildFontFaceRule({ ...face, url: origin + face.url })
+        )
+        .join("\n"),
+      resolveImageHref: (element) => {
+        if (!inlineImages) {
+          return element.linkedImage?.url
+            ? origin + element.linkedImage.url
+            : null;
+        }
+
+        const imagePath = getImagePath(element, uploadId);
+        const mimeType =
+          imagePath && IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()];
+        if (!mimeType || !fs.existsSync(imagePath)) return null;
+        return `data:${mimeType};base64,${fs
+          .readFileSync(imagePath)
+          .toString("base64")}`;
+      },
+    });
+
+    const pages = renderer.getPages();
+    const pageIndex = findPageIndex(pages, pageMatch[1]);
+    if (pageIndex < 0) {
+      return res.status(404).json({ error: "Page not found" });
+    }
+
+    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache");
+    return res
+      .status(200)
+      .send(renderer.renderPageSVG(pages[pageIndex], pageIndex));
+  } catch (error) {
+    console.error("❌ Error rendering page:", error);
+    return res.status(500).json({
+      error: "Failed to render page",
+      details: error.message,
+    });
+  }
+}
@@ -0,0 +1,31 @@
+// pages/api/thumbnails/[uploadId]/[filename].js
+import fs from "fs";
+import { UploadPaths } from "../../../../lib/index.js";
+
+/**
+ * Serve a page or spread thumbnail from uploads/[id]/thumbnails, as listed
+ * in the thumbnails module. Their URLs carry the IDML hash (?v=), so a new
+ * version of the file gets new URLs and the old ones can be cached forever
+ */
+export default function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { uploadId, filename } = req.query;
+  const thumbnailPath = UploadPaths.resolve(uploadId, "thumbnails", filename);
+  if (!thumbnailPath || !/^(page|spread)-\d+\.svg$/.test(filename)) {
+    return res.status(400).json({ error: "Invalid thumbnail request" });
+  }
+
+  if (!fs.existsSync(thumbnailPath)) {
+    return res.status(404).json({ error: "Thumbnail not found" });
+  }
+
+  res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+  res.setHeader(
+    "Cache-Control",
+    req.query.v ? "public, max-age=31536000, immutable" : "no-cache"
+  );
+  fs.createReadStream(thumbnailPath).pipe(res);
+}
@@ -1,25 +1,90 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 
+const PHASE_COLORS = {
+  pending: '#ccc',
+  running: '#007bff',
+  done: '#28a745',
+  failed: '#dc3545'
+};
+
 export default function Home() {
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState('');
+  const [job, setJob] = useState(null);
+  const eventSourceRef = useRef(null);
   const router = useRouter();
 
+  // Close the event stream when leaving the page
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  const handleJobUpdate = (snapshot) => {
+    setJob(snapshot);
+
+    if (snapshot.status === 'completed') {
+      eventSourceRef.current?.close();
+      router.push(`/view/${snapshot.id}`);
+    } else if (snapshot.status === 'failed') {
+      eventSourceRef.current?.close();
+      const phase = snapshot.error?.phase ? ` (${snapshot.error.phase})` : '';
+      setError(`Processing failed${phase}: ${snapshot.error?.message}`);
+      setUploading(false);
+    }
+  };
+
+  // Poll the job when the event stream is not available
+  const pollJob = async (statusUrl) => {
+    try {
+      const response = await fetch(statusUrl);
+      const snapshot = await response.json();
+      if (!response.ok) throw new Error(snapshot.error);
+
+      handleJobUpdate(snapshot);
+      if (snapshot.status === 'queued' || snapshot.status === 'running') {
+        setTimeout(() => pollJob(statusUrl), 1000);
+      }
+    } catch (pollError) {
+      setError('Could not get processing status: ' + pollError.message);
+      setUploading(false);
+    }
+  };
+
+  const followJob = (result) => {
+    if (typeof EventSource === 'undefined') {
+      pollJob(result.statusUrl);
+      return;
+    }
+
+    const eventSource = new EventSource(result.eventsUrl);
+    eventSourceRef.current = eventSource;
+    const onEvent = (event) => handleJobUpdate(JSON.parse(event.data));
+
+    eventSource.addEventListener('progress', onEvent);
+    eventSource.addEventListener('completed', onEvent);
+    eventSource.addEventListener('failed', onEvent);
+    eventSource.onerror = () => {
+      // The stream closes after the last event; otherwise fall back
+      if (eventSource.readyState === EventSource.CLOSED) return;
+      eventSource.close();
+      pollJob(result.statusUrl);
+    };
+  };
+
   const handleUpload = async (event) => {
     event.preventDefault();
     setUploading(true);
     setError('');
+    setJob(null);
 
     const formData = new FormData();
     const files = event.target.files.files;
-    
+
     if (!files || files.length === 0) {
       setError('Please select files');
       setUploading(false);
       return;
     }
-    
+
     for (let i = 0; i < files.length; i++) {
       formData.append('files', files[i]);
     }
@@ -31,15 +96,15 @@ export default function Home() {
       });
 
       const result = await response.json();
-      
+
       if (result.success) {
-        router.push(`/view/${result.uploadId}`);
+        followJob(result);
       } else {
         setError('Upload failed: ' + result.error);
+        setUploading(false);
       }
     } catch (error) {
       setError('Upload failed: ' + error.message);
-    } finally {
       setUploading(false);
     }
   };
@@ -47,19 +112,19 @@ export default function Home() {
   return (
     <div style={{ padding: '20px', maxWidth: '600px', margin: '0 auto' }}>
       <h1>IDML Document Viewer</h1>
-      
+
       {error && (
-        <div style={{ 
-          color: 'red', 
-          backgroundColor: '#ffebee', 
-          padding: '10px', 
+        <div style={{
+          color: 'red',
+          backgroundColor: '#ffebee',
+          padding: '10px',
           borderRadius: '4px',
           marginBottom: '20px'
         }}>
           {error}
         </div>
       )}
-      
+
       <form onSubmit={handleUpload}>
         <div style={{ marginBottom: '20px' }}>
           <label htmlFor="files">Select IDML package files:</label>
@@ -76,9 +141,9 @@ export default function Home() {
             Select the folder containing your IDML file and assets
           </small>
         </div>
-        
-        <button 
-          type="submit" 
+
+        <button
+          type="submit"
           disabled={uploading}
           style={{
             padding: '12px 24px',
@@ -93,6 +158,51 @@ export default function Home() {
           {uploading ? 'Processing...' : 'Upload and Process IDML'}
         </button>
       </form>
+
+      {job && (
+        <div style={{ marginTop: '20px' }}>
+          <div style={{ marginBottom: '8px' }}>
+            {job.status === 'queued'
+              ? 'Waiting for a free worker...'
+              : `${job.status === 'completed' ? 'Done' : 'Processing'}: ${job.percent}%`}
+          </div>
+          <div style={{
+            height: '8px',
+            backgroundColor: '#eee',
+            borderRadius: '4px',
+            overflow: 'hidden',
+            marginBottom: '12px'
+          }}>
+            <div style={{
+              width: `${job.percent}%`,
+              height: '100%',
+              backgroundColor: job.status === 'failed' ? '#dc3545' : '#007bff',
+              transition: 'width 0.3s'
+            }} />
+          </div>
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+            {job.phases.map((phase) => (
+              <li
+                key={phase.id}
+                style={{ color: PHASE_COLORS[phase.status], padding: '2px 0' }}
+              >
+                {phase.status === 'done' ? '✓' : phase.status === 'failed' ? '✗' : '•'}{' '}
+                {phase.label}
+                {phase.status === 'running' && phase.progress > 0
+                  ? ` (${Math.round(phase.progress * 100)}%)`
+                  : ''}
+              </li>
+            ))}
+          </ul>
+          {job.warnings.length > 0 && (
+            <ul style={{ color: '#8a6d3b', fontSize: '14px' }}>
+              {job.warnings.map((warning, index) => (
+                <li key={index}>{warning.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -11,6 +11,8 @@ import React from "react"; // Added missing import for React.Fragment
 import { ColorUtils, InDesignTextMetrics } from "../../lib/index.js";
 import styles from "../../styles/editor.module.css";
 import SideEditorPanel from "../../components/SideEditorPanel";
+import DiagnosticsPanel from "../../components/DiagnosticsPanel";
+import Filmstrip from "../../components/Filmstrip";
 
 // Import extracted modules
 import {
@@ -33,9 +35,27 @@ import {
   renderFormattedText,
   getStoryStyles,
   getInDesignAccurateFormatting,
+  getThreadedFrameStory,
+  getTextWrapObstacles,
+  renderTextWrapFloats,
 
   // Rendering
   getPagesArray,
+  getFrameCornerRadius,
+  getFrameStroke,
+  getFrameEffectStyles,
+  isVectorShape,
+  renderVectorShape,
+  getVectorClipPath,
+  renderPlacedImage,
+  getMasterElementsForPage,
+  substitutePageNumbers,
+  getSpreadsArray,
+  getSpreadIndexForPage,
+  getSpreadLayout,
+  getSpreadElements,
+  getProofLayout,
+  renderPrinterMarks,
   renderPageTabs,
   renderPagePreview,
 
@@ -247,6 +267,14 @@ export default function Viewer() {
   const pageCanvasRef = useRef(null);
   const [fitNonce, setFitNonce] = useState(0);
   const [showSidebar, setShowSidebar] = useState(true);
+  const [showDiagnostics, setShowDiagnostics] = useState(false); // NEW
+  const [showFilmstrip, setShowFilmstrip] = useState(true); // NEW
+  // NEW: "page" shows one page, "spread" all pages of its spread
+  const [viewMode, setViewMode] = useState("page");
+  // NEW: How far past the trim the spread canvas reaches: trim, bleed, slug
+  const [spreadExtent, setSpreadExtent] = useState("trim");
+  // NEW: Proof shows bleed, slug, trim box and printer's marks
+  const [proofMode, setProofMode] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
 
   // Drag/resize state and helpers
@@ -257,6 +285,8 @@ export default function Viewer() {
     startMouseX: 0,
     startMouseY: 0,
     startPos: { x: 0, y: 0, width: 0, height: 0 },
+    // NEW: Spread canvas → document coordinates (see toSpreadElement)
+    shift: { x: 0, y: 0 },
     pageWidth: 0,
     pageHeight: 0,
     scale: 1,
@@ -375,6 +405,7 @@ export default function Viewer() {
         width: elementPosition.width,
         height: elementPosition.height,
       };
+      dragRef.current.shift = element.spreadShift || { x: 0, y: 0 };
       dragRef.current.pageWidth = pageWidth;
       dragRef.current.pageHeight = pageHeight;
       dragRef.current.scale = scale || 1;
@@ -403,8 +434,8 @@ export default function Viewer() {
         );
 
         applyPixelPositionUpdate(dragRef.current.elementId, {
-          x: newX,
-          y: newY,
+          x: newX + dragRef.current.shift.x,
+          y: newY + dragRef.current.shift.y,
         });
       };
 
@@ -437,6 +468,7 @@ export default function Viewer() {
         width: elementPosition.width,
         height: elementPosition.height,
       };
+      dragRef.current.shift = element.spreadShift || { x: 0, y: 0 };
       dragRef.current.pageWidth = pageWidth;
       dragRef.current.pageHeight = pageHeight;
       dragRef.current.scale = scale || 1;
@@ -599,8 +631,8 @@ export default function Viewer() {
         y = Math.max(0, Math.min(y, pageH - height));
 
         applyPixelPositionUpdate(dragRef.current.elementId, {
-          x,
-          y,
+          x: x + dragRef.current.shift.x,
+          y: y + dragRef.current.shift.y,
           width,
           height,
         });
@@ -837,6 +869,44 @@ export default function Viewer() {
     wrapAsStandaloneHtml,
   ]);
 
+  // Export the edited document back to IDML (server-side writer patches the original package)
+  const exportAsIDML = useCallback(async () => {
+    if (!documentData || !uploadId) return;
+
+    const elements = (documentData.elements || [])
+      .filter((el) => el && el.pixelPosition)
+      .map((el) => ({
+        id: el.self || el.id,
+        pixelPosition: el.pixelPosition,
+      }));
+    const stories = Object.fromEntries(
+      Object.entries(documentData.stories || {}).map(([storyId, story]) => [
+        storyId,
+        { text: story?.text ?? "" },
+      ])
+    );
+
+    try {
+      const res = await fetch("/api/export-idml", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ uploadId, elements, stories }),
+      });
+      if (!res.ok) throw new Error("IDML export failed");
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${documentData.document?.name || "document"}-edited.idml`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error("IDML export error:", e);
+    }
+  }, [documentData, uploadId]);
+
   // Background color override controls
   const backgroundModes = [
     { value: "auto", label: "Auto Detect" },
@@ -855,6 +925,8 @@ export default function Viewer() {
     extractTextDecorations,
     ensureTextContrast: (textColor, backgroundColor) =>
       ColorUtils.ensureTextContrast(textColor, backgroundColor),
+    // NEW: Stories of anchored text frames
+    getStory: (storyId) => documentData?.stories?.[storyId],
   };
 
   // Centralized function to get elements for a specific page
@@ -966,6 +1038,21 @@ export default function Viewer() {
     return [];
   }, []);
 
+  // NEW: Jump to the page holding the item a diagnostic points at and select it
+  const selectDiagnosticItem = useCallback(
+    (self) => {
+      const pageIndex = getPagesArray(documentData).findIndex((page) =>
+        getElementsForPage(page.self, documentData).some(
+          (el) => (el.self || el.id) === self
+        )
+      );
+      if (pageIndex < 0) return;
+      setCurrentPageIndex(pageIndex);
+      setSelectedElementId(self);
+    },
+    [documentData, getElementsForPage, setCurrentPageIndex]
+  );
+
   useEffect(() => {
     if (uploadId) {
       loadDocument();
@@ -991,20 +1078,31 @@ export default function Viewer() {
       )
         return;
 
-      if (e.key === "ArrowRight" || e.key === "ArrowDown") {
-        // Next page
+      const step =
+        e.key === "ArrowRight" || e.key === "ArrowDown"
+          ? 1
+          : e.key === "ArrowLeft" || e.key === "ArrowUp"
+          ? -1
+          : 0;
+      if (!step) return;
+
+      if (viewMode === "spread") {
+        // NEW: Spread mode steps to the first page of the next spread
+        const spreads = getSpreadsArray(documentData);
+        setCurrentPageIndex((prev) => {
+          const target = spreads[getSpreadIndexForPage(spreads, prev) + step];
+          return target ? target.pages[0].pageIndex : prev;
+        });
+      } else {
         setCurrentPageIndex((prev) =>
-          prev < documentData.pages.length - 1 ? prev + 1 : prev
+          Math.min(Math.max(prev + step, 0), documentData.pages.length - 1)
         );
-      } else if (e.key === "ArrowLeft" || e.key === "ArrowUp") {
-        // Previous page
-        setCurrentPageIndex((prev) => (prev > 0 ? prev - 1 : prev));
       }
     };
 
     window.addEventListener("keydown", handleKeyDown);
     return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [documentData]);
+  }, [documentData, viewMode]);
 
   if (loading) {
     return (
@@ -1021,6 +1119,38 @@ export default function Viewer() {
       </div>
     );
   }
+  // NEW: Sidebar previews use the thumbnails rendered during processing,
+  // falling back to drawing the page
+  const renderSidebarPreview = (page) => {
+    const thumbnail = documentData.thumbnails?.pages?.find(
+      (pageThumbnail) => pageThumbnail.pageId === page.self
+    );
+    if (!thumbnail) {
+      return renderPagePreview(
+        page,
+        documentData,
+        getElementsForPage,
+        utils,
+        backgroundConfig,
+        importedGetPageBackgroundColor,
+        importedGetDocumentBackgroundColor
+      );
+    }
+    return (
+      <img
+        src={thumbnail.url}
+        alt={`Page ${thumbnail.name}`}
+        loading="lazy"
+        style={{
+          display: "block",
+          width: "100%",
+          height: "auto",
+          boxShadow: "0 1px 3px rgba(0,0,0,0.2)",
+        }}
+      />
+    );
+  };
+
   return (
     <div style={{ display: "flex", height: "100vh" }}>
       {/* Main Content Area with Multi-page Support */}
@@ -1032,6 +1162,10 @@ export default function Viewer() {
           height: "100%",
         }}
       >
+        {/* NEW: @font-face rules for the fonts shipped in the package */}
+        {documentData.documentFonts?.css && (
+          <style>{documentData.documentFonts.css}</style>
+        )}
         {/* Controls Bar */}
         <div
           style={{
@@ -1116,7 +1250,123 @@ export default function Viewer() {
           >
             Export All → ZIP
           </button>
+          <button
+            onClick={exportAsIDML}
+            title="Download the edited document as an IDML package"
+            style={{
+              height: 28,
+              padding: "0 10px",
+              border: "1px solid #d1d5db",
+              background: "white",
+              borderRadius: 6,
+              cursor: "pointer",
+              fontSize: 13,
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            Export IDML
+          </button>
+          <button
+            onClick={() => setShowDiagnostics((v) => !v)}
+            title="Show what was skipped or approximated while parsing"
+            style={{
+              height: 28,
+              padding: "0 10px",
+              border: "1px solid #d1d5db",
+              background: showDiagnostics ? "#eef2ff" : "white",
+              borderRadius: 6,
+              cursor: "pointer",
+              fontSize: 13,
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            Diagnostics ({documentData.diagnostics?.summary?.total || 0})
+          </button>
+          {documentData.thumbnails && (
+            <button
+              onClick={() => setShowFilmstrip((v) => !v)}
+              title="Show the page and spread thumbnails along the bottom"
+              style={{
+                height: 28,
+                padding: "0 10px",
+                border: "1px solid #d1d5db",
+                background: showFilmstrip ? "#eef2ff" : "white",
+                borderRadius: 6,
+                cursor: "pointer",
+                fontSize: 13,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+              }}
+            >
+              Filmstrip
+            </button>
+          )}
+          {/* NEW: Page or spread view, and what shows around a spread */}
+          <select
+            value={viewMode}
+            onChange={(e) => setViewMode(e.target.value)}
+            title="Show single pages or whole spreads"
+            style={{
+              height: 28,
+              padding: "0 6px",
+              border: "1px solid #d1d5db",
+              background: "white",
+              borderRadius: 6,
+              fontSize: 13,
+            }}
+          >
+            <option value="page">Page</option>
+            <option value="spread">Spread</option>
+          </select>
+          {viewMode === "spread" && !proofMode && (
+            <select
+              value={spreadExtent}
+              onChange={(e) => setSpreadExtent(e.target.value)}
+              title="Show the bleed and slug areas around the spread"
+              style={{
+                height: 28,
+                padding: "0 6px",
+                border: "1px solid #d1d5db",
+                background: "white",
+                borderRadius: 6,
+                fontSize: 13,
+              }}
+            >
+              <option value="trim">Trim</option>
+              <option value="bleed">+ Bleed</option>
+              <option value="slug">+ Bleed & slug</option>
+            </select>
+          )}
+          <button
+            onClick={() => setProofMode((v) => !v)}
+            title="Proof with bleed, slug, trim box and printer's marks"
+            style={{
+              height: 28,
+              padding: "0 10px",
+              border: "1px solid #d1d5db",
+              background: proofMode ? "#eef2ff" : "white",
+              borderRadius: 6,
+              cursor: "pointer",
+              fontSize: 13,
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+            }}
+          >
+            Proof
+          </button>
         </div>
+        <DiagnosticsPanel
+          isOpen={showDiagnostics}
+          diagnostics={documentData.diagnostics}
+          onSelectItem={selectDiagnosticItem}
+          onClose={() => setShowDiagnostics(false)}
+        />
         {/* Enhanced Canvas with Single Page Display */}
         <div
           ref={scrollContainerRef}
@@ -1186,15 +1436,7 @@ export default function Viewer() {
                             : "none",
                       }}
                     >
-                      {renderPagePreview(
-                        page,
-                        documentData,
-                        getElementsForPage,
-                        utils,
-                        backgroundConfig,
-                        importedGetPageBackgroundColor,
-                        importedGetDocumentBackgroundColor
-                      )}
+                      {renderSidebarPreview(page)}
                       <div
                         style={{
                           marginTop: 6,
@@ -1244,15 +1486,7 @@ export default function Viewer() {
                           : "none",
                     }}
                   >
-                    {renderPagePreview(
-                      page,
-                      documentData,
-                      getElementsForPage,
-                      utils,
-                      backgroundConfig,
-                      importedGetPageBackgroundColor,
-                      importedGetDocumentBackgroundColor
-                    )}
+                    {renderSidebarPreview(page)}
                     <div
                       style={{
                         marginTop: 6,
@@ -1283,11 +1517,46 @@ export default function Viewer() {
               return <div>No page data available</div>;
             }
 
+            // NEW: Spread mode draws every page of the spread on one canvas,
+            // in spread coordinates. Proof mode lays out the page or spread
+            // the same way, with bleed, slug and room for printer's marks
+            const spreadLayout = (() => {
+              const spreads = getSpreadsArray(documentData);
+              const spread =
+                spreads[getSpreadIndexForPage(spreads, currentPageIndex)];
+              if (!spread) return null;
+              if (proofMode) {
+                return getProofLayout(
+                  viewMode === "spread"
+                    ? spread
+                    : {
+                        spreadId: currentPage.self,
+                        pages: [
+                          { page: currentPage, pageIndex: currentPageIndex },
+                        ],
+                      },
+                  documentData
+                );
+              }
+              return viewMode === "spread"
+                ? getSpreadLayout(spread, documentData, {
+                    showBleed: spreadExtent !== "trim",
+                    showSlug: spreadExtent === "slug",
+                  })
+                : null;
+            })();
+            const spreadElements = spreadLayout
+              ? getSpreadElements(
+                  spreadLayout,
+                  documentData,
+                  getElementsForPage
+                )
+              : null;
+
             // Get elements for the current page using centralized function
-            const pageElementsForRendering = getElementsForPage(
-              currentPage.self,
-              documentData
-            );
+            const pageElementsForRendering = spreadElements
+              ? spreadElements.elements
+              : getElementsForPage(currentPage.self, documentData);
 
             // Sort elements by size (largest first, smallest last) so smaller elements render on top
             const sortedElements = [...pageElementsForRendering].sort(
@@ -1299,6 +1568,28 @@ export default function Viewer() {
               }
             );
 
+            // NEW: Master page items are drawn underneath the page's own items
+            const masterElements = spreadElements
+              ? spreadElements.masterElements
+              : getMasterElementsForPage(currentPage, documentData);
+            const renderedElements = [...masterElements, ...sortedElements];
+
+            // NEW: Document order is the stacking order used by text wrap
+            const documentOrder = new Map(
+              (documentData.elements || []).map((el, order) => [
+                el.self || el.id,
+                order,
+              ])
+            );
+            const stackingElements = [
+              ...masterElements,
+              ...[...pageElementsForRendering].sort(
+                (a, b) =>
+                  (documentOrder.get(a.self || a.id) ?? 0) -
+                  (documentOrder.get(b.self || b.id) ?? 0)
+              ),
+            ];
+
             // Build a stable id->element map for this render
             const pageElementById = Object.fromEntries(
               sortedElements.map((el) => [el.self || el.id, el])
@@ -1312,12 +1603,16 @@ export default function Viewer() {
               // Page elements with linked images analysis completed
             }
 
-            const pageWidthPx = currentPage.geometricBounds
+            const pageWidthPx = spreadLayout
+              ? spreadLayout.width
+              : currentPage.geometricBounds
               ? currentPage.geometricBounds.width
               : documentData.pageInfo?.dimensions?.pixelDimensions?.width ||
                 documentData.pageInfo?.dimensions?.width ||
                 612;
-            const pageHeightPx = currentPage.geometricBounds
+            const pageHeightPx = spreadLayout
+              ? spreadLayout.height
+              : currentPage.geometricBounds
               ? currentPage.geometricBounds.height
               : documentData.pageInfo?.dimensions?.pixelDimensions?.height ||
                 documentData.pageInfo?.dimensions?.height ||
@@ -1372,7 +1667,7 @@ export default function Viewer() {
 
             return (
               <div
-                key={currentPage.self}
+                key={spreadLayout ? spreadLayout.spreadId : currentPage.self}
                 id={`page-${currentPageIndex + 1}`}
                 ref={pageWrapperRef}
                 style={{
@@ -1435,24 +1730,97 @@ export default function Viewer() {
                         documentData.pageInfo.margins.bottom ||
                         0;
 
-                      return (
+                      // NEW: In spread mode each page gets its margins
+                      const pageBoxes = spreadLayout
+                        ? spreadLayout.pages
+                        : [
+                            {
+                              x: 0,
+                              y: 0,
+                              width: pageWidthPx,
+                              height: pageHeightPx,
+                            },
+                          ];
+
+                      return pageBoxes.map((box, boxIndex) => (
                         <div
+                          key={`margins-${boxIndex}`}
                           style={{
                             position: "absolute",
-                            top: visualMarginTop + "px",
-                            left: visualMarginLeft + "px",
-                            right: visualMarginRight + "px",
-                            bottom: visualMarginBottom + "px",
+                            top: box.y + visualMarginTop + "px",
+                            left: box.x + visualMarginLeft + "px",
+                            width:
+                              box.width -
+                              visualMarginLeft -
+                              visualMarginRight +
+                              "px",
+                            height:
+                              box.height -
+                              visualMarginTop -
+                              visualMarginBottom +
+                              "px",
                             border: "3px dashed rgba(255, 0, 0, 0.4)",
                             pointerEvents: "none",
                             zIndex: 100,
                           }}
                         />
-                      );
+                      ));
                     })()}
 
+                  {/* NEW: Printer's marks around the proofed page or spread */}
+                  {proofMode &&
+                    spreadLayout &&
+                    renderPrinterMarks(spreadLayout)}
+
+                  {/* NEW: Page edges, the spine, bleed and slug of a spread */}
+                  {spreadLayout && !proofMode && (
+                    <svg
+                      data-export-ignore="true"
+                      width={pageWidthPx}
+                      height={pageHeightPx}
+                      style={{
+                        position: "absolute",
+                        left: 0,
+                        top: 0,
+                        pointerEvents: "none",
+                        zIndex: 9000,
+                        overflow: "visible",
+                      }}
+                    >
+                      {spreadExtent === "slug" && (
+                        <rect
+                          {...spreadLayout.slug}
+                          fill="none"
+                          stroke="rgba(59, 130, 246, 0.8)"
+                          strokeWidth={1}
+                        />
+                      )}
+                      {spreadExtent !== "trim" && (
+                        <rect
+                          {...spreadLayout.bleed}
+                          fill="none"
+                          stroke="rgba(239, 68, 68, 0.8)"
+                          strokeWidth={1}
+                        />
+                      )}
+                      {spreadLayout.pages.map((box) => (
+                        <rect
+                          key={box.page.self}
+                          x={box.x}
+                          y={box.y}
+                          width={box.width}
+                          height={box.height}
+                          fill="none"
+                          stroke="rgba(0, 0, 0, 0.35)"
+                          strokeWidth={1}
+                          strokeDasharray="4 3"
+                        />
+                      ))}
+                    </svg>
+                  )}
+
                   {/* PRESERVED: Element Rendering for Current Page */}
-                  {sortedElements.map((element, index) => {
+                  {renderedElements.map((element, index) => {
                     // DEBUG: Only log elements with linked images to reduce noise
                     if (element.linkedImage && element.linkedImage.url) {
                       // Processing element with image
@@ -1519,7 +1887,11 @@ export default function Viewer() {
                       // Element was constrained to page boundaries
                     }
 
-                    elementPosition = constrainedPosition;
+                    // NEW: Spreads keep items that run past a page edge
+                    // (into the bleed or across the spine) where they are
+                    if (!spreadLayout) {
+                      elementPosition = constrainedPosition;
+                    }
 
                     const isContentFrame =
                       element.isContentFrame || element.hasPlacedContent;
@@ -1527,12 +1899,28 @@ export default function Viewer() {
 
                     // Create unique key for this element instance
                     const elementKey = element.self || element.id;
-                    const isSelected = selectedElementId === elementKey;
-                    const isEditing = editingElementId === elementKey;
+                    // Master items can only be edited on their master page
+                    const isMasterItem = !!element.isMasterItem;
+                    const isSelected =
+                      !isMasterItem && selectedElementId === elementKey;
+                    const isEditing =
+                      !isMasterItem && editingElementId === elementKey;
                     const isTextElement =
                       element.type === "TextFrame" ||
                       element.name === "Bulleted List" ||
                       element.name === "Numbered List";
+                    // NEW: Ovals, polygons and lines are drawn as SVG paths
+                    const isVector = isVectorShape(element);
+                    const fillBackground =
+                      element.fill && element.fill.startsWith("Gradient/")
+                        ? renderGradientBackground(
+                            element.fill,
+                            documentData,
+                            utils
+                          )
+                        : element.fill
+                        ? utils.convertColor(element.fill)
+                        : "transparent";
 
                     return (
                       <div
@@ -1540,7 +1928,8 @@ export default function Viewer() {
                         className={`${styles.idmlElement} ${
                           isSelected ? styles.selected : ""
                         }`}
-                        data-element-key={elementKey}
+                        data-element-key={isMasterItem ? undefined : elementKey}
+                        data-master-item={isMasterItem || undefined}
                         data-is-selected={isSelected}
                         style={{
                           position: "absolute",
@@ -1548,18 +1937,13 @@ export default function Viewer() {
                           top: elementPosition.y + "px",
                           width: elementPosition.width + "px",
                           height: elementPosition.height + "px",
-                          background:
-                            element.fill && element.fill.startsWith("Gradient/")
-                              ? renderGradientBackground(
-                                  element.fill,
-                                  documentData,
-                                  utils
-                                )
-                              : element.fill
-                              ? utils.convertColor(element.fill)
-                              : "transparent",
+                          background: isVector ? "transparent" : fillBackground,
                           border: "1px solid transparent",
-                          overflow: "hidden",
+                          // NEW: Corners and transparency (own or object style)
+                          borderRadius: getFrameCornerRadius(element),
+                          ...getFrameEffectStyles(element, utils),
+                          // Strokes and arrowheads may extend past the bounds
+                          overflow: isVector ? "visible" : "hidden",
                           transform: elementPosition.rotation
                             ? `rotate(${elementPosition.rotation}deg)`
                             : "none",
@@ -1573,6 +1957,7 @@ export default function Viewer() {
                               ? "text"
                               : "text"
                             : "move",
+                          pointerEvents: isMasterItem ? "none" : undefined,
                           transition: "border 0.2s ease, outline 0.2s ease",
                         }}
                         onMouseDown={(e) => {
@@ -1615,6 +2000,21 @@ export default function Viewer() {
                           {element.name || element.type || "Element"}
                         </div>
 
+                        {/* NEW: Frame stroke, drawn inside the frame edge */}
+                        {!isVector && getFrameStroke(element, utils) && (
+                          <div
+                            style={{
+                              position: "absolute",
+                              inset: 0,
+                              border: getFrameStroke(element, utils),
+                              borderRadius: getFrameCornerRadius(element),
+                              boxSizing: "border-box",
+                              pointerEvents: "none",
+                              zIndex: 1,
+                            }}
+                          />
+                        )}
+
                         {/* Resize handles (visible when selected) */}
                         {isSelected && (
                           <>
@@ -1834,29 +2234,30 @@ export default function Viewer() {
                           </>
                         )}
 
+                        {/* NEW: Vector shape fill and clip path */}
+                        {isVector &&
+                          renderVectorShape(element, utils, {
+                            layer: "fill",
+                            fillBackground,
+                          })}
+
                         {/* PRESERVED: Enhanced Image Rendering */}
                         {element.linkedImage &&
                           (element.linkedImage.url ? (
-                            <img
-                              src={element.linkedImage.url}
-                              alt="Frame content"
-                              style={{
-                                position: "absolute",
-                                left: "0px",
-                                top: "0px",
-                                width: "100%",
-                                height: "100%",
-                                objectFit: "cover",
-                                transformOrigin: "center center",
-                              }}
-                              onError={(e) => {
+                            // ENHANCED: Drawn with the image's own transform
+                            renderPlacedImage(element, {
+                              width: elementPosition.width,
+                              height: elementPosition.height,
+                              zoom: scale,
+                              alt: "Frame content",
+                              onError: (e) => {
                                 console.error(
                                   `❌ Main viewer image failed to load: ${element.linkedImage.url}`,
                                   e
                                 );
                                 e.target.style.display = "none";
-                              }}
-                            />
+                              },
+                            })
                           ) : element.linkedImage.isEmbedded ? (
                             <div
                               style={{
@@ -1881,12 +2282,18 @@ export default function Viewer() {
                             </div>
                           ) : null)}
 
+                        {/* NEW: Vector shape stroke and arrowheads */}
+                        {isVector &&
+                          renderVectorShape(element, utils, {
+                            layer: "stroke",
+                          })}
+
                         {/* PRESERVED: PIXEL-PERFECT Text Rendering */}
                         {element.type === "TextFrame" &&
                           element.parentStory &&
                           documentData.stories[element.parentStory] &&
                           (() => {
-                            const story =
+                            const fullStory =
                               documentData.stories[element.parentStory];
 
                             const frameMetrics =
@@ -1896,7 +2303,21 @@ export default function Viewer() {
                               );
 
                             const storyFormatting =
-                              getInDesignAccurateFormatting(story, utils);
+                              getInDesignAccurateFormatting(fullStory, utils);
+
+                            // NEW: Threaded frames only show their share of the story
+                            const threadInfo = getThreadedFrameStory(
+                              element,
+                              documentData,
+                              storyFormatting
+                            );
+                            // NEW: Auto page numbers show this page's number
+                            // (in a spread, the page the frame is on)
+                            const story = substitutePageNumbers(
+                              threadInfo?.story || fullStory,
+                              element.spreadPage?.page || currentPage,
+                              element.spreadPage?.pageIndex ?? currentPageIndex
+                            );
 
                             let cleanText = (story.text || "")
                               .replace(/\n\s*\n/g, "\n")
@@ -1986,7 +2407,17 @@ export default function Viewer() {
                                 : null;
 
                             const createTooltip = () => {
-                              const baseInfo = `Story: ${element.parentStory}\nFrame: ${element.position.width}×${element.position.height}px\nContent: ${frameMetrics.contentArea.width}×${frameMetrics.contentArea.height}px`;
+                              const threadLine =
+                                threadInfo && threadInfo.threadLength > 1
+                                  ? `\nThread: frame ${
+                                      threadInfo.threadIndex + 1
+                                    } of ${threadInfo.threadLength}`
+                                  : "";
+                              const baseInfo = `Story: ${element.parentStory}${threadLine}\nFrame: ${element.position.width}×${element.position.height}px\nContent: ${frameMetrics.contentArea.width}×${frameMetrics.contentArea.height}px`;
+
+                              if (threadInfo?.overset) {
+                                return `${baseInfo}\nOverset: ${threadInfo.oversetCharacters} characters`;
+                              }
 
                               if (!wasAdjusted) {
                                 return `${baseInfo}\nText fits perfectly!`;
@@ -2099,6 +2530,25 @@ export default function Viewer() {
 
                                     const isMultiColumn =
                                       (columnCount || 1) > 1;
+
+                                    // NEW: Flow around wrapping items above
+                                    // (single-column frames only)
+                                    const wrapBox = {
+                                      x: frameMetrics.insets.left,
+                                      y: parseFloat(mergedStyles.padding) || 0,
+                                      width: frameMetrics.contentArea.width,
+                                      height: frameMetrics.contentArea.height,
+                                    };
+                                    const wrapFloats = isMultiColumn
+                                      ? []
+                                      : renderTextWrapFloats(
+                                          getTextWrapObstacles(
+                                            element,
+                                            stackingElements,
+                                            wrapBox
+                                          ),
+                                          wrapBox
+                                        );
                                     return (
                                       <div
                                         style={{
@@ -2132,11 +2582,18 @@ export default function Viewer() {
                                             overflow: "hidden",
                                           }}
                                         >
+                                          {wrapFloats}
                                           {renderFormattedText(
                                             story,
                                             element.position.height,
                                             adjustedFontSize,
-                                            utils,
+                                            // Tables in the story are sized in points
+                                            {
+                                              ...utils,
+                                              pointScale:
+                                                (element.pixelPosition?._dpi ||
+                                                  72) / 72,
+                                            },
                                             importedGetPageBackgroundColor(
                                               currentPage,
                                               documentData,
@@ -2155,36 +2612,52 @@ export default function Viewer() {
                                     );
                                   }
                                 })()}
+                                {/* NEW: InDesign-style overset marker on the last frame */}
+                                {threadInfo?.overset && (
+                                  <div
+                                    title={`Overset text: ${threadInfo.oversetCharacters} characters`}
+                                    style={{
+                                      position: "absolute",
+                                      right: "0px",
+                                      bottom: "0px",
+                                      width: "10px",
+                                      height: "10px",
+                                      border: "1px solid #e00",
+                                      backgroundColor: "#fff",
+                                      color: "#e00",
+                                      fontSize: "10px",
+                                      lineHeight: "8px",
+                                      fontFamily: "Arial, sans-serif",
+                                      fontWeight: "bold",
+                                      textAlign: "center",
+                                      boxSizing: "border-box",
+                                      pointerEvents: "none",
+                                      zIndex: 2,
+                                    }}
+                                  >
+                                    +
+                                  </div>
+                                )}
                               </div>
                             );
                           })()}
 
                         {/* Image Rendering */}
-                        {element.linkedImage && element.linkedImage.url && (
-                          <>
-                            <img
-                              src={element.linkedImage.url}
-                              alt={element.name || "Frame content"}
-                              style={{
-                                position: "absolute",
-                                left: "0px",
-                                top: "0px",
-                                width: "100%",
-                                height: "100%",
-                                objectFit: "cover",
-                                transformOrigin: "center center",
-                              }}
-                              onError={(e) => {
-                                console.error(
-                                  "Error loading image:",
-                                  element.linkedImage.url,
-                                  e
-                                );
-                                e.target.style.display = "none";
-                              }}
-                            />
-                          </>
-                        )}
+                        {element.linkedImage &&
+                          element.linkedImage.url &&
+                          renderPlacedImage(element, {
+                            width: elementPosition.width,
+                            height: elementPosition.height,
+                            zoom: scale,
+                            onError: (e) => {
+                              console.error(
+                                "Error loading image:",
+                                element.linkedImage.url,
+                                e
+                              );
+                              e.target.style.display = "none";
+                            },
+                          })}
 
                         {/* Content frame placeholder - only show if no image */}
                         {isContentFrame &&
@@ -2889,7 +3362,9 @@ export default function Viewer() {
             <div
               style={{
                 position: "fixed",
-                bottom: "20px",
+                // Stay clear of the filmstrip
+                bottom:
+                  showFilmstrip && documentData.thumbnails ? "170px" : "20px",
                 right: "20px",
                 zIndex: 1000,
               }}
@@ -2924,6 +3399,14 @@ export default function Viewer() {
             </div>
           )}
         </div>
+        {/* NEW: Filmstrip navigator below the canvas */}
+        <Filmstrip
+          isOpen={showFilmstrip}
+          thumbnails={documentData.thumbnails}
+          currentPageIndex={currentPageIndex}
+          onSelectPage={setCurrentPageIndex}
+          onClose={() => setShowFilmstrip(false)}
+        />
       </div>
     </div>
   );
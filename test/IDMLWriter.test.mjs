@@ -0,0 +1,176 @@
+// Round trip of viewer text edits: parse a package, edit one word, write it
+// with IDMLWriter and parse the result again
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import IDMLProcessor from "../lib/IDMLProcessor.js";
+import IDMLWriter from "../lib/writers/IDMLWriter.js";
+import Logger from "../lib/utils/Logger.js";
+
+const logger = new Logger({ level: "silent" });
+
+const SPREAD = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<idPkg:Spread xmlns:idPkg="http://ns.adobe.com/AdobeInDesign/idml/1.0/packaging" DOMVersion="18.0">
+	<Spread Self="s1">
+		<Page Self="p1" Name="1" GeometricBounds="0 0 792 612" ItemTransform="1 0 0 1 0 -396" />
+		<TextFrame Self="tf" ParentStory="st" ItemTransform="1 0 0 1 0 0" PreviousTextFrame="n" NextTextFrame="n">
+			<Properties>
+				<PathGeometry>
+					<GeometryPathType PathOpen="false">
+						<PathPointArray>
+							<PathPointType Anchor="0 -300" />
+							<PathPointType Anchor="0 -100" />
+							<PathPointType Anchor="300 -100" />
+							<PathPointType Anchor="300 -300" />
+						</PathPointArray>
+					</GeometryPathType>
+				</PathGeometry>
+			</Properties>
+		</TextFrame>
+	</Spread>
+</idPkg:Spread>`;
+
+// Two paragraphs, the first with a bold range between two plain ones
+const STORY = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<idPkg:Story xmlns:idPkg="http://ns.adobe.com/AdobeInDesign/idml/1.0/packaging" DOMVersion="18.0">
+	<Story Self="st">
+		<ParagraphStyleRange AppliedParagraphStyle="ParagraphStyle/$ID/NormalParagraphStyle">
+			<CharacterStyleRange AppliedCharacterStyle="CharacterStyle/$ID/[No character style]">
+				<Content>Hello </Content>
+			</CharacterStyleRange>
+			<CharacterStyleRange AppliedCharacterStyle="CharacterStyle/$ID/[No character style]" FontStyle="Bold">
+				<Content>world</Content>
+			</CharacterStyleRange>
+			<CharacterStyleRange AppliedCharacterStyle="CharacterStyle/$ID/[No character style]">
+				<Content> and more.</Content>
+				<Br />
+			</CharacterStyleRange>
+		</ParagraphStyleRange>
+		<ParagraphStyleRange AppliedParagraphStyle="ParagraphStyle/$ID/NormalParagraphStyle">
+			<CharacterStyleRange AppliedCharacterStyle="CharacterStyle/$ID/[No character style]">
+				<Content>Second paragraph</Content>
+			</CharacterStyleRange>
+		</ParagraphStyleRange>
+	</Story>
+</idPkg:Story>`;
+
+let workDir;
+let idmlPath;
+
+const parseStoryText = async (filePath) => {
+  const processor = new IDMLProcessor({
+    dpi: 96,
+    uploadDir: workDir,
+    uploadId: "test",
+    logger,
+  });
+  const documentData = await processor.processIDML(filePath);
+  return documentData.stories.st.text;
+};
+
+const readStoryXml = (buffer) =>
+  new AdmZip(buffer).readAsText("Stories/Story_st.xml");
+
+const editWord = async (from, to) => {
+  const text = await parseStoryText(idmlPath);
+  const editedText = text.replace(from, to);
+  const { buffer, report } = new IDMLWriter({ logger }).write(
+    idmlPath,
+    { stories: { st: { text } } },
+    { stories: { st: { text: editedText } } }
+  );
+
+  const outputPath = path.join(workDir, `${to}.idml`);
+  fs.writeFileSync(outputPath, buffer);
+  return {
+    editedText,
+    report,
+    xml: readStoryXml(buffer),
+    reparsedText: await parseStoryText(outputPath),
+  };
+};
+
+before(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "idml-writer-"));
+  idmlPath = path.join(workDir, "story.idml");
+
+  const zip = new AdmZip();
+  zip.addFile(
+    "mimetype",
+    Buffer.from("application/vnd.adobe.indesign-idml-package")
+  );
+  zip.addFile(
+    "designmap.xml",
+    Buffer.from('<?xml version="1.0"?><Document DOMVersion="18.0" Self="d" />')
+  );
+  zip.addFile("Spreads/Spread_s1.xml", Buffer.from(SPREAD));
+  zip.addFile("Stories/Story_st.xml", Buffer.from(STORY));
+  zip.writeZip(idmlPath);
+});
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test("editing a word in the second paragraph adds no paragraph break", async () => {
+  const { editedText, report, xml, reparsedText } = await editWord(
+    "Second",
+    "2nd"
+  );
+
+  assert.deepEqual(report.storiesUpdated, ["st"]);
+  assert.equal(reparsedText, editedText);
+  assert.equal((xml.match(/<Br\s*\/>/g) || []).length, 1);
+  assert.match(xml, /<Content>2nd paragraph<\/Content>/);
+  assert.doesNotMatch(xml, /<Content><\/Content>/);
+});
+
+test("editing a word keeps the text in its CharacterStyleRange", async () => {
+  const { editedText, xml, reparsedText } = await editWord("Hello", "Hallo");
+
+  assert.equal(reparsedText, editedText);
+  assert.match(xml, /<Content>Hallo <\/Content>/);
+  assert.match(xml, /FontStyle="Bold">\s*<Content>world<\/Content>/);
+  assert.match(xml, /<Content> and more\.<\/Content>/);
+});
+
+test("a replaced word takes the formatting of the word it replaces", async () => {
+  const { editedText, xml, reparsedText } = await editWord("world", "there");
+
+  assert.equal(reparsedText, editedText);
+  assert.match(xml, /<Content>Hello <\/Content>/);
+  assert.match(xml, /FontStyle="Bold">\s*<Content>there<\/Content>/);
+});
+
+test("text after a table nested in a cell is not story text", () => {
+  const xml = `<Story Self="st">
+		<ParagraphStyleRange>
+			<CharacterStyleRange>
+				<Content>Before</Content>
+				<Table Self="outer">
+					<Cell Self="outer/c1">
+						<Table Self="inner">
+							<Cell Self="inner/c1"><Content>Inner</Content></Cell>
+						</Table>
+						<Content>Outer cell</Content>
+					</Cell>
+				</Table>
+				<Content>After</Content>
+			</CharacterStyleRange>
+		</ParagraphStyleRange>
+	</Story>`;
+  const writer = new IDMLWriter({ logger });
+
+  const tokens = writer.tokenizeStory(xml);
+  assert.deepEqual(
+    tokens.map((token) => token.text),
+    ["Before", "After"]
+  );
+
+  const updated = writer.applyTextEdit(xml, "BeforeLater", "BeforeAfter");
+  assert.match(updated, /<Content>Outer cell<\/Content>/);
+  assert.match(updated, /<Content>Later<\/Content>/);
+});